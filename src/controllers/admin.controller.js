@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const ReanalysisJob = require('../models/reanalysisJob.model');
+const { ANALYSIS_PIPELINE_VERSION } = require('../utils/analysisPipeline');
+const { startReanalysisJob } = require('../jobs/reanalysis.job');
+const { validationErrorBody } = require('../utils/validation');
+
+/**
+ * Start a background re-analysis job
+ * @route POST /api/admin/reanalysis
+ * @access Admin
+ */
+const startReanalysis = async (req, res) => {
+  console.log('Controller: startReanalysis - Request received');
+
+  try {
+    const { userId, onlyOutdated, batchSize } = req.body;
+
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: req.t('errors.invalidUserId') });
+      }
+
+      const targetUser = await User.findById(userId);
+      if (!targetUser) {
+        console.log('Re-analysis target user not found:', userId);
+        return res.status(404).json({ message: req.t('errors.userNotFound') });
+      }
+    }
+
+    const job = new ReanalysisJob({
+      requestedBy: req.user._id,
+      targetUser: userId || null,
+      onlyOutdated: onlyOutdated !== undefined ? onlyOutdated : true,
+      batchSize: batchSize || 100,
+      analyzerVersion: ANALYSIS_PIPELINE_VERSION
+    });
+
+    await job.save();
+    startReanalysisJob(job._id);
+
+    console.log('Re-analysis job queued:', {
+      jobId: job._id,
+      targetUser: job.targetUser,
+      analyzerVersion: job.analyzerVersion
+    });
+
+    res.status(202).json(job);
+
+  } catch (error) {
+    console.error('Error starting re-analysis job:', error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json(validationErrorBody(req, error));
+    }
+    res.status(500).json({ message: req.t('errors.server.startingReanalysisJob') });
+  }
+};
+
+/**
+ * List re-analysis jobs, newest first
+ * @route GET /api/admin/reanalysis
+ * @access Admin
+ */
+const getReanalysisJobs = async (req, res) => {
+  console.log('Controller: getReanalysisJobs - Request received');
+
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const query = {};
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    // Leave out the (potentially large) diff list in the overview
+    const jobs = await ReanalysisJob.find(query)
+      .select('-diffs -failures')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      currentAnalyzerVersion: ANALYSIS_PIPELINE_VERSION,
+      jobs
+    });
+
+  } catch (error) {
+    console.error('Error fetching re-analysis jobs:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingReanalysisJobs') });
+  }
+};
+
+/**
+ * Get a re-analysis job with its progress and diffs
+ * @route GET /api/admin/reanalysis/:id
+ * @access Admin
+ */
+const getReanalysisJob = async (req, res) => {
+  console.log('Controller: getReanalysisJob - Request received for job:', req.params.id);
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: req.t('errors.invalidJobId') });
+    }
+
+    const job = await ReanalysisJob.findById(req.params.id);
+
+    if (!job) {
+      console.log('Re-analysis job not found:', req.params.id);
+      return res.status(404).json({ message: req.t('errors.reanalysisJobNotFound') });
+    }
+
+    res.status(200).json(job);
+
+  } catch (error) {
+    console.error('Error fetching re-analysis job:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingReanalysisJob') });
+  }
+};
+
+module.exports = {
+  startReanalysis,
+  getReanalysisJobs,
+  getReanalysisJob
+};
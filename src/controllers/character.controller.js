@@ -0,0 +1,536 @@
+const mongoose = require('mongoose');
+const Character = require('../models/character.model');
+const Dream = require('../models/dream.model');
+const { linkExistingDreams } = require('../utils/characterLinker');
+const { escapeRegExp } = require('../utils/text');
+const { createOwnLoader } = require('../utils/ownership');
+const { validationErrorBody } = require('../utils/validation');
+
+// Fields a user may set on a character
+const CHARACTER_FIELDS = ['name', 'aliases', 'relationship', 'sex', 'description'];
+
+/**
+ * Pick the editable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Character fields
+ */
+const pickCharacterFields = (body) => {
+  const fields = {};
+  CHARACTER_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * Find an alias that already belongs to another of the user's characters
+ * @param {string} userId - User ID
+ * @param {Array} aliases - Normalized aliases
+ * @param {Array} excludeIds - Characters allowed to hold the aliases
+ * @returns {Promise<Object|null>} { alias, character } of the first conflict
+ */
+const findAliasConflict = async (userId, aliases, excludeIds = []) => {
+  if (!aliases || aliases.length === 0) return null;
+
+  const owner = await Character.findOne({
+    user: userId,
+    aliases: { $in: aliases },
+    _id: { $nin: excludeIds }
+  }).select('name aliases');
+
+  if (!owner) return null;
+  return { alias: aliases.find(alias => owner.aliases.includes(alias)), character: owner };
+};
+
+/**
+ * Send the duplicate-alias response
+ * @param {Object} req - Express request (for the response language)
+ * @param {Object} res - Express response
+ * @param {Object} conflict - { alias, character } from findAliasConflict
+ */
+const sendAliasConflict = (req, res, conflict) => res.status(400).json({
+  message: req.t('errors.duplicateAlias', { alias: conflict.alias, name: conflict.character.name }),
+  characterId: conflict.character._id
+});
+
+// Load a character and check that it belongs to the current user
+const loadOwnCharacter = createOwnLoader(Character, {
+  label: 'Character',
+  invalidIdKey: 'errors.invalidCharacterId',
+  notFoundKey: 'errors.characterNotFound',
+  deniedKey: 'errors.characterAccessDenied'
+});
+
+/**
+ * Turn a save error into a response
+ * @param {Object} req - Express request (for the response language)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by mongoose
+ * @param {string} messageKey - Catalog key of the 500 message
+ */
+const handleCharacterError = (req, res, error, messageKey) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json(validationErrorBody(req, error));
+  }
+  // An alias another request gave to a character after the conflict check
+  if (error.code === 11000) {
+    return res.status(400).json({ message: req.t('errors.aliasTaken') });
+  }
+  res.status(500).json({ message: req.t(messageKey) });
+};
+
+/**
+ * List the current user's dream characters
+ * @route GET /api/characters
+ * @access Private
+ */
+const getCharacters = async (req, res) => {
+  console.log('Controller: getCharacters - Request received');
+
+  try {
+    const query = { user: req.user._id };
+
+    if (req.query.relationship) {
+      query.relationship = req.query.relationship;
+    }
+
+    if (req.query.q) {
+      const q = String(req.query.q).trim().toLowerCase();
+      query.$or = [{ aliases: q }, { name: new RegExp(escapeRegExp(q), 'i') }];
+    }
+
+    const characters = await Character.find(query);
+    const summaries = characters
+      .map(character => character.toSummary())
+      .sort((a, b) => b.appearanceCount - a.appearanceCount || a.name.localeCompare(b.name));
+
+    res.status(200).json({
+      characters: summaries,
+      total: summaries.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching characters:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingCharacters') });
+  }
+};
+
+/**
+ * Add a character to the current user's registry
+ * Dreams already analyzed that mention one of its aliases are linked right away.
+ * @route POST /api/characters
+ * @access Private
+ */
+const createCharacter = async (req, res) => {
+  console.log('Controller: createCharacter - Request received');
+
+  try {
+    const character = new Character({
+      ...pickCharacterFields(req.body),
+      user: req.user._id
+    });
+
+    // A character is at least known by its own name
+    if (character.aliases.length === 0 && character.name) {
+      character.aliases = [character.name];
+    }
+
+    const conflict = await findAliasConflict(req.user._id, character.aliases);
+    if (conflict) {
+      return sendAliasConflict(req, res, conflict);
+    }
+
+    const linked = await linkExistingDreams(character);
+    await character.save();
+
+    console.log('Character created:', { id: character._id, name: character.name, linkedDreams: linked });
+
+    res.status(201).json(character);
+
+  } catch (error) {
+    console.error('Error creating character:', error.message);
+    handleCharacterError(req, res, error, 'errors.server.creatingCharacter');
+  }
+};
+
+/**
+ * Get a character with all its appearances
+ * @route GET /api/characters/:id
+ * @access Private
+ */
+const getCharacter = async (req, res) => {
+  console.log('Controller: getCharacter - Request received for character:', req.params.id);
+
+  try {
+    const character = await loadOwnCharacter(req, res, req.params.id);
+    if (!character) return;
+
+    res.status(200).json(character);
+
+  } catch (error) {
+    console.error('Error fetching character:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingCharacter') });
+  }
+};
+
+/**
+ * Update a character
+ * New aliases are linked to the already analyzed dreams that use them.
+ * @route PUT /api/characters/:id
+ * @access Private
+ */
+const updateCharacter = async (req, res) => {
+  console.log('Controller: updateCharacter - Request received for character:', req.params.id);
+
+  try {
+    const character = await loadOwnCharacter(req, res, req.params.id, 'errors.characterUpdateDenied');
+    if (!character) return;
+
+    character.set(pickCharacterFields(req.body));
+
+    if (character.isModified('aliases')) {
+      const conflict = await findAliasConflict(req.user._id, character.aliases, [character._id]);
+      if (conflict) {
+        return sendAliasConflict(req, res, conflict);
+      }
+      await linkExistingDreams(character);
+    }
+
+    await character.save();
+
+    console.log('Character updated:', { id: character._id, name: character.name });
+
+    res.status(200).json(character);
+
+  } catch (error) {
+    console.error('Error updating character:', error.message);
+    handleCharacterError(req, res, error, 'errors.server.updatingCharacter');
+  }
+};
+
+/**
+ * Delete a character (its dreams are not affected)
+ * @route DELETE /api/characters/:id
+ * @access Private
+ */
+const deleteCharacter = async (req, res) => {
+  console.log('Controller: deleteCharacter - Request received for character:', req.params.id);
+
+  try {
+    const character = await loadOwnCharacter(req, res, req.params.id, 'errors.characterDeleteDenied');
+    if (!character) return;
+
+    await Character.deleteOne({ _id: character._id });
+
+    console.log('Character deleted:', { id: character._id, name: character.name });
+
+    res.status(200).json({ message: req.t('messages.characterDeleted') });
+
+  } catch (error) {
+    console.error('Error deleting character:', error.message);
+    res.status(500).json({ message: req.t('errors.server.deletingCharacter') });
+  }
+};
+
+/**
+ * Get a character's appearances in date order, with the dreams they are in
+ * @route GET /api/characters/:id/timeline
+ * @access Private
+ */
+const getCharacterTimeline = async (req, res) => {
+  console.log('Controller: getCharacterTimeline - Request received for character:', req.params.id);
+
+  try {
+    const character = await loadOwnCharacter(req, res, req.params.id);
+    if (!character) return;
+
+    await character.populate('appearances.dream', 'title date category emotions.primary');
+
+    const timeline = character.appearances
+      .filter(appearance => appearance.dream)
+      .sort((a, b) => a.date - b.date)
+      .map(appearance => ({
+        date: appearance.date,
+        dream: {
+          _id: appearance.dream._id,
+          title: appearance.dream.title,
+          category: appearance.dream.category,
+          primaryEmotion: appearance.dream.emotions ? appearance.dream.emotions.primary : null
+        },
+        mention: appearance.mention,
+        mentions: appearance.mentions,
+        source: appearance.source
+      }));
+
+    // Appearances per month, for charting how often the character returns
+    const byMonth = {};
+    timeline.forEach(entry => {
+      const month = entry.date.toISOString().slice(0, 7);
+      byMonth[month] = (byMonth[month] || 0) + 1;
+    });
+
+    const { appearances, ...summary } = character.toSummary();
+
+    res.status(200).json({
+      character: summary,
+      timeline,
+      byMonth
+    });
+
+  } catch (error) {
+    console.error('Error fetching character timeline:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingCharacterTimeline') });
+  }
+};
+
+/**
+ * Merge other characters into this one
+ * The merged characters' aliases and appearances move to this character and the
+ * merged characters are deleted.
+ * @route POST /api/characters/:id/merge
+ * @access Private
+ */
+const mergeCharacters = async (req, res) => {
+  console.log('Controller: mergeCharacters - Request received for character:', req.params.id);
+
+  try {
+    const characterIds = Array.isArray(req.body.characterIds)
+      ? [...new Set(req.body.characterIds.map(String))]
+      : [];
+
+    if (characterIds.length === 0) {
+      return res.status(400).json({ message: req.t('errors.characterIdsRequired') });
+    }
+    if (characterIds.includes(req.params.id)) {
+      return res.status(400).json({ message: req.t('errors.cannotMergeIntoItself') });
+    }
+
+    const target = await loadOwnCharacter(req, res, req.params.id, 'errors.characterUpdateDenied');
+    if (!target) return;
+
+    const sources = [];
+    for (const id of characterIds) {
+      const source = await loadOwnCharacter(req, res, id, 'errors.characterUpdateDenied');
+      if (!source) return;
+      sources.push(source);
+    }
+
+    sources.forEach(source => {
+      target.aliases = [...target.aliases, ...source.aliases];
+      if (!target.description && source.description) {
+        target.description = source.description;
+      }
+
+      source.appearances.forEach(appearance => {
+        const existing = target.appearances.find(entry => entry.dream.equals(appearance.dream));
+        if (existing) {
+          existing.mentions += appearance.mentions;
+          if (appearance.source === 'user') existing.source = 'user';
+        } else {
+          target.appearances.push(appearance.toObject());
+        }
+      });
+    });
+
+    // Dreams a source was unlinked from stay unlinked, unless the target appears in them
+    const dismissed = new Set(target.dismissedDreams.map(String));
+    sources.forEach(source => {
+      source.dismissedDreams.forEach(id => {
+        if (!dismissed.has(id.toString()) && !target.appearances.some(entry => entry.dream.equals(id))) {
+          dismissed.add(id.toString());
+          target.dismissedDreams.push(id);
+        }
+      });
+    });
+
+    // The sources give up their aliases first, as an alias belongs to one character
+    const sourceIds = sources.map(source => source._id);
+    await Character.updateMany({ _id: { $in: sourceIds } }, { $set: { aliases: [] } });
+    try {
+      await target.save();
+    } catch (error) {
+      await Promise.all(sources.map(source =>
+        Character.updateOne({ _id: source._id }, { $set: { aliases: source.aliases } })));
+      throw error;
+    }
+    await Character.deleteMany({ _id: { $in: sourceIds } });
+
+    console.log('Characters merged:', { id: target._id, merged: sources.length });
+
+    res.status(200).json(target);
+
+  } catch (error) {
+    console.error('Error merging characters:', error.message);
+    handleCharacterError(req, res, error, 'errors.server.mergingCharacters');
+  }
+};
+
+/**
+ * Split part of a character off into a new character
+ * Moves the given aliases, and the appearances that used them or that are in the
+ * given dreams, to a new character. The moved appearances become hand-made links and
+ * the original is unlinked from the given dreams, so re-analysis keeps the split.
+ * @route POST /api/characters/:id/split
+ * @access Private
+ */
+const splitCharacter = async (req, res) => {
+  console.log('Controller: splitCharacter - Request received for character:', req.params.id);
+
+  try {
+    const original = await loadOwnCharacter(req, res, req.params.id, 'errors.characterUpdateDenied');
+    if (!original) return;
+
+    const requestedDreamIds = req.body.dreamIds === undefined ? [] : req.body.dreamIds;
+    if (!Array.isArray(requestedDreamIds) || !requestedDreamIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: req.t('errors.invalidSplitDreamIds') });
+    }
+    const dreamIds = requestedDreamIds.map(String);
+
+    const aliases = Character.normalizeAliases(req.body.aliases);
+
+    if (aliases.length === 0 && dreamIds.length === 0) {
+      return res.status(400).json({ message: req.t('errors.nothingToSplit') });
+    }
+
+    const foreignAlias = aliases.find(alias => !original.aliases.includes(alias));
+    if (foreignAlias) {
+      return res.status(400).json({ message: req.t('errors.aliasNotOnCharacter', { alias: foreignAlias }) });
+    }
+
+    const moves = appearance =>
+      dreamIds.includes(appearance.dream.toString()) || aliases.includes(appearance.mention);
+
+    const created = new Character({
+      ...pickCharacterFields(req.body),
+      name: req.body.name || aliases[0] || original.name,
+      relationship: req.body.relationship || original.relationship,
+      sex: req.body.sex || original.sex,
+      aliases,
+      user: req.user._id,
+      appearances: original.appearances.filter(moves).map(appearance => ({ ...appearance.toObject(), source: 'user' }))
+    });
+
+    original.aliases = original.aliases.filter(alias => !aliases.includes(alias));
+    original.appearances = original.appearances.filter(appearance => !moves(appearance));
+    created.appearances
+      .filter(appearance => dreamIds.includes(appearance.dream.toString()))
+      .forEach(appearance => {
+        if (!original.dismissedDreams.some(id => id.equals(appearance.dream))) {
+          original.dismissedDreams.push(appearance.dream);
+        }
+      });
+
+    await created.validate();
+    await original.save();
+    await created.save();
+
+    console.log('Character split:', { id: original._id, created: created._id, moved: created.appearances.length });
+
+    res.status(201).json({ original, created });
+
+  } catch (error) {
+    console.error('Error splitting character:', error.message);
+    handleCharacterError(req, res, error, 'errors.server.splittingCharacter');
+  }
+};
+
+/**
+ * Link a character to a dream by hand
+ * @route POST /api/characters/:id/appearances
+ * @access Private
+ */
+const addCharacterAppearance = async (req, res) => {
+  console.log('Controller: addCharacterAppearance - Request received for character:', req.params.id);
+
+  try {
+    const character = await loadOwnCharacter(req, res, req.params.id, 'errors.characterUpdateDenied');
+    if (!character) return;
+
+    const { dreamId, mention } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(dreamId)) {
+      return res.status(404).json({ message: req.t('errors.dreamNotFound') });
+    }
+
+    const dream = await Dream.findById(dreamId).select('user date');
+
+    if (!dream) {
+      return res.status(404).json({ message: req.t('errors.dreamNotFound') });
+    }
+    if (dream.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: req.t('errors.dreamAccessDenied') });
+    }
+
+    character.dismissedDreams = character.dismissedDreams.filter(id => !id.equals(dream._id));
+
+    const existing = character.appearances.find(appearance => appearance.dream.equals(dream._id));
+    if (existing) {
+      // A hand-made link survives re-analysis
+      existing.source = 'user';
+    } else {
+      character.appearances.push({
+        dream: dream._id,
+        date: dream.date,
+        mention: mention || character.name,
+        source: 'user'
+      });
+    }
+
+    await character.save();
+
+    res.status(200).json(character);
+
+  } catch (error) {
+    console.error('Error updating character appearances:', error.message);
+    handleCharacterError(req, res, error, 'errors.server.updatingCharacterAppearances');
+  }
+};
+
+/**
+ * Unlink a character from a dream
+ * The dream is remembered as dismissed so re-analysis does not link it again.
+ * @route DELETE /api/characters/:id/appearances/:dreamId
+ * @access Private
+ */
+const removeCharacterAppearance = async (req, res) => {
+  console.log('Controller: removeCharacterAppearance - Request received for character:', req.params.id);
+
+  try {
+    const character = await loadOwnCharacter(req, res, req.params.id, 'errors.characterUpdateDenied');
+    if (!character) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.dreamId)) {
+      return res.status(404).json({ message: req.t('errors.dreamNotFound') });
+    }
+
+    character.appearances = character.appearances
+      .filter(appearance => appearance.dream.toString() !== req.params.dreamId);
+
+    // Keep analysis from linking the dream again
+    if (!character.dismissedDreams.some(id => id.toString() === req.params.dreamId)) {
+      character.dismissedDreams.push(req.params.dreamId);
+    }
+    await character.save();
+
+    res.status(200).json(character);
+
+  } catch (error) {
+    console.error('Error updating character appearances:', error.message);
+    res.status(500).json({ message: req.t('errors.server.updatingCharacterAppearances') });
+  }
+};
+
+module.exports = {
+  getCharacters,
+  createCharacter,
+  getCharacter,
+  updateCharacter,
+  deleteCharacter,
+  getCharacterTimeline,
+  mergeCharacters,
+  splitCharacter,
+  addCharacterAppearance,
+  removeCharacterAppearance
+};
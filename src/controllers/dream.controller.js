@@ -1,12 +1,37 @@
 const Dream = require('../models/dream.model');
 const User = require('../models/user.model');
-const { analyzeDream, suggestDreamCategories } = require('../utils/dreamAnalyzer');
 const advancedNLP = require('../utils/advancedNLP');
+const AnalysisJob = require('../models/analysisJob.model');
+const SleepSession = require('../models/sleepSession.model');
+const Practice = require('../models/practice.model');
+const Rescript = require('../models/rescript.model');
+const { enqueueAnalysis, analysisEvents } = require('../jobs/analysis.job');
 const mongoose = require('mongoose');
 const { findRelatedDreams, findEvolvingPatterns } = require('../utils/dreamPatternComparison');
+const { FRAMEWORKS, FRAMEWORK_KEYS, DEFAULT_FRAMEWORK, getReading } = require('../utils/interpretationFrameworks');
+const { detectLanguage } = require('../utils/languageDetection');
+const { getTranslator } = require('../utils/i18n');
+const { codeDreamText, summarizeContentCodings } = require('../utils/contentCoding');
+const { NORM_SETS, compareWithNorms } = require('../utils/normComparison');
+const characterLinker = require('../utils/characterLinker');
+const placeLinker = require('../utils/placeLinker');
+const { round } = require('../utils/numbers');
+const dreamSignLinker = require('../utils/dreamSignLinker');
+const { computeRecallStats } = require('../utils/recallStats');
+const { computePracticeStats } = require('../utils/practiceStats');
+const { detectLucidity } = require('../utils/lucidityDetector');
+const { RATING_NAMES, summarizeRatings } = require('../utils/dreamRatings');
+const { createOwnLoader } = require('../utils/ownership');
+const { validationErrorBody } = require('../utils/validation');
 
-// Dream symbols dictionary for use with advancedNLP
-const dreamSymbols = require('../utils/dreamSymbols');
+// Load a dream and check that it belongs to the current user
+const loadOwnDream = createOwnLoader(Dream, {
+  label: 'Dream',
+  invalidIdKey: 'errors.dreamNotFound',
+  invalidIdStatus: 404,
+  notFoundKey: 'errors.dreamNotFound',
+  deniedKey: 'errors.dreamAccessDenied'
+});
 
 /**
  * Create a new dream entry
@@ -18,7 +43,7 @@ const createDream = async (req, res) => {
   
   try {
     const userId = req.user._id;
-    const { title, content, date, tags, notes, isPrivate, category } = req.body;
+    const { title, content, date, tags, notes, isPrivate, category, ratings } = req.body;
     
     console.log('Creating new dream entry:', { 
       userId, 
@@ -28,64 +53,49 @@ const createDream = async (req, res) => {
       category
     });
     
-    // Analyze dream content with basic analyzer
-    console.log('Analyzing dream content...');
-    const basicAnalysis = analyzeDream(content);
-    
-    // Perform advanced NLP analysis
-    console.log('Performing advanced NLP analysis...');
-    const advancedAnalysis = advancedNLP.analyzeText(content);
-    
-    // Find dream symbols with context using Compromise
-    const symbols = advancedNLP.findDreamSymbols(content, dreamSymbols);
-    
-    // Suggest dream categories
-    const suggestedCategories = advancedNLP.suggestDreamCategories(advancedAnalysis);
-    const finalCategory = category || (suggestedCategories.length > 0 ? suggestedCategories[0].category : 'uncategorized');
-    
-    // Create new dream entry
+    // Create new dream entry; analysis runs asynchronously in the job queue
     const dream = new Dream({
       user: userId,
       title,
       content,
+      language: detectLanguage(content),
       date: date || new Date(),
       tags: tags || [],
       notes: notes || '',
       isPrivate: isPrivate !== undefined ? isPrivate : true,
-      category: finalCategory,
-      // Add analysis results
-      keywords: advancedAnalysis.keywords || basicAnalysis.keywords,
-      emotions: basicAnalysis.emotions, // Keep using basic emotions analysis
-      symbols: symbols.length > 0 ? symbols : basicAnalysis.symbols,
-      // Add new advanced analysis fields
-      entities: advancedAnalysis.entities || [],
-      topics: advancedAnalysis.topics || [],
-      sentiment: advancedAnalysis.sentiment || basicAnalysis.sentiment
+      category: category || 'uncategorized',
+      ratings: ratings || {},
+      analysisStatus: 'pending'
     });
     
     await dream.save();
     
+    // Queue analysis, using the suggested category unless one was provided
+    await queueDreamAnalysis(dream, { applySuggestedCategory: !category });
+    
     // Update user stats
     const user = await User.findById(userId);
     if (user) {
       await user.updateDreamStats(true, dream.date);
+      await user.updateLoggingStats(dream.date);
     }
     
     console.log('Dream entry created successfully:', { 
       id: dream._id, 
       title,
       userId,
-      keywordsCount: advancedAnalysis.keywords ? advancedAnalysis.keywords.length : 0,
-      symbolsCount: symbols.length,
-      primaryEmotion: basicAnalysis.emotions.primary,
-      category: finalCategory
+      category: dream.category,
+      analysisStatus: dream.analysisStatus
     });
     
     res.status(201).json(dream);
     
   } catch (error) {
     console.error('Error creating dream entry:', error.message);
-    res.status(500).json({ message: 'Server error creating dream entry' });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json(validationErrorBody(req, error));
+    }
+    res.status(500).json({ message: req.t('errors.server.creatingDreamEntry') });
   }
 };
 
@@ -103,6 +113,8 @@ const getDreams = async (req, res) => {
     const skip = parseInt(req.query.skip) || 0;
     const category = req.query.category;
     const tag = req.query.tag;
+    const language = req.query.language;
+    const series = req.query.series;
     const sort = req.query.sort || '-date';  // Default sort by date, newest first
     
     // Build query
@@ -117,6 +129,33 @@ const getDreams = async (req, res) => {
       query.tags = tag;
     }
     
+    if (language) {
+      query.language = language;
+    }
+    
+    if (series) {
+      if (!mongoose.Types.ObjectId.isValid(series)) {
+        return res.status(400).json({ message: req.t('errors.invalidSeriesId') });
+      }
+      query.series = series;
+    }
+    
+    // Rating ranges: ?vividnessMin=4, ?lucidityMin=1&lucidityMax=2
+    for (const name of RATING_NAMES) {
+      const range = {};
+      for (const [suffix, operator] of [['Min', '$gte'], ['Max', '$lte']]) {
+        const value = req.query[`${name}${suffix}`];
+        if (value === undefined) continue;
+        if (!/^\d+$/.test(value)) {
+          return res.status(400).json({ message: req.t('errors.invalidRatingFilter', { name: `${name}${suffix}` }) });
+        }
+        range[operator] = Number(value);
+      }
+      if (Object.keys(range).length > 0) {
+        query[`ratings.${name}`] = range;
+      }
+    }
+    
     console.log('Fetching dreams with query:', query);
     
     const dreams = await Dream.find(query)
@@ -140,7 +179,7 @@ const getDreams = async (req, res) => {
     
   } catch (error) {
     console.error('Error fetching dreams:', error.message);
-    res.status(500).json({ message: 'Server error fetching dreams' });
+    res.status(500).json({ message: req.t('errors.server.fetchingDreams') });
   }
 };
 
@@ -157,13 +196,13 @@ const getDreamById = async (req, res) => {
     
     if (!dream) {
       console.log('Dream not found:', req.params.id);
-      return res.status(404).json({ message: 'Dream not found' });
+      return res.status(404).json({ message: req.t('errors.dreamNotFound') });
     }
     
     // Check if the dream belongs to the current user or is public
     if (dream.user.toString() !== req.user._id.toString() && dream.isPrivate) {
       console.log('Unauthorized access attempt to private dream:', req.params.id);
-      return res.status(403).json({ message: 'Not authorized to access this dream' });
+      return res.status(403).json({ message: req.t('errors.dreamAccessDenied') });
     }
     
     console.log('Dream retrieved successfully:', req.params.id);
@@ -171,7 +210,7 @@ const getDreamById = async (req, res) => {
     
   } catch (error) {
     console.error('Error fetching dream:', error.message);
-    res.status(500).json({ message: 'Server error fetching dream' });
+    res.status(500).json({ message: req.t('errors.server.fetchingDream') });
   }
 };
 
@@ -184,33 +223,13 @@ const updateDream = async (req, res) => {
   console.log('Controller: updateDream - Request received for dream:', req.params.id);
   
   try {
-    let dream = await Dream.findById(req.params.id);
-    
-    if (!dream) {
-      console.log('Dream not found:', req.params.id);
-      return res.status(404).json({ message: 'Dream not found' });
-    }
+    let dream = await loadOwnDream(req, res, req.params.id, 'errors.dreamUpdateDenied');
+    if (!dream) return;
     
-    // Check if the dream belongs to the current user
-    if (dream.user.toString() !== req.user._id.toString()) {
-      console.log('Unauthorized update attempt for dream:', req.params.id);
-      return res.status(403).json({ message: 'Not authorized to update this dream' });
-    }
+    const { title, content, date, tags, notes, isPrivate, category, ratings } = req.body;
     
-    const { title, content, date, tags, notes, isPrivate, category } = req.body;
-    
-    // If content is being updated, reanalyze the dream
-    let basicAnalysis = {};
-    let advancedAnalysis = {};
-    if (content && content !== dream.content) {
-      console.log('Content changed, reanalyzing dream...');
-      basicAnalysis = analyzeDream(content);
-      advancedAnalysis = advancedNLP.analyzeText(content);
-      
-      // Find dream symbols with context using Compromise
-      const symbols = advancedNLP.findDreamSymbols(content, dreamSymbols);
-      advancedAnalysis.symbols = symbols;
-    }
+    // If content is being updated, the dream needs to be reanalyzed
+    const contentChanged = Boolean(content && content !== dream.content);
     
     // Update fields
     const updateFields = {};
@@ -218,14 +237,10 @@ const updateDream = async (req, res) => {
     if (content) {
       updateFields.content = content;
       
-      // Update analysis results if content changed
-      if (Object.keys(advancedAnalysis).length > 0) {
-        updateFields.keywords = advancedAnalysis.keywords || basicAnalysis.keywords;
-        updateFields.emotions = basicAnalysis.emotions; // Keep using basic emotions analysis
-        updateFields.symbols = advancedAnalysis.symbols || basicAnalysis.symbols;
-        updateFields.entities = advancedAnalysis.entities || [];
-        updateFields.topics = advancedAnalysis.topics || [];
-        updateFields.sentiment = advancedAnalysis.sentiment || basicAnalysis.sentiment;
+      // Mark analysis as pending until the queue re-analyzes the new content
+      if (contentChanged) {
+        updateFields.language = detectLanguage(content);
+        updateFields.analysisStatus = 'pending';
       }
     }
     if (date) updateFields.date = date;
@@ -233,30 +248,48 @@ const updateDream = async (req, res) => {
     if (notes !== undefined) updateFields.notes = notes;
     if (isPrivate !== undefined) updateFields.isPrivate = isPrivate;
     
-    // If category is provided or content changed, update category
+    // Ratings are updated one scale at a time; null clears a rating
+    if (ratings && typeof ratings === 'object') {
+      RATING_NAMES.forEach(name => {
+        if (ratings[name] !== undefined) {
+          updateFields[`ratings.${name}`] = ratings[name];
+        }
+      });
+    }
+    
+    // If category is provided, update it; otherwise changed content gets a suggested one
     if (category) {
       updateFields.category = category;
-    } else if (content && content !== dream.content) {
-      // Suggest new category based on changed content
-      const suggestedCategories = advancedNLP.suggestDreamCategories(advancedAnalysis);
-      if (suggestedCategories.length > 0) {
-        updateFields.category = suggestedCategories[0].category;
-      }
     }
     
     // Update the dream
     dream = await Dream.findByIdAndUpdate(
       req.params.id, 
       { $set: updateFields }, 
-      { new: true }
+      { new: true, runValidators: true }
     );
     
+    if (contentChanged) {
+      console.log('Content changed, queueing re-analysis...');
+      await queueDreamAnalysis(dream, { applySuggestedCategory: !category });
+    }
+    
+    // Keep the character timelines, place dream lists and dream sign sightings in date order
+    if (date) {
+      await characterLinker.updateAppearanceDates(dream);
+      await placeLinker.updateAppearanceDates(dream);
+      await dreamSignLinker.updateOccurrenceDates(dream);
+    }
+    
     console.log('Dream updated successfully:', req.params.id);
     res.status(200).json(dream);
     
   } catch (error) {
     console.error('Error updating dream:', error.message);
-    res.status(500).json({ message: 'Server error updating dream' });
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json(validationErrorBody(req, error));
+    }
+    res.status(500).json({ message: req.t('errors.server.updatingDream') });
   }
 };
 
@@ -269,20 +302,22 @@ const deleteDream = async (req, res) => {
   console.log('Controller: deleteDream - Request received for dream:', req.params.id);
   
   try {
-    const dream = await Dream.findById(req.params.id);
-    
-    if (!dream) {
-      console.log('Dream not found:', req.params.id);
-      return res.status(404).json({ message: 'Dream not found' });
-    }
-    
-    // Check if the dream belongs to the current user
-    if (dream.user.toString() !== req.user._id.toString()) {
-      console.log('Unauthorized delete attempt for dream:', req.params.id);
-      return res.status(403).json({ message: 'Not authorized to delete this dream' });
-    }
+    const dream = await loadOwnDream(req, res, req.params.id, 'errors.dreamDeleteDenied');
+    if (!dream) return;
     
     await Dream.findByIdAndDelete(req.params.id);
+    await characterLinker.unlinkDream(dream);
+    await placeLinker.unlinkDream(dream);
+    await dreamSignLinker.unlinkDream(dream);
+    await Dream.updateMany(
+      { user: dream.user, 'links.dream': dream._id },
+      { $pull: { links: { dream: dream._id } } }
+    );
+    await SleepSession.updateMany(
+      { user: dream.user, 'dreams.dream': dream._id },
+      { $pull: { dreams: { dream: dream._id } } }
+    );
+    await Rescript.deleteMany({ user: dream.user, nightmare: dream._id });
     console.log('Dream deleted successfully:', req.params.id);
     
     // Update user stats
@@ -292,11 +327,11 @@ const deleteDream = async (req, res) => {
       await user.save();
     }
     
-    res.status(200).json({ message: 'Dream deleted' });
+    res.status(200).json({ message: req.t('messages.dreamDeleted') });
     
   } catch (error) {
     console.error('Error deleting dream:', error.message);
-    res.status(500).json({ message: 'Server error deleting dream' });
+    res.status(500).json({ message: req.t('errors.server.deletingDream') });
   }
 };
 
@@ -313,7 +348,7 @@ const searchDreams = async (req, res) => {
     const searchQuery = req.query.q;
     
     if (!searchQuery) {
-      return res.status(400).json({ message: 'Search query is required' });
+      return res.status(400).json({ message: req.t('errors.searchQueryRequired') });
     }
     
     console.log('Searching dreams with query:', searchQuery);
@@ -331,7 +366,7 @@ const searchDreams = async (req, res) => {
     
   } catch (error) {
     console.error('Error searching dreams:', error.message);
-    res.status(500).json({ message: 'Server error searching dreams' });
+    res.status(500).json({ message: req.t('errors.server.searchingDreams') });
   }
 };
 
@@ -372,12 +407,12 @@ const getDreamStats = async (req, res) => {
       { $limit: 10 }
     ]);
     
-    // Get most common entities (new field)
+    // Get most common entities
     const entityStats = await Dream.aggregate([
-      { $match: { user: new mongoose.Types.ObjectId(userId), entities: { $exists: true } } },
-      { $unwind: '$entities' },
+      { $match: { user: new mongoose.Types.ObjectId(userId), 'analysis.entities.0': { $exists: true } } },
+      { $unwind: '$analysis.entities' },
       { $group: { 
-        _id: { text: '$entities.text', type: '$entities.type' }, 
+        _id: { text: '$analysis.entities.text', type: '$analysis.entities.type' }, 
         count: { $sum: 1 } 
       } },
       { $sort: { count: -1 } },
@@ -399,22 +434,88 @@ const getDreamStats = async (req, res) => {
       { $sort: { '_id.year': 1, '_id.month': 1 } }
     ]);
     
-    // Get sentiment trends by month (new stats)
+    // Get sentiment trends by month
     const sentimentTrends = await Dream.aggregate([
-      { $match: { user: new mongoose.Types.ObjectId(userId), sentiment: { $exists: true } } },
+      { $match: { user: new mongoose.Types.ObjectId(userId), 'analysis.sentiment.score': { $exists: true } } },
       {
         $group: {
           _id: {
             year: { $year: '$date' },
             month: { $month: '$date' }
           },
-          avgScore: { $avg: '$sentiment.score' },
+          avgScore: { $avg: '$analysis.sentiment.score' },
           count: { $sum: 1 }
         }
       },
       { $sort: { '_id.year': 1, '_id.month': 1 } }
     ]);
     
+    // Averages and distributions of the dreamer's ratings, and their monthly averages
+    const ratedDreams = await Dream.find({ user: userId }).select('ratings');
+    const ratingStats = summarizeRatings(ratedDreams);
+    const ratingTrends = await Dream.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId) } },
+      {
+        $group: {
+          _id: {
+            year: { $year: '$date' },
+            month: { $month: '$date' }
+          },
+          ...Object.fromEntries(RATING_NAMES.map(name => [name, { $avg: `$ratings.${name}` }]))
+        }
+      },
+      { $sort: { '_id.year': 1, '_id.month': 1 } }
+    ]);
+    
+    // Dreams per night and recall rate over the logged sleep sessions
+    const [sessionTotals] = await SleepSession.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId) } },
+      {
+        $group: {
+          _id: null,
+          sessions: { $sum: 1 },
+          nightsWithDreams: { $sum: { $cond: [{ $gt: [{ $size: '$dreams' }, 0] }, 1, 0] } },
+          // Nights logged with dreams, or marked as full or fragment recall
+          nightsWithRecall: {
+            $sum: {
+              $cond: [{
+                $or: [
+                  { $gt: [{ $size: '$dreams' }, 0] },
+                  { $in: ['$recall', ['full', 'fragment']] }
+                ]
+              }, 1, 0]
+            }
+          },
+          dreams: { $sum: { $size: '$dreams' } },
+          averageQuality: { $avg: '$quality' },
+          wbtbNights: { $sum: { $cond: ['$wbtb', 1, 0] } }
+        }
+      }
+    ]);
+    const sleepStats = sessionTotals
+      ? {
+        sessions: sessionTotals.sessions,
+        nightsWithDreams: sessionTotals.nightsWithDreams,
+        dreamsPerNight: round(sessionTotals.dreams / sessionTotals.sessions),
+        recallRate: round(sessionTotals.nightsWithRecall / sessionTotals.sessions),
+        averageQuality: sessionTotals.averageQuality === null ? null : round(sessionTotals.averageQuality),
+        wbtbNights: sessionTotals.wbtbNights
+      }
+      : { sessions: 0, nightsWithDreams: 0, dreamsPerNight: null, recallRate: null, averageQuality: null, wbtbNights: 0 };
+    
+    // Recall rates, logging streaks and weekly recall trend over every logged day
+    const recallSessions = await SleepSession.find({ user: userId }).select('date recall wbtb dreams.dream');
+    const inSessions = new Set(recallSessions.flatMap(session => session.dreams.map(entry => entry.dream.toString())));
+    const journalDreams = await Dream.find({ user: userId }).select('date category ratings.lucidity lucidity.isLucid');
+    const recallStats = computeRecallStats(
+      recallSessions,
+      journalDreams.filter(dream => !inSessions.has(dream._id.toString()))
+    );
+    
+    // Lucid rate after each practiced technique and supplement, against nights without practice
+    const practices = await Practice.find({ user: userId }).select('technique date count supplement.name');
+    const practiceStats = computePracticeStats(practices, journalDreams, recallSessions, Practice.TECHNIQUES);
+    
     console.log('Dream statistics generated successfully');
     
     res.status(200).json({
@@ -424,12 +525,54 @@ const getDreamStats = async (req, res) => {
       symbolStats,
       entityStats,
       timeStats,
-      sentimentTrends
+      sentimentTrends,
+      ratingStats,
+      ratingTrends,
+      sleepStats,
+      recallStats,
+      practiceStats
     });
     
   } catch (error) {
     console.error('Error generating dream statistics:', error.message);
-    res.status(500).json({ message: 'Server error generating dream statistics' });
+    res.status(500).json({ message: req.t('errors.server.generatingDreamStatistics') });
+  }
+};
+
+/**
+ * Compare the user's content-coded dream profile with normative data
+ * Reports, per HVdC category, the user's value, the norm, the effect size (Cohen's h)
+ * and its significance. `norms` picks one norm set; all sets are compared by default.
+ * @route GET /api/dreams/stats/norms
+ * @access Private
+ */
+const getNormComparison = async (req, res) => {
+  console.log('Controller: getNormComparison - Request received');
+  
+  try {
+    const { norms } = req.query;
+    
+    if (norms && !NORM_SETS.includes(norms)) {
+      return res.status(400).json({ message: req.t('errors.unknownNormSet') });
+    }
+    
+    const summary = await summarizeJournalContent(req.user._id, req.query);
+    const normSets = norms ? [norms] : NORM_SETS;
+    
+    console.log('Norm comparison complete:', {
+      dreams: summary.dreams,
+      normSets
+    });
+    
+    res.status(200).json({
+      dreams: summary.dreams,
+      uncodedDreams: summary.uncodedDreams,
+      comparisons: normSets.map(normSet => compareWithNorms(summary, normSet))
+    });
+    
+  } catch (error) {
+    console.error('Error comparing with norms:', error.message);
+    res.status(500).json({ message: req.t('errors.server.comparingWithNorms') });
   }
 };
 
@@ -452,7 +595,7 @@ const analyzeDreamPatterns = async (req, res) => {
     
     if (dreams.length === 0) {
       return res.status(200).json({
-        message: 'No dreams found to analyze patterns',
+        message: req.t('messages.noDreamsForPatterns'),
         patterns: {}
       });
     }
@@ -461,11 +604,14 @@ const analyzeDreamPatterns = async (req, res) => {
     const dreamContents = dreams.map(dream => dream.content);
     
     // Analyze recurring patterns
-    const patterns = advancedNLP.analyzeRecurringPatterns(dreamContents);
+    const patterns = advancedNLP.analyzeRecurringPatterns(dreamContents, {
+      symbols: dreams.map(dream => (dream.symbols || []).map(symbol => symbol.symbol))
+    });
     
     console.log('Dream pattern analysis complete:', {
       analyzedDreams: dreams.length,
       recurringThemes: patterns.recurringThemes.length,
+      recurringSymbols: patterns.recurringSymbols.length,
       recurringEntities: patterns.recurringEntities.length,
       recurringPhrases: patterns.recurringPhrases.length
     });
@@ -477,7 +623,131 @@ const analyzeDreamPatterns = async (req, res) => {
     
   } catch (error) {
     console.error('Error analyzing dream patterns:', error.message);
-    res.status(500).json({ message: 'Server error analyzing dream patterns' });
+    res.status(500).json({ message: req.t('errors.server.analyzingDreamPatterns') });
+  }
+};
+
+/**
+ * Hall/Van de Castle coding of a dream
+ * Uses the stored coding, or codes the dream now when it was analyzed before the
+ * coder existed. Returns null for languages the coder does not support.
+ * @param {Object} dream - Dream document
+ * @returns {Object|null} Content coding
+ */
+function getContentCoding(dream) {
+  if (dream.contentCoding) {
+    return dream.contentCoding;
+  }
+  if (dream.language && dream.language !== 'en') {
+    return null;
+  }
+  return codeDreamText(dream.content);
+}
+
+/**
+ * Hall/Van de Castle summary of a user's journal
+ * Codes are summed over all dreams (optionally between `from` and `to`) before
+ * the percentages and indices are computed.
+ * @param {string} userId - User ID
+ * @param {Object} range - { from, to } date filters
+ * @returns {Promise<Object>} Journal summary with the number of dreams that could not be coded
+ */
+async function summarizeJournalContent(userId, { from, to } = {}) {
+  const query = { user: userId };
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = new Date(from);
+    if (to) query.date.$lte = new Date(to);
+  }
+  
+  const dreams = await Dream.find(query).select('content language contentCoding');
+  const codings = dreams.map(getContentCoding).filter(Boolean);
+  
+  return {
+    ...summarizeContentCodings(codings),
+    uncodedDreams: dreams.length - codings.length
+  };
+}
+
+/**
+ * Get Hall/Van de Castle content analysis across the user's journal
+ * @route GET /api/dreams/content-analysis
+ * @access Private
+ */
+const getJournalContentAnalysis = async (req, res) => {
+  console.log('Controller: getJournalContentAnalysis - Request received');
+  
+  try {
+    const summary = await summarizeJournalContent(req.user._id, req.query);
+    
+    console.log('Journal content analysis complete:', {
+      dreams: summary.dreams,
+      uncoded: summary.uncodedDreams
+    });
+    
+    res.status(200).json(summary);
+    
+  } catch (error) {
+    console.error('Error generating content analysis:', error.message);
+    res.status(500).json({ message: req.t('errors.server.generatingContentAnalysis') });
+  }
+};
+
+/**
+ * Get Hall/Van de Castle content analysis of one dream
+ * @route GET /api/dreams/:id/content-analysis
+ * @access Private
+ */
+const getDreamContentAnalysis = async (req, res) => {
+  console.log('Controller: getDreamContentAnalysis - Request received for dream:', req.params.id);
+  
+  try {
+    const dream = await loadOwnDream(req, res, req.params.id, 'errors.dreamAccessDenied', 'user content language contentCoding');
+    if (!dream) return;
+    
+    const coding = getContentCoding(dream);
+    if (!coding) {
+      return res.status(400).json({ message: req.t('errors.contentCodingUnsupported') });
+    }
+    
+    res.status(200).json({
+      dreamId: dream._id,
+      ...coding
+    });
+    
+  } catch (error) {
+    console.error('Error generating content analysis:', error.message);
+    res.status(500).json({ message: req.t('errors.server.generatingContentAnalysis') });
+  }
+};
+
+/**
+ * Explain a dream's lucidity: its score and the sentences that show awareness,
+ * reality checks, dream control or false awakenings
+ * Dreams analyzed before lucidity detection existed are checked on the fly.
+ * @route GET /api/dreams/:id/lucidity
+ * @access Private
+ */
+const getDreamLucidity = async (req, res) => {
+  console.log('Controller: getDreamLucidity - Request received for dream:', req.params.id);
+  
+  try {
+    const dream = await loadOwnDream(req, res, req.params.id, 'errors.dreamAccessDenied', 'user content language category ratings lucidity');
+    if (!dream) return;
+    
+    const lucidity = dream.lucidity || detectLucidity(dream.content, { language: dream.language });
+    
+    res.status(200).json({
+      dreamId: dream._id,
+      category: dream.category,
+      // The dreamer's own lucidity rating, next to the detected one
+      rating: dream.ratings ? dream.ratings.lucidity : null,
+      ...lucidity
+    });
+    
+  } catch (error) {
+    console.error('Error detecting lucidity:', error.message);
+    res.status(500).json({ message: req.t('errors.server.detectingLucidity') });
   }
 };
 
@@ -490,18 +760,8 @@ const shareDream = async (req, res) => {
   console.log('Controller: shareDream - Request received for dream:', req.params.id);
   
   try {
-    const dream = await Dream.findById(req.params.id);
-    
-    if (!dream) {
-      console.log('Dream not found:', req.params.id);
-      return res.status(404).json({ message: 'Dream not found' });
-    }
-    
-    // Check if the dream belongs to the current user
-    if (dream.user.toString() !== req.user._id.toString()) {
-      console.log('Unauthorized share attempt for dream:', req.params.id);
-      return res.status(403).json({ message: 'Not authorized to share this dream' });
-    }
+    const dream = await loadOwnDream(req, res, req.params.id, 'errors.dreamShareDenied');
+    if (!dream) return;
     
     // Set dream to public
     dream.isPrivate = false;
@@ -521,14 +781,14 @@ const shareDream = async (req, res) => {
     const shareableLink = `${req.protocol}://${req.get('host')}/api/dreams/shared/${dream._id}`;
     
     res.status(200).json({
-      message: 'Dream shared successfully',
+      message: req.t('messages.dreamShared'),
       shareableLink,
       dream
     });
     
   } catch (error) {
     console.error('Error sharing dream:', error.message);
-    res.status(500).json({ message: 'Server error sharing dream' });
+    res.status(500).json({ message: req.t('errors.server.sharingDream') });
   }
 };
 
@@ -545,13 +805,13 @@ const getSharedDream = async (req, res) => {
     
     if (!dream) {
       console.log('Dream not found:', req.params.id);
-      return res.status(404).json({ message: 'Dream not found' });
+      return res.status(404).json({ message: req.t('errors.dreamNotFound') });
     }
     
     // Check if the dream is public
     if (dream.isPrivate) {
       console.log('Attempt to access private dream:', req.params.id);
-      return res.status(403).json({ message: 'This dream is not shared' });
+      return res.status(403).json({ message: req.t('errors.dreamNotShared') });
     }
     
     // Increment view count
@@ -568,8 +828,8 @@ const getSharedDream = async (req, res) => {
       keywords: dream.keywords,
       emotions: dream.emotions,
       symbols: dream.symbols,
-      topics: dream.topics,
-      sentiment: dream.sentiment,
+      topics: dream.analysis?.topics || [],
+      sentiment: dream.analysis?.sentiment,
       category: dream.category,
       viewCount: dream.sharing.viewCount
     };
@@ -578,7 +838,7 @@ const getSharedDream = async (req, res) => {
     
   } catch (error) {
     console.error('Error accessing shared dream:', error.message);
-    res.status(500).json({ message: 'Server error accessing shared dream' });
+    res.status(500).json({ message: req.t('errors.server.accessingSharedDream') });
   }
 };
 
@@ -592,54 +852,62 @@ const generateDreamInsights = async (req, res) => {
   
   try {
     const userId = req.user._id;
-    const dream = await Dream.findById(req.params.id);
     
-    if (!dream) {
-      console.log('Dream not found:', req.params.id);
-      return res.status(404).json({ message: 'Dream not found' });
-    }
+    // Symbol readings use the requested framework, then the user's preference
+    const framework = req.query.framework ||
+      req.user.preferences?.interpretationFramework ||
+      DEFAULT_FRAMEWORK;
     
-    // Check if the dream belongs to the current user
-    if (dream.user.toString() !== userId.toString()) {
-      console.log('Unauthorized insights attempt for dream:', req.params.id);
-      return res.status(403).json({ message: 'Not authorized to access this dream' });
+    if (!FRAMEWORK_KEYS.includes(framework)) {
+      return res.status(400).json({ message: req.t('errors.unknownFramework') });
     }
     
+    const dream = await loadOwnDream(req, res, req.params.id);
+    if (!dream) return;
+    
     // Get user's dream history for context
     const userDreams = await Dream.find({ user: userId })
       .sort({ date: -1 })
       .limit(20) // Increased to provide more context
-      .select('content emotions symbols category sentiment keywords date title');
+      .select('content emotions symbols category analysis.sentiment keywords ratings date title');
     
     const dreamHistory = userDreams.filter(d => d._id.toString() !== dream._id.toString());
     
     // Analyze emotional patterns
-    const emotionalPatterns = analyzeEmotionalPatterns(dream, dreamHistory);
+    const emotionalPatterns = analyzeEmotionalPatterns(dream, dreamHistory, req.t);
     
     // Analyze symbolic connections
-    const symbolicConnections = analyzeSymbolicConnections(dream, dreamHistory);
+    const symbolicConnections = analyzeSymbolicConnections(dream, dreamHistory, framework, req.t);
+    
+    // Read each symbol through the selected interpretation framework
+    const symbolReadings = buildSymbolReadings(dream, framework);
     
     // Analyze recurring themes
-    const recurringThemes = findRecurringThemes(dream, dreamHistory);
+    const recurringThemes = findRecurringThemes(dream, dreamHistory, req.t);
     
     // Find related dreams using the new pattern comparison utility
     const relatedDreams = findRelatedDreams(dream, dreamHistory);
     
     // Analyze evolving patterns over time
-    const evolvingPatterns = findEvolvingPatterns(dream, dreamHistory);
+    const evolvingPatterns = findEvolvingPatterns(dream, dreamHistory, req.t);
     
     // Generate personalized psychological insights
-    const psychologicalInsights = generatePsychologicalInsights(dream, emotionalPatterns, symbolicConnections);
+    const psychologicalInsights = generatePsychologicalInsights(dream, emotionalPatterns, symbolicConnections, req.t);
     
     // Suggest connections to waking life
-    const wakingLifeConnections = suggestWakingLifeConnections(dream);
+    const wakingLifeConnections = suggestWakingLifeConnections(dream, framework, req.t);
     
     const insights = {
       dreamId: dream._id,
       title: dream.title,
       date: dream.date,
+      framework: {
+        key: framework,
+        ...FRAMEWORKS[framework]
+      },
       emotionalPatterns,
       symbolicConnections,
+      symbolReadings,
       recurringThemes,
       psychologicalInsights,
       wakingLifeConnections,
@@ -653,17 +921,192 @@ const generateDreamInsights = async (req, res) => {
     
   } catch (error) {
     console.error('Error generating dream insights:', error.message);
-    res.status(500).json({ message: 'Server error generating dream insights' });
+    res.status(500).json({ message: req.t('errors.server.generatingDreamInsights') });
+  }
+};
+
+/**
+ * Get the analysis status of a dream
+ * @route GET /api/dreams/:id/analysis
+ * @access Private
+ */
+const getAnalysisStatus = async (req, res) => {
+  console.log('Controller: getAnalysisStatus - Request received for dream:', req.params.id);
+  
+  try {
+    const dream = await loadOwnDream(req, res, req.params.id, 'errors.dreamAccessDenied', 'user analysisStatus analysisError analyzerVersion');
+    if (!dream) return;
+    
+    res.status(200).json(await buildAnalysisStatus(dream));
+    
+  } catch (error) {
+    console.error('Error fetching analysis status:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingAnalysisStatus') });
+  }
+};
+
+/**
+ * Subscribe to a dream's analysis completion (Server-Sent Events)
+ * Sends a `status` event immediately and whenever the status changes,
+ * then closes the stream once analysis is done or failed.
+ * @route GET /api/dreams/:id/analysis/events
+ * @access Private
+ */
+const streamAnalysisStatus = async (req, res) => {
+  console.log('Controller: streamAnalysisStatus - Subscription received for dream:', req.params.id);
+  
+  try {
+    const dream = await loadOwnDream(req, res, req.params.id, 'errors.dreamAccessDenied', 'user analysisStatus');
+    if (!dream) return;
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const dreamId = dream._id.toString();
+    let lastStatus = null;
+    let finished = false;
+    
+    const cleanup = () => {
+      finished = true;
+      clearInterval(pollTimer);
+      clearTimeout(timeoutTimer);
+      analysisEvents.off('done', onEvent);
+      analysisEvents.off('failed', onEvent);
+    };
+    
+    const sendStatus = async () => {
+      if (finished) return;
+      
+      const current = await Dream.findById(dreamId).select('analysisStatus analysisError analyzerVersion');
+      if (!current) {
+        res.write(`event: error\ndata: ${JSON.stringify({ message: req.t('errors.dreamNotFound') })}\n\n`);
+        cleanup();
+        return res.end();
+      }
+      
+      const status = await buildAnalysisStatus(current);
+      if (status.analysisStatus !== lastStatus) {
+        lastStatus = status.analysisStatus;
+        res.write(`event: status\ndata: ${JSON.stringify(status)}\n\n`);
+      }
+      
+      if (status.analysisStatus === 'done' || status.analysisStatus === 'failed') {
+        cleanup();
+        res.end();
+      }
+    };
+    
+    // Completion in this process is pushed immediately; external workers are picked up by polling
+    const onEvent = (event) => {
+      if (event.dreamId === dreamId) {
+        sendStatus().catch(error => console.error('Error sending analysis status:', error.message));
+      }
+    };
+    analysisEvents.on('done', onEvent);
+    analysisEvents.on('failed', onEvent);
+    
+    const pollTimer = setInterval(onEvent, 2000, { dreamId });
+    const timeoutTimer = setTimeout(() => {
+      res.write(`event: timeout\ndata: ${JSON.stringify({ analysisStatus: lastStatus })}\n\n`);
+      cleanup();
+      res.end();
+    }, 5 * 60 * 1000);
+    
+    req.on('close', cleanup);
+    
+    await sendStatus();
+    
+  } catch (error) {
+    console.error('Error streaming analysis status:', error.message);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: req.t('errors.server.streamingAnalysisStatus') });
+    }
+    res.end();
+  }
+};
+
+/**
+ * Queue a new analysis attempt for a dream
+ * @route POST /api/dreams/:id/analysis/retry
+ * @access Private
+ */
+const retryAnalysis = async (req, res) => {
+  console.log('Controller: retryAnalysis - Request received for dream:', req.params.id);
+  
+  try {
+    const dream = await loadOwnDream(req, res, req.params.id, 'errors.dreamUpdateDenied');
+    if (!dream) return;
+    
+    if (dream.analysisStatus === 'pending') {
+      return res.status(409).json({ message: req.t('errors.analysisInProgress') });
+    }
+    
+    dream.analysisStatus = 'pending';
+    dream.analysisError = undefined;
+    await dream.save();
+    
+    await queueDreamAnalysis(dream);
+    
+    res.status(202).json(await buildAnalysisStatus(dream));
+    
+  } catch (error) {
+    console.error('Error retrying analysis:', error.message);
+    res.status(500).json({ message: req.t('errors.server.retryingAnalysis') });
   }
 };
 
+/**
+ * Queue analysis for a saved dream without failing the request
+ * If the job cannot be queued, the dream is marked as failed so it can be retried.
+ * @param {Object} dream - Saved dream document
+ * @param {Object} options - Options passed to enqueueAnalysis
+ */
+async function queueDreamAnalysis(dream, options = {}) {
+  try {
+    await enqueueAnalysis(dream, options);
+  } catch (error) {
+    console.error('Error queueing dream analysis:', { dreamId: dream._id, error: error.message });
+    dream.analysisStatus = 'failed';
+    dream.analysisError = 'Analysis could not be queued';
+    await Dream.updateOne(
+      { _id: dream._id },
+      { $set: { analysisStatus: 'failed', analysisError: dream.analysisError } }
+    );
+  }
+}
+
+/**
+ * Build the analysis status payload for a dream
+ * Dreams saved before the analysis queue existed were analyzed synchronously, so they count as done.
+ * @param {Object} dream - Dream document
+ * @returns {Promise<Object>} Analysis status with the latest job details
+ */
+async function buildAnalysisStatus(dream) {
+  const job = await AnalysisJob.findOne({ dream: dream._id })
+    .sort({ createdAt: -1 })
+    .select('status attempts maxAttempts runAt lastError completedAt');
+  
+  return {
+    dreamId: dream._id,
+    analysisStatus: dream.analysisStatus || 'done',
+    analysisError: dream.analysisError || null,
+    analyzerVersion: dream.analyzerVersion || null,
+    job
+  };
+}
+
 /**
  * Analyze emotional patterns between the current dream and dream history
  * @param {Object} currentDream - The dream to analyze
  * @param {Array} dreamHistory - The user's dream history
+ * @param {Function} t - Translator for the response language (see utils/i18n)
  * @returns {Object} Analysis of emotional patterns
  */
-function analyzeEmotionalPatterns(currentDream, dreamHistory) {
+function analyzeEmotionalPatterns(currentDream, dreamHistory, t = getTranslator()) {
   // Extract current dream emotions
   const currentEmotions = currentDream.emotions || { primary: 'neutral', breakdown: {} };
   
@@ -686,19 +1129,41 @@ function analyzeEmotionalPatterns(currentDream, dreamHistory) {
     currentPrimaryEmotion: currentEmotions.primary,
     emotionFrequencyInHistory: emotionFrequency,
     isRecurringEmotion,
-    emotionalInsight: isRecurringEmotion 
-      ? `Your dream features "${currentEmotions.primary}" emotions, which appear frequently in your dream history. This suggests a significant emotional pattern worth exploring.` 
-      : `This dream's primary emotion "${currentEmotions.primary}" is relatively uncommon in your dream history, suggesting it may be connected to recent experiences.`
+    emotionalInsight: t(
+      isRecurringEmotion ? 'insights.emotional.recurring' : 'insights.emotional.uncommon',
+      { emotion: t(`emotions.${currentEmotions.primary}`, { defaultValue: currentEmotions.primary }) }
+    )
   };
 }
 
+/**
+ * Read each of a dream's symbols through an interpretation framework
+ * @param {Object} dream - The dream to analyze
+ * @param {string} framework - Interpretation framework key
+ * @returns {Array} Readings with the personal meaning and the frameworks available for each symbol
+ */
+function buildSymbolReadings(dream, framework) {
+  return (dream.symbols || []).map(symbol => {
+    const reading = getReading(symbol, framework);
+    return {
+      symbol: symbol.symbol,
+      framework: reading.framework,
+      reading: reading.text,
+      personalMeaning: symbol.personalMeaning || null,
+      availableFrameworks: Object.keys(symbol.readings || {})
+    };
+  });
+}
+
 /**
  * Analyze symbolic connections between the current dream and dream history
  * @param {Object} currentDream - The dream to analyze
  * @param {Array} dreamHistory - The user's dream history
+ * @param {string} framework - Interpretation framework for the symbol readings
+ * @param {Function} t - Translator for the response language
  * @returns {Object} Analysis of symbolic connections
  */
-function analyzeSymbolicConnections(currentDream, dreamHistory) {
+function analyzeSymbolicConnections(currentDream, dreamHistory, framework = DEFAULT_FRAMEWORK, t = getTranslator()) {
   // Extract symbols from current dream
   const currentSymbols = currentDream.symbols || [];
   const currentSymbolNames = currentSymbols.map(s => s.symbol);
@@ -718,15 +1183,15 @@ function analyzeSymbolicConnections(currentDream, dreamHistory) {
     .map(symbol => ({
       symbol,
       frequency: historicalSymbols[symbol],
-      interpretation: currentSymbols.find(s => s.symbol === symbol)?.interpretation || ''
+      interpretation: getReading(currentSymbols.find(s => s.symbol === symbol), framework).text
     }));
   
   return {
     symbolsInCurrentDream: currentSymbolNames,
     recurringSymbols,
     symbolInsight: recurringSymbols.length > 0
-      ? `Your dream contains ${recurringSymbols.length} symbols that appear in your past dreams. Pay special attention to "${recurringSymbols[0]?.symbol}" which appears most frequently.`
-      : "This dream contains unique symbols compared to your dream history, suggesting new themes or experiences."
+      ? t('insights.symbolic.recurring', { count: recurringSymbols.length, symbol: recurringSymbols[0].symbol })
+      : t('insights.symbolic.unique')
   };
 }
 
@@ -734,9 +1199,10 @@ function analyzeSymbolicConnections(currentDream, dreamHistory) {
  * Find recurring themes between current dream and dream history
  * @param {Object} currentDream - The dream to analyze
  * @param {Array} dreamHistory - The user's dream history
+ * @param {Function} t - Translator for the response language
  * @returns {Object} Analysis of recurring themes
  */
-function findRecurringThemes(currentDream, dreamHistory) {
+function findRecurringThemes(currentDream, dreamHistory, t = getTranslator()) {
   // Extract keywords from current dream
   const currentKeywords = currentDream.keywords || [];
   
@@ -761,8 +1227,8 @@ function findRecurringThemes(currentDream, dreamHistory) {
   return {
     recurringThemes,
     themeInsight: recurringThemes.length > 0
-      ? `Your dream contains themes that recur in your dream history, especially "${recurringThemes[0]?.theme}". This suggests important ongoing psychological content.`
-      : "This dream explores themes that are relatively new in your dream journal."
+      ? t('insights.themes.recurring', { theme: recurringThemes[0].theme })
+      : t('insights.themes.new')
   };
 }
 
@@ -771,52 +1237,63 @@ function findRecurringThemes(currentDream, dreamHistory) {
  * @param {Object} dream - The dream to analyze
  * @param {Object} emotionalPatterns - Analysis of emotional patterns
  * @param {Object} symbolicConnections - Analysis of symbolic connections
+ * @param {Function} t - Translator for the response language
  * @returns {Array} Psychological insights
  */
-function generatePsychologicalInsights(dream, emotionalPatterns, symbolicConnections) {
+function generatePsychologicalInsights(dream, emotionalPatterns, symbolicConnections, t = getTranslator()) {
   const insights = [];
   
-  // Generate insight based on emotion
+  // Generate insight based on the dominant emotion
   if (dream.emotions?.primary) {
     const emotion = dream.emotions.primary;
-    
-    if (emotion === 'fear' || emotion === 'anxiety') {
-      insights.push("Your dream exhibits anxiety which may reflect unresolved concerns or challenges you're facing in waking life.");
-    } else if (emotion === 'joy' || emotion === 'excitement') {
-      insights.push("The positive emotional tone suggests fulfillment or anticipation of something positive in your life.");
-    } else if (emotion === 'sadness' || emotion === 'grief') {
-      insights.push("The melancholy in this dream might relate to unprocessed loss or disappointment that seeks acknowledgment.");
-    } else if (emotion === 'anger' || emotion === 'frustration') {
-      insights.push("Your dream reveals frustration that may indicate unresolved conflicts or unmet needs.");
-    } else if (emotion === 'confusion') {
-      insights.push("The confusion in your dream might reflect uncertainty about decisions or direction in your waking life.");
+    const isIntense = dream.emotions.intensity === 'intense';
+    
+    if (emotion === 'fear') {
+      insights.push(t(isIntense ? 'insights.psychological.fearIntense' : 'insights.psychological.fear'));
+    } else if (emotion === 'joy') {
+      insights.push(t('insights.psychological.joy'));
+    } else if (emotion === 'anticipation') {
+      insights.push(t('insights.psychological.anticipation'));
+    } else if (emotion === 'trust') {
+      insights.push(t('insights.psychological.trust'));
+    } else if (emotion === 'sadness') {
+      insights.push(t(isIntense ? 'insights.psychological.sadnessIntense' : 'insights.psychological.sadness'));
+    } else if (emotion === 'anger') {
+      insights.push(t('insights.psychological.anger'));
+    } else if (emotion === 'disgust') {
+      insights.push(t('insights.psychological.disgust'));
+    } else if (emotion === 'surprise') {
+      insights.push(t('insights.psychological.surprise'));
     }
   }
   
   // Generate insight based on symbols
   if (symbolicConnections.recurringSymbols.length > 0) {
-    insights.push(`The presence of recurring symbol "${symbolicConnections.recurringSymbols[0]?.symbol}" suggests this represents an important psychological archetype for you.`);
+    insights.push(t('insights.psychological.recurringSymbol', {
+      symbol: symbolicConnections.recurringSymbols[0].symbol
+    }));
   }
   
   // Generate insight based on sentiment analysis
-  if (dream.sentiment) {
-    if (dream.sentiment.score < -0.5) {
-      insights.push("The strongly negative tone of this dream may be processing difficult emotions or experiences.");
-    } else if (dream.sentiment.score > 0.5) {
-      insights.push("The positive nature of this dream could reflect psychological well-being or optimism.");
+  const sentiment = dream.analysis?.sentiment;
+  if (sentiment) {
+    if (sentiment.score < -0.5) {
+      insights.push(t('insights.psychological.negativeTone'));
+    } else if (sentiment.score > 0.5) {
+      insights.push(t('insights.psychological.positiveTone'));
     } else {
-      insights.push("The mixed emotional tone suggests complex feelings around the dream's subject matter.");
+      insights.push(t('insights.psychological.mixedTone'));
     }
   }
   
   // Add insight about dream category
   if (dream.category) {
     if (dream.category === 'nightmare') {
-      insights.push("This nightmare may serve as a way for your mind to process and confront fears in a safe environment.");
+      insights.push(t('insights.psychological.nightmare'));
     } else if (dream.category === 'lucid') {
-      insights.push("Your lucid dreaming demonstrates an integration between conscious and unconscious mental processes.");
+      insights.push(t('insights.psychological.lucid'));
     } else if (dream.category === 'recurring') {
-      insights.push("Recurring dreams often highlight unresolved issues or important themes that demand your attention.");
+      insights.push(t('insights.psychological.recurring'));
     }
   }
   
@@ -826,32 +1303,41 @@ function generatePsychologicalInsights(dream, emotionalPatterns, symbolicConnect
 /**
  * Suggest potential connections to waking life
  * @param {Object} dream - The dream to analyze
+ * @param {string} framework - Interpretation framework for the symbol reading
+ * @param {Function} t - Translator for the response language
  * @returns {Array} Suggested waking life connections
  */
-function suggestWakingLifeConnections(dream) {
+function suggestWakingLifeConnections(dream, framework = DEFAULT_FRAMEWORK, t = getTranslator()) {
   const suggestions = [];
   
   // Add general suggestions
-  suggestions.push("Consider recent events that may have triggered similar emotions to those in your dream.");
+  suggestions.push(t('insights.wakingLife.recentEvents'));
   
   // Add suggestions based on dream category
   if (dream.category === 'nightmare') {
-    suggestions.push("Reflect on current sources of stress or anxiety in your life that might be manifesting in your dreams.");
+    suggestions.push(t('insights.wakingLife.nightmare'));
   } else if (dream.category === 'adventure') {
-    suggestions.push("This dream might reflect a desire for more excitement or new experiences in your daily life.");
+    suggestions.push(t('insights.wakingLife.adventure'));
   }
   
   // Add suggestion based on sentiment
-  if (dream.sentiment && dream.sentiment.score < 0) {
-    suggestions.push("The negative tone might indicate unresolved conflicts or concerns that would benefit from conscious attention.");
-  } else if (dream.sentiment && dream.sentiment.score > 0) {
-    suggestions.push("The positive elements may reflect aspects of your life that bring fulfillment or resonate with your values.");
+  const sentiment = dream.analysis?.sentiment;
+  if (sentiment && sentiment.score < 0) {
+    suggestions.push(t('insights.wakingLife.negativeTone'));
+  } else if (sentiment && sentiment.score > 0) {
+    suggestions.push(t('insights.wakingLife.positiveTone'));
   }
   
   // Add symbol-based suggestion
   if (dream.symbols && dream.symbols.length > 0) {
     const mainSymbol = dream.symbols[0];
-    suggestions.push(`The presence of "${mainSymbol.symbol}" might connect to ${mainSymbol.interpretation.toLowerCase()}`);
+    const reading = getReading(mainSymbol, framework).text;
+    if (reading) {
+      suggestions.push(t('insights.wakingLife.symbolReading', {
+        symbol: mainSymbol.symbol,
+        reading: `${reading.charAt(0).toLowerCase()}${reading.slice(1)}`
+      }));
+    }
   }
   
   return suggestions;
@@ -865,8 +1351,15 @@ module.exports = {
   deleteDream,
   searchDreams,
   getDreamStats,
+  getNormComparison,
   analyzeDreamPatterns,
+  getJournalContentAnalysis,
+  getDreamContentAnalysis,
+  getDreamLucidity,
   shareDream,
   getSharedDream,
-  generateDreamInsights
+  generateDreamInsights,
+  getAnalysisStatus,
+  streamAnalysisStatus,
+  retryAnalysis
 }; 
\ No newline at end of file
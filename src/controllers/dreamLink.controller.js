@@ -0,0 +1,214 @@
+const Dream = require('../models/dream.model');
+const { suggestDreamLinks } = require('../utils/dreamPatternComparison');
+const { createOwnLoader } = require('../utils/ownership');
+const { validationErrorBody } = require('../utils/validation');
+
+// Dreams compared when suggesting links (half before the dream, half after)
+const SUGGESTION_HISTORY = 50;
+const SUGGESTION_LIMIT = 10;
+
+// Load a dream and check that it belongs to the current user
+const loadOwnDream = createOwnLoader(Dream, {
+  label: 'Dream',
+  invalidIdKey: 'errors.dreamNotFound',
+  invalidIdStatus: 404,
+  notFoundKey: 'errors.dreamNotFound',
+  deniedKey: 'errors.dreamAccessDenied'
+});
+
+/**
+ * Get a dream's links: the dreams it links to and the dreams that link to it
+ * @route GET /api/dreams/:id/links
+ * @access Private
+ */
+const getDreamLinks = async (req, res) => {
+  console.log('Controller: getDreamLinks - Request received for dream:', req.params.id);
+
+  try {
+    const dream = await loadOwnDream(req, res, req.params.id);
+    if (!dream) return;
+
+    await dream.populate('links.dream', 'title date category');
+
+    const outgoing = dream.links
+      .filter(link => link.dream)
+      .map(link => ({
+        dream: link.dream,
+        type: link.type,
+        note: link.note,
+        createdAt: link.createdAt
+      }));
+
+    const linking = await Dream.find({ user: req.user._id, 'links.dream': dream._id })
+      .select('title date category links');
+
+    const incoming = linking.flatMap(other => other.links
+      .filter(link => link.dream.equals(dream._id))
+      .map(link => ({
+        dream: { _id: other._id, title: other.title, date: other.date, category: other.category },
+        type: link.type,
+        note: link.note,
+        createdAt: link.createdAt
+      })));
+
+    res.status(200).json({
+      dreamId: dream._id,
+      series: dream.series,
+      outgoing,
+      incoming
+    });
+
+  } catch (error) {
+    console.error('Error fetching dream links:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingDreamLinks') });
+  }
+};
+
+/**
+ * Link a dream to another dream
+ * When one dream continues another that belongs to a series, the other joins
+ * the same series.
+ * @route POST /api/dreams/:id/links
+ * @access Private
+ */
+const createDreamLink = async (req, res) => {
+  console.log('Controller: createDreamLink - Request received for dream:', req.params.id);
+
+  try {
+    const { dreamId, type, note } = req.body;
+
+    if (!Dream.LINK_TYPES.includes(type)) {
+      return res.status(400).json({ message: req.t('errors.invalidLinkType', { types: Dream.LINK_TYPES.join(', ') }) });
+    }
+    if (String(dreamId) === req.params.id) {
+      return res.status(400).json({ message: req.t('errors.cannotLinkDreamToItself') });
+    }
+
+    const dream = await loadOwnDream(req, res, req.params.id, 'errors.dreamUpdateDenied');
+    if (!dream) return;
+
+    const target = await loadOwnDream(req, res, dreamId);
+    if (!target) return;
+
+    if (dream.links.some(link => link.dream.equals(target._id) && link.type === type)) {
+      return res.status(400).json({ message: req.t('errors.duplicateDreamLink') });
+    }
+
+    dream.links.push({ dream: target._id, type, note });
+
+    // A continuation belongs to the saga it continues
+    if (type === 'continues') {
+      if (target.series && !dream.series) {
+        dream.series = target.series;
+      } else if (dream.series && !target.series) {
+        target.series = dream.series;
+        await target.save();
+      }
+    }
+
+    await dream.save();
+
+    console.log('Dream linked:', { from: dream._id, to: target._id, type, series: dream.series });
+
+    res.status(201).json({
+      dreamId: dream._id,
+      link: dream.links[dream.links.length - 1],
+      series: dream.series
+    });
+
+  } catch (error) {
+    console.error('Error creating dream link:', error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json(validationErrorBody(req, error));
+    }
+    res.status(500).json({ message: req.t('errors.server.creatingDreamLink') });
+  }
+};
+
+/**
+ * Remove a dream's links to another dream (all of them, or those of one type)
+ * @route DELETE /api/dreams/:id/links/:dreamId
+ * @access Private
+ */
+const deleteDreamLink = async (req, res) => {
+  console.log('Controller: deleteDreamLink - Request received for dream:', req.params.id);
+
+  try {
+    const dream = await loadOwnDream(req, res, req.params.id, 'errors.dreamUpdateDenied');
+    if (!dream) return;
+
+    const { type } = req.query;
+    const matches = link => link.dream.toString() === req.params.dreamId && (!type || link.type === type);
+
+    if (!dream.links.some(matches)) {
+      return res.status(404).json({ message: req.t('errors.dreamLinkNotFound') });
+    }
+
+    dream.links = dream.links.filter(link => !matches(link));
+    await dream.save();
+
+    console.log('Dream link removed:', { from: dream._id, to: req.params.dreamId, type });
+
+    res.status(200).json({ message: req.t('messages.dreamLinkDeleted') });
+
+  } catch (error) {
+    console.error('Error deleting dream link:', error.message);
+    res.status(500).json({ message: req.t('errors.server.deletingDreamLink') });
+  }
+};
+
+/**
+ * Suggest links from a dream to similar dreams
+ * Compares the dream with the user's other dreams (findRelatedDreams) and guesses
+ * each link's type from the dates and the similarity; already linked dreams are left out.
+ * @route GET /api/dreams/:id/links/suggestions
+ * @access Private
+ */
+const getDreamLinkSuggestions = async (req, res) => {
+  console.log('Controller: getDreamLinkSuggestions - Request received for dream:', req.params.id);
+
+  try {
+    const dream = await loadOwnDream(req, res, req.params.id);
+    if (!dream) return;
+
+    const linkedTo = await Dream.find({ user: req.user._id, 'links.dream': dream._id }).select('_id');
+    const linked = new Set([
+      dream._id.toString(),
+      ...dream.links.map(link => link.dream.toString()),
+      ...linkedTo.map(other => other._id.toString())
+    ]);
+
+    // Compare with the dreams around this one: continuations and same-night dreams are close by
+    const fields = 'title date category emotions symbols keywords ratings analysis.sentiment';
+    const [before, after] = await Promise.all([
+      Dream.find({ user: req.user._id, _id: { $ne: dream._id }, date: { $lte: dream.date } })
+        .sort({ date: -1 })
+        .limit(SUGGESTION_HISTORY / 2)
+        .select(fields),
+      Dream.find({ user: req.user._id, date: { $gt: dream.date } })
+        .sort({ date: 1 })
+        .limit(SUGGESTION_HISTORY / 2)
+        .select(fields)
+    ]);
+    const candidates = [...before, ...after];
+
+    const suggestions = suggestDreamLinks(dream, candidates.filter(other => !linked.has(other._id.toString())))
+      .slice(0, SUGGESTION_LIMIT);
+
+    res.status(200).json({
+      dreamId: dream._id,
+      suggestions
+    });
+
+  } catch (error) {
+    console.error('Error suggesting dream links:', error.message);
+    res.status(500).json({ message: req.t('errors.server.suggestingDreamLinks') });
+  }
+};
+
+module.exports = {
+  getDreamLinks,
+  createDreamLink,
+  deleteDreamLink,
+  getDreamLinkSuggestions
+};
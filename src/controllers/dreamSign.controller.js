@@ -0,0 +1,393 @@
+const DreamSign = require('../models/dreamSign.model');
+const Dream = require('../models/dream.model');
+const { classifyDreamSign, suggestDreamSigns, recommendDreamSigns } = require('../utils/dreamSigns');
+const { linkExistingDreams } = require('../utils/dreamSignLinker');
+const { isLucidDream } = require('../utils/dreamRatings');
+const { createOwnLoader } = require('../utils/ownership');
+const { validationErrorBody } = require('../utils/validation');
+
+// Fields a user may set on a dream sign
+const SIGN_FIELDS = ['name', 'category', 'aliases', 'description', 'confirmed', 'dismissed'];
+
+// Dreams read for suggestions by default, and at most
+const DEFAULT_SUGGESTION_DREAMS = 50;
+const MAX_SUGGESTION_DREAMS = 200;
+
+// Signs recommended for tonight by default, and at most
+const DEFAULT_TONIGHT_LIMIT = 3;
+const MAX_TONIGHT_LIMIT = 10;
+
+/**
+ * Pick the editable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Dream sign fields
+ */
+const pickSignFields = (body) => {
+  const fields = {};
+  SIGN_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * Find an alias that already belongs to another of the user's signs
+ * @param {string} userId - User ID
+ * @param {Array} aliases - Normalized aliases
+ * @param {Array} excludeIds - Signs allowed to hold the aliases
+ * @returns {Promise<Object|null>} { alias, sign } of the first conflict
+ */
+const findAliasConflict = async (userId, aliases, excludeIds = []) => {
+  if (!aliases || aliases.length === 0) return null;
+
+  const owner = await DreamSign.findOne({
+    user: userId,
+    aliases: { $in: aliases },
+    _id: { $nin: excludeIds }
+  }).select('name aliases');
+
+  if (!owner) return null;
+  return { alias: aliases.find(alias => owner.aliases.includes(alias)), sign: owner };
+};
+
+/**
+ * Send the duplicate-alias response
+ * @param {Object} req - Express request (for the response language)
+ * @param {Object} res - Express response
+ * @param {Object} conflict - { alias, sign } from findAliasConflict
+ */
+const sendAliasConflict = (req, res, conflict) => res.status(400).json({
+  message: req.t('errors.duplicateSignAlias', { alias: conflict.alias, name: conflict.sign.name }),
+  signId: conflict.sign._id
+});
+
+// Load a dream sign and check that it belongs to the current user
+const loadOwnSign = createOwnLoader(DreamSign, {
+  label: 'Dream sign',
+  invalidIdKey: 'errors.invalidDreamSignId',
+  notFoundKey: 'errors.dreamSignNotFound',
+  deniedKey: 'errors.dreamSignAccessDenied'
+});
+
+/**
+ * Turn a save error into a response
+ * @param {Object} req - Express request (for the response language)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by mongoose
+ * @param {string} messageKey - Catalog key of the 500 message
+ */
+const handleSignError = (req, res, error, messageKey) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json(validationErrorBody(req, error));
+  }
+  res.status(500).json({ message: req.t(messageKey) });
+};
+
+/**
+ * List the current user's dream signs, most frequent first
+ * Dismissed signs are left out unless dismissed=true.
+ * @route GET /api/dream-signs
+ * @access Private
+ */
+const getDreamSigns = async (req, res) => {
+  console.log('Controller: getDreamSigns - Request received');
+
+  try {
+    const query = { user: req.user._id, dismissed: req.query.dismissed === 'true' };
+
+    if (req.query.category !== undefined) {
+      if (!DreamSign.CATEGORIES.includes(req.query.category)) {
+        return res.status(400).json({
+          message: req.t('errors.invalidDreamSignCategory', { categories: DreamSign.CATEGORIES.join(', ') })
+        });
+      }
+      query.category = req.query.category;
+    }
+
+    if (req.query.confirmed !== undefined) {
+      query.confirmed = req.query.confirmed === 'true';
+    }
+
+    const signs = await DreamSign.find(query);
+    const summaries = signs
+      .map(sign => sign.toSummary())
+      .sort((a, b) => b.frequency - a.frequency || a.name.localeCompare(b.name));
+
+    res.status(200).json({
+      signs: summaries,
+      total: summaries.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching dream signs:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingDreamSigns') });
+  }
+};
+
+/**
+ * Add a dream sign to the current user's catalog
+ * Signs added by hand are confirmed; the category is guessed from the name when
+ * none is given, and the dreams that already show the sign are linked.
+ * @route POST /api/dream-signs
+ * @access Private
+ */
+const createDreamSign = async (req, res) => {
+  console.log('Controller: createDreamSign - Request received');
+
+  try {
+    const fields = pickSignFields(req.body);
+    const sign = new DreamSign({
+      ...fields,
+      category: fields.category || (fields.name ? classifyDreamSign(fields.name) : undefined),
+      confirmed: true,
+      dismissed: false,
+      user: req.user._id
+    });
+
+    // A sign is at least known by its own name
+    if (sign.aliases.length === 0 && sign.name) {
+      sign.aliases = [sign.name];
+    }
+
+    await sign.validate();
+
+    const conflict = await findAliasConflict(req.user._id, sign.aliases);
+    if (conflict) {
+      return sendAliasConflict(req, res, conflict);
+    }
+
+    const linked = await linkExistingDreams(sign);
+    await sign.save();
+
+    console.log('Dream sign created:', { id: sign._id, name: sign.name, linkedDreams: linked });
+
+    res.status(201).json(sign.toSummary());
+
+  } catch (error) {
+    console.error('Error creating dream sign:', error.message);
+    handleSignError(req, res, error, 'errors.server.creatingDreamSign');
+  }
+};
+
+/**
+ * Suggest dream signs from the recurring symbols, entities and phrases of the
+ * user's latest dreams
+ * New suggestions are added to the catalog unconfirmed; phrases that are already
+ * a sign (or a dismissed one) are not suggested again.
+ * @route POST /api/dream-signs/suggest
+ * @access Private
+ */
+const suggestSigns = async (req, res) => {
+  console.log('Controller: suggestSigns - Request received');
+
+  try {
+    const limit = Math.min(parseInt(req.body.limit) || DEFAULT_SUGGESTION_DREAMS, MAX_SUGGESTION_DREAMS);
+
+    const dreams = await Dream.find({ user: req.user._id })
+      .sort({ date: -1 })
+      .limit(limit)
+      .select('content symbols.symbol');
+
+    if (dreams.length === 0) {
+      return res.status(200).json({
+        message: req.t('messages.noDreamsForPatterns'),
+        analyzedDreams: 0,
+        suggestions: [],
+        total: 0
+      });
+    }
+
+    const existing = await DreamSign.find({ user: req.user._id }).select('aliases');
+    const takenAliases = existing.flatMap(sign => sign.aliases);
+
+    const signs = [];
+    for (const suggestion of suggestDreamSigns(dreams, takenAliases)) {
+      const sign = new DreamSign({
+        user: req.user._id,
+        name: suggestion.name,
+        category: suggestion.category,
+        aliases: [suggestion.alias]
+      });
+      await linkExistingDreams(sign);
+      await sign.save();
+      signs.push(sign);
+    }
+
+    console.log('Dream signs suggested:', { analyzedDreams: dreams.length, suggested: signs.length });
+
+    res.status(200).json({
+      analyzedDreams: dreams.length,
+      suggestions: signs.map(sign => sign.toSummary()),
+      total: signs.length
+    });
+
+  } catch (error) {
+    console.error('Error suggesting dream signs:', error.message);
+    res.status(500).json({ message: req.t('errors.server.suggestingDreamSigns') });
+  }
+};
+
+/**
+ * Recommend the dream signs to watch for tonight
+ * Confirmed signs are ranked by how often and how recently they were seen
+ * (unconfirmed suggestions too with includeSuggested=true); each comes with a
+ * cue for its category.
+ * @route GET /api/dream-signs/tonight
+ * @access Private
+ */
+const getTonightSigns = async (req, res) => {
+  console.log('Controller: getTonightSigns - Request received');
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_TONIGHT_LIMIT, 1), MAX_TONIGHT_LIMIT);
+
+    const query = { user: req.user._id, dismissed: false };
+    if (req.query.includeSuggested !== 'true') {
+      query.confirmed = true;
+    }
+
+    const signs = await DreamSign.find(query);
+
+    const dreams = await Dream.find({ user: req.user._id }).select('category ratings.lucidity lucidity.isLucid');
+    const lucidDreams = new Set(dreams.filter(isLucidDream).map(dream => dream._id.toString()));
+
+    const recommendations = recommendDreamSigns(signs, { limit, lucidDreams }).map(({ sign, ...ranking }) => {
+      const { occurrences, ...summary } = sign.toObject();
+      return {
+        sign: summary,
+        ...ranking,
+        tip: req.t(`dreamSigns.tips.${sign.category}`, { name: sign.name })
+      };
+    });
+
+    res.status(200).json({
+      recommendations,
+      consideredSigns: signs.length
+    });
+
+  } catch (error) {
+    console.error('Error recommending dream signs:', error.message);
+    res.status(500).json({ message: req.t('errors.server.recommendingDreamSigns') });
+  }
+};
+
+/**
+ * Get a dream sign with the dreams it appeared in, latest first
+ * @route GET /api/dream-signs/:id
+ * @access Private
+ */
+const getDreamSign = async (req, res) => {
+  console.log('Controller: getDreamSign - Request received for sign:', req.params.id);
+
+  try {
+    const sign = await loadOwnSign(req, res, req.params.id);
+    if (!sign) return;
+
+    await sign.populate('occurrences.dream', 'title date category');
+
+    const dreams = sign.occurrences
+      .filter(occurrence => occurrence.dream)
+      .sort((a, b) => b.date - a.date)
+      .map(occurrence => ({
+        _id: occurrence.dream._id,
+        title: occurrence.dream.title,
+        date: occurrence.date,
+        category: occurrence.dream.category,
+        mention: occurrence.mention
+      }));
+
+    res.status(200).json({
+      sign: sign.toSummary(),
+      dreams
+    });
+
+  } catch (error) {
+    console.error('Error fetching dream sign:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingDreamSign') });
+  }
+};
+
+/**
+ * Update a dream sign (rename, recategorize, confirm or dismiss it)
+ * New aliases re-link the sign to the dreams that show it.
+ * @route PUT /api/dream-signs/:id
+ * @access Private
+ */
+const updateDreamSign = async (req, res) => {
+  console.log('Controller: updateDreamSign - Request received for sign:', req.params.id);
+
+  try {
+    const sign = await loadOwnSign(req, res, req.params.id, 'errors.dreamSignUpdateDenied');
+    if (!sign) return;
+
+    sign.set(pickSignFields(req.body));
+
+    // Confirming a sign takes it back from the dismissed ones, and dismissing unconfirms it
+    if (sign.isModified('confirmed') && sign.confirmed) {
+      sign.dismissed = false;
+    } else if (sign.isModified('dismissed') && sign.dismissed) {
+      sign.confirmed = false;
+    }
+
+    if (sign.isModified('aliases')) {
+      const conflict = await findAliasConflict(req.user._id, sign.aliases, [sign._id]);
+      if (conflict) {
+        return sendAliasConflict(req, res, conflict);
+      }
+    }
+
+    // Dismissed signs are not followed; a sign coming back catches up on its dreams
+    if (sign.dismissed) {
+      sign.occurrences = [];
+    } else if (sign.isModified('aliases') || sign.isModified('dismissed')) {
+      await linkExistingDreams(sign);
+    }
+
+    await sign.save();
+
+    console.log('Dream sign updated:', { id: sign._id, name: sign.name, confirmed: sign.confirmed, dismissed: sign.dismissed });
+
+    res.status(200).json(sign.toSummary());
+
+  } catch (error) {
+    console.error('Error updating dream sign:', error.message);
+    handleSignError(req, res, error, 'errors.server.updatingDreamSign');
+  }
+};
+
+/**
+ * Delete a dream sign
+ * A deleted suggestion can be suggested again; dismiss it to keep it away.
+ * @route DELETE /api/dream-signs/:id
+ * @access Private
+ */
+const deleteDreamSign = async (req, res) => {
+  console.log('Controller: deleteDreamSign - Request received for sign:', req.params.id);
+
+  try {
+    const sign = await loadOwnSign(req, res, req.params.id, 'errors.dreamSignDeleteDenied');
+    if (!sign) return;
+
+    await DreamSign.deleteOne({ _id: sign._id });
+
+    console.log('Dream sign deleted:', { id: sign._id, name: sign.name });
+
+    res.status(200).json({ message: req.t('messages.dreamSignDeleted') });
+
+  } catch (error) {
+    console.error('Error deleting dream sign:', error.message);
+    res.status(500).json({ message: req.t('errors.server.deletingDreamSign') });
+  }
+};
+
+module.exports = {
+  getDreamSigns,
+  createDreamSign,
+  suggestSigns,
+  getTonightSigns,
+  getDreamSign,
+  updateDreamSign,
+  deleteDreamSign
+};
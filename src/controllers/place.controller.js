@@ -0,0 +1,627 @@
+const mongoose = require('mongoose');
+const Place = require('../models/place.model');
+const Dream = require('../models/dream.model');
+const { linkExistingDreams } = require('../utils/placeLinker');
+const { escapeRegExp } = require('../utils/text');
+const { createOwnLoader } = require('../utils/ownership');
+const { validationErrorBody } = require('../utils/validation');
+
+// Fields a user may set on a place
+const PLACE_FIELDS = ['name', 'aliases', 'description', 'location', 'familiarity', 'confirmed'];
+
+/**
+ * Pick the editable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Place fields
+ */
+const pickPlaceFields = (body) => {
+  const fields = {};
+  PLACE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * Find an alias that already belongs to another of the user's places
+ * @param {string} userId - User ID
+ * @param {Array} aliases - Normalized aliases
+ * @param {Array} excludeIds - Places allowed to hold the aliases
+ * @returns {Promise<Object|null>} { alias, place } of the first conflict
+ */
+const findAliasConflict = async (userId, aliases, excludeIds = []) => {
+  if (!aliases || aliases.length === 0) return null;
+
+  const owner = await Place.findOne({
+    user: userId,
+    aliases: { $in: aliases },
+    _id: { $nin: excludeIds }
+  }).select('name aliases');
+
+  if (!owner) return null;
+  return { alias: aliases.find(alias => owner.aliases.includes(alias)), place: owner };
+};
+
+/**
+ * Send the duplicate-alias response
+ * @param {Object} req - Express request (for the response language)
+ * @param {Object} res - Express response
+ * @param {Object} conflict - { alias, place } from findAliasConflict
+ */
+const sendAliasConflict = (req, res, conflict) => res.status(400).json({
+  message: req.t('errors.duplicateAlias', { alias: conflict.alias, name: conflict.place.name }),
+  placeId: conflict.place._id
+});
+
+// Load a place and check that it belongs to the current user
+const loadOwnPlace = createOwnLoader(Place, {
+  label: 'Place',
+  invalidIdKey: 'errors.invalidPlaceId',
+  notFoundKey: 'errors.placeNotFound',
+  deniedKey: 'errors.placeAccessDenied'
+});
+
+/**
+ * Turn a save error into a response
+ * @param {Object} req - Express request (for the response language)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by mongoose
+ * @param {string} messageKey - Catalog key of the 500 message
+ */
+const handlePlaceError = (req, res, error, messageKey) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json(validationErrorBody(req, error));
+  }
+  // An alias another request gave to a place after the conflict check
+  if (error.code === 11000) {
+    return res.status(400).json({ message: req.t('errors.aliasTaken') });
+  }
+  res.status(500).json({ message: req.t(messageKey) });
+};
+
+/**
+ * Add or update the connection from one place to another
+ * @param {Object} place - Place document
+ * @param {ObjectId} otherId - ID of the connected place
+ * @param {string} description - How the places connect
+ */
+const setConnection = (place, otherId, description) => {
+  const existing = place.connections.find(connection => connection.place.equals(otherId));
+  if (existing) {
+    if (description !== undefined) existing.description = description;
+  } else {
+    place.connections.push({ place: otherId, description: description || '' });
+  }
+};
+
+/**
+ * List the current user's dream places
+ * @route GET /api/places
+ * @access Private
+ */
+const getPlaces = async (req, res) => {
+  console.log('Controller: getPlaces - Request received');
+
+  try {
+    const query = { user: req.user._id };
+
+    if (req.query.confirmed !== undefined) {
+      query.confirmed = req.query.confirmed === 'true';
+    }
+
+    if (req.query.q) {
+      const q = String(req.query.q).trim().toLowerCase();
+      query.$or = [{ aliases: q }, { name: new RegExp(escapeRegExp(q), 'i') }];
+    }
+
+    const places = await Place.find(query);
+    const summaries = places
+      .map(place => place.toSummary())
+      .sort((a, b) => b.dreamCount - a.dreamCount || a.name.localeCompare(b.name));
+
+    res.status(200).json({
+      places: summaries,
+      total: summaries.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching places:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingPlaces') });
+  }
+};
+
+/**
+ * Add a place to the current user's registry
+ * Places added by hand are confirmed, and dreams already analyzed that use one of
+ * the aliases are linked right away.
+ * @route POST /api/places
+ * @access Private
+ */
+const createPlace = async (req, res) => {
+  console.log('Controller: createPlace - Request received');
+
+  try {
+    const place = new Place({
+      ...pickPlaceFields(req.body),
+      confirmed: true,
+      user: req.user._id
+    });
+
+    // A place is at least known by its own name
+    if (place.aliases.length === 0 && place.name) {
+      place.aliases = [place.name];
+    }
+
+    const conflict = await findAliasConflict(req.user._id, place.aliases);
+    if (conflict) {
+      return sendAliasConflict(req, res, conflict);
+    }
+
+    const linked = await linkExistingDreams(place);
+    await place.save();
+
+    console.log('Place created:', { id: place._id, name: place.name, linkedDreams: linked });
+
+    res.status(201).json(place);
+
+  } catch (error) {
+    console.error('Error creating place:', error.message);
+    handlePlaceError(req, res, error, 'errors.server.creatingPlace');
+  }
+};
+
+/**
+ * Get the place graph: places as nodes, connections as edges
+ * Only confirmed places unless includeSuggested=true.
+ * @route GET /api/places/graph
+ * @access Private
+ */
+const getPlaceGraph = async (req, res) => {
+  console.log('Controller: getPlaceGraph - Request received');
+
+  try {
+    const query = { user: req.user._id };
+    if (req.query.includeSuggested !== 'true') {
+      query.confirmed = true;
+    }
+
+    const places = await Place.find(query);
+    const included = new Set(places.map(place => place._id.toString()));
+
+    const nodes = places.map(place => {
+      const { connections, dismissedDreams, ...node } = place.toSummary();
+      return node;
+    });
+
+    // Connections are stored on both places; list each edge once
+    const edges = [];
+    places.forEach(place => {
+      const from = place._id.toString();
+      place.connections.forEach(connection => {
+        const to = connection.place.toString();
+        if (from < to && included.has(to)) {
+          edges.push({ from, to, description: connection.description });
+        }
+      });
+    });
+
+    res.status(200).json({ nodes, edges });
+
+  } catch (error) {
+    console.error('Error fetching place graph:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingPlaceGraph') });
+  }
+};
+
+/**
+ * Get a place with its appearances and connections
+ * @route GET /api/places/:id
+ * @access Private
+ */
+const getPlace = async (req, res) => {
+  console.log('Controller: getPlace - Request received for place:', req.params.id);
+
+  try {
+    const place = await loadOwnPlace(req, res, req.params.id);
+    if (!place) return;
+
+    await place.populate('connections.place', 'name confirmed');
+
+    res.status(200).json(place);
+
+  } catch (error) {
+    console.error('Error fetching place:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingPlace') });
+  }
+};
+
+/**
+ * Update a place (name, describe or confirm it)
+ * New aliases are linked to the already analyzed dreams that use them.
+ * @route PUT /api/places/:id
+ * @access Private
+ */
+const updatePlace = async (req, res) => {
+  console.log('Controller: updatePlace - Request received for place:', req.params.id);
+
+  try {
+    const place = await loadOwnPlace(req, res, req.params.id, 'errors.placeUpdateDenied');
+    if (!place) return;
+
+    place.set(pickPlaceFields(req.body));
+
+    if (place.isModified('aliases')) {
+      const conflict = await findAliasConflict(req.user._id, place.aliases, [place._id]);
+      if (conflict) {
+        return sendAliasConflict(req, res, conflict);
+      }
+      await linkExistingDreams(place);
+    }
+
+    await place.save();
+
+    console.log('Place updated:', { id: place._id, name: place.name, confirmed: place.confirmed });
+
+    res.status(200).json(place);
+
+  } catch (error) {
+    console.error('Error updating place:', error.message);
+    handlePlaceError(req, res, error, 'errors.server.updatingPlace');
+  }
+};
+
+/**
+ * Delete a place and its connections (its dreams are not affected)
+ * @route DELETE /api/places/:id
+ * @access Private
+ */
+const deletePlace = async (req, res) => {
+  console.log('Controller: deletePlace - Request received for place:', req.params.id);
+
+  try {
+    const place = await loadOwnPlace(req, res, req.params.id, 'errors.placeDeleteDenied');
+    if (!place) return;
+
+    await Place.deleteOne({ _id: place._id });
+    await Place.updateMany(
+      { user: req.user._id, 'connections.place': place._id },
+      { $pull: { connections: { place: place._id } } }
+    );
+
+    console.log('Place deleted:', { id: place._id, name: place.name });
+
+    res.status(200).json({ message: req.t('messages.placeDeleted') });
+
+  } catch (error) {
+    console.error('Error deleting place:', error.message);
+    res.status(500).json({ message: req.t('errors.server.deletingPlace') });
+  }
+};
+
+/**
+ * Get the dreams set in a place, in date order
+ * @route GET /api/places/:id/dreams
+ * @access Private
+ */
+const getPlaceDreams = async (req, res) => {
+  console.log('Controller: getPlaceDreams - Request received for place:', req.params.id);
+
+  try {
+    const place = await loadOwnPlace(req, res, req.params.id);
+    if (!place) return;
+
+    await place.populate('appearances.dream', 'title date category emotions.primary');
+
+    const dreams = place.appearances
+      .filter(appearance => appearance.dream)
+      .sort((a, b) => a.date - b.date)
+      .map(appearance => ({
+        _id: appearance.dream._id,
+        title: appearance.dream.title,
+        date: appearance.date,
+        category: appearance.dream.category,
+        primaryEmotion: appearance.dream.emotions ? appearance.dream.emotions.primary : null,
+        mention: appearance.mention,
+        source: appearance.source
+      }));
+
+    const { connections, dismissedDreams, ...summary } = place.toSummary();
+
+    res.status(200).json({
+      place: summary,
+      dreams,
+      total: dreams.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching place dreams:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingPlaceDreams') });
+  }
+};
+
+/**
+ * Merge other places into this one
+ * The merged places' aliases, dreams and connections move to this place and the
+ * merged places are deleted.
+ * @route POST /api/places/:id/merge
+ * @access Private
+ */
+const mergePlaces = async (req, res) => {
+  console.log('Controller: mergePlaces - Request received for place:', req.params.id);
+
+  try {
+    const placeIds = Array.isArray(req.body.placeIds)
+      ? [...new Set(req.body.placeIds.map(String))]
+      : [];
+
+    if (placeIds.length === 0) {
+      return res.status(400).json({ message: req.t('errors.placeIdsRequired') });
+    }
+    if (placeIds.includes(req.params.id)) {
+      return res.status(400).json({ message: req.t('errors.cannotMergePlaceIntoItself') });
+    }
+
+    const target = await loadOwnPlace(req, res, req.params.id, 'errors.placeUpdateDenied');
+    if (!target) return;
+
+    const sources = [];
+    for (const id of placeIds) {
+      const source = await loadOwnPlace(req, res, id, 'errors.placeUpdateDenied');
+      if (!source) return;
+      sources.push(source);
+    }
+
+    const sourceIds = sources.map(source => source._id);
+    const isSource = id => sourceIds.some(sourceId => sourceId.equals(id));
+    const neighbors = [];
+
+    // Connections between the merged places disappear with them
+    target.connections = target.connections.filter(connection => !isSource(connection.place));
+
+    sources.forEach(source => {
+      target.aliases = [...target.aliases, ...source.aliases];
+      if (!target.description && source.description) {
+        target.description = source.description;
+      }
+
+      source.appearances.forEach(appearance => {
+        const existing = target.appearances.find(entry => entry.dream.equals(appearance.dream));
+        if (!existing) {
+          target.appearances.push(appearance.toObject());
+        } else if (appearance.source === 'user') {
+          existing.source = 'user';
+        }
+      });
+
+      source.connections.forEach(connection => {
+        if (connection.place.equals(target._id) || isSource(connection.place)) return;
+        if (!target.connections.some(entry => entry.place.equals(connection.place))) {
+          target.connections.push(connection.toObject());
+          neighbors.push(connection);
+        }
+      });
+    });
+
+    // Dreams a source was unlinked from stay unlinked, unless the target appears in them
+    const dismissed = new Set(target.dismissedDreams.map(String));
+    sources.forEach(source => {
+      source.dismissedDreams.forEach(id => {
+        if (!dismissed.has(id.toString()) && !target.appearances.some(entry => entry.dream.equals(id))) {
+          dismissed.add(id.toString());
+          target.dismissedDreams.push(id);
+        }
+      });
+    });
+
+    target.confirmed = true;
+
+    // The sources give up their aliases first, as an alias belongs to one place
+    await Place.updateMany({ _id: { $in: sourceIds } }, { $set: { aliases: [] } });
+    try {
+      await target.save();
+    } catch (error) {
+      await Promise.all(sources.map(source =>
+        Place.updateOne({ _id: source._id }, { $set: { aliases: source.aliases } })));
+      throw error;
+    }
+
+    // Point the other places' connections at the merged place
+    await Place.updateMany(
+      { user: req.user._id, _id: { $ne: target._id }, 'connections.place': { $in: sourceIds } },
+      { $pull: { connections: { place: { $in: sourceIds } } } }
+    );
+    await Promise.all(neighbors.map(connection => Place.updateOne(
+      { _id: connection.place, 'connections.place': { $ne: target._id } },
+      { $push: { connections: { place: target._id, description: connection.description } } }
+    )));
+    await Place.deleteMany({ _id: { $in: sourceIds } });
+
+    console.log('Places merged:', { id: target._id, merged: sources.length });
+
+    res.status(200).json(target);
+
+  } catch (error) {
+    console.error('Error merging places:', error.message);
+    handlePlaceError(req, res, error, 'errors.server.mergingPlaces');
+  }
+};
+
+/**
+ * Connect two places in the place graph ("the school connects to grandma's basement")
+ * Connecting places confirms them.
+ * @route POST /api/places/:id/connections
+ * @access Private
+ */
+const connectPlaces = async (req, res) => {
+  console.log('Controller: connectPlaces - Request received for place:', req.params.id);
+
+  try {
+    const { placeId, description } = req.body;
+
+    if (String(placeId) === req.params.id) {
+      return res.status(400).json({ message: req.t('errors.cannotConnectPlaceToItself') });
+    }
+
+    const place = await loadOwnPlace(req, res, req.params.id, 'errors.placeUpdateDenied');
+    if (!place) return;
+
+    const other = await loadOwnPlace(req, res, placeId, 'errors.placeUpdateDenied');
+    if (!other) return;
+
+    setConnection(place, other._id, description);
+    setConnection(other, place._id, description);
+    place.confirmed = true;
+    other.confirmed = true;
+
+    await place.validate();
+    await other.validate();
+    await place.save();
+    await other.save();
+
+    console.log('Places connected:', { from: place._id, to: other._id });
+
+    res.status(200).json(place);
+
+  } catch (error) {
+    console.error('Error connecting places:', error.message);
+    handlePlaceError(req, res, error, 'errors.server.connectingPlaces');
+  }
+};
+
+/**
+ * Remove the connection between two places
+ * @route DELETE /api/places/:id/connections/:placeId
+ * @access Private
+ */
+const disconnectPlaces = async (req, res) => {
+  console.log('Controller: disconnectPlaces - Request received for place:', req.params.id);
+
+  try {
+    const place = await loadOwnPlace(req, res, req.params.id, 'errors.placeUpdateDenied');
+    if (!place) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.placeId)) {
+      return res.status(400).json({ message: req.t('errors.invalidPlaceId') });
+    }
+
+    place.connections = place.connections
+      .filter(connection => connection.place.toString() !== req.params.placeId);
+    await place.save();
+
+    await Place.updateOne(
+      { _id: req.params.placeId, user: req.user._id },
+      { $pull: { connections: { place: place._id } } }
+    );
+
+    console.log('Places disconnected:', { from: place._id, to: req.params.placeId });
+
+    res.status(200).json(place);
+
+  } catch (error) {
+    console.error('Error disconnecting places:', error.message);
+    res.status(500).json({ message: req.t('errors.server.disconnectingPlaces') });
+  }
+};
+
+/**
+ * Link a place to a dream by hand
+ * @route POST /api/places/:id/dreams
+ * @access Private
+ */
+const addPlaceDream = async (req, res) => {
+  console.log('Controller: addPlaceDream - Request received for place:', req.params.id);
+
+  try {
+    const place = await loadOwnPlace(req, res, req.params.id, 'errors.placeUpdateDenied');
+    if (!place) return;
+
+    const { dreamId, mention } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(dreamId)) {
+      return res.status(404).json({ message: req.t('errors.dreamNotFound') });
+    }
+
+    const dream = await Dream.findById(dreamId).select('user date');
+
+    if (!dream) {
+      return res.status(404).json({ message: req.t('errors.dreamNotFound') });
+    }
+    if (dream.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: req.t('errors.dreamAccessDenied') });
+    }
+
+    place.dismissedDreams = place.dismissedDreams.filter(id => !id.equals(dream._id));
+
+    const existing = place.appearances.find(appearance => appearance.dream.equals(dream._id));
+    if (existing) {
+      // A hand-made link survives re-analysis
+      existing.source = 'user';
+    } else {
+      place.appearances.push({
+        dream: dream._id,
+        date: dream.date,
+        mention: mention || place.name,
+        source: 'user'
+      });
+    }
+
+    await place.save();
+
+    res.status(200).json(place);
+
+  } catch (error) {
+    console.error('Error updating place dreams:', error.message);
+    handlePlaceError(req, res, error, 'errors.server.updatingPlaceDreams');
+  }
+};
+
+/**
+ * Unlink a place from a dream
+ * The dream is remembered as dismissed so re-analysis does not link it again.
+ * @route DELETE /api/places/:id/dreams/:dreamId
+ * @access Private
+ */
+const removePlaceDream = async (req, res) => {
+  console.log('Controller: removePlaceDream - Request received for place:', req.params.id);
+
+  try {
+    const place = await loadOwnPlace(req, res, req.params.id, 'errors.placeUpdateDenied');
+    if (!place) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.dreamId)) {
+      return res.status(404).json({ message: req.t('errors.dreamNotFound') });
+    }
+
+    place.appearances = place.appearances
+      .filter(appearance => appearance.dream.toString() !== req.params.dreamId);
+
+    // Keep analysis from linking the dream again
+    if (!place.dismissedDreams.some(id => id.toString() === req.params.dreamId)) {
+      place.dismissedDreams.push(req.params.dreamId);
+    }
+    await place.save();
+
+    res.status(200).json(place);
+
+  } catch (error) {
+    console.error('Error updating place dreams:', error.message);
+    res.status(500).json({ message: req.t('errors.server.updatingPlaceDreams') });
+  }
+};
+
+module.exports = {
+  getPlaces,
+  createPlace,
+  getPlaceGraph,
+  getPlace,
+  updatePlace,
+  deletePlace,
+  getPlaceDreams,
+  mergePlaces,
+  connectPlaces,
+  disconnectPlaces,
+  addPlaceDream,
+  removePlaceDream
+};
@@ -0,0 +1,286 @@
+const Practice = require('../models/practice.model');
+const Dream = require('../models/dream.model');
+const SleepSession = require('../models/sleepSession.model');
+const User = require('../models/user.model');
+const { isLucidDream } = require('../utils/dreamRatings');
+const { DAY_MS, dayNumber } = require('../utils/dates');
+const { createOwnLoader } = require('../utils/ownership');
+const { validationErrorBody } = require('../utils/validation');
+
+// Fields a user may set on a practice entry
+const PRACTICE_FIELDS = ['technique', 'performedAt', 'date', 'count', 'method', 'supplement', 'notes'];
+
+/**
+ * Pick the editable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Practice fields
+ */
+const pickPracticeFields = (body) => {
+  const fields = {};
+  PRACTICE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * Reality checks an entry adds to the user's stats
+ * @param {Object} practice - Practice entry
+ * @returns {number}
+ */
+const realityChecksOf = practice => (practice.technique === 'realityCheck' ? practice.count : 0);
+
+// Load a practice entry and check that it belongs to the current user
+const loadOwnPractice = createOwnLoader(Practice, {
+  label: 'Practice entry',
+  invalidIdKey: 'errors.invalidPracticeId',
+  notFoundKey: 'errors.practiceNotFound',
+  deniedKey: 'errors.practiceAccessDenied'
+});
+
+/**
+ * Load the dreams of the mornings practice entries count toward
+ * A dream in a sleep session belongs to the session's morning, otherwise to its date.
+ * @param {string} userId - User ID
+ * @param {Array} practices - Practice entries
+ * @returns {Promise<Map>} Day number -> dreams ({ _id, title, date, category, lucid })
+ */
+const loadMorningDreams = async (userId, practices) => {
+  const mornings = new Map();
+  if (practices.length === 0) return mornings;
+
+  const days = practices.map(practice => dayNumber(practice.date));
+  days.forEach(day => mornings.set(day, []));
+  const range = {
+    $gte: new Date(Math.min(...days) * DAY_MS),
+    $lt: new Date((Math.max(...days) + 1) * DAY_MS)
+  };
+
+  const sessions = await SleepSession.find({ user: userId, date: range }).select('date dreams.dream');
+  const sessionDay = new Map();
+  sessions.forEach(session => {
+    session.dreams.forEach(entry => sessionDay.set(entry.dream.toString(), dayNumber(session.date)));
+  });
+
+  const dreams = await Dream.find({
+    user: userId,
+    $or: [{ date: range }, { _id: { $in: [...sessionDay.keys()] } }]
+  }).select('title date category ratings.lucidity lucidity.isLucid').sort('date');
+
+  dreams.forEach(dream => {
+    const id = dream._id.toString();
+    const day = sessionDay.has(id) ? sessionDay.get(id) : dayNumber(dream.date);
+    if (mornings.has(day)) {
+      mornings.get(day).push({
+        _id: dream._id,
+        title: dream.title,
+        date: dream.date,
+        category: dream.category,
+        lucid: isLucidDream(dream)
+      });
+    }
+  });
+
+  return mornings;
+};
+
+/**
+ * Turn a save error into a response
+ * @param {Object} req - Express request (for the response language)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by mongoose
+ * @param {string} messageKey - Catalog key of the 500 message
+ */
+const handlePracticeError = (req, res, error, messageKey) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json(validationErrorBody(req, error));
+  }
+  res.status(500).json({ message: req.t(messageKey) });
+};
+
+/**
+ * List the current user's practice entries, latest first
+ * Each entry tells how many dreams its morning had and whether one was lucid.
+ * @route GET /api/practice
+ * @access Private
+ */
+const getPractices = async (req, res) => {
+  console.log('Controller: getPractices - Request received');
+
+  try {
+    const { from, to, technique } = req.query;
+    const filter = { user: req.user._id };
+
+    if (technique) {
+      if (!Practice.TECHNIQUES.includes(technique)) {
+        return res.status(400).json({ message: req.t('errors.invalidTechnique', { techniques: Practice.TECHNIQUES.join(', ') }) });
+      }
+      filter.technique = technique;
+    }
+
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = new Date(from);
+      if (to) filter.date.$lte = new Date(to);
+    }
+
+    const practices = await Practice.find(filter).sort('-date -performedAt');
+    const mornings = await loadMorningDreams(req.user._id, practices);
+
+    res.status(200).json({
+      practices: practices.map(practice => {
+        const dreams = mornings.get(dayNumber(practice.date)) || [];
+        return {
+          ...practice.toObject(),
+          morningDreams: dreams.length,
+          lucid: dreams.some(dream => dream.lucid)
+        };
+      }),
+      total: practices.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching practice entries:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingPractices') });
+  }
+};
+
+/**
+ * Log a practice entry (reality checks, a MILD, WBTB or WILD attempt, or a supplement)
+ * Practice counts toward the next morning (in the user's time zone) unless `date` says otherwise.
+ * @route POST /api/practice
+ * @access Private
+ */
+const createPractice = async (req, res) => {
+  console.log('Controller: createPractice - Request received');
+
+  try {
+    const practice = new Practice({
+      ...pickPracticeFields(req.body),
+      user: req.user._id
+    });
+    if (!practice.date) {
+      practice.date = Practice.morningOf(practice.performedAt, req.user.preferences.timezone);
+    }
+    await practice.save();
+
+    const user = await User.findById(req.user._id);
+    if (user) {
+      await user.updatePracticeStats(practice);
+    }
+
+    console.log('Practice entry created:', { id: practice._id, technique: practice.technique, date: practice.date });
+
+    res.status(201).json(practice);
+
+  } catch (error) {
+    console.error('Error creating practice entry:', error.message);
+    handlePracticeError(req, res, error, 'errors.server.creatingPractice');
+  }
+};
+
+/**
+ * Get a practice entry with the dreams of its morning
+ * @route GET /api/practice/:id
+ * @access Private
+ */
+const getPractice = async (req, res) => {
+  console.log('Controller: getPractice - Request received for entry:', req.params.id);
+
+  try {
+    const practice = await loadOwnPractice(req, res, req.params.id);
+    if (!practice) return;
+
+    const mornings = await loadMorningDreams(req.user._id, [practice]);
+    const dreams = mornings.get(dayNumber(practice.date)) || [];
+
+    res.status(200).json({
+      ...practice.toObject(),
+      dreams,
+      lucid: dreams.some(dream => dream.lucid)
+    });
+
+  } catch (error) {
+    console.error('Error fetching practice entry:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingPractice') });
+  }
+};
+
+/**
+ * Update a practice entry
+ * @route PUT /api/practice/:id
+ * @access Private
+ */
+const updatePractice = async (req, res) => {
+  console.log('Controller: updatePractice - Request received for entry:', req.params.id);
+
+  try {
+    const practice = await loadOwnPractice(req, res, req.params.id, 'errors.practiceUpdateDenied');
+    if (!practice) return;
+
+    const checksBefore = realityChecksOf(practice);
+    const fields = pickPracticeFields(req.body);
+
+    practice.set(fields);
+    // A new practice time moves the entry to that time's morning unless a date is given
+    if (fields.performedAt !== undefined && fields.date === undefined && practice.performedAt) {
+      practice.date = Practice.morningOf(practice.performedAt, req.user.preferences.timezone);
+    }
+    await practice.save();
+
+    const checksChange = realityChecksOf(practice) - checksBefore;
+    if (checksChange !== 0) {
+      await User.updateOne({ _id: req.user._id }, { $inc: { 'stats.realityChecks': checksChange } });
+    }
+
+    console.log('Practice entry updated:', { id: practice._id });
+
+    res.status(200).json(practice);
+
+  } catch (error) {
+    console.error('Error updating practice entry:', error.message);
+    handlePracticeError(req, res, error, 'errors.server.updatingPractice');
+  }
+};
+
+/**
+ * Delete a practice entry
+ * @route DELETE /api/practice/:id
+ * @access Private
+ */
+const deletePractice = async (req, res) => {
+  console.log('Controller: deletePractice - Request received for entry:', req.params.id);
+
+  try {
+    const practice = await loadOwnPractice(req, res, req.params.id, 'errors.practiceDeleteDenied');
+    if (!practice) return;
+
+    await Practice.deleteOne({ _id: practice._id });
+
+    // Update user stats
+    const user = await User.findById(req.user._id);
+    if (user && user.stats.totalPractices > 0) {
+      user.stats.totalPractices -= 1;
+      user.stats.realityChecks = Math.max(0, user.stats.realityChecks - realityChecksOf(practice));
+      await user.save();
+    }
+
+    console.log('Practice entry deleted:', { id: practice._id });
+
+    res.status(200).json({ message: req.t('messages.practiceDeleted') });
+
+  } catch (error) {
+    console.error('Error deleting practice entry:', error.message);
+    res.status(500).json({ message: req.t('errors.server.deletingPractice') });
+  }
+};
+
+module.exports = {
+  getPractices,
+  createPractice,
+  getPractice,
+  updatePractice,
+  deletePractice
+};
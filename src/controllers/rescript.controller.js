@@ -0,0 +1,339 @@
+const mongoose = require('mongoose');
+const Rescript = require('../models/rescript.model');
+const Dream = require('../models/dream.model');
+const { DEFAULT_BASELINE_WEEKS, computeNightmareReport } = require('../utils/nightmareReport');
+const { WEEK_MS } = require('../utils/dates');
+const { createOwnLoader } = require('../utils/ownership');
+const { validationErrorBody } = require('../utils/validation');
+
+// Fields a user may set on a rescript; the nightmare it rewrites is fixed at creation
+const RESCRIPT_FIELDS = ['title', 'content', 'changes', 'status', 'startedAt'];
+
+// Fields a user may set on a rehearsal
+const REHEARSAL_FIELDS = ['date', 'durationMinutes', 'distressBefore', 'distressAfter', 'notes'];
+
+const MAX_BASELINE_WEEKS = 52;
+
+/**
+ * Pick the editable rescript fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Rescript fields
+ */
+const pickRescriptFields = (body) => {
+  const fields = {};
+  RESCRIPT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * Pick the rehearsal fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Rehearsal fields
+ */
+const pickRehearsalFields = (body) => {
+  const fields = {};
+  REHEARSAL_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Load a rescript and check that it belongs to the current user
+const loadOwnRescript = createOwnLoader(Rescript, {
+  label: 'Rescript',
+  invalidIdKey: 'errors.invalidRescriptId',
+  notFoundKey: 'errors.rescriptNotFound',
+  deniedKey: 'errors.rescriptAccessDenied'
+});
+
+/**
+ * Turn a save error into a response
+ * @param {Object} req - Express request (for the response language)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by mongoose
+ * @param {string} messageKey - Catalog key of the 500 message
+ */
+const handleRescriptError = (req, res, error, messageKey) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json(validationErrorBody(req, error));
+  }
+  res.status(500).json({ message: req.t(messageKey) });
+};
+
+/**
+ * List the current user's rescripts, latest treatment first
+ * @route GET /api/rescripts
+ * @access Private
+ */
+const getRescripts = async (req, res) => {
+  console.log('Controller: getRescripts - Request received');
+
+  try {
+    const { nightmare, status } = req.query;
+    const filter = { user: req.user._id };
+
+    if (status) {
+      if (!Rescript.STATUSES.includes(status)) {
+        return res.status(400).json({ message: req.t('errors.invalidRescriptStatus', { statuses: Rescript.STATUSES.join(', ') }) });
+      }
+      filter.status = status;
+    }
+
+    if (nightmare) {
+      if (!mongoose.Types.ObjectId.isValid(nightmare)) {
+        return res.status(400).json({ message: req.t('errors.rescriptNightmareNotFound') });
+      }
+      filter.nightmare = nightmare;
+    }
+
+    const rescripts = await Rescript.find(filter)
+      .sort('-startedAt')
+      .populate('nightmare', 'title date');
+
+    res.status(200).json({
+      rescripts: rescripts.map(rescript => rescript.toSummary()),
+      total: rescripts.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching rescripts:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingRescripts') });
+  }
+};
+
+/**
+ * Write a rescripted version of a nightmare
+ * Only the user's dreams in the nightmare category can be rescripted.
+ * @route POST /api/rescripts
+ * @access Private
+ */
+const createRescript = async (req, res) => {
+  console.log('Controller: createRescript - Request received');
+
+  try {
+    const { nightmare: nightmareId } = req.body;
+
+    if (!nightmareId || !mongoose.Types.ObjectId.isValid(nightmareId)) {
+      return res.status(400).json({ message: req.t('errors.rescriptNightmareNotFound') });
+    }
+
+    const nightmare = await Dream.findOne({ _id: nightmareId, user: req.user._id }).select('category');
+    if (!nightmare) {
+      return res.status(400).json({ message: req.t('errors.rescriptNightmareNotFound') });
+    }
+    if (nightmare.category !== 'nightmare') {
+      return res.status(400).json({ message: req.t('errors.notANightmare') });
+    }
+
+    const rescript = new Rescript({
+      ...pickRescriptFields(req.body),
+      nightmare: nightmare._id,
+      user: req.user._id
+    });
+    await rescript.save();
+
+    console.log('Rescript created:', { id: rescript._id, nightmare: nightmare._id });
+
+    res.status(201).json(rescript.toSummary());
+
+  } catch (error) {
+    console.error('Error creating rescript:', error.message);
+    handleRescriptError(req, res, error, 'errors.server.creatingRescript');
+  }
+};
+
+/**
+ * Nightmare frequency and intensity over the treatment weeks
+ * The treatment starts with the first rescript (or the given one); the weeks
+ * before it are the baseline.
+ * @route GET /api/rescripts/report
+ * @access Private
+ */
+const getNightmareReport = async (req, res) => {
+  console.log('Controller: getNightmareReport - Request received');
+
+  try {
+    let baselineWeeks = DEFAULT_BASELINE_WEEKS;
+    if (req.query.baselineWeeks !== undefined) {
+      baselineWeeks = Number(req.query.baselineWeeks);
+      if (!Number.isInteger(baselineWeeks) || baselineWeeks < 0 || baselineWeeks > MAX_BASELINE_WEEKS) {
+        return res.status(400).json({ message: req.t('errors.invalidBaselineWeeks', { max: MAX_BASELINE_WEEKS }) });
+      }
+    }
+
+    let rescripts;
+    if (req.query.rescript) {
+      const rescript = await loadOwnRescript(req, res, req.query.rescript);
+      if (!rescript) return;
+      rescripts = [rescript];
+    } else {
+      rescripts = await Rescript.find({ user: req.user._id }).select('startedAt rehearsals');
+    }
+
+    let nightmares = [];
+    let journalStart = null;
+    if (rescripts.length > 0) {
+      const firstStart = Math.min(...rescripts.map(rescript => rescript.startedAt.getTime()));
+      nightmares = await Dream.find({
+        user: req.user._id,
+        category: 'nightmare',
+        date: { $gte: new Date(firstStart - (baselineWeeks + 1) * WEEK_MS) }
+      }).select('date ratings.emotionalIntensity');
+
+      // The baseline cannot reach back before the first dream recorded
+      const firstDream = await Dream.findOne({ user: req.user._id }).sort({ date: 1 }).select('date');
+      journalStart = firstDream ? firstDream.date : null;
+    }
+
+    res.status(200).json(computeNightmareReport(nightmares, rescripts, { baselineWeeks, journalStart }));
+
+  } catch (error) {
+    console.error('Error building nightmare report:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingNightmareReport') });
+  }
+};
+
+/**
+ * Get a rescript with its nightmare and rehearsals
+ * @route GET /api/rescripts/:id
+ * @access Private
+ */
+const getRescript = async (req, res) => {
+  console.log('Controller: getRescript - Request received for rescript:', req.params.id);
+
+  try {
+    const rescript = await loadOwnRescript(req, res, req.params.id);
+    if (!rescript) return;
+
+    await rescript.populate('nightmare', 'title content date ratings.emotionalIntensity');
+
+    res.status(200).json(rescript.toSummary());
+
+  } catch (error) {
+    console.error('Error fetching rescript:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingRescript') });
+  }
+};
+
+/**
+ * Update a rescript
+ * @route PUT /api/rescripts/:id
+ * @access Private
+ */
+const updateRescript = async (req, res) => {
+  console.log('Controller: updateRescript - Request received for rescript:', req.params.id);
+
+  try {
+    const rescript = await loadOwnRescript(req, res, req.params.id, 'errors.rescriptUpdateDenied');
+    if (!rescript) return;
+
+    rescript.set(pickRescriptFields(req.body));
+    await rescript.save();
+
+    console.log('Rescript updated:', { id: rescript._id });
+
+    res.status(200).json(rescript.toSummary());
+
+  } catch (error) {
+    console.error('Error updating rescript:', error.message);
+    handleRescriptError(req, res, error, 'errors.server.updatingRescript');
+  }
+};
+
+/**
+ * Delete a rescript and its rehearsals
+ * @route DELETE /api/rescripts/:id
+ * @access Private
+ */
+const deleteRescript = async (req, res) => {
+  console.log('Controller: deleteRescript - Request received for rescript:', req.params.id);
+
+  try {
+    const rescript = await loadOwnRescript(req, res, req.params.id, 'errors.rescriptDeleteDenied');
+    if (!rescript) return;
+
+    await Rescript.deleteOne({ _id: rescript._id });
+
+    console.log('Rescript deleted:', { id: rescript._id });
+
+    res.status(200).json({ message: req.t('messages.rescriptDeleted') });
+
+  } catch (error) {
+    console.error('Error deleting rescript:', error.message);
+    res.status(500).json({ message: req.t('errors.server.deletingRescript') });
+  }
+};
+
+/**
+ * Log a rehearsal of a rescript with the distress felt before and after it
+ * @route POST /api/rescripts/:id/rehearsals
+ * @access Private
+ */
+const addRehearsal = async (req, res) => {
+  console.log('Controller: addRehearsal - Request received for rescript:', req.params.id);
+
+  try {
+    const rescript = await loadOwnRescript(req, res, req.params.id, 'errors.rescriptUpdateDenied');
+    if (!rescript) return;
+
+    rescript.rehearsals.push(pickRehearsalFields(req.body));
+    await rescript.save();
+
+    console.log('Rehearsal logged:', { id: rescript._id, rehearsals: rescript.rehearsals.length });
+
+    res.status(201).json(rescript.toSummary());
+
+  } catch (error) {
+    console.error('Error logging rehearsal:', error.message);
+    handleRescriptError(req, res, error, 'errors.server.addingRehearsal');
+  }
+};
+
+/**
+ * Delete a rehearsal of a rescript
+ * @route DELETE /api/rescripts/:id/rehearsals/:rehearsalId
+ * @access Private
+ */
+const deleteRehearsal = async (req, res) => {
+  console.log('Controller: deleteRehearsal - Request received for rescript:', req.params.id);
+
+  try {
+    const rescript = await loadOwnRescript(req, res, req.params.id, 'errors.rescriptUpdateDenied');
+    if (!rescript) return;
+
+    const rehearsal = mongoose.Types.ObjectId.isValid(req.params.rehearsalId)
+      ? rescript.rehearsals.id(req.params.rehearsalId)
+      : null;
+    if (!rehearsal) {
+      return res.status(404).json({ message: req.t('errors.rehearsalNotFound') });
+    }
+
+    rehearsal.deleteOne();
+    await rescript.save();
+
+    console.log('Rehearsal deleted:', { id: rescript._id, rehearsalId: req.params.rehearsalId });
+
+    res.status(200).json(rescript.toSummary());
+
+  } catch (error) {
+    console.error('Error deleting rehearsal:', error.message);
+    res.status(500).json({ message: req.t('errors.server.deletingRehearsal') });
+  }
+};
+
+module.exports = {
+  getRescripts,
+  createRescript,
+  getNightmareReport,
+  getRescript,
+  updateRescript,
+  deleteRescript,
+  addRehearsal,
+  deleteRehearsal
+};
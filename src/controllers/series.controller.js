@@ -0,0 +1,362 @@
+const mongoose = require('mongoose');
+const DreamSeries = require('../models/dreamSeries.model');
+const Dream = require('../models/dream.model');
+const Character = require('../models/character.model');
+const Place = require('../models/place.model');
+const { combineSeriesAnalysis } = require('../utils/seriesAnalysis');
+const { DAY_MS } = require('../utils/dates');
+const { createOwnLoader, checkOwnDreams } = require('../utils/ownership');
+const { validationErrorBody } = require('../utils/validation');
+
+// Fields a user may set on a series
+const SERIES_FIELDS = ['title', 'description'];
+
+/**
+ * Pick the editable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Series fields
+ */
+const pickSeriesFields = (body) => {
+  const fields = {};
+  SERIES_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Load a series and check that it belongs to the current user
+const loadOwnSeries = createOwnLoader(DreamSeries, {
+  label: 'Series',
+  invalidIdKey: 'errors.invalidSeriesId',
+  notFoundKey: 'errors.seriesNotFound',
+  deniedKey: 'errors.seriesAccessDenied'
+});
+
+/**
+ * Turn a save error into a response
+ * @param {Object} req - Express request (for the response language)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by mongoose
+ * @param {string} messageKey - Catalog key of the 500 message
+ */
+const handleSeriesError = (req, res, error, messageKey) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json(validationErrorBody(req, error));
+  }
+  res.status(500).json({ message: req.t(messageKey) });
+};
+
+/**
+ * List the current user's dream series
+ * @route GET /api/series
+ * @access Private
+ */
+const getSeriesList = async (req, res) => {
+  console.log('Controller: getSeriesList - Request received');
+
+  try {
+    const seriesList = await DreamSeries.find({ user: req.user._id }).sort('-updatedAt');
+    const dreams = await Dream.find({ user: req.user._id, series: { $ne: null } }).select('series date');
+
+    // Dream count and date span of every series
+    const spans = new Map();
+    dreams.forEach(dream => {
+      const key = dream.series.toString();
+      const span = spans.get(key) || { dreamCount: 0, from: null, to: null };
+      span.dreamCount += 1;
+      if (!span.from || dream.date < span.from) span.from = dream.date;
+      if (!span.to || dream.date > span.to) span.to = dream.date;
+      spans.set(key, span);
+    });
+
+    const series = seriesList.map(entry => ({
+      ...entry.toObject(),
+      ...(spans.get(entry._id.toString()) || { dreamCount: 0, from: null, to: null })
+    }));
+
+    res.status(200).json({
+      series,
+      total: series.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching series:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingSeriesList') });
+  }
+};
+
+/**
+ * Create a series, optionally with its first dreams
+ * Dreams already in another series move to the new one.
+ * @route POST /api/series
+ * @access Private
+ */
+const createSeries = async (req, res) => {
+  console.log('Controller: createSeries - Request received');
+
+  try {
+    const series = new DreamSeries({
+      ...pickSeriesFields(req.body),
+      user: req.user._id
+    });
+    await series.validate();
+
+    let dreamIds = [];
+    if (req.body.dreamIds !== undefined) {
+      dreamIds = await checkOwnDreams(req, res, Array.isArray(req.body.dreamIds) ? req.body.dreamIds : [], 'errors.seriesDreamsNotFound');
+      if (!dreamIds) return;
+    }
+
+    await series.save();
+    if (dreamIds.length > 0) {
+      await Dream.updateMany({ _id: { $in: dreamIds }, user: req.user._id }, { $set: { series: series._id } });
+    }
+
+    console.log('Series created:', { id: series._id, title: series.title, dreams: dreamIds.length });
+
+    res.status(201).json({
+      ...series.toObject(),
+      dreamCount: dreamIds.length
+    });
+
+  } catch (error) {
+    console.error('Error creating series:', error.message);
+    handleSeriesError(req, res, error, 'errors.server.creatingSeries');
+  }
+};
+
+/**
+ * Get a series with its dreams in date order
+ * @route GET /api/series/:id
+ * @access Private
+ */
+const getSeries = async (req, res) => {
+  console.log('Controller: getSeries - Request received for series:', req.params.id);
+
+  try {
+    const series = await loadOwnSeries(req, res, req.params.id);
+    if (!series) return;
+
+    const dreams = await Dream.find({ series: series._id, user: req.user._id })
+      .sort({ date: 1 })
+      .select('title date category emotions.primary links');
+
+    res.status(200).json({
+      ...series.toObject(),
+      dreams
+    });
+
+  } catch (error) {
+    console.error('Error fetching series:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingSeries') });
+  }
+};
+
+/**
+ * Update a series' title or description
+ * @route PUT /api/series/:id
+ * @access Private
+ */
+const updateSeries = async (req, res) => {
+  console.log('Controller: updateSeries - Request received for series:', req.params.id);
+
+  try {
+    const series = await loadOwnSeries(req, res, req.params.id, 'errors.seriesUpdateDenied');
+    if (!series) return;
+
+    series.set(pickSeriesFields(req.body));
+    await series.save();
+
+    console.log('Series updated:', { id: series._id, title: series.title });
+
+    res.status(200).json(series);
+
+  } catch (error) {
+    console.error('Error updating series:', error.message);
+    handleSeriesError(req, res, error, 'errors.server.updatingSeries');
+  }
+};
+
+/**
+ * Delete a series (its dreams and their links are kept)
+ * @route DELETE /api/series/:id
+ * @access Private
+ */
+const deleteSeries = async (req, res) => {
+  console.log('Controller: deleteSeries - Request received for series:', req.params.id);
+
+  try {
+    const series = await loadOwnSeries(req, res, req.params.id, 'errors.seriesDeleteDenied');
+    if (!series) return;
+
+    await Dream.updateMany({ series: series._id, user: req.user._id }, { $set: { series: null } });
+    await DreamSeries.deleteOne({ _id: series._id });
+
+    console.log('Series deleted:', { id: series._id, title: series.title });
+
+    res.status(200).json({ message: req.t('messages.seriesDeleted') });
+
+  } catch (error) {
+    console.error('Error deleting series:', error.message);
+    res.status(500).json({ message: req.t('errors.server.deletingSeries') });
+  }
+};
+
+/**
+ * Add dreams to a series
+ * Dreams already in another series move to this one.
+ * @route POST /api/series/:id/dreams
+ * @access Private
+ */
+const addDreamsToSeries = async (req, res) => {
+  console.log('Controller: addDreamsToSeries - Request received for series:', req.params.id);
+
+  try {
+    if (!Array.isArray(req.body.dreamIds) || req.body.dreamIds.length === 0) {
+      return res.status(400).json({ message: req.t('errors.dreamIdsRequired') });
+    }
+
+    const series = await loadOwnSeries(req, res, req.params.id, 'errors.seriesUpdateDenied');
+    if (!series) return;
+
+    const dreamIds = await checkOwnDreams(req, res, req.body.dreamIds, 'errors.seriesDreamsNotFound');
+    if (!dreamIds) return;
+
+    await Dream.updateMany({ _id: { $in: dreamIds }, user: req.user._id }, { $set: { series: series._id } });
+    const dreamCount = await Dream.countDocuments({ series: series._id, user: req.user._id });
+
+    console.log('Dreams added to series:', { id: series._id, added: dreamIds.length });
+
+    res.status(200).json({
+      ...series.toObject(),
+      dreamCount
+    });
+
+  } catch (error) {
+    console.error('Error updating series dreams:', error.message);
+    res.status(500).json({ message: req.t('errors.server.updatingSeriesDreams') });
+  }
+};
+
+/**
+ * Remove a dream from a series
+ * @route DELETE /api/series/:id/dreams/:dreamId
+ * @access Private
+ */
+const removeDreamFromSeries = async (req, res) => {
+  console.log('Controller: removeDreamFromSeries - Request received for series:', req.params.id);
+
+  try {
+    const series = await loadOwnSeries(req, res, req.params.id, 'errors.seriesUpdateDenied');
+    if (!series) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.dreamId)) {
+      return res.status(404).json({ message: req.t('errors.dreamNotInSeries') });
+    }
+
+    const result = await Dream.updateOne(
+      { _id: req.params.dreamId, series: series._id, user: req.user._id },
+      { $set: { series: null } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: req.t('errors.dreamNotInSeries') });
+    }
+
+    const dreamCount = await Dream.countDocuments({ series: series._id, user: req.user._id });
+
+    console.log('Dream removed from series:', { id: series._id, dreamId: req.params.dreamId });
+
+    res.status(200).json({
+      ...series.toObject(),
+      dreamCount
+    });
+
+  } catch (error) {
+    console.error('Error updating series dreams:', error.message);
+    res.status(500).json({ message: req.t('errors.server.updatingSeriesDreams') });
+  }
+};
+
+/**
+ * Get a series as one ordered narrative with its combined analysis
+ * Each chapter is a dream with the nights since the previous chapter and its
+ * links to the other dreams of the series; the analysis combines the emotions,
+ * sentiment, symbols, keywords and content coding of all chapters, and lists the
+ * characters and places that appear in them.
+ * @route GET /api/series/:id/narrative
+ * @access Private
+ */
+const getSeriesNarrative = async (req, res) => {
+  console.log('Controller: getSeriesNarrative - Request received for series:', req.params.id);
+
+  try {
+    const series = await loadOwnSeries(req, res, req.params.id);
+    if (!series) return;
+
+    const dreams = await Dream.find({ series: series._id, user: req.user._id })
+      .sort({ date: 1 })
+      .select('title content date category language emotions symbols keywords analysis.sentiment contentCoding links');
+
+    const dreamIds = dreams.map(dream => dream._id);
+    const inSeries = new Set(dreamIds.map(id => id.toString()));
+
+    const chapters = dreams.map((dream, index) => {
+      const previous = index > 0 ? dreams[index - 1] : null;
+      return {
+        chapter: index + 1,
+        _id: dream._id,
+        title: dream.title,
+        date: dream.date,
+        nightsSincePrevious: previous
+          ? Math.round((dream.date - previous.date) / DAY_MS)
+          : null,
+        content: dream.content,
+        category: dream.category,
+        primaryEmotion: dream.emotions ? dream.emotions.primary : null,
+        sentiment: dream.analysis && dream.analysis.sentiment ? dream.analysis.sentiment.score : null,
+        links: dream.links
+          .filter(link => inSeries.has(link.dream.toString()))
+          .map(link => ({ dream: link.dream, type: link.type, note: link.note }))
+      };
+    });
+
+    // Recurring figures and places of the saga, from the registries
+    const [characters, places] = await Promise.all([
+      Character.find({ user: req.user._id, 'appearances.dream': { $in: dreamIds } }),
+      Place.find({ user: req.user._id, 'appearances.dream': { $in: dreamIds } })
+    ]);
+    const chaptersWith = entry => entry.appearances.filter(appearance => inSeries.has(appearance.dream.toString())).length;
+
+    res.status(200).json({
+      series: series.toObject(),
+      chapters,
+      analysis: {
+        ...combineSeriesAnalysis(dreams),
+        characters: characters
+          .map(character => ({ _id: character._id, name: character.name, relationship: character.relationship, dreams: chaptersWith(character) }))
+          .sort((a, b) => b.dreams - a.dreams),
+        places: places
+          .map(place => ({ _id: place._id, name: place.name, confirmed: place.confirmed, dreams: chaptersWith(place) }))
+          .sort((a, b) => b.dreams - a.dreams)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching series narrative:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingSeriesNarrative') });
+  }
+};
+
+module.exports = {
+  getSeriesList,
+  createSeries,
+  getSeries,
+  updateSeries,
+  deleteSeries,
+  addDreamsToSeries,
+  removeDreamFromSeries,
+  getSeriesNarrative
+};
@@ -0,0 +1,339 @@
+const SleepSession = require('../models/sleepSession.model');
+const Dream = require('../models/dream.model');
+const User = require('../models/user.model');
+const { describeNight } = require('../utils/sleepCycle');
+const { createOwnLoader, checkOwnDreams } = require('../utils/ownership');
+const { validationErrorBody } = require('../utils/validation');
+
+// Fields a user may set on a sleep session
+const SESSION_FIELDS = ['date', 'bedtime', 'wakeTime', 'awakenings', 'quality', 'preSleepMood', 'recall', 'wbtb', 'notes'];
+
+/**
+ * Pick the editable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Sleep session fields
+ */
+const pickSessionFields = (body) => {
+  const fields = {};
+  SESSION_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Load a sleep session and check that it belongs to the current user
+const loadOwnSession = createOwnLoader(SleepSession, {
+  label: 'Sleep session',
+  invalidIdKey: 'errors.invalidSleepSessionId',
+  notFoundKey: 'errors.sleepSessionNotFound',
+  deniedKey: 'errors.sleepSessionAccessDenied'
+});
+
+/**
+ * Take dreams out of the user's other sleep sessions (a dream belongs to one night)
+ * @param {Object} session - Session the dreams join
+ * @param {Array} dreamIds - Dream IDs
+ */
+const detachFromOtherSessions = (session, dreamIds) => SleepSession.updateMany(
+  { user: session.user, _id: { $ne: session._id }, 'dreams.dream': { $in: dreamIds } },
+  { $pull: { dreams: { dream: { $in: dreamIds } } } }
+);
+
+/**
+ * Turn a save error into a response
+ * @param {Object} req - Express request (for the response language)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by mongoose
+ * @param {string} messageKey - Catalog key of the 500 message
+ */
+const handleSessionError = (req, res, error, messageKey) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json(validationErrorBody(req, error));
+  }
+  res.status(500).json({ message: req.t(messageKey) });
+};
+
+/**
+ * List the current user's sleep sessions, latest night first
+ * `recall` keeps the nights with that recall level (nights logged with dreams are full).
+ * @route GET /api/sleep-sessions
+ * @access Private
+ */
+const getSleepSessions = async (req, res) => {
+  console.log('Controller: getSleepSessions - Request received');
+
+  try {
+    const { from, to, recall } = req.query;
+    const filter = { user: req.user._id };
+
+    if (recall) {
+      if (!SleepSession.RECALL_LEVELS.includes(recall)) {
+        return res.status(400).json({ message: req.t('errors.invalidRecallLevel', { levels: SleepSession.RECALL_LEVELS.join(', ') }) });
+      }
+      if (recall === 'full') {
+        filter.$or = [{ recall: 'full' }, { recall: null, 'dreams.0': { $exists: true } }];
+      } else if (recall === 'none') {
+        filter.$or = [{ recall: 'none' }, { recall: null, 'dreams.0': { $exists: false } }];
+      } else {
+        filter.recall = recall;
+      }
+    }
+
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = new Date(from);
+      if (to) filter.date.$lte = new Date(to);
+    }
+
+    const sessions = await SleepSession.find(filter).sort('-date');
+
+    res.status(200).json({
+      sessions: sessions.map(session => session.toSummary()),
+      total: sessions.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching sleep sessions:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingSleepSessions') });
+  }
+};
+
+/**
+ * Log a night of sleep, optionally with its dreams in the order they were dreamt
+ * Dreams already in another session move to the new one. A night without
+ * dreams may be logged with just `recall: 'none'` or `'fragment'`.
+ * @route POST /api/sleep-sessions
+ * @access Private
+ */
+const createSleepSession = async (req, res) => {
+  console.log('Controller: createSleepSession - Request received');
+
+  try {
+    let dreamIds = [];
+    if (req.body.dreamIds !== undefined) {
+      dreamIds = await checkOwnDreams(req, res, Array.isArray(req.body.dreamIds) ? req.body.dreamIds : [], 'errors.sessionDreamsNotFound');
+      if (!dreamIds) return;
+    }
+
+    const session = new SleepSession({
+      ...pickSessionFields(req.body),
+      user: req.user._id,
+      dreams: dreamIds.map(dream => ({ dream }))
+    });
+    await session.save();
+
+    if (dreamIds.length > 0) {
+      await detachFromOtherSessions(session, dreamIds);
+    }
+
+    // Logging the night keeps the journaling streak going, dream or not
+    const user = await User.findById(req.user._id);
+    if (user) {
+      await user.updateLoggingStats(session.date);
+    }
+
+    console.log('Sleep session created:', { id: session._id, date: session.date, recall: session.recallLevel, dreams: dreamIds.length });
+
+    res.status(201).json(session.toSummary());
+
+  } catch (error) {
+    console.error('Error creating sleep session:', error.message);
+    handleSessionError(req, res, error, 'errors.server.creatingSleepSession');
+  }
+};
+
+/**
+ * Get the night view: a session with every dream in order and its place in the sleep cycle
+ * @route GET /api/sleep-sessions/:id
+ * @access Private
+ */
+const getSleepSession = async (req, res) => {
+  console.log('Controller: getSleepSession - Request received for session:', req.params.id);
+
+  try {
+    const session = await loadOwnSession(req, res, req.params.id);
+    if (!session) return;
+
+    const dreams = await Dream.find({
+      _id: { $in: session.dreams.map(entry => entry.dream) },
+      user: req.user._id
+    }).select('title content date category emotions.primary');
+
+    res.status(200).json({
+      ...session.toSummary(),
+      dreams: describeNight(session, dreams)
+    });
+
+  } catch (error) {
+    console.error('Error fetching sleep session:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingSleepSession') });
+  }
+};
+
+/**
+ * Update a sleep session's times, quality, mood or notes
+ * @route PUT /api/sleep-sessions/:id
+ * @access Private
+ */
+const updateSleepSession = async (req, res) => {
+  console.log('Controller: updateSleepSession - Request received for session:', req.params.id);
+
+  try {
+    const session = await loadOwnSession(req, res, req.params.id, 'errors.sleepSessionUpdateDenied');
+    if (!session) return;
+
+    session.set(pickSessionFields(req.body));
+    await session.save();
+
+    console.log('Sleep session updated:', { id: session._id });
+
+    res.status(200).json(session.toSummary());
+
+  } catch (error) {
+    console.error('Error updating sleep session:', error.message);
+    handleSessionError(req, res, error, 'errors.server.updatingSleepSession');
+  }
+};
+
+/**
+ * Delete a sleep session (its dreams are kept)
+ * @route DELETE /api/sleep-sessions/:id
+ * @access Private
+ */
+const deleteSleepSession = async (req, res) => {
+  console.log('Controller: deleteSleepSession - Request received for session:', req.params.id);
+
+  try {
+    const session = await loadOwnSession(req, res, req.params.id, 'errors.sleepSessionDeleteDenied');
+    if (!session) return;
+
+    await SleepSession.deleteOne({ _id: session._id });
+
+    console.log('Sleep session deleted:', { id: session._id });
+
+    res.status(200).json({ message: req.t('messages.sleepSessionDeleted') });
+
+  } catch (error) {
+    console.error('Error deleting sleep session:', error.message);
+    res.status(500).json({ message: req.t('errors.server.deletingSleepSession') });
+  }
+};
+
+/**
+ * Add a dream to a night
+ * `position` (1-based) places it among the night's dreams; it goes last by default.
+ * A dream in another session moves to this one.
+ * @route POST /api/sleep-sessions/:id/dreams
+ * @access Private
+ */
+const addSessionDream = async (req, res) => {
+  console.log('Controller: addSessionDream - Request received for session:', req.params.id);
+
+  try {
+    const { dreamId, awakenedAt, position } = req.body;
+
+    const session = await loadOwnSession(req, res, req.params.id, 'errors.sleepSessionUpdateDenied');
+    if (!session) return;
+
+    const dreamIds = await checkOwnDreams(req, res, dreamId ? [dreamId] : [], 'errors.sessionDreamsNotFound');
+    if (!dreamIds) return;
+    if (dreamIds.length === 0) {
+      return res.status(400).json({ message: req.t('errors.sessionDreamsNotFound') });
+    }
+
+    if (session.dreams.some(entry => entry.dream.toString() === dreamIds[0])) {
+      return res.status(400).json({ message: req.t('errors.dreamAlreadyInSession') });
+    }
+
+    const index = Number.isInteger(position)
+      ? Math.min(Math.max(position - 1, 0), session.dreams.length)
+      : session.dreams.length;
+    session.dreams.splice(index, 0, { dream: dreamIds[0], awakenedAt: awakenedAt || null });
+    await session.save();
+    await detachFromOtherSessions(session, dreamIds);
+
+    console.log('Dream added to sleep session:', { id: session._id, dreamId: dreamIds[0], order: index + 1 });
+
+    res.status(200).json(session.toSummary());
+
+  } catch (error) {
+    console.error('Error updating sleep session dreams:', error.message);
+    handleSessionError(req, res, error, 'errors.server.updatingSessionDreams');
+  }
+};
+
+/**
+ * Reorder a night's dreams
+ * `dreamIds` must list exactly the dreams of the session, in their new order.
+ * @route PUT /api/sleep-sessions/:id/dreams
+ * @access Private
+ */
+const reorderSessionDreams = async (req, res) => {
+  console.log('Controller: reorderSessionDreams - Request received for session:', req.params.id);
+
+  try {
+    const session = await loadOwnSession(req, res, req.params.id, 'errors.sleepSessionUpdateDenied');
+    if (!session) return;
+
+    const order = Array.isArray(req.body.dreamIds) ? [...new Set(req.body.dreamIds.map(String))] : [];
+    const entries = new Map(session.dreams.map(entry => [entry.dream.toString(), entry.toObject()]));
+
+    if (order.length !== entries.size || order.some(id => !entries.has(id))) {
+      return res.status(400).json({ message: req.t('errors.sessionOrderMismatch') });
+    }
+
+    session.dreams = order.map(id => entries.get(id));
+    await session.save();
+
+    console.log('Sleep session dreams reordered:', { id: session._id });
+
+    res.status(200).json(session.toSummary());
+
+  } catch (error) {
+    console.error('Error updating sleep session dreams:', error.message);
+    handleSessionError(req, res, error, 'errors.server.updatingSessionDreams');
+  }
+};
+
+/**
+ * Remove a dream from a night
+ * @route DELETE /api/sleep-sessions/:id/dreams/:dreamId
+ * @access Private
+ */
+const removeSessionDream = async (req, res) => {
+  console.log('Controller: removeSessionDream - Request received for session:', req.params.id);
+
+  try {
+    const session = await loadOwnSession(req, res, req.params.id, 'errors.sleepSessionUpdateDenied');
+    if (!session) return;
+
+    const remaining = session.dreams.filter(entry => entry.dream.toString() !== req.params.dreamId);
+    if (remaining.length === session.dreams.length) {
+      return res.status(404).json({ message: req.t('errors.dreamNotInSession') });
+    }
+
+    session.dreams = remaining;
+    await session.save();
+
+    console.log('Dream removed from sleep session:', { id: session._id, dreamId: req.params.dreamId });
+
+    res.status(200).json(session.toSummary());
+
+  } catch (error) {
+    console.error('Error updating sleep session dreams:', error.message);
+    res.status(500).json({ message: req.t('errors.server.updatingSessionDreams') });
+  }
+};
+
+module.exports = {
+  getSleepSessions,
+  createSleepSession,
+  getSleepSession,
+  updateSleepSession,
+  deleteSleepSession,
+  addSessionDream,
+  reorderSessionDreams,
+  removeSessionDream
+};
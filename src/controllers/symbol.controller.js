@@ -0,0 +1,548 @@
+const mongoose = require('mongoose');
+const DreamSymbol = require('../models/symbol.model');
+const PersonalSymbol = require('../models/personalSymbol.model');
+const Dream = require('../models/dream.model');
+const { enqueueAnalysis } = require('../jobs/analysis.job');
+const { invalidateSymbolCache, getCachedSymbolIndex } = require('../utils/symbolStore');
+const { escapeRegExp } = require('../utils/text');
+const { FRAMEWORKS, DEFAULT_FRAMEWORK } = require('../utils/interpretationFrameworks');
+const { validationErrorBody } = require('../utils/validation');
+
+// Fields an admin may set on a symbol
+const EDITABLE_FIELDS = ['name', 'synonyms', 'localizedSynonyms', 'category', 'interpretations', 'sources', 'isActive'];
+
+// Fields a user may set on a personal symbol
+const PERSONAL_FIELDS = ['name', 'meaning', 'synonyms', 'notes'];
+
+/**
+ * Pick the editable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Symbol fields
+ */
+const pickSymbolFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+
+  // Allow interpretations to be sent as plain strings
+  if (Array.isArray(fields.interpretations)) {
+    fields.interpretations = fields.interpretations.map(interpretation =>
+      typeof interpretation === 'string' ? { text: interpretation } : interpretation
+    );
+  }
+
+  return fields;
+};
+
+/**
+ * Turn a save error into a response
+ * @param {Object} req - Express request (for the response language)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by mongoose
+ * @param {string} messageKey - Catalog key of the 500 message
+ */
+const handleSymbolError = (req, res, error, messageKey) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json(validationErrorBody(req, error));
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: req.t('errors.duplicateSymbol') });
+  }
+  res.status(500).json({ message: req.t(messageKey) });
+};
+
+/**
+ * List dream symbols
+ * @route GET /api/admin/symbols
+ * @access Admin
+ */
+const getSymbols = async (req, res) => {
+  console.log('Controller: getSymbols - Request received');
+
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = parseInt(req.query.skip) || 0;
+    const query = {};
+
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === 'true';
+    }
+
+    // Match the name or any synonym, in any language
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegExp(req.query.q), 'i');
+      query.$or = [{ name: pattern }, { synonyms: pattern }, { 'localizedSynonyms.fa': pattern }];
+    }
+
+    const symbols = await DreamSymbol.find(query)
+      .sort('name')
+      .limit(limit)
+      .skip(skip);
+
+    const total = await DreamSymbol.countDocuments(query);
+
+    res.status(200).json({
+      symbols,
+      categories: DreamSymbol.CATEGORIES,
+      pagination: {
+        total,
+        limit,
+        skip,
+        hasMore: total > skip + limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching symbols:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingSymbols') });
+  }
+};
+
+/**
+ * Get a dream symbol
+ * @route GET /api/admin/symbols/:id
+ * @access Admin
+ */
+const getSymbol = async (req, res) => {
+  console.log('Controller: getSymbol - Request received for symbol:', req.params.id);
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: req.t('errors.invalidSymbolId') });
+    }
+
+    const symbol = await DreamSymbol.findById(req.params.id);
+
+    if (!symbol) {
+      console.log('Symbol not found:', req.params.id);
+      return res.status(404).json({ message: req.t('errors.symbolNotFound') });
+    }
+
+    res.status(200).json(symbol);
+
+  } catch (error) {
+    console.error('Error fetching symbol:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingSymbol') });
+  }
+};
+
+/**
+ * Create a dream symbol
+ * @route POST /api/admin/symbols
+ * @access Admin
+ */
+const createSymbol = async (req, res) => {
+  console.log('Controller: createSymbol - Request received');
+
+  try {
+    const symbol = new DreamSymbol(pickSymbolFields(req.body));
+    await symbol.save();
+    invalidateSymbolCache();
+
+    console.log('Symbol created:', { id: symbol._id, name: symbol.name });
+
+    res.status(201).json(symbol);
+
+  } catch (error) {
+    console.error('Error creating symbol:', error.message);
+    handleSymbolError(req, res, error, 'errors.server.creatingSymbol');
+  }
+};
+
+/**
+ * Update a dream symbol
+ * @route PUT /api/admin/symbols/:id
+ * @access Admin
+ */
+const updateSymbol = async (req, res) => {
+  console.log('Controller: updateSymbol - Request received for symbol:', req.params.id);
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: req.t('errors.invalidSymbolId') });
+    }
+
+    const symbol = await DreamSymbol.findById(req.params.id);
+
+    if (!symbol) {
+      console.log('Symbol not found:', req.params.id);
+      return res.status(404).json({ message: req.t('errors.symbolNotFound') });
+    }
+
+    symbol.set(pickSymbolFields(req.body));
+    await symbol.save();
+    invalidateSymbolCache();
+
+    console.log('Symbol updated:', { id: symbol._id, name: symbol.name });
+
+    res.status(200).json(symbol);
+
+  } catch (error) {
+    console.error('Error updating symbol:', error.message);
+    handleSymbolError(req, res, error, 'errors.server.updatingSymbol');
+  }
+};
+
+/**
+ * Delete a dream symbol
+ * @route DELETE /api/admin/symbols/:id
+ * @access Admin
+ */
+const deleteSymbol = async (req, res) => {
+  console.log('Controller: deleteSymbol - Request received for symbol:', req.params.id);
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: req.t('errors.invalidSymbolId') });
+    }
+
+    const symbol = await DreamSymbol.findByIdAndDelete(req.params.id);
+
+    if (!symbol) {
+      console.log('Symbol not found:', req.params.id);
+      return res.status(404).json({ message: req.t('errors.symbolNotFound') });
+    }
+
+    invalidateSymbolCache();
+
+    console.log('Symbol deleted:', { id: symbol._id, name: symbol.name });
+
+    res.status(200).json({ message: req.t('messages.symbolDeleted') });
+
+  } catch (error) {
+    console.error('Error deleting symbol:', error.message);
+    res.status(500).json({ message: req.t('errors.server.deletingSymbol') });
+  }
+};
+
+/**
+ * Pick the fields a user may set on a personal symbol
+ * @param {Object} body - Request body or imported entry
+ * @returns {Object} Personal symbol fields
+ */
+const pickPersonalFields = (body) => {
+  const fields = {};
+  PERSONAL_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * Add the universal meaning to a personal symbol for display
+ * @param {Object} symbol - Personal symbol document
+ * @returns {Object} Personal symbol with `universalMeaning` (null for personal-only symbols)
+ */
+const withUniversalMeaning = (symbol) => {
+  const { dictionary } = getCachedSymbolIndex();
+  return {
+    ...symbol.toObject(),
+    universalMeaning: dictionary[symbol.name] || null
+  };
+};
+
+/**
+ * List the current user's personal symbols
+ * @route GET /api/symbols/personal
+ * @access Private
+ */
+const getPersonalSymbols = async (req, res) => {
+  console.log('Controller: getPersonalSymbols - Request received');
+
+  try {
+    const query = { user: req.user._id };
+
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegExp(req.query.q), 'i');
+      query.$or = [{ name: pattern }, { synonyms: pattern }, { meaning: pattern }];
+    }
+
+    const symbols = await PersonalSymbol.find(query).sort('name');
+
+    res.status(200).json({
+      symbols: symbols.map(withUniversalMeaning),
+      total: symbols.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching personal symbols:', error.message);
+    res.status(500).json({ message: req.t('errors.server.fetchingPersonalSymbols') });
+  }
+};
+
+/**
+ * Add a symbol to the current user's personal dictionary
+ * @route POST /api/symbols/personal
+ * @access Private
+ */
+const createPersonalSymbol = async (req, res) => {
+  console.log('Controller: createPersonalSymbol - Request received');
+
+  try {
+    const symbol = new PersonalSymbol({
+      ...pickPersonalFields(req.body),
+      user: req.user._id
+    });
+    await symbol.save();
+
+    console.log('Personal symbol created:', { id: symbol._id, name: symbol.name, userId: req.user._id });
+
+    res.status(201).json(withUniversalMeaning(symbol));
+
+  } catch (error) {
+    console.error('Error creating personal symbol:', error.message);
+    handleSymbolError(req, res, error, 'errors.server.creatingPersonalSymbol');
+  }
+};
+
+/**
+ * Update a personal symbol
+ * @route PUT /api/symbols/personal/:id
+ * @access Private
+ */
+const updatePersonalSymbol = async (req, res) => {
+  console.log('Controller: updatePersonalSymbol - Request received for symbol:', req.params.id);
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: req.t('errors.invalidSymbolId') });
+    }
+
+    const symbol = await PersonalSymbol.findById(req.params.id);
+
+    if (!symbol) {
+      console.log('Personal symbol not found:', req.params.id);
+      return res.status(404).json({ message: req.t('errors.symbolNotFound') });
+    }
+
+    // Check if the symbol belongs to the current user
+    if (symbol.user.toString() !== req.user._id.toString()) {
+      console.log('Unauthorized update attempt for personal symbol:', req.params.id);
+      return res.status(403).json({ message: req.t('errors.symbolUpdateDenied') });
+    }
+
+    symbol.set(pickPersonalFields(req.body));
+    await symbol.save();
+
+    console.log('Personal symbol updated:', { id: symbol._id, name: symbol.name });
+
+    res.status(200).json(withUniversalMeaning(symbol));
+
+  } catch (error) {
+    console.error('Error updating personal symbol:', error.message);
+    handleSymbolError(req, res, error, 'errors.server.updatingPersonalSymbol');
+  }
+};
+
+/**
+ * Delete a personal symbol
+ * @route DELETE /api/symbols/personal/:id
+ * @access Private
+ */
+const deletePersonalSymbol = async (req, res) => {
+  console.log('Controller: deletePersonalSymbol - Request received for symbol:', req.params.id);
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: req.t('errors.invalidSymbolId') });
+    }
+
+    const symbol = await PersonalSymbol.findById(req.params.id);
+
+    if (!symbol) {
+      console.log('Personal symbol not found:', req.params.id);
+      return res.status(404).json({ message: req.t('errors.symbolNotFound') });
+    }
+
+    // Check if the symbol belongs to the current user
+    if (symbol.user.toString() !== req.user._id.toString()) {
+      console.log('Unauthorized delete attempt for personal symbol:', req.params.id);
+      return res.status(403).json({ message: req.t('errors.symbolDeleteDenied') });
+    }
+
+    await PersonalSymbol.deleteOne({ _id: symbol._id });
+
+    console.log('Personal symbol deleted:', { id: symbol._id, name: symbol.name });
+
+    res.status(200).json({ message: req.t('messages.symbolDeleted') });
+
+  } catch (error) {
+    console.error('Error deleting personal symbol:', error.message);
+    res.status(500).json({ message: req.t('errors.server.deletingPersonalSymbol') });
+  }
+};
+
+/**
+ * Export the current user's personal dictionary as a JSON file
+ * @route GET /api/symbols/personal/export
+ * @access Private
+ */
+const exportPersonalSymbols = async (req, res) => {
+  console.log('Controller: exportPersonalSymbols - Request received');
+
+  try {
+    const symbols = await PersonalSymbol.find({ user: req.user._id })
+      .select('name meaning synonyms notes -_id')
+      .sort('name')
+      .lean();
+
+    res.setHeader('Content-Disposition', 'attachment; filename="dreamlyzer-personal-symbols.json"');
+    res.status(200).json({
+      exportedAt: new Date(),
+      count: symbols.length,
+      symbols
+    });
+
+  } catch (error) {
+    console.error('Error exporting personal symbols:', error.message);
+    res.status(500).json({ message: req.t('errors.server.exportingPersonalSymbols') });
+  }
+};
+
+/**
+ * Import personal symbols (the export format)
+ * `mode: "merge"` (default) adds new symbols and updates existing ones by name,
+ * `mode: "replace"` replaces the whole personal dictionary.
+ * @route POST /api/symbols/personal/import
+ * @access Private
+ */
+const importPersonalSymbols = async (req, res) => {
+  console.log('Controller: importPersonalSymbols - Request received');
+
+  try {
+    const { symbols, mode = 'merge' } = req.body;
+
+    if (!Array.isArray(symbols)) {
+      return res.status(400).json({ message: req.t('errors.symbolsNotArray') });
+    }
+
+    if (!['merge', 'replace'].includes(mode)) {
+      return res.status(400).json({ message: req.t('errors.invalidImportMode') });
+    }
+
+    // Validate every entry before writing anything
+    const documents = symbols.map(entry =>
+      new PersonalSymbol({ ...pickPersonalFields(entry || {}), user: req.user._id })
+    );
+    const invalid = documents
+      .map((document, index) => ({ index, name: document.name, error: document.validateSync() }))
+      .filter(result => result.error)
+      .map(result => ({ index: result.index, name: result.name, ...validationErrorBody(req, result.error) }));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: req.t('errors.invalidSymbols'), errors: invalid });
+    }
+
+    const result = documents.length > 0
+      ? await PersonalSymbol.bulkWrite(documents.map(document => ({
+        updateOne: {
+          filter: { user: req.user._id, name: document.name },
+          update: {
+            $set: {
+              meaning: document.meaning,
+              synonyms: document.synonyms,
+              notes: document.notes
+            }
+          },
+          upsert: true
+        }
+      })))
+      : { upsertedCount: 0, modifiedCount: 0 };
+
+    // Remove the symbols the import left out only once it is written, so a failed
+    // write does not leave the dictionary empty
+    const removed = mode === 'replace'
+      ? await PersonalSymbol.deleteMany({
+        user: req.user._id,
+        name: { $nin: documents.map(document => document.name) }
+      })
+      : { deletedCount: 0 };
+
+    const summary = {
+      mode,
+      created: result.upsertedCount,
+      updated: result.modifiedCount,
+      removed: removed.deletedCount,
+      total: await PersonalSymbol.countDocuments({ user: req.user._id })
+    };
+
+    console.log('Personal symbols imported:', { userId: req.user._id, ...summary });
+
+    res.status(200).json(summary);
+
+  } catch (error) {
+    console.error('Error importing personal symbols:', error.message);
+    res.status(500).json({ message: req.t('errors.server.importingPersonalSymbols') });
+  }
+};
+
+/**
+ * Re-analyze the current user's dreams so they reflect personal dictionary changes
+ * @route POST /api/symbols/personal/reanalyze
+ * @access Private
+ */
+const reanalyzeWithPersonalSymbols = async (req, res) => {
+  console.log('Controller: reanalyzeWithPersonalSymbols - Request received');
+
+  try {
+    // Dreams already waiting for analysis will pick up the new dictionary anyway
+    const dreams = await Dream.find({ user: req.user._id, analysisStatus: { $ne: 'pending' } })
+      .select('_id user');
+
+    await Dream.updateMany(
+      { _id: { $in: dreams.map(dream => dream._id) } },
+      { $set: { analysisStatus: 'pending' }, $unset: { analysisError: 1 } }
+    );
+
+    for (const dream of dreams) {
+      await enqueueAnalysis(dream);
+    }
+
+    console.log('Queued re-analysis with personal symbols:', { userId: req.user._id, dreams: dreams.length });
+
+    res.status(202).json({ queued: dreams.length });
+
+  } catch (error) {
+    console.error('Error queueing re-analysis:', error.message);
+    res.status(500).json({ message: req.t('errors.server.queueingReanalysis') });
+  }
+};
+
+/**
+ * List the interpretation frameworks symbols can be read through
+ * @route GET /api/symbols/frameworks
+ * @access Private
+ */
+const getFrameworks = (req, res) => {
+  console.log('Controller: getFrameworks - Request received');
+
+  res.json({
+    selected: req.user.preferences?.interpretationFramework || DEFAULT_FRAMEWORK,
+    frameworks: Object.entries(FRAMEWORKS).map(([key, framework]) => ({ key, ...framework }))
+  });
+};
+
+module.exports = {
+  getSymbols,
+  getSymbol,
+  createSymbol,
+  updateSymbol,
+  deleteSymbol,
+  getPersonalSymbols,
+  createPersonalSymbol,
+  updatePersonalSymbol,
+  deletePersonalSymbol,
+  exportPersonalSymbols,
+  importPersonalSymbols,
+  reanalyzeWithPersonalSymbols,
+  getFrameworks
+};
@@ -26,7 +26,7 @@ const registerUser = async (req, res) => {
         username 
       });
       return res.status(400).json({ 
-        message: 'Email or username already exists' 
+        message: req.t('errors.userExists') 
       });
     }
     
@@ -59,7 +59,7 @@ const registerUser = async (req, res) => {
     });
   } catch (error) {
     console.error('Registration error:', error.message);
-    res.status(500).json({ message: 'Server error during registration' });
+    res.status(500).json({ message: req.t('errors.server.duringRegistration') });
   }
 };
 
@@ -82,7 +82,7 @@ const loginUser = async (req, res) => {
     // Check if user exists
     if (!user) {
       console.log('Login failed - User not found:', { email });
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return res.status(401).json({ message: req.t('errors.invalidCredentials') });
     }
     
     // Check if password matches
@@ -90,7 +90,7 @@ const loginUser = async (req, res) => {
     
     if (!isMatch) {
       console.log('Login failed - Incorrect password:', { email });
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return res.status(401).json({ message: req.t('errors.invalidCredentials') });
     }
     
     console.log('User successfully logged in:', { id: user._id, email });
@@ -115,7 +115,7 @@ const loginUser = async (req, res) => {
     
   } catch (error) {
     console.error('Login error:', error.message);
-    res.status(500).json({ message: 'Server error during login' });
+    res.status(500).json({ message: req.t('errors.server.duringLogin') });
   }
 };
 
@@ -136,7 +136,7 @@ const getUserProfile = async (req, res) => {
     });
   } catch (error) {
     console.error('Get profile error:', error.message);
-    res.status(500).json({ message: 'Server error retrieving user profile' });
+    res.status(500).json({ message: req.t('errors.server.retrievingUserProfile') });
   }
 };
 
@@ -152,7 +152,7 @@ const updateUserProfile = async (req, res) => {
     const user = await User.findById(req.user._id);
     
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      return res.status(404).json({ message: req.t('errors.userNotFound') });
     }
     
     // Update fields if provided
@@ -171,7 +171,7 @@ const updateUserProfile = async (req, res) => {
     
   } catch (error) {
     console.error('Update profile error:', error.message);
-    res.status(500).json({ message: 'Server error updating user profile' });
+    res.status(500).json({ message: req.t('errors.server.updatingUserProfile') });
   }
 };
 
@@ -8,6 +8,24 @@ const swaggerJsdoc = require('swagger-jsdoc');
 // Import routes
 const userRoutes = require('./routes/user.routes');
 const dreamRoutes = require('./routes/dream.routes');
+const adminRoutes = require('./routes/admin.routes');
+const symbolRoutes = require('./routes/symbol.routes');
+const characterRoutes = require('./routes/character.routes');
+const placeRoutes = require('./routes/place.routes');
+const seriesRoutes = require('./routes/series.routes');
+const sleepSessionRoutes = require('./routes/sleepSession.routes');
+const dreamSignRoutes = require('./routes/dreamSign.routes');
+const practiceRoutes = require('./routes/practice.routes');
+const rescriptRoutes = require('./routes/rescript.routes');
+
+// Import middleware
+const { localize } = require('./middleware/i18n.middleware');
+
+// Import background jobs
+const { resumeReanalysisJobs } = require('./jobs/reanalysis.job');
+const { startWorker } = require('./jobs/analysis.job');
+const migrateTextIndex = require('./scripts/migrateTextIndex');
+const migrateAliasIndexes = require('./scripts/migrateAliasIndexes');
 
 // Load environment variables
 dotenv.config();
@@ -47,18 +65,28 @@ console.log('Swagger documentation generated');
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(localize);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 console.log('Middleware configured');
 
 // Routes
 app.use('/api/users', userRoutes);
 app.use('/api/dreams', dreamRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/symbols', symbolRoutes);
+app.use('/api/characters', characterRoutes);
+app.use('/api/places', placeRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/sleep-sessions', sleepSessionRoutes);
+app.use('/api/dream-signs', dreamSignRoutes);
+app.use('/api/practice', practiceRoutes);
+app.use('/api/rescripts', rescriptRoutes);
 console.log('Routes registered');
 
 // Health check route
 app.get('/health', (req, res) => {
   console.log('Health check request received');
-  res.status(200).json({ status: 'OK', message: 'Server is running' });
+  res.status(200).json({ status: 'OK', message: req.t('messages.serverRunning') });
 });
 
 // Connect to MongoDB
@@ -67,6 +95,26 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dreamscop
   .then(() => {
     console.log('Connected to MongoDB successfully');
     
+    // Rebuild a dream text index left with the options of an older version
+    migrateTextIndex().catch(err => {
+      console.error('Error migrating the dream text index:', err.message);
+    });
+    
+    // Make the alias indexes of databases from an older version unique
+    migrateAliasIndexes().catch(err => {
+      console.error('Error migrating the alias indexes:', err.message);
+    });
+    
+    // Process the analysis queue in this process unless dedicated workers are used
+    if (process.env.RUN_ANALYSIS_WORKER !== 'false') {
+      startWorker({ concurrency: parseInt(process.env.ANALYSIS_WORKER_CONCURRENCY) || 1 });
+    }
+    
+    // Pick up re-analysis jobs interrupted by a restart
+    resumeReanalysisJobs().catch(err => {
+      console.error('Error resuming re-analysis jobs:', err.message);
+    });
+    
     // Start server
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
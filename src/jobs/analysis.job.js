@@ -0,0 +1,263 @@
+const os = require('os');
+const EventEmitter = require('events');
+const Dream = require('../models/dream.model');
+const AnalysisJob = require('../models/analysisJob.model');
+const PersonalSymbol = require('../models/personalSymbol.model');
+const { createPipeline } = require('../utils/analysisPipeline');
+const { linkDreamCharacters } = require('../utils/characterLinker');
+const { linkDreamPlaces } = require('../utils/placeLinker');
+const { linkDreamSigns } = require('../utils/dreamSignLinker');
+
+/**
+ * MongoDB-backed queue for dream analysis
+ * Dreams are saved with `analysisStatus: 'pending'` and an AnalysisJob is queued.
+ * Workers (in the API process or in `src/workers/analysis.worker.js`) claim jobs
+ * atomically, run the analysis pipeline and retry failures with backoff.
+ */
+
+// Stage errors should fail the job so it can be retried
+const pipeline = createPipeline({ strict: true });
+
+// Jobs locked for longer than this are considered abandoned by a crashed worker
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Base delay for retry backoff (doubles with every attempt)
+const RETRY_DELAY_MS = 5 * 1000;
+
+// Emits `done` / `failed` with { dreamId, status } when this process finishes a job
+const analysisEvents = new EventEmitter();
+analysisEvents.setMaxListeners(0);
+
+/**
+ * Queue analysis for a dream
+ * @param {Object} dream - Saved dream document
+ * @param {Object} options - Job options
+ * @param {boolean} options.applySuggestedCategory - Use the suggested category once analyzed
+ * @returns {Promise<Object>} The queued job
+ */
+async function enqueueAnalysis(dream, { applySuggestedCategory = false } = {}) {
+  // Any older queued job for this dream is superseded by the new content; a job
+  // already processing the old content discards its results (see processJob)
+  await AnalysisJob.updateMany(
+    { dream: dream._id, status: 'queued' },
+    { $set: { status: 'failed', lastError: 'Superseded by a newer analysis job' } }
+  );
+
+  const job = new AnalysisJob({
+    dream: dream._id,
+    user: dream.user,
+    applySuggestedCategory
+  });
+
+  await job.save();
+  console.log('Analysis job queued:', { jobId: job._id, dreamId: dream._id });
+  return job;
+}
+
+/**
+ * Fail abandoned jobs that have used all their attempts
+ * A job whose worker stops during every attempt (e.g. a crash the dream triggers)
+ * would otherwise be reclaimed forever. The dream is marked failed unless a newer
+ * job will analyze it.
+ * @param {Date} now - Current time
+ */
+async function failExhaustedJobs(now) {
+  const stale = {
+    status: 'processing',
+    lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+    $expr: { $gte: ['$attempts', '$maxAttempts'] }
+  };
+  const jobs = await AnalysisJob.find(stale).select('_id');
+
+  for (const { _id } of jobs) {
+    const job = await AnalysisJob.findOneAndUpdate(
+      { _id, ...stale },
+      {
+        $set: {
+          status: 'failed',
+          lastError: 'Worker stopped during the last attempt',
+          completedAt: now,
+          lockedAt: null,
+          lockedBy: null
+        }
+      },
+      { new: true }
+    );
+    if (!job) continue;
+
+    console.error('Analysis job abandoned after its last attempt:', { jobId: job._id, dreamId: job.dream });
+    const newerJob = await AnalysisJob.exists({
+      dream: job.dream,
+      status: { $in: ['queued', 'processing'] }
+    });
+    if (!newerJob) {
+      await Dream.updateOne(
+        { _id: job.dream, analysisStatus: 'pending' },
+        { $set: { analysisStatus: 'failed', analysisError: job.lastError } }
+      );
+      analysisEvents.emit('failed', { dreamId: job.dream.toString(), status: 'failed' });
+    }
+  }
+}
+
+/**
+ * Atomically claim the next runnable job
+ * Abandoned jobs are reclaimed while they have attempts left.
+ * @param {string} workerId - Identifier of the claiming worker
+ * @returns {Promise<Object|null>} Claimed job, or null when the queue is empty
+ */
+async function claimNextJob(workerId) {
+  const now = new Date();
+
+  await failExhaustedJobs(now);
+
+  return AnalysisJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        {
+          status: 'processing',
+          lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Run the analysis for a claimed job and record the outcome
+ * @param {Object} job - Claimed job
+ * @returns {Promise<Object>} The updated job
+ */
+async function processJob(job) {
+  const dream = await Dream.findById(job.dream);
+
+  if (!dream) {
+    job.status = 'failed';
+    job.lastError = 'Dream no longer exists';
+    job.completedAt = new Date();
+    return job.save();
+  }
+
+  try {
+    const personalSymbols = await PersonalSymbol.forUser(dream.user);
+    // The stored language was detected when the content was saved
+    const analysis = await pipeline.run(dream.content, { personalSymbols, language: dream.language });
+    const fields = Dream.analysisFields(analysis);
+
+    if (job.applySuggestedCategory && analysis.categories && analysis.categories.length > 0) {
+      fields.category = analysis.categories[0].category;
+    }
+
+    // Only write the results if the dream still has the content that was analyzed;
+    // an edit during the analysis queued a newer job that will analyze the new content
+    const result = await Dream.updateOne(
+      { _id: dream._id, content: dream.content },
+      { $set: fields, $unset: { analysisError: 1 } }
+    );
+    if (result.matchedCount === 0) {
+      job.status = 'failed';
+      job.lastError = 'Superseded by a newer analysis job';
+      job.completedAt = new Date();
+      job.lockedAt = null;
+      job.lockedBy = null;
+      await job.save();
+      console.log('Analysis job superseded by an edit:', { jobId: job._id, dreamId: dream._id });
+      return job;
+    }
+
+    // The character and place registries and dream signs are secondary; a linking error should not fail the analysis
+    await linkDreamCharacters(dream, fields.contentCoding)
+      .catch(error => console.error('Character linking failed:', { dreamId: dream._id, error: error.message }));
+    await linkDreamPlaces(dream, fields.contentCoding, fields.analysis && fields.analysis.entities)
+      .catch(error => console.error('Place linking failed:', { dreamId: dream._id, error: error.message }));
+    await linkDreamSigns(dream, fields)
+      .catch(error => console.error('Dream sign linking failed:', { dreamId: dream._id, error: error.message }));
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.lastError = null;
+    await job.save();
+
+    console.log('Analysis job completed:', { jobId: job._id, dreamId: dream._id, attempts: job.attempts });
+    analysisEvents.emit('done', { dreamId: dream._id.toString(), status: 'done' });
+
+  } catch (error) {
+    console.error('Analysis job failed:', { jobId: job._id, attempt: job.attempts, error: error.message });
+    job.lastError = error.message;
+
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'failed';
+      job.completedAt = new Date();
+      await Dream.updateOne(
+        { _id: dream._id },
+        { $set: { analysisStatus: 'failed', analysisError: error.message } }
+      );
+      analysisEvents.emit('failed', { dreamId: dream._id.toString(), status: 'failed' });
+    } else {
+      // Retry later with exponential backoff
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + RETRY_DELAY_MS * Math.pow(2, job.attempts - 1));
+    }
+
+    job.lockedAt = null;
+    job.lockedBy = null;
+    await job.save();
+  }
+
+  return job;
+}
+
+/**
+ * Start polling the queue for jobs
+ * @param {Object} options - Worker options
+ * @param {number} options.concurrency - Jobs processed in parallel
+ * @param {number} options.pollInterval - Delay between polls when the queue is empty (ms)
+ * @returns {Object} Worker handle with a `stop()` method
+ */
+function startWorker({ concurrency = 1, pollInterval = 1000 } = {}) {
+  const workerId = `${os.hostname()}:${process.pid}:${Math.random().toString(36).slice(2, 8)}`;
+  let stopped = false;
+
+  const loop = async () => {
+    while (!stopped) {
+      try {
+        const job = await claimNextJob(workerId);
+        if (job) {
+          await processJob(job);
+          continue;
+        }
+      } catch (error) {
+        console.error('Analysis worker error:', error.message);
+      }
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+  };
+
+  for (let i = 0; i < concurrency; i++) {
+    loop();
+  }
+
+  console.log('Analysis worker started:', { workerId, concurrency });
+
+  return {
+    workerId,
+    stop: () => {
+      stopped = true;
+    }
+  };
+}
+
+module.exports = {
+  analysisEvents,
+  enqueueAnalysis,
+  claimNextJob,
+  processJob,
+  startWorker
+};
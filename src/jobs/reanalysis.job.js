@@ -0,0 +1,319 @@
+const os = require('os');
+const Dream = require('../models/dream.model');
+const ReanalysisJob = require('../models/reanalysisJob.model');
+const PersonalSymbol = require('../models/personalSymbol.model');
+const { defaultPipeline } = require('../utils/analysisPipeline');
+const { linkDreamCharacters } = require('../utils/characterLinker');
+const { linkDreamPlaces } = require('../utils/placeLinker');
+const { linkDreamSigns } = require('../utils/dreamSignLinker');
+
+/**
+ * Background re-analysis of stored dreams
+ * Walks the matching dreams in _id order, in batches, re-running the analysis
+ * pipeline and recording progress and before/after diffs on the job document.
+ * Every API process resumes unfinished jobs on startup; a job is claimed
+ * atomically, so only one process runs it.
+ */
+
+// Jobs currently being processed by this server process
+const activeJobs = new Set();
+
+// Identifies this process as the holder of a job's lock
+const processId = `${os.hostname()}:${process.pid}`;
+
+// A running job whose lock was not renewed for this long was abandoned by a stopped process
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Atomically claim a job for this process
+ * A queued job, or a running job whose lock expired, can be claimed.
+ * @param {string} jobId - ID of the job
+ * @returns {Promise<Object|null>} Claimed job, or null when it is finished or held by another process
+ */
+function claimJob(jobId) {
+  const now = new Date();
+
+  return ReanalysisJob.findOneAndUpdate(
+    {
+      _id: jobId,
+      $or: [
+        { status: 'queued' },
+        { status: 'running', lockedBy: processId },
+        { status: 'running', lockedAt: null },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'running', lockedAt: now, lockedBy: processId } },
+    { new: true }
+  );
+}
+
+/**
+ * Renew this process's lock on a job
+ * @param {string} jobId - ID of the job
+ * @returns {Promise<boolean>} False when another process has taken the job over
+ */
+async function renewLock(jobId) {
+  const result = await ReanalysisJob.updateOne(
+    { _id: jobId, lockedBy: processId },
+    { $set: { lockedAt: new Date() } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * Build the dream query for a job
+ * Dreams waiting for their own analysis are left to it.
+ * @param {Object} job - Re-analysis job
+ * @returns {Object} Mongo query
+ */
+function buildDreamQuery(job) {
+  const query = { analysisStatus: { $ne: 'pending' } };
+
+  if (job.targetUser) {
+    query.user = job.targetUser;
+  }
+
+  if (job.onlyOutdated) {
+    query.analyzerVersion = { $ne: job.analyzerVersion };
+  }
+
+  return query;
+}
+
+/**
+ * Compare two string lists
+ * @param {Array} before - Previous values
+ * @param {Array} after - New values
+ * @returns {Object} Added and removed values
+ */
+function diffLists(before = [], after = []) {
+  return {
+    added: after.filter(item => !before.includes(item)),
+    removed: before.filter(item => !after.includes(item))
+  };
+}
+
+/**
+ * Describe how a dream's analysis changed
+ * @param {Object} dream - Dream before re-analysis
+ * @param {Object} fields - New analysis fields
+ * @returns {Object|null} Diff, or null when nothing changed
+ */
+function diffAnalysis(dream, fields) {
+  const keywords = diffLists(dream.keywords, fields.keywords);
+  const symbols = diffLists(
+    (dream.symbols || []).map(s => s.symbol),
+    (fields.symbols || []).map(s => s.symbol)
+  );
+  const primaryEmotion = {
+    before: dream.emotions?.primary,
+    after: fields.emotions?.primary
+  };
+  const sentimentScore = {
+    before: dream.analysis?.sentiment?.score,
+    after: fields.analysis?.sentiment?.score
+  };
+
+  const hasChanges = keywords.added.length > 0 || keywords.removed.length > 0 ||
+    symbols.added.length > 0 || symbols.removed.length > 0 ||
+    primaryEmotion.before !== primaryEmotion.after ||
+    sentimentScore.before !== sentimentScore.after;
+
+  if (!hasChanges) {
+    return null;
+  }
+
+  return {
+    dream: dream._id,
+    fromVersion: dream.analyzerVersion,
+    toVersion: fields.analyzerVersion,
+    keywords,
+    symbols,
+    primaryEmotion,
+    sentimentScore
+  };
+}
+
+/**
+ * Re-analyze one dream and save the new analysis
+ * @param {Object} dream - Dream document
+ * @returns {Promise<Object>} { skipped, diff }: skipped when the dream was edited or
+ *   queued for analysis meanwhile, diff null when the analysis did not change
+ */
+async function reanalyzeDream(dream) {
+  const personalSymbols = await PersonalSymbol.forUser(dream.user);
+  const analysis = await defaultPipeline.run(dream.content, { personalSymbols });
+  const fields = Dream.analysisFields(analysis);
+  const diff = diffAnalysis(dream, fields);
+
+  // Only write the results if the dream still has the content that was analyzed and
+  // is not waiting for its own analysis, which will analyze the current content
+  const result = await Dream.updateOne(
+    { _id: dream._id, content: dream.content, analysisStatus: { $ne: 'pending' } },
+    { $set: fields }
+  );
+  if (result.matchedCount === 0) {
+    return { skipped: true, diff: null };
+  }
+
+  await linkDreamCharacters(dream, fields.contentCoding)
+    .catch(error => console.error('Character linking failed:', { dreamId: dream._id, error: error.message }));
+  await linkDreamPlaces(dream, fields.contentCoding, fields.analysis && fields.analysis.entities)
+    .catch(error => console.error('Place linking failed:', { dreamId: dream._id, error: error.message }));
+  await linkDreamSigns(dream, fields)
+    .catch(error => console.error('Dream sign linking failed:', { dreamId: dream._id, error: error.message }));
+
+  return { skipped: false, diff };
+}
+
+/**
+ * Process a re-analysis job to completion
+ * @param {string} jobId - ID of the job to run
+ * @returns {Promise<Object>} The finished job
+ */
+async function runReanalysisJob(jobId) {
+  if (activeJobs.has(jobId.toString())) {
+    console.log('Re-analysis job already running:', jobId);
+    return null;
+  }
+  activeJobs.add(jobId.toString());
+
+  let job = null;
+
+  try {
+    job = await claimJob(jobId);
+    if (!job) {
+      console.log('Re-analysis job finished or claimed by another process:', jobId);
+      return null;
+    }
+
+    const query = buildDreamQuery(job);
+
+    if (!job.startedAt) {
+      job.startedAt = new Date();
+      job.progress.total = await Dream.countDocuments(query);
+      await job.save();
+    }
+
+    console.log('Re-analysis job started:', {
+      jobId: job._id,
+      total: job.progress.total,
+      resumeAfter: job.lastDreamId
+    });
+
+    let hasMore = true;
+    while (hasMore) {
+      const batchQuery = job.lastDreamId
+        ? { ...query, _id: { $gt: job.lastDreamId } }
+        : query;
+
+      const batch = await Dream.find(batchQuery)
+        .sort({ _id: 1 })
+        .limit(job.batchSize);
+
+      for (const dream of batch) {
+        try {
+          const { skipped, diff } = await reanalyzeDream(dream);
+          if (skipped) {
+            job.progress.skipped += 1;
+          } else if (diff) {
+            job.progress.changed += 1;
+            if (job.diffs.length < job.maxDiffs) {
+              job.diffs.push(diff);
+            }
+          }
+        } catch (error) {
+          console.error('Error re-analyzing dream:', { dreamId: dream._id, error: error.message });
+          job.progress.failed += 1;
+          if (job.failures.length < job.maxFailures) {
+            job.failures.push({ dream: dream._id, message: error.message });
+          }
+        }
+        job.progress.processed += 1;
+        job.lastDreamId = dream._id;
+
+        // Renew the lock after every dream, so a long batch does not look abandoned
+        if (!(await renewLock(job._id))) {
+          console.log('Re-analysis job taken over by another process:', job._id);
+          return null;
+        }
+      }
+
+      // Persist progress after every batch
+      job.lockedAt = new Date();
+      await job.save();
+      console.log('Re-analysis job progress:', {
+        jobId: job._id,
+        processed: job.progress.processed,
+        total: job.progress.total
+      });
+
+      hasMore = batch.length === job.batchSize;
+    }
+
+    job.status = 'completed';
+    job.finishedAt = new Date();
+    job.lockedAt = null;
+    job.lockedBy = null;
+    await job.save();
+
+    console.log('Re-analysis job completed:', { jobId: job._id, progress: job.progress });
+    return job;
+
+  } catch (error) {
+    console.error('Re-analysis job failed:', { jobId, error: error.message });
+    if (job) {
+      job.status = 'failed';
+      job.error = error.message;
+      job.finishedAt = new Date();
+      job.lockedAt = null;
+      job.lockedBy = null;
+      await job.save();
+    }
+    return job;
+  } finally {
+    activeJobs.delete(jobId.toString());
+  }
+}
+
+/**
+ * Start a job in the background without blocking the caller
+ * @param {string} jobId - ID of the job to run
+ */
+function startReanalysisJob(jobId) {
+  setImmediate(() => {
+    runReanalysisJob(jobId).catch(error => {
+      console.error('Unhandled re-analysis job error:', error.message);
+    });
+  });
+}
+
+/**
+ * Resume jobs left queued or running when the server last stopped
+ * Jobs another process holds a live lock on are left to it; runReanalysisJob
+ * claims each job, so processes starting together do not run one job twice.
+ * @returns {Promise<number>} Number of jobs resumed
+ */
+async function resumeReanalysisJobs() {
+  const jobs = await ReanalysisJob.find({
+    $or: [
+      { status: 'queued' },
+      { status: 'running', lockedAt: null },
+      { status: 'running', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } }
+    ]
+  }).select('_id');
+  jobs.forEach(job => startReanalysisJob(job._id));
+
+  if (jobs.length > 0) {
+    console.log(`Resuming ${jobs.length} re-analysis job(s)`);
+  }
+  return jobs.length;
+}
+
+module.exports = {
+  runReanalysisJob,
+  startReanalysisJob,
+  resumeReanalysisJobs,
+  diffAnalysis
+};
@@ -0,0 +1,293 @@
+/**
+ * English message catalog
+ * Keys are looked up by utils/i18n; `{name}` placeholders are filled at runtime.
+ * Every catalog should define the same keys (missing ones fall back to English).
+ */
+module.exports = {
+  errors: {
+    validation: 'Invalid value for: {fields}',
+    dreamNotFound: 'Dream not found',
+    dreamNotShared: 'This dream is not shared',
+    dreamAccessDenied: 'Not authorized to access this dream',
+    dreamUpdateDenied: 'Not authorized to update this dream',
+    dreamDeleteDenied: 'Not authorized to delete this dream',
+    dreamShareDenied: 'Not authorized to share this dream',
+    searchQueryRequired: 'Search query is required',
+    unknownFramework: 'Unknown interpretation framework',
+    analysisInProgress: 'Analysis is already in progress',
+    symbolNotFound: 'Symbol not found',
+    invalidSymbolId: 'Invalid symbol ID',
+    symbolUpdateDenied: 'Not authorized to update this symbol',
+    symbolDeleteDenied: 'Not authorized to delete this symbol',
+    duplicateSymbol: 'A symbol with this name already exists',
+    symbolsNotArray: 'symbols must be an array',
+    invalidSymbols: 'Some symbols are invalid',
+    invalidImportMode: 'mode must be "merge" or "replace"',
+    userNotFound: 'User not found',
+    userExists: 'Email or username already exists',
+    invalidCredentials: 'Invalid credentials',
+    invalidUserId: 'Invalid user ID',
+    invalidJobId: 'Invalid job ID',
+    unsupportedLocale: 'Unsupported language',
+    invalidTimezone: 'Unknown time zone',
+    contentCodingUnsupported: 'Content coding is only available for dreams written in English',
+    unknownNormSet: 'Unknown norm set',
+    reanalysisJobNotFound: 'Re-analysis job not found',
+    characterNotFound: 'Character not found',
+    invalidCharacterId: 'Invalid character ID',
+    characterAccessDenied: 'Not authorized to access this character',
+    characterUpdateDenied: 'Not authorized to update this character',
+    characterDeleteDenied: 'Not authorized to delete this character',
+    duplicateAlias: 'The alias "{alias}" already belongs to {name}',
+    aliasTaken: 'One of the aliases is already in use',
+    characterIdsRequired: 'characterIds must be a non-empty array',
+    cannotMergeIntoItself: 'A character cannot be merged into itself',
+    nothingToSplit: 'Give the aliases or dreams to split off',
+    aliasNotOnCharacter: 'The character has no alias "{alias}"',
+    invalidSplitDreamIds: 'dreamIds must be an array of valid dream IDs',
+    placeNotFound: 'Place not found',
+    invalidPlaceId: 'Invalid place ID',
+    placeAccessDenied: 'Not authorized to access this place',
+    placeUpdateDenied: 'Not authorized to update this place',
+    placeDeleteDenied: 'Not authorized to delete this place',
+    placeIdsRequired: 'placeIds must be a non-empty array',
+    cannotMergePlaceIntoItself: 'A place cannot be merged into itself',
+    cannotConnectPlaceToItself: 'A place cannot be connected to itself',
+    invalidLinkType: 'type must be one of: {types}',
+    cannotLinkDreamToItself: 'A dream cannot be linked to itself',
+    duplicateDreamLink: 'This link already exists',
+    dreamLinkNotFound: 'Link not found',
+    seriesNotFound: 'Series not found',
+    invalidSeriesId: 'Invalid series ID',
+    invalidRatingFilter: '{name} must be a whole number',
+    seriesAccessDenied: 'Not authorized to access this series',
+    seriesUpdateDenied: 'Not authorized to update this series',
+    seriesDeleteDenied: 'Not authorized to delete this series',
+    dreamIdsRequired: 'dreamIds must be a non-empty array',
+    seriesDreamsNotFound: 'Some dreams were not found',
+    dreamNotInSeries: 'The dream is not in this series',
+    sleepSessionNotFound: 'Sleep session not found',
+    invalidSleepSessionId: 'Invalid sleep session ID',
+    sleepSessionAccessDenied: 'Not authorized to access this sleep session',
+    sleepSessionUpdateDenied: 'Not authorized to update this sleep session',
+    sleepSessionDeleteDenied: 'Not authorized to delete this sleep session',
+    sessionDreamsNotFound: 'Some dreams were not found',
+    dreamAlreadyInSession: 'The dream is already in this sleep session',
+    dreamNotInSession: 'The dream is not in this sleep session',
+    sessionOrderMismatch: 'dreamIds must list every dream of the sleep session exactly once',
+    invalidRecallLevel: 'recall must be one of: {levels}',
+    dreamSignNotFound: 'Dream sign not found',
+    invalidDreamSignId: 'Invalid dream sign ID',
+    dreamSignAccessDenied: 'Not authorized to access this dream sign',
+    dreamSignUpdateDenied: 'Not authorized to update this dream sign',
+    dreamSignDeleteDenied: 'Not authorized to delete this dream sign',
+    duplicateSignAlias: 'The alias "{alias}" already belongs to the dream sign "{name}"',
+    invalidDreamSignCategory: 'category must be one of: {categories}',
+    practiceNotFound: 'Practice entry not found',
+    invalidPracticeId: 'Invalid practice entry ID',
+    practiceAccessDenied: 'Not authorized to access this practice entry',
+    practiceUpdateDenied: 'Not authorized to update this practice entry',
+    practiceDeleteDenied: 'Not authorized to delete this practice entry',
+    invalidTechnique: 'technique must be one of: {techniques}',
+    rescriptNotFound: 'Rescript not found',
+    invalidRescriptId: 'Invalid rescript ID',
+    rescriptAccessDenied: 'Not authorized to access this rescript',
+    rescriptUpdateDenied: 'Not authorized to update this rescript',
+    rescriptDeleteDenied: 'Not authorized to delete this rescript',
+    rescriptNightmareNotFound: 'Nightmare not found',
+    notANightmare: 'Only dreams in the nightmare category can be rescripted',
+    invalidRescriptStatus: 'status must be one of: {statuses}',
+    rehearsalNotFound: 'Rehearsal not found',
+    invalidBaselineWeeks: 'baselineWeeks must be a whole number from 0 to {max}',
+    auth: {
+      noToken: 'Not authorized, no token',
+      tokenFailed: 'Not authorized, token failed',
+      userNotFound: 'Not authorized, user not found',
+      adminRequired: 'Not authorized, admin access required'
+    },
+    server: {
+      duringRegistration: 'Server error during registration',
+      duringLogin: 'Server error during login',
+      retrievingUserProfile: 'Server error retrieving user profile',
+      updatingUserProfile: 'Server error updating user profile',
+      updatingPreferences: 'Server error updating preferences',
+      creatingDreamEntry: 'Server error creating dream entry',
+      fetchingDreams: 'Server error fetching dreams',
+      fetchingDream: 'Server error fetching dream',
+      updatingDream: 'Server error updating dream',
+      deletingDream: 'Server error deleting dream',
+      searchingDreams: 'Server error searching dreams',
+      generatingDreamStatistics: 'Server error generating dream statistics',
+      comparingWithNorms: 'Server error comparing with norms',
+      analyzingDreamPatterns: 'Server error analyzing dream patterns',
+      sharingDream: 'Server error sharing dream',
+      accessingSharedDream: 'Server error accessing shared dream',
+      generatingDreamInsights: 'Server error generating dream insights',
+      generatingContentAnalysis: 'Server error generating content analysis',
+      detectingLucidity: 'Server error detecting lucidity',
+      fetchingAnalysisStatus: 'Server error fetching analysis status',
+      streamingAnalysisStatus: 'Server error streaming analysis status',
+      retryingAnalysis: 'Server error retrying analysis',
+      fetchingSymbols: 'Server error fetching symbols',
+      fetchingSymbol: 'Server error fetching symbol',
+      creatingSymbol: 'Server error creating symbol',
+      updatingSymbol: 'Server error updating symbol',
+      deletingSymbol: 'Server error deleting symbol',
+      fetchingPersonalSymbols: 'Server error fetching personal symbols',
+      creatingPersonalSymbol: 'Server error creating personal symbol',
+      updatingPersonalSymbol: 'Server error updating personal symbol',
+      deletingPersonalSymbol: 'Server error deleting personal symbol',
+      exportingPersonalSymbols: 'Server error exporting personal symbols',
+      importingPersonalSymbols: 'Server error importing personal symbols',
+      queueingReanalysis: 'Server error queueing re-analysis',
+      startingReanalysisJob: 'Server error starting re-analysis job',
+      fetchingReanalysisJobs: 'Server error fetching re-analysis jobs',
+      fetchingReanalysisJob: 'Server error fetching re-analysis job',
+      fetchingCharacters: 'Server error fetching characters',
+      fetchingCharacter: 'Server error fetching character',
+      creatingCharacter: 'Server error creating character',
+      updatingCharacter: 'Server error updating character',
+      deletingCharacter: 'Server error deleting character',
+      fetchingCharacterTimeline: 'Server error fetching character timeline',
+      mergingCharacters: 'Server error merging characters',
+      splittingCharacter: 'Server error splitting character',
+      updatingCharacterAppearances: 'Server error updating character appearances',
+      fetchingPlaces: 'Server error fetching places',
+      fetchingPlace: 'Server error fetching place',
+      fetchingPlaceGraph: 'Server error fetching place graph',
+      fetchingPlaceDreams: 'Server error fetching place dreams',
+      creatingPlace: 'Server error creating place',
+      updatingPlace: 'Server error updating place',
+      deletingPlace: 'Server error deleting place',
+      mergingPlaces: 'Server error merging places',
+      connectingPlaces: 'Server error connecting places',
+      disconnectingPlaces: 'Server error disconnecting places',
+      updatingPlaceDreams: 'Server error updating place dreams',
+      fetchingDreamLinks: 'Server error fetching dream links',
+      creatingDreamLink: 'Server error creating dream link',
+      deletingDreamLink: 'Server error deleting dream link',
+      suggestingDreamLinks: 'Server error suggesting dream links',
+      fetchingSeriesList: 'Server error fetching series',
+      fetchingSeries: 'Server error fetching series',
+      creatingSeries: 'Server error creating series',
+      updatingSeries: 'Server error updating series',
+      deletingSeries: 'Server error deleting series',
+      updatingSeriesDreams: 'Server error updating series dreams',
+      fetchingSeriesNarrative: 'Server error fetching series narrative',
+      fetchingSleepSessions: 'Server error fetching sleep sessions',
+      creatingSleepSession: 'Server error creating sleep session',
+      fetchingSleepSession: 'Server error fetching sleep session',
+      updatingSleepSession: 'Server error updating sleep session',
+      deletingSleepSession: 'Server error deleting sleep session',
+      updatingSessionDreams: 'Server error updating sleep session dreams',
+      fetchingDreamSigns: 'Server error fetching dream signs',
+      fetchingDreamSign: 'Server error fetching dream sign',
+      creatingDreamSign: 'Server error creating dream sign',
+      updatingDreamSign: 'Server error updating dream sign',
+      deletingDreamSign: 'Server error deleting dream sign',
+      suggestingDreamSigns: 'Server error suggesting dream signs',
+      recommendingDreamSigns: 'Server error recommending dream signs',
+      fetchingPractices: 'Server error fetching practice entries',
+      fetchingPractice: 'Server error fetching practice entry',
+      creatingPractice: 'Server error creating practice entry',
+      updatingPractice: 'Server error updating practice entry',
+      deletingPractice: 'Server error deleting practice entry',
+      fetchingRescripts: 'Server error fetching rescripts',
+      fetchingRescript: 'Server error fetching rescript',
+      creatingRescript: 'Server error creating rescript',
+      updatingRescript: 'Server error updating rescript',
+      deletingRescript: 'Server error deleting rescript',
+      addingRehearsal: 'Server error logging rehearsal',
+      deletingRehearsal: 'Server error deleting rehearsal',
+      fetchingNightmareReport: 'Server error building nightmare report'
+    }
+  },
+
+  messages: {
+    serverRunning: 'Server is running',
+    dreamDeleted: 'Dream deleted',
+    dreamShared: 'Dream shared successfully',
+    noDreamsForPatterns: 'No dreams found to analyze patterns',
+    symbolDeleted: 'Symbol deleted',
+    characterDeleted: 'Character deleted',
+    placeDeleted: 'Place deleted',
+    dreamLinkDeleted: 'Link removed',
+    seriesDeleted: 'Series deleted',
+    sleepSessionDeleted: 'Sleep session deleted',
+    dreamSignDeleted: 'Dream sign deleted',
+    practiceDeleted: 'Practice entry deleted',
+    rescriptDeleted: 'Rescript deleted'
+  },
+
+  // Names used when an emotion is part of a sentence
+  emotions: {
+    joy: 'joy',
+    trust: 'trust',
+    fear: 'fear',
+    surprise: 'surprise',
+    sadness: 'sadness',
+    disgust: 'disgust',
+    anger: 'anger',
+    anticipation: 'anticipation',
+    neutral: 'neutral'
+  },
+
+  // Cues for the dream signs to watch for tonight, by category
+  dreamSigns: {
+    tips: {
+      action: 'If you find yourself doing something like "{name}", stop and do a reality check.',
+      form: 'If something looks like "{name}", look at it twice and do a reality check.',
+      context: 'If you find yourself in "{name}", ask yourself how you got there.',
+      awareness: 'If you notice "{name}", take it as a cue that you may be dreaming.'
+    }
+  },
+
+  insights: {
+    emotional: {
+      recurring: 'Your dream features "{emotion}" emotions, which appear frequently in your dream history. This suggests a significant emotional pattern worth exploring.',
+      uncommon: 'This dream\'s primary emotion "{emotion}" is relatively uncommon in your dream history, suggesting it may be connected to recent experiences.'
+    },
+    symbolic: {
+      recurring: 'Your dream contains {count} symbols that appear in your past dreams. Pay special attention to "{symbol}" which appears most frequently.',
+      unique: 'This dream contains unique symbols compared to your dream history, suggesting new themes or experiences.'
+    },
+    themes: {
+      recurring: 'Your dream contains themes that recur in your dream history, especially "{theme}". This suggests important ongoing psychological content.',
+      new: 'This dream explores themes that are relatively new in your dream journal.'
+    },
+    psychological: {
+      fearIntense: 'The terror in this dream suggests a strong threat response, possibly to a situation that feels overwhelming in waking life.',
+      fear: 'Your dream exhibits anxiety which may reflect unresolved concerns or challenges you\'re facing in waking life.',
+      joy: 'The positive emotional tone suggests fulfillment or anticipation of something positive in your life.',
+      anticipation: 'The sense of anticipation in this dream may mirror goals or events you are looking forward to.',
+      trust: 'Feelings of trust and closeness in this dream may reflect relationships that give you security.',
+      sadnessIntense: 'The grief in this dream may point to a significant loss that still needs space to be mourned.',
+      sadness: 'The melancholy in this dream might relate to unprocessed loss or disappointment that seeks acknowledgment.',
+      anger: 'Your dream reveals frustration that may indicate unresolved conflicts or unmet needs.',
+      disgust: 'The disgust in this dream may signal something in your life that conflicts with your values or boundaries.',
+      surprise: 'The confusion in your dream might reflect uncertainty about decisions or direction in your waking life.',
+      recurringSymbol: 'The presence of recurring symbol "{symbol}" suggests this represents an important psychological archetype for you.',
+      negativeTone: 'The strongly negative tone of this dream may be processing difficult emotions or experiences.',
+      positiveTone: 'The positive nature of this dream could reflect psychological well-being or optimism.',
+      mixedTone: 'The mixed emotional tone suggests complex feelings around the dream\'s subject matter.',
+      nightmare: 'This nightmare may serve as a way for your mind to process and confront fears in a safe environment.',
+      lucid: 'Your lucid dreaming demonstrates an integration between conscious and unconscious mental processes.',
+      recurring: 'Recurring dreams often highlight unresolved issues or important themes that demand your attention.'
+    },
+    wakingLife: {
+      recentEvents: 'Consider recent events that may have triggered similar emotions to those in your dream.',
+      nightmare: 'Reflect on current sources of stress or anxiety in your life that might be manifesting in your dreams.',
+      adventure: 'This dream might reflect a desire for more excitement or new experiences in your daily life.',
+      negativeTone: 'The negative tone might indicate unresolved conflicts or concerns that would benefit from conscious attention.',
+      positiveTone: 'The positive elements may reflect aspects of your life that bring fulfillment or resonate with your values.',
+      symbolReading: 'The presence of "{symbol}" might connect to this reading: {reading}'
+    },
+    evolving: {
+      notEnoughHistory: 'Not enough dream history to identify evolving patterns.',
+      emotionalShift: 'Your dreams show an emotional shift from predominantly {from} to {to} over time.',
+      morePositive: 'The emotional tone of your dreams has become more positive over the recorded period.',
+      moreNegative: 'The emotional tone of your dreams has become more negative over the recorded period.',
+      none: 'No clear evolving patterns detected in your dream history.'
+    }
+  }
+};
@@ -0,0 +1,290 @@
+/**
+ * Persian message catalog
+ * Keys mirror locales/en.js; `{name}` placeholders are filled at runtime.
+ */
+module.exports = {
+  errors: {
+    validation: 'مقدار نامعتبر برای: {fields}',
+    dreamNotFound: 'رویا پیدا نشد',
+    dreamNotShared: 'این رویا به اشتراک گذاشته نشده است',
+    dreamAccessDenied: 'اجازه دسترسی به این رویا را ندارید',
+    dreamUpdateDenied: 'اجازه ویرایش این رویا را ندارید',
+    dreamDeleteDenied: 'اجازه حذف این رویا را ندارید',
+    dreamShareDenied: 'اجازه اشتراک‌گذاری این رویا را ندارید',
+    searchQueryRequired: 'عبارت جستجو الزامی است',
+    unknownFramework: 'چارچوب تفسیر ناشناخته است',
+    analysisInProgress: 'تحلیل در حال انجام است',
+    symbolNotFound: 'نماد پیدا نشد',
+    invalidSymbolId: 'شناسه نماد نامعتبر است',
+    symbolUpdateDenied: 'اجازه ویرایش این نماد را ندارید',
+    symbolDeleteDenied: 'اجازه حذف این نماد را ندارید',
+    duplicateSymbol: 'نمادی با این نام از قبل وجود دارد',
+    symbolsNotArray: 'symbols باید یک آرایه باشد',
+    invalidSymbols: 'برخی از نمادها نامعتبر هستند',
+    invalidImportMode: 'mode باید "merge" یا "replace" باشد',
+    userNotFound: 'کاربر پیدا نشد',
+    userExists: 'این ایمیل یا نام کاربری قبلاً ثبت شده است',
+    invalidCredentials: 'اطلاعات ورود نادرست است',
+    invalidUserId: 'شناسه کاربر نامعتبر است',
+    invalidJobId: 'شناسه کار نامعتبر است',
+    unsupportedLocale: 'زبان پشتیبانی نمی‌شود',
+    invalidTimezone: 'منطقه زمانی ناشناخته است',
+    contentCodingUnsupported: 'کدگذاری محتوا فقط برای رویاهایی که به انگلیسی نوشته شده‌اند در دسترس است',
+    unknownNormSet: 'مجموعه هنجار ناشناخته است',
+    reanalysisJobNotFound: 'کار تحلیل مجدد پیدا نشد',
+    characterNotFound: 'شخصیت پیدا نشد',
+    invalidCharacterId: 'شناسه شخصیت نامعتبر است',
+    characterAccessDenied: 'اجازه دسترسی به این شخصیت را ندارید',
+    characterUpdateDenied: 'اجازه به‌روزرسانی این شخصیت را ندارید',
+    characterDeleteDenied: 'اجازه حذف این شخصیت را ندارید',
+    duplicateAlias: 'نام «{alias}» متعلق به {name} است',
+    aliasTaken: 'یکی از نام‌ها پیش‌تر استفاده شده است',
+    characterIdsRequired: 'characterIds باید یک آرایه غیرخالی باشد',
+    cannotMergeIntoItself: 'یک شخصیت را نمی‌توان با خودش ادغام کرد',
+    nothingToSplit: 'نام‌ها یا رویاهایی را که باید جدا شوند مشخص کنید',
+    aliasNotOnCharacter: 'این شخصیت نام «{alias}» را ندارد',
+    invalidSplitDreamIds: 'dreamIds باید آرایه‌ای از شناسه‌های معتبر رویا باشد',
+    placeNotFound: 'مکان پیدا نشد',
+    invalidPlaceId: 'شناسه مکان نامعتبر است',
+    placeAccessDenied: 'اجازه دسترسی به این مکان را ندارید',
+    placeUpdateDenied: 'اجازه به‌روزرسانی این مکان را ندارید',
+    placeDeleteDenied: 'اجازه حذف این مکان را ندارید',
+    placeIdsRequired: 'placeIds باید یک آرایه غیرخالی باشد',
+    cannotMergePlaceIntoItself: 'یک مکان را نمی‌توان با خودش ادغام کرد',
+    cannotConnectPlaceToItself: 'یک مکان را نمی‌توان به خودش وصل کرد',
+    invalidLinkType: 'type باید یکی از این مقادیر باشد: {types}',
+    cannotLinkDreamToItself: 'یک رویا را نمی‌توان به خودش پیوند داد',
+    duplicateDreamLink: 'این پیوند از قبل وجود دارد',
+    dreamLinkNotFound: 'پیوند پیدا نشد',
+    seriesNotFound: 'مجموعه پیدا نشد',
+    invalidSeriesId: 'شناسه مجموعه نامعتبر است',
+    invalidRatingFilter: '{name} باید یک عدد صحیح باشد',
+    seriesAccessDenied: 'اجازه دسترسی به این مجموعه را ندارید',
+    seriesUpdateDenied: 'اجازه به‌روزرسانی این مجموعه را ندارید',
+    seriesDeleteDenied: 'اجازه حذف این مجموعه را ندارید',
+    dreamIdsRequired: 'dreamIds باید یک آرایه غیرخالی باشد',
+    seriesDreamsNotFound: 'برخی از رویاها پیدا نشدند',
+    dreamNotInSeries: 'این رویا در این مجموعه نیست',
+    sleepSessionNotFound: 'نشست خواب پیدا نشد',
+    invalidSleepSessionId: 'شناسه نشست خواب نامعتبر است',
+    sleepSessionAccessDenied: 'اجازه دسترسی به این نشست خواب را ندارید',
+    sleepSessionUpdateDenied: 'اجازه به‌روزرسانی این نشست خواب را ندارید',
+    sleepSessionDeleteDenied: 'اجازه حذف این نشست خواب را ندارید',
+    sessionDreamsNotFound: 'برخی از رویاها پیدا نشدند',
+    dreamAlreadyInSession: 'این رویا از قبل در این نشست خواب است',
+    dreamNotInSession: 'این رویا در این نشست خواب نیست',
+    sessionOrderMismatch: 'dreamIds باید همه رویاهای نشست خواب را دقیقاً یک بار فهرست کند',
+    invalidRecallLevel: 'recall باید یکی از این مقادیر باشد: {levels}',
+    dreamSignNotFound: 'نشانه رویا یافت نشد',
+    invalidDreamSignId: 'شناسه نشانه رویا نامعتبر است',
+    dreamSignAccessDenied: 'اجازه دسترسی به این نشانه رویا را ندارید',
+    dreamSignUpdateDenied: 'اجازه به‌روزرسانی این نشانه رویا را ندارید',
+    dreamSignDeleteDenied: 'اجازه حذف این نشانه رویا را ندارید',
+    duplicateSignAlias: 'نام «{alias}» متعلق به نشانه رویای «{name}» است',
+    invalidDreamSignCategory: 'category باید یکی از این مقادیر باشد: {categories}',
+    practiceNotFound: 'تمرین یافت نشد',
+    invalidPracticeId: 'شناسه تمرین نامعتبر است',
+    practiceAccessDenied: 'اجازه دسترسی به این تمرین را ندارید',
+    practiceUpdateDenied: 'اجازه به‌روزرسانی این تمرین را ندارید',
+    practiceDeleteDenied: 'اجازه حذف این تمرین را ندارید',
+    invalidTechnique: 'technique باید یکی از این مقادیر باشد: {techniques}',
+    rescriptNotFound: 'بازنویسی یافت نشد',
+    invalidRescriptId: 'شناسه بازنویسی نامعتبر است',
+    rescriptAccessDenied: 'اجازه دسترسی به این بازنویسی را ندارید',
+    rescriptUpdateDenied: 'اجازه به‌روزرسانی این بازنویسی را ندارید',
+    rescriptDeleteDenied: 'اجازه حذف این بازنویسی را ندارید',
+    rescriptNightmareNotFound: 'کابوس یافت نشد',
+    notANightmare: 'فقط رویاهای دسته کابوس را می‌توان بازنویسی کرد',
+    invalidRescriptStatus: 'status باید یکی از این مقادیر باشد: {statuses}',
+    rehearsalNotFound: 'تمرین ذهنی یافت نشد',
+    invalidBaselineWeeks: 'baselineWeeks باید عددی صحیح از ۰ تا {max} باشد',
+    auth: {
+      noToken: 'احراز هویت نشده‌اید، توکنی ارسال نشده است',
+      tokenFailed: 'احراز هویت نشده‌اید، توکن نامعتبر است',
+      userNotFound: 'احراز هویت نشده‌اید، کاربر پیدا نشد',
+      adminRequired: 'دسترسی مدیر لازم است'
+    },
+    server: {
+      duringRegistration: 'خطای سرور هنگام ثبت‌نام',
+      duringLogin: 'خطای سرور هنگام ورود',
+      retrievingUserProfile: 'خطای سرور در دریافت پروفایل کاربر',
+      updatingUserProfile: 'خطای سرور در به‌روزرسانی پروفایل کاربر',
+      updatingPreferences: 'خطای سرور در به‌روزرسانی تنظیمات',
+      creatingDreamEntry: 'خطای سرور در ثبت رویا',
+      fetchingDreams: 'خطای سرور در دریافت رویاها',
+      fetchingDream: 'خطای سرور در دریافت رویا',
+      updatingDream: 'خطای سرور در به‌روزرسانی رویا',
+      deletingDream: 'خطای سرور در حذف رویا',
+      searchingDreams: 'خطای سرور در جستجوی رویاها',
+      generatingDreamStatistics: 'خطای سرور در تهیه آمار رویاها',
+      comparingWithNorms: 'خطای سرور در مقایسه با هنجارها',
+      analyzingDreamPatterns: 'خطای سرور در تحلیل الگوهای رویا',
+      sharingDream: 'خطای سرور در اشتراک‌گذاری رویا',
+      accessingSharedDream: 'خطای سرور در دسترسی به رویای اشتراکی',
+      generatingDreamInsights: 'خطای سرور در تهیه بینش‌های رویا',
+      generatingContentAnalysis: 'خطای سرور در تهیه تحلیل محتوا',
+      detectingLucidity: 'خطای سرور در تشخیص خواب آگاهانه',
+      fetchingAnalysisStatus: 'خطای سرور در دریافت وضعیت تحلیل',
+      streamingAnalysisStatus: 'خطای سرور در ارسال وضعیت تحلیل',
+      retryingAnalysis: 'خطای سرور در تلاش مجدد برای تحلیل',
+      fetchingSymbols: 'خطای سرور در دریافت نمادها',
+      fetchingSymbol: 'خطای سرور در دریافت نماد',
+      creatingSymbol: 'خطای سرور در ایجاد نماد',
+      updatingSymbol: 'خطای سرور در به‌روزرسانی نماد',
+      deletingSymbol: 'خطای سرور در حذف نماد',
+      fetchingPersonalSymbols: 'خطای سرور در دریافت نمادهای شخصی',
+      creatingPersonalSymbol: 'خطای سرور در ایجاد نماد شخصی',
+      updatingPersonalSymbol: 'خطای سرور در به‌روزرسانی نماد شخصی',
+      deletingPersonalSymbol: 'خطای سرور در حذف نماد شخصی',
+      exportingPersonalSymbols: 'خطای سرور در خروجی گرفتن از نمادهای شخصی',
+      importingPersonalSymbols: 'خطای سرور در وارد کردن نمادهای شخصی',
+      queueingReanalysis: 'خطای سرور در صف‌بندی تحلیل مجدد',
+      startingReanalysisJob: 'خطای سرور در شروع کار تحلیل مجدد',
+      fetchingReanalysisJobs: 'خطای سرور در دریافت کارهای تحلیل مجدد',
+      fetchingReanalysisJob: 'خطای سرور در دریافت کار تحلیل مجدد',
+      fetchingCharacters: 'خطای سرور در دریافت شخصیت‌ها',
+      fetchingCharacter: 'خطای سرور در دریافت شخصیت',
+      creatingCharacter: 'خطای سرور در ایجاد شخصیت',
+      updatingCharacter: 'خطای سرور در به‌روزرسانی شخصیت',
+      deletingCharacter: 'خطای سرور در حذف شخصیت',
+      fetchingCharacterTimeline: 'خطای سرور در دریافت خط زمانی شخصیت',
+      mergingCharacters: 'خطای سرور در ادغام شخصیت‌ها',
+      splittingCharacter: 'خطای سرور در جدا کردن شخصیت',
+      updatingCharacterAppearances: 'خطای سرور در به‌روزرسانی حضورهای شخصیت',
+      fetchingPlaces: 'خطای سرور در دریافت مکان‌ها',
+      fetchingPlace: 'خطای سرور در دریافت مکان',
+      fetchingPlaceGraph: 'خطای سرور در دریافت نقشه مکان‌ها',
+      fetchingPlaceDreams: 'خطای سرور در دریافت رویاهای مکان',
+      creatingPlace: 'خطای سرور در ایجاد مکان',
+      updatingPlace: 'خطای سرور در به‌روزرسانی مکان',
+      deletingPlace: 'خطای سرور در حذف مکان',
+      mergingPlaces: 'خطای سرور در ادغام مکان‌ها',
+      connectingPlaces: 'خطای سرور در وصل کردن مکان‌ها',
+      disconnectingPlaces: 'خطای سرور در جدا کردن مکان‌ها',
+      updatingPlaceDreams: 'خطای سرور در به‌روزرسانی رویاهای مکان',
+      fetchingDreamLinks: 'خطای سرور در دریافت پیوندهای رویا',
+      creatingDreamLink: 'خطای سرور در ایجاد پیوند رویا',
+      deletingDreamLink: 'خطای سرور در حذف پیوند رویا',
+      suggestingDreamLinks: 'خطای سرور در پیشنهاد پیوندهای رویا',
+      fetchingSeriesList: 'خطای سرور در دریافت مجموعه‌ها',
+      fetchingSeries: 'خطای سرور در دریافت مجموعه',
+      creatingSeries: 'خطای سرور در ایجاد مجموعه',
+      updatingSeries: 'خطای سرور در به‌روزرسانی مجموعه',
+      deletingSeries: 'خطای سرور در حذف مجموعه',
+      updatingSeriesDreams: 'خطای سرور در به‌روزرسانی رویاهای مجموعه',
+      fetchingSeriesNarrative: 'خطای سرور در دریافت روایت مجموعه',
+      fetchingSleepSessions: 'خطای سرور در دریافت نشست‌های خواب',
+      creatingSleepSession: 'خطای سرور در ایجاد نشست خواب',
+      fetchingSleepSession: 'خطای سرور در دریافت نشست خواب',
+      updatingSleepSession: 'خطای سرور در به‌روزرسانی نشست خواب',
+      deletingSleepSession: 'خطای سرور در حذف نشست خواب',
+      updatingSessionDreams: 'خطای سرور در به‌روزرسانی رویاهای نشست خواب',
+      fetchingDreamSigns: 'خطای سرور در دریافت نشانه‌های رویا',
+      fetchingDreamSign: 'خطای سرور در دریافت نشانه رویا',
+      creatingDreamSign: 'خطای سرور در ایجاد نشانه رویا',
+      updatingDreamSign: 'خطای سرور در به‌روزرسانی نشانه رویا',
+      deletingDreamSign: 'خطای سرور در حذف نشانه رویا',
+      suggestingDreamSigns: 'خطای سرور در پیشنهاد نشانه‌های رویا',
+      recommendingDreamSigns: 'خطای سرور در پیشنهاد نشانه‌های امشب',
+      fetchingPractices: 'خطای سرور در دریافت تمرین‌ها',
+      fetchingPractice: 'خطای سرور در دریافت تمرین',
+      creatingPractice: 'خطای سرور در ثبت تمرین',
+      updatingPractice: 'خطای سرور در به‌روزرسانی تمرین',
+      deletingPractice: 'خطای سرور در حذف تمرین',
+      fetchingRescripts: 'خطای سرور در دریافت بازنویسی‌ها',
+      fetchingRescript: 'خطای سرور در دریافت بازنویسی',
+      creatingRescript: 'خطای سرور در ایجاد بازنویسی',
+      updatingRescript: 'خطای سرور در به‌روزرسانی بازنویسی',
+      deletingRescript: 'خطای سرور در حذف بازنویسی',
+      addingRehearsal: 'خطای سرور در ثبت تمرین ذهنی',
+      deletingRehearsal: 'خطای سرور در حذف تمرین ذهنی',
+      fetchingNightmareReport: 'خطای سرور در تهیه گزارش کابوس‌ها'
+    }
+  },
+
+  messages: {
+    serverRunning: 'سرور در حال اجرا است',
+    dreamDeleted: 'رویا حذف شد',
+    dreamShared: 'رویا با موفقیت به اشتراک گذاشته شد',
+    noDreamsForPatterns: 'رویایی برای تحلیل الگوها پیدا نشد',
+    symbolDeleted: 'نماد حذف شد',
+    characterDeleted: 'شخصیت حذف شد',
+    placeDeleted: 'مکان حذف شد',
+    dreamLinkDeleted: 'پیوند حذف شد',
+    seriesDeleted: 'مجموعه حذف شد',
+    sleepSessionDeleted: 'نشست خواب حذف شد',
+    dreamSignDeleted: 'نشانه رویا حذف شد',
+    practiceDeleted: 'تمرین حذف شد',
+    rescriptDeleted: 'بازنویسی حذف شد'
+  },
+
+  emotions: {
+    joy: 'شادی',
+    trust: 'اعتماد',
+    fear: 'ترس',
+    surprise: 'شگفتی',
+    sadness: 'غم',
+    disgust: 'انزجار',
+    anger: 'خشم',
+    anticipation: 'انتظار',
+    neutral: 'خنثی'
+  },
+
+  dreamSigns: {
+    tips: {
+      action: 'اگر دیدید کاری مثل «{name}» می‌کنید، دست نگه دارید و واقعیت را تست کنید.',
+      form: 'اگر چیزی شبیه «{name}» دیدید، دوباره به آن نگاه کنید و واقعیت را تست کنید.',
+      context: 'اگر خود را در «{name}» دیدید، از خود بپرسید چطور به آنجا رسیده‌اید.',
+      awareness: 'اگر متوجه «{name}» شدید، آن را نشانه‌ای بگیرید که شاید خواب می‌بینید.'
+    }
+  },
+
+  insights: {
+    emotional: {
+      recurring: 'احساس «{emotion}» در رویای شما در تاریخچه رویاهایتان بارها دیده می‌شود. این نشان‌دهنده الگوی احساسی مهمی است که ارزش بررسی دارد.',
+      uncommon: 'احساس اصلی این رویا، «{emotion}»، در تاریخچه رویاهای شما نسبتاً کم‌سابقه است و ممکن است به تجربه‌های اخیرتان مربوط باشد.'
+    },
+    symbolic: {
+      recurring: 'رویای شما {count} نماد دارد که در رویاهای گذشته‌تان هم دیده شده‌اند. به «{symbol}» که بیشترین تکرار را دارد توجه ویژه کنید.',
+      unique: 'نمادهای این رویا در مقایسه با تاریخچه رویاهای شما تازه‌اند و ممکن است از موضوعات یا تجربه‌های جدید خبر دهند.'
+    },
+    themes: {
+      recurring: 'رویای شما موضوعاتی دارد که در تاریخچه رویاهایتان تکرار می‌شوند، به‌ویژه «{theme}». این نشان‌دهنده محتوای روانی مهم و ادامه‌داری است.',
+      new: 'این رویا به موضوعاتی می‌پردازد که در دفترچه رویای شما نسبتاً تازه‌اند.'
+    },
+    psychological: {
+      fearIntense: 'وحشت در این رویا نشان‌دهنده واکنش شدید به تهدید است، شاید به موقعیتی که در بیداری طاقت‌فرسا به نظر می‌رسد.',
+      fear: 'رویای شما اضطرابی را نشان می‌دهد که ممکن است بازتاب نگرانی‌ها یا چالش‌های حل‌نشده شما در بیداری باشد.',
+      joy: 'حال‌وهوای مثبت این رویا از رضایت یا انتظار اتفاقی خوشایند در زندگی شما خبر می‌دهد.',
+      anticipation: 'حس انتظار در این رویا ممکن است بازتاب هدف‌ها یا رویدادهایی باشد که منتظرشان هستید.',
+      trust: 'احساس اعتماد و صمیمیت در این رویا ممکن است بازتاب رابطه‌هایی باشد که به شما امنیت می‌دهند.',
+      sadnessIntense: 'اندوه این رویا ممکن است به فقدانی مهم اشاره کند که هنوز به فرصتی برای سوگواری نیاز دارد.',
+      sadness: 'غم این رویا ممکن است به فقدان یا ناامیدی‌ای مربوط باشد که هنوز پردازش نشده و دیده شدن می‌خواهد.',
+      anger: 'رویای شما ناکامی‌ای را نشان می‌دهد که ممکن است از تعارض‌های حل‌نشده یا نیازهای برآورده‌نشده خبر دهد.',
+      disgust: 'انزجار در این رویا ممکن است نشانه چیزی در زندگی شما باشد که با ارزش‌ها یا مرزهایتان در تضاد است.',
+      surprise: 'سردرگمی در رویای شما ممکن است بازتاب تردید درباره تصمیم‌ها یا مسیر زندگی‌تان در بیداری باشد.',
+      recurringSymbol: 'حضور نماد تکرارشونده «{symbol}» نشان می‌دهد که این نماد برای شما کهن‌الگوی روانی مهمی است.',
+      negativeTone: 'لحن به‌شدت منفی این رویا ممکن است نشانه پردازش احساسات یا تجربه‌های دشوار باشد.',
+      positiveTone: 'ماهیت مثبت این رویا ممکن است بازتاب سلامت روان یا خوش‌بینی شما باشد.',
+      mixedTone: 'لحن احساسی آمیخته این رویا از احساسات پیچیده درباره موضوع آن خبر می‌دهد.',
+      nightmare: 'این کابوس ممکن است راهی باشد که ذهن شما در محیطی امن با ترس‌هایش روبه‌رو شود و آن‌ها را پردازش کند.',
+      lucid: 'رویای آگاهانه شما نشان‌دهنده هماهنگی میان فرایندهای ذهنی خودآگاه و ناخودآگاه است.',
+      recurring: 'رویاهای تکرارشونده اغلب مسائل حل‌نشده یا موضوعات مهمی را برجسته می‌کنند که به توجه شما نیاز دارند.'
+    },
+    wakingLife: {
+      recentEvents: 'به رویدادهای اخیری فکر کنید که ممکن است احساساتی شبیه احساسات رویای شما برانگیخته باشند.',
+      nightmare: 'به منابع فعلی استرس یا اضطراب در زندگی‌تان فکر کنید که ممکن است در رویاهایتان نمود پیدا کرده باشند.',
+      adventure: 'این رویا ممکن است بازتاب میل به هیجان یا تجربه‌های تازه در زندگی روزمره شما باشد.',
+      negativeTone: 'لحن منفی رویا ممکن است نشانه تعارض‌ها یا نگرانی‌های حل‌نشده‌ای باشد که توجه آگاهانه به آن‌ها مفید است.',
+      positiveTone: 'جنبه‌های مثبت رویا ممکن است بازتاب بخش‌هایی از زندگی شما باشند که به شما رضایت می‌دهند یا با ارزش‌هایتان همخوان‌اند.',
+      symbolReading: 'حضور «{symbol}» ممکن است با این خوانش مرتبط باشد: {reading}'
+    },
+    evolving: {
+      notEnoughHistory: 'تاریخچه رویاهای شما برای شناسایی الگوهای در حال تحول کافی نیست.',
+      emotionalShift: 'احساس غالب رویاهای شما به مرور زمان از «{from}» به «{to}» تغییر کرده است.',
+      morePositive: 'لحن احساسی رویاهای شما در دوره ثبت‌شده مثبت‌تر شده است.',
+      moreNegative: 'لحن احساسی رویاهای شما در دوره ثبت‌شده منفی‌تر شده است.',
+      none: 'الگوی در حال تحول روشنی در تاریخچه رویاهای شما دیده نمی‌شود.'
+    }
+  }
+};
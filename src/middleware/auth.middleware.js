@@ -26,7 +26,7 @@ const protect = async (req, res, next) => {
       
       if (!req.user) {
         console.log('Auth middleware - User not found for token ID:', decoded.id);
-        return res.status(401).json({ message: 'Not authorized, user not found' });
+        return res.status(401).json({ message: req.t('errors.auth.userNotFound') });
       }
       
       console.log('Auth middleware - Authentication successful:', { 
@@ -37,12 +37,25 @@ const protect = async (req, res, next) => {
       next();
     } catch (error) {
       console.error('Auth middleware - Token verification failed:', error.message);
-      res.status(401).json({ message: 'Not authorized, token failed' });
+      res.status(401).json({ message: req.t('errors.auth.tokenFailed') });
     }
   } else {
     console.log('Auth middleware - No token provided');
-    res.status(401).json({ message: 'Not authorized, no token' });
+    res.status(401).json({ message: req.t('errors.auth.noToken') });
   }
 };
 
-module.exports = { protect }; 
\ No newline at end of file
+/**
+ * Admin middleware
+ * Must run after `protect`; only lets through users with the admin role
+ */
+const admin = (req, res, next) => {
+  if (req.user && req.user.role === 'admin') {
+    return next();
+  }
+  
+  console.log('Auth middleware - Admin access denied:', { userId: req.user?._id });
+  res.status(403).json({ message: req.t('errors.auth.adminRequired') });
+};
+
+module.exports = { protect, admin }; 
\ No newline at end of file
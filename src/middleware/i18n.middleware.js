@@ -0,0 +1,19 @@
+const { resolveLocale, translate } = require('../utils/i18n');
+
+/**
+ * Localization middleware
+ * Attaches `req.t(key, params)` for translating catalog messages. The locale is
+ * resolved on every call, so the user's language preference applies once `protect`
+ * has loaded the user; before that the Accept-Language header decides.
+ */
+const localize = (req, res, next) => {
+  req.getLocale = () => resolveLocale(req);
+  req.t = (key, params) => translate(req.getLocale(), key, params);
+
+  // Responses differ by Accept-Language, so caches must key on it
+  res.vary('Accept-Language');
+
+  next();
+};
+
+module.exports = { localize };
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const analysisJobSchema = new mongoose.Schema({
+  dream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dream',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Replace the dream's category with the suggested one when the user did not pick one
+  applySuggestedCategory: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the job may be picked up (used for retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index used by workers to claim the next job
+analysisJobSchema.index({ status: 1, runAt: 1 });
+analysisJobSchema.index({ dream: 1, createdAt: -1 });
+
+const AnalysisJob = mongoose.model('AnalysisJob', analysisJobSchema);
+
+module.exports = AnalysisJob;
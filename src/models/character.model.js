@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { normalizeAliases } = require('../utils/text');
+
+// A character's relationship to the dreamer (the Hall/Van de Castle identity
+// classes, plus animals and imaginary creatures)
+const RELATIONSHIPS = [
+  'father', 'mother', 'family', 'relative', 'known', 'prominent', 'occupational',
+  'stranger', 'uncertain', 'animal', 'creature'
+];
+
+// One appearance of the character in a dream
+const appearanceSchema = new mongoose.Schema({
+  dream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dream',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // Word the dream used for the character ("mom", "Sarah")
+  mention: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  mentions: {
+    type: Number,
+    default: 1
+  },
+  // 'analysis' when linked automatically, 'user' when linked by hand (kept on re-analysis)
+  source: {
+    type: String,
+    enum: ['analysis', 'user'],
+    default: 'analysis'
+  }
+}, { _id: false });
+
+/**
+ * A recurring figure in a user's dreams ("Mom", "Sarah", "the black dog")
+ * Collects every name the dreams use for the figure and the dreams it appears in.
+ */
+const characterSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Character name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Names and words the dreams use for this character; each alias belongs to one character
+  aliases: {
+    type: [String],
+    default: [],
+    set: normalizeAliases
+  },
+  relationship: {
+    type: String,
+    enum: RELATIONSHIPS,
+    default: 'uncertain'
+  },
+  sex: {
+    type: String,
+    enum: ['male', 'female', 'indefinite'],
+    default: 'indefinite'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters'],
+    default: ''
+  },
+  appearances: {
+    type: [appearanceSchema],
+    default: []
+  },
+  // Dreams the user unlinked from this character; analysis does not link them again
+  dismissedDreams: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Dream' }],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Each alias belongs to one of the user's characters, also when two analysis workers
+// create the same character at once (empty alias lists are left out)
+characterSchema.index(
+  { user: 1, aliases: 1 },
+  { unique: true, partialFilterExpression: { aliases: { $type: 'string' } } }
+);
+characterSchema.index({ user: 1, 'appearances.dream': 1 });
+
+// Sort appearances chronologically before saving so the timeline is always ordered
+characterSchema.pre('save', function(next) {
+  if (this.isModified('appearances')) {
+    this.appearances.sort((a, b) => a.date - b.date);
+  }
+  next();
+});
+
+/**
+ * Summary of the character without the full appearance list
+ * @returns {Object} { ...character, appearanceCount, firstSeen, lastSeen }
+ */
+characterSchema.methods.toSummary = function() {
+  const { appearances, ...character } = this.toObject();
+  const dates = appearances.map(appearance => appearance.date.getTime());
+  return {
+    ...character,
+    appearanceCount: appearances.length,
+    firstSeen: dates.length > 0 ? new Date(Math.min(...dates)) : null,
+    lastSeen: dates.length > 0 ? new Date(Math.max(...dates)) : null
+  };
+};
+
+characterSchema.statics.RELATIONSHIPS = RELATIONSHIPS;
+characterSchema.statics.normalizeAliases = normalizeAliases;
+
+const Character = mongoose.model('Character', characterSchema);
+
+module.exports = Character;
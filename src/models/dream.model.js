@@ -1,4 +1,151 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/languageDetection');
+const { RATING_SCALES, RATING_NAMES, isValidRating } = require('../utils/dreamRatings');
+
+// Sub-schemas for the advanced NLP analysis results
+const entitySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['person', 'place', 'organization', 'date'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.5
+  }
+}, { _id: false });
+
+const topicSchema = new mongoose.Schema({
+  topic: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 1
+  }
+}, { _id: false });
+
+const phraseSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['noun_phrase', 'verb_phrase'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const sentenceSchema = new mongoose.Schema({
+  text: String,
+  mood: {
+    type: String,
+    enum: ['statement', 'question', 'exclamation'],
+    default: 'statement'
+  },
+  isPassive: {
+    type: Boolean,
+    default: false
+  },
+  mainAction: {
+    type: String,
+    default: null
+  },
+  length: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const analysisSchema = new mongoose.Schema({
+  sentiment: {
+    score: {
+      type: Number,
+      default: 0
+    },
+    comparative: {
+      type: Number,
+      default: 0
+    },
+    vote: {
+      type: String,
+      enum: ['positive', 'negative', 'neutral'],
+      default: 'neutral'
+    }
+  },
+  entities: {
+    type: [entitySchema],
+    default: []
+  },
+  topics: {
+    type: [topicSchema],
+    default: []
+  },
+  phrases: {
+    type: [phraseSchema],
+    default: []
+  },
+  sentences: {
+    type: [sentenceSchema],
+    default: []
+  },
+  analyzedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// How a dream relates to an earlier one: it continues its story, the same dream
+// recurs, it refers back to it, or it was dreamt the same night
+const LINK_TYPES = ['continues', 'recurs', 'references', 'same-night'];
+
+// A link from this dream to another dream
+const dreamLinkSchema = new mongoose.Schema({
+  dream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dream',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: LINK_TYPES,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Link note cannot be more than 500 characters'],
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// The dreamer's ratings of the dream, one whole number per scale (see dreamRatings)
+const ratingsSchema = new mongoose.Schema(
+  Object.fromEntries(RATING_NAMES.map(name => {
+    const { min, max } = RATING_SCALES[name];
+    return [name, {
+      type: Number,
+      default: null,
+      validate: {
+        validator: value => isValidRating(name, value),
+        message: `${name} must be a whole number between ${min} and ${max}`
+      }
+    }];
+  })),
+  { _id: false }
+);
 
 const dreamSchema = new mongoose.Schema({
   user: {
@@ -17,6 +164,12 @@ const dreamSchema = new mongoose.Schema({
     required: [true, 'Dream content is required'],
     trim: true
   },
+  // Language the dream is written in, detected from the content; picks the analysis path
+  language: {
+    type: String,
+    enum: SUPPORTED_LANGUAGES,
+    default: DEFAULT_LANGUAGE
+  },
   date: {
     type: Date,
     default: Date.now
@@ -31,6 +184,11 @@ const dreamSchema = new mongoose.Schema({
     enum: ['lucid', 'nightmare', 'recurring', 'prophetic', 'healing', 'adventure', 'fantasy', 'uncategorized'],
     default: 'uncategorized'
   },
+  // Lucidity, vividness, recall clarity, emotional intensity, bizarreness and control
+  ratings: {
+    type: ratingsSchema,
+    default: () => ({})
+  },
   // Analysis results
   keywords: {
     type: [String],
@@ -48,6 +206,47 @@ const dreamSchema = new mongoose.Schema({
     type: [Object],
     default: []
   },
+  // Full advanced NLP analysis (entities, topics, phrases, sentences, sentiment)
+  analysis: {
+    type: analysisSchema,
+    default: undefined
+  },
+  // Hall/Van de Castle content coding (characters, interactions, events, settings,
+  // objects, counts and indices); null for languages the coder does not support
+  contentCoding: {
+    type: Object,
+    default: undefined
+  },
+  // Lucidity detection: score, level and the evidence sentences behind it
+  lucidity: {
+    type: Object,
+    default: undefined
+  },
+  // Progress of the asynchronous analysis (unset on dreams analyzed before the queue existed)
+  analysisStatus: {
+    type: String,
+    enum: ['pending', 'done', 'failed']
+  },
+  analysisError: {
+    type: String
+  },
+  // Version of the analysis pipeline that produced the stored analysis
+  analyzerVersion: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Links to other dreams (the links other dreams make to this one are found by query)
+  links: {
+    type: [dreamLinkSchema],
+    default: []
+  },
+  // Multi-night saga the dream belongs to
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DreamSeries',
+    default: null
+  },
   // User custom notes
   notes: {
     type: String,
@@ -77,13 +276,48 @@ const dreamSchema = new mongoose.Schema({
 });
 
 // Create index for searching
-dreamSchema.index({ content: 'text', title: 'text', tags: 'text' });
+// MongoDB reads a document's `language` field as the text-search language and rejects
+// ones it has no stemmer for (such as 'fa'), so the override points at an unused field
+dreamSchema.index(
+  { content: 'text', title: 'text', tags: 'text' },
+  { language_override: 'textSearchLanguage' }
+);
+
+dreamSchema.index({ user: 1, 'links.dream': 1 });
+dreamSchema.index({ series: 1, date: 1 });
 
 // Method to generate a shareable link
 dreamSchema.methods.generateShareableLink = function(baseUrl) {
   return `${baseUrl}/api/dreams/shared/${this._id}`;
 };
 
+// Build the stored analysis sub-document from an analysis pipeline result
+dreamSchema.statics.buildAnalysis = function(advancedAnalysis = {}) {
+  return {
+    sentiment: advancedAnalysis.sentiment,
+    entities: advancedAnalysis.entities || [],
+    topics: advancedAnalysis.topics || [],
+    phrases: advancedAnalysis.phrases || [],
+    sentences: advancedAnalysis.sentences || [],
+    analyzedAt: new Date()
+  };
+};
+
+// Build every analysis-derived field from an analysis pipeline result
+dreamSchema.statics.analysisFields = function(pipelineResult) {
+  return {
+    language: pipelineResult.language || DEFAULT_LANGUAGE,
+    keywords: pipelineResult.keywords || [],
+    emotions: pipelineResult.emotions,
+    symbols: pipelineResult.symbols || [],
+    analysis: this.buildAnalysis(pipelineResult),
+    contentCoding: pipelineResult.contentCoding || null,
+    lucidity: pipelineResult.lucidity || null,
+    analyzerVersion: pipelineResult.version,
+    analysisStatus: 'done'
+  };
+};
+
 // Pre-save hook to set sharing.isShared based on isPrivate
 dreamSchema.pre('save', function(next) {
   if (this.isModified('isPrivate') && this.isPrivate === false) {
@@ -93,6 +327,9 @@ dreamSchema.pre('save', function(next) {
   next();
 });
 
+dreamSchema.statics.LINK_TYPES = LINK_TYPES;
+dreamSchema.statics.RATING_SCALES = RATING_SCALES;
+
 const Dream = mongoose.model('Dream', dreamSchema);
 
 module.exports = Dream; 
\ No newline at end of file
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * A multi-night saga: dreams that tell one story over several nights
+ * Dreams join a series through their `series` field and are ordered by date.
+ */
+const dreamSeriesSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Series title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+dreamSeriesSchema.index({ user: 1 });
+
+const DreamSeries = mongoose.model('DreamSeries', dreamSeriesSchema);
+
+module.exports = DreamSeries;
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { normalizeAliases } = require('../utils/text');
+
+// The classic dream-sign categories: what happens (action), how things look (form),
+// where and with whom (context) and what the dreamer thinks or feels (awareness)
+const CATEGORIES = ['action', 'form', 'context', 'awareness'];
+
+// One dream the sign appeared in
+const occurrenceSchema = new mongoose.Schema({
+  dream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dream',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // Alias the dream matched
+  mention: {
+    type: String,
+    trim: true,
+    lowercase: true
+  }
+}, { _id: false });
+
+/**
+ * A dream sign: a recurring oddity of a user's dreams that should make them
+ * ask whether they are dreaming ("teeth falling out", "back at school")
+ * Signs suggested from the recurring patterns of the journal start unconfirmed
+ * until the user confirms them; dismissed signs are kept so they are not
+ * suggested again.
+ */
+const dreamSignSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Dream sign name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    required: true
+  },
+  // Phrases that show the sign in a dream report; each alias belongs to one sign
+  aliases: {
+    type: [String],
+    default: [],
+    set: normalizeAliases
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters'],
+    default: ''
+  },
+  // False for signs suggested from the journal that the user has not confirmed
+  confirmed: {
+    type: Boolean,
+    default: false
+  },
+  // True for suggestions the user turned down
+  dismissed: {
+    type: Boolean,
+    default: false
+  },
+  occurrences: {
+    type: [occurrenceSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+dreamSignSchema.index({ user: 1, aliases: 1 });
+dreamSignSchema.index({ user: 1, 'occurrences.dream': 1 });
+
+// Sort occurrences chronologically before saving so the dream list is always ordered
+dreamSignSchema.pre('save', function(next) {
+  if (this.isModified('occurrences')) {
+    this.occurrences.sort((a, b) => a.date - b.date);
+  }
+  next();
+});
+
+/**
+ * Summary of the sign without the occurrence list
+ * @returns {Object} { ...sign, frequency, firstSeen, lastSeen }
+ */
+dreamSignSchema.methods.toSummary = function() {
+  const { occurrences, ...sign } = this.toObject();
+  const dates = occurrences.map(occurrence => occurrence.date.getTime());
+  return {
+    ...sign,
+    frequency: occurrences.length,
+    firstSeen: dates.length > 0 ? new Date(Math.min(...dates)) : null,
+    lastSeen: dates.length > 0 ? new Date(Math.max(...dates)) : null
+  };
+};
+
+dreamSignSchema.statics.CATEGORIES = CATEGORIES;
+dreamSignSchema.statics.normalizeAliases = normalizeAliases;
+
+const DreamSign = mongoose.model('DreamSign', dreamSignSchema);
+
+module.exports = DreamSign;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * A symbol's meaning for one user ("water = my childhood lake")
+ * Overrides the universal meaning of a symbol with the same name, or adds a
+ * symbol the global dictionary does not have.
+ */
+const personalSymbolSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Same naming rules as the global dictionary (multi-word names use underscores)
+  name: {
+    type: String,
+    required: [true, 'Symbol name is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[\p{L}\p{N}]+(_[\p{L}\p{N}]+)*$/u, 'Symbol name may only contain letters, digits and underscores']
+  },
+  meaning: {
+    type: String,
+    required: [true, 'Personal meaning is required'],
+    trim: true,
+    maxlength: [1000, 'Meaning cannot be more than 1000 characters']
+  },
+  synonyms: {
+    type: [String],
+    default: [],
+    set: synonyms => [...new Set((synonyms || []).map(s => String(s).trim().toLowerCase()).filter(Boolean))]
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+personalSymbolSchema.index({ user: 1, name: 1 }, { unique: true });
+
+/**
+ * Personal symbols of a user in the shape the analysis pipeline expects
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} [{ name, meaning, synonyms }]
+ */
+personalSymbolSchema.statics.forUser = function(userId) {
+  return this.find({ user: userId })
+    .select('name meaning synonyms -_id')
+    .lean();
+};
+
+const PersonalSymbol = mongoose.model('PersonalSymbol', personalSymbolSchema);
+
+module.exports = PersonalSymbol;
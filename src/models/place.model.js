@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { normalizeAliases } = require('../utils/text');
+
+// Where a place is, and how familiar it is to the dreamer (the Hall/Van de Castle
+// setting classes)
+const LOCATIONS = ['indoor', 'outdoor', 'ambiguous'];
+const FAMILIARITIES = ['familiar', 'unfamiliar', 'geographical', 'questionable'];
+
+// One dream set in the place
+const appearanceSchema = new mongoose.Schema({
+  dream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dream',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // Words the dream used for the place ("grandma's basement")
+  mention: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // 'analysis' when linked automatically, 'user' when linked by hand (kept on re-analysis)
+  source: {
+    type: String,
+    enum: ['analysis', 'user'],
+    default: 'analysis'
+  }
+}, { _id: false });
+
+// An edge of the place graph; stored on both places
+const connectionSchema = new mongoose.Schema({
+  place: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Place',
+    required: true
+  },
+  // How the places connect ("the stairs behind the gym lead down to it")
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Connection description cannot be more than 500 characters'],
+    default: ''
+  }
+}, { _id: false });
+
+/**
+ * A recurring place in a user's dreams ("the house with extra rooms", "grandma's basement")
+ * Places found by analysis start as suggestions until the user confirms them.
+ */
+const placeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Place name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Phrases the dreams use for this place; each alias belongs to one place
+  aliases: {
+    type: [String],
+    default: [],
+    set: normalizeAliases
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters'],
+    default: ''
+  },
+  location: {
+    type: String,
+    enum: LOCATIONS,
+    default: 'ambiguous'
+  },
+  familiarity: {
+    type: String,
+    enum: FAMILIARITIES,
+    default: 'questionable'
+  },
+  // False for places suggested by analysis that the user has not confirmed
+  confirmed: {
+    type: Boolean,
+    default: false
+  },
+  appearances: {
+    type: [appearanceSchema],
+    default: []
+  },
+  connections: {
+    type: [connectionSchema],
+    default: []
+  },
+  // Dreams the user unlinked from this place; analysis does not link them again
+  dismissedDreams: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Dream' }],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Each alias belongs to one of the user's places, also when two analysis workers
+// create the same place at once (empty alias lists are left out)
+placeSchema.index(
+  { user: 1, aliases: 1 },
+  { unique: true, partialFilterExpression: { aliases: { $type: 'string' } } }
+);
+placeSchema.index({ user: 1, 'appearances.dream': 1 });
+placeSchema.index({ user: 1, 'connections.place': 1 });
+
+// Sort appearances chronologically before saving so the dream list is always ordered
+placeSchema.pre('save', function(next) {
+  if (this.isModified('appearances')) {
+    this.appearances.sort((a, b) => a.date - b.date);
+  }
+  next();
+});
+
+/**
+ * Summary of the place without the full appearance list
+ * @returns {Object} { ...place, dreamCount, firstSeen, lastSeen }
+ */
+placeSchema.methods.toSummary = function() {
+  const { appearances, ...place } = this.toObject();
+  const dates = appearances.map(appearance => appearance.date.getTime());
+  return {
+    ...place,
+    dreamCount: appearances.length,
+    firstSeen: dates.length > 0 ? new Date(Math.min(...dates)) : null,
+    lastSeen: dates.length > 0 ? new Date(Math.max(...dates)) : null
+  };
+};
+
+placeSchema.statics.LOCATIONS = LOCATIONS;
+placeSchema.statics.FAMILIARITIES = FAMILIARITIES;
+placeSchema.statics.normalizeAliases = normalizeAliases;
+
+const Place = mongoose.model('Place', placeSchema);
+
+module.exports = Place;
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { localDayAndHour } = require('../utils/dates');
+
+// Lucid dreaming techniques a practice entry can record:
+// realityCheck - daytime reality checks (count how many were done)
+// mild - Mnemonic Induction of Lucid Dreams, intention set while falling asleep
+// wbtb - Wake Back To Bed, woke during the night and went back to sleep
+// wild - Wake-Initiated Lucid Dream, stayed aware while falling asleep
+// supplement - a supplement taken for dreaming (galantamine, vitamin B6...)
+const TECHNIQUES = ['realityCheck', 'mild', 'wbtb', 'wild', 'supplement'];
+
+// Practice before this hour (the dreamer's local time) is still part of the night and
+// counts toward that morning; practice from this hour on counts toward the next morning
+const NIGHT_ENDS_AT_HOUR = 6;
+
+/**
+ * Morning a practice counts toward
+ * Daytime and evening practice counts toward the next morning, whose dreams follow it;
+ * practice during the night (a WBTB at 4am) counts toward the morning it ends in.
+ * @param {Date} performedAt - When the practice was done
+ * @param {string} timeZone - The dreamer's time zone (UTC when unset)
+ * @returns {Date} The morning's day (UTC midnight of the local calendar day)
+ */
+function morningOf(performedAt, timeZone) {
+  const { day, hour } = localDayAndHour(performedAt, timeZone);
+  if (hour >= NIGHT_ENDS_AT_HOUR) {
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return day;
+}
+
+/**
+ * One practice of a lucid dreaming technique
+ * Every entry counts toward a morning (`date`): the dreams recorded that morning
+ * show whether the practice led to a lucid dream.
+ */
+const practiceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  technique: {
+    type: String,
+    enum: TECHNIQUES,
+    required: [true, 'Technique is required']
+  },
+  performedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Morning whose dreams the practice counts toward (defaults from performedAt, see morningOf)
+  date: {
+    type: Date
+  },
+  // Reality checks done; 1 for the other techniques
+  count: {
+    type: Number,
+    default: 1,
+    min: [1, 'Count must be at least 1'],
+    max: [1000, 'Count cannot be more than 1000'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Count must be a whole number'
+    }
+  },
+  // Reality check or variation used ("nose pinch", "hands")
+  method: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Method cannot be more than 100 characters'],
+    default: ''
+  },
+  supplement: {
+    name: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [100, 'Supplement name cannot be more than 100 characters']
+    },
+    dose: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Dose cannot be more than 100 characters']
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+practiceSchema.index({ user: 1, date: -1 });
+practiceSchema.index({ user: 1, technique: 1 });
+
+practiceSchema.pre('validate', function(next) {
+  // Controllers set the date in the dreamer's time zone; UTC otherwise
+  if (!this.date && this.performedAt) {
+    this.date = morningOf(this.performedAt);
+  }
+  // Keep only the day of the morning
+  if (this.date && this.isModified('date')) {
+    const day = new Date(this.date);
+    day.setUTCHours(0, 0, 0, 0);
+    this.date = day;
+  }
+  if (this.technique === 'supplement' && !(this.supplement && this.supplement.name)) {
+    this.invalidate('supplement.name', 'Supplement name is required');
+  }
+  next();
+});
+
+practiceSchema.statics.TECHNIQUES = TECHNIQUES;
+practiceSchema.statics.morningOf = morningOf;
+
+const Practice = mongoose.model('Practice', practiceSchema);
+
+module.exports = Practice;
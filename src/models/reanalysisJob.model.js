@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+// Before/after snapshot of a single re-analyzed dream
+const dreamDiffSchema = new mongoose.Schema({
+  dream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dream',
+    required: true
+  },
+  fromVersion: {
+    type: String,
+    default: null
+  },
+  toVersion: String,
+  keywords: {
+    added: [String],
+    removed: [String]
+  },
+  symbols: {
+    added: [String],
+    removed: [String]
+  },
+  primaryEmotion: {
+    before: String,
+    after: String
+  },
+  sentimentScore: {
+    before: Number,
+    after: Number
+  }
+}, { _id: false });
+
+const reanalysisJobSchema = new mongoose.Schema({
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Restrict the job to one user's dreams; null means every dream
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Skip dreams already analyzed with the current analyzer version
+  onlyOutdated: {
+    type: Boolean,
+    default: true
+  },
+  batchSize: {
+    type: Number,
+    min: 1,
+    max: 1000,
+    default: 100
+  },
+  analyzerVersion: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  progress: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    processed: {
+      type: Number,
+      default: 0
+    },
+    changed: {
+      type: Number,
+      default: 0
+    },
+    // Dreams edited or queued for their own analysis while the job ran
+    skipped: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Last dream processed, so an interrupted job can resume where it stopped
+  lastDreamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Diffs are only recorded for dreams whose analysis changed, up to maxDiffs
+  maxDiffs: {
+    type: Number,
+    default: 1000
+  },
+  diffs: {
+    type: [dreamDiffSchema],
+    default: []
+  },
+  // Failures are recorded up to maxFailures; progress.failed keeps counting them all
+  maxFailures: {
+    type: Number,
+    default: 1000
+  },
+  failures: {
+    type: [{
+      dream: mongoose.Schema.Types.ObjectId,
+      message: String
+    }],
+    default: []
+  },
+  // Process running the job, claimed atomically and renewed after every dream
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Percentage of matching dreams processed so far
+reanalysisJobSchema.virtual('percentComplete').get(function() {
+  if (!this.progress.total) {
+    return this.status === 'completed' ? 100 : 0;
+  }
+  return Math.round((this.progress.processed / this.progress.total) * 100);
+});
+
+reanalysisJobSchema.set('toJSON', { virtuals: true });
+
+const ReanalysisJob = mongoose.model('ReanalysisJob', reanalysisJobSchema);
+
+module.exports = ReanalysisJob;
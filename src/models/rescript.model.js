@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { round } = require('../utils/numbers');
+
+// Where a rescript stands in the treatment
+const STATUSES = ['active', 'paused', 'completed'];
+
+// Distress felt while imagining the dream: 0 none - 10 the worst imaginable
+const DISTRESS_SCALE = { min: 0, max: 10 };
+
+const distressField = label => ({
+  type: Number,
+  required: [true, `${label} is required`],
+  min: [DISTRESS_SCALE.min, `${label} must be between ${DISTRESS_SCALE.min} and ${DISTRESS_SCALE.max}`],
+  max: [DISTRESS_SCALE.max, `${label} must be between ${DISTRESS_SCALE.min} and ${DISTRESS_SCALE.max}`],
+  validate: {
+    validator: Number.isInteger,
+    message: `${label} must be a whole number`
+  }
+});
+
+// One rehearsal of the rescripted dream
+const rehearsalSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  durationMinutes: {
+    type: Number,
+    min: [1, 'Duration must be between 1 and 240 minutes'],
+    max: [240, 'Duration must be between 1 and 240 minutes'],
+    default: null
+  },
+  distressBefore: distressField('Distress before rehearsal'),
+  distressAfter: distressField('Distress after rehearsal'),
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters'],
+    default: ''
+  }
+});
+
+/**
+ * A rescripted version of a nightmare (Imagery Rehearsal Therapy)
+ * The dreamer rewrites the nightmare with a new, less distressing course and
+ * rehearses the new version while awake, rating their distress before and after
+ * each rehearsal. `startedAt` opens the treatment the nightmare report follows.
+ */
+const rescriptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The original nightmare
+  nightmare: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dream',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters'],
+    default: ''
+  },
+  // The nightmare as rewritten
+  content: {
+    type: String,
+    required: [true, 'Rescripted content is required'],
+    trim: true
+  },
+  // What was changed and why ("the dog becomes a puppy I can pick up")
+  changes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Changes cannot be more than 1000 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'active'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rehearsals: {
+    type: [rehearsalSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+rescriptSchema.index({ user: 1, nightmare: 1 });
+rescriptSchema.index({ user: 1, startedAt: 1 });
+
+// Keep rehearsals in the order they were done
+rescriptSchema.pre('save', function(next) {
+  if (this.isModified('rehearsals')) {
+    this.rehearsals.sort((a, b) => a.date - b.date);
+  }
+  next();
+});
+
+// Rescript fields with the rehearsal count and average distress
+rescriptSchema.methods.toSummary = function() {
+  const rescript = this.toObject();
+  const count = this.rehearsals.length;
+  const average = field => (count > 0
+    ? round(this.rehearsals.reduce((sum, rehearsal) => sum + rehearsal[field], 0) / count, 1)
+    : null);
+  const before = average('distressBefore');
+  const after = average('distressAfter');
+
+  return {
+    ...rescript,
+    rehearsalCount: count,
+    lastRehearsal: count > 0 ? this.rehearsals[count - 1].date : null,
+    averageDistressBefore: before,
+    averageDistressAfter: after,
+    // How much distress a rehearsal took away on average
+    averageRelief: count > 0 ? round(before - after, 1) : null
+  };
+};
+
+rescriptSchema.statics.STATUSES = STATUSES;
+rescriptSchema.statics.DISTRESS_SCALE = DISTRESS_SCALE;
+
+const Rescript = mongoose.model('Rescript', rescriptSchema);
+
+module.exports = Rescript;
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+// How much of the night's dreaming was remembered
+const RECALL_LEVELS = ['full', 'fragment', 'none'];
+
+// Waking up during the night
+const awakeningSchema = new mongoose.Schema({
+  time: {
+    type: Date,
+    required: [true, 'Awakening time is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Awakening note cannot be more than 200 characters'],
+    default: ''
+  }
+}, { _id: false });
+
+// A dream recalled from the night, in the order it was dreamt
+const sessionDreamSchema = new mongoose.Schema({
+  dream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dream',
+    required: true
+  },
+  // When the dreamer woke from the dream, if known; places it in the sleep cycle
+  awakenedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * One night of sleep and the dreams recalled from it
+ * The order of `dreams` is the order the dreams were dreamt in. A night may be
+ * logged with nothing but its date and `recall: 'none'`, so nights without a
+ * remembered dream count in the recall rate.
+ */
+const sleepSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Morning the night ended; set from the wake time or bedtime when not given
+  date: {
+    type: Date
+  },
+  bedtime: {
+    type: Date,
+    default: null
+  },
+  wakeTime: {
+    type: Date,
+    default: null
+  },
+  awakenings: {
+    type: [awakeningSchema],
+    default: []
+  },
+  // Sleep quality as rated by the dreamer (1 poor - 5 excellent)
+  quality: {
+    type: Number,
+    min: [1, 'Sleep quality must be between 1 and 5'],
+    max: [5, 'Sleep quality must be between 1 and 5'],
+    default: null
+  },
+  // Mood when going to bed ("anxious", "calm after yoga")
+  preSleepMood: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Pre-sleep mood cannot be more than 100 characters'],
+    default: ''
+  },
+  // Unset on nights logged with dreams, which count as full recall
+  recall: {
+    type: String,
+    enum: RECALL_LEVELS,
+    default: null
+  },
+  // Wake back to bed: woke on purpose during the night and went back to sleep
+  wbtb: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters'],
+    default: ''
+  },
+  dreams: {
+    type: [sessionDreamSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+sleepSessionSchema.index({ user: 1, date: -1 });
+sleepSessionSchema.index({ user: 1, 'dreams.dream': 1 });
+
+// Wake time, awakenings and dream times must fall after bedtime
+sleepSessionSchema.pre('validate', function(next) {
+  if (!this.date) {
+    this.date = this.wakeTime || this.bedtime || new Date();
+  }
+  // A night with a recorded dream was not a night without recall
+  if (this.recall === 'none' && this.dreams.length > 0) {
+    this.recall = null;
+  }
+
+  if (this.bedtime) {
+    if (this.wakeTime && this.wakeTime <= this.bedtime) {
+      this.invalidate('wakeTime', 'Wake time must be after bedtime');
+    }
+    if (this.awakenings.some(awakening => awakening.time && awakening.time < this.bedtime)) {
+      this.invalidate('awakenings', 'Awakenings must be after bedtime');
+    }
+    if (this.dreams.some(entry => entry.awakenedAt && entry.awakenedAt < this.bedtime)) {
+      this.invalidate('dreams', 'Dreams must be recalled after bedtime');
+    }
+  }
+  next();
+});
+
+// Minutes between bedtime and wake time (null while the wake time is unknown)
+sleepSessionSchema.virtual('sleepMinutes').get(function() {
+  return this.bedtime && this.wakeTime
+    ? Math.round((this.wakeTime - this.bedtime) / 60000)
+    : null;
+});
+
+// Recall of the night: as logged, or full when dreams were recorded from it
+sleepSessionSchema.virtual('recallLevel').get(function() {
+  return this.recall || (this.dreams.length > 0 ? 'full' : 'none');
+});
+
+// Session fields with its dream and awakening counts
+sleepSessionSchema.methods.toSummary = function() {
+  const session = this.toObject();
+  return {
+    ...session,
+    recallLevel: this.recallLevel,
+    sleepMinutes: this.sleepMinutes,
+    dreamCount: this.dreams.length,
+    awakeningCount: this.awakenings.length
+  };
+};
+
+sleepSessionSchema.statics.RECALL_LEVELS = RECALL_LEVELS;
+
+const SleepSession = mongoose.model('SleepSession', sleepSessionSchema);
+
+module.exports = SleepSession;
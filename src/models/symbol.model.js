@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { FRAMEWORK_KEYS, DEFAULT_FRAMEWORK } = require('../utils/interpretationFrameworks');
+const { normalizePersian } = require('../utils/persianText');
+
+const SYMBOL_CATEGORIES = [
+  'movement',
+  'environment',
+  'buildings',
+  'people',
+  'animals',
+  'objects',
+  'colors',
+  'scenarios',
+  'modern',
+  'body',
+  'other'
+];
+
+const interpretationSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Interpretation text is required'],
+    trim: true
+  },
+  // Interpretation framework (general, jungian, freudian, cognitive, persian_islamic)
+  framework: {
+    type: String,
+    enum: FRAMEWORK_KEYS,
+    default: DEFAULT_FRAMEWORK
+  },
+  // Where the interpretation comes from (author, tradition or reference)
+  source: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+const sourceSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Source title is required'],
+    trim: true
+  },
+  author: {
+    type: String,
+    trim: true
+  },
+  url: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const symbolSchema = new mongoose.Schema({
+  // Canonical name, multi-word names use underscores (e.g. teeth_falling_out)
+  name: {
+    type: String,
+    required: [true, 'Symbol name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[\p{L}\p{N}]+(_[\p{L}\p{N}]+)*$/u, 'Symbol name may only contain letters, digits and underscores']
+  },
+  // Alternative words/phrases that also count as this symbol
+  synonyms: {
+    type: [String],
+    default: [],
+    set: synonyms => [...new Set((synonyms || []).map(s => String(s).trim().toLowerCase()).filter(Boolean))]
+  },
+  // Synonyms in other languages, keyed by language code; matched in dreams written in that language
+  localizedSynonyms: {
+    fa: {
+      type: [String],
+      default: [],
+      set: synonyms => [...new Set((synonyms || []).map(s => normalizePersian(String(s).trim())).filter(Boolean))]
+    }
+  },
+  category: {
+    type: String,
+    enum: SYMBOL_CATEGORIES,
+    default: 'other'
+  },
+  interpretations: {
+    type: [interpretationSchema],
+    validate: {
+      validator: interpretations => interpretations.length > 0,
+      message: 'At least one interpretation is required'
+    }
+  },
+  sources: {
+    type: [sourceSchema],
+    default: []
+  },
+  // Inactive symbols are kept but ignored by the analyzers
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+symbolSchema.index({ category: 1, name: 1 });
+symbolSchema.index({ synonyms: 1 });
+symbolSchema.index({ 'localizedSynonyms.fa': 1 });
+
+symbolSchema.statics.CATEGORIES = SYMBOL_CATEGORIES;
+
+const DreamSymbol = mongoose.model('Symbol', symbolSchema);
+
+module.exports = DreamSymbol;
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { FRAMEWORK_KEYS, DEFAULT_FRAMEWORK } = require('../utils/interpretationFrameworks');
+const { SUPPORTED_LOCALES } = require('../utils/i18n');
+const { dayNumber } = require('../utils/dates');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -24,6 +27,11 @@ const userSchema = new mongoose.Schema({
     minlength: 6,
     select: false
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -80,6 +88,23 @@ const userSchema = new mongoose.Schema({
     preferredDreamCategories: {
       type: [String],
       default: []
+    },
+    // Framework used for symbol readings in insights
+    interpretationFramework: {
+      type: String,
+      enum: FRAMEWORK_KEYS,
+      default: DEFAULT_FRAMEWORK
+    },
+    // Language of API messages and insights; unset follows the Accept-Language header
+    locale: {
+      type: String,
+      enum: SUPPORTED_LOCALES,
+      default: null
+    },
+    // IANA time zone ("Asia/Tehran") that decides which morning practice counts toward; unset is UTC
+    timezone: {
+      type: String,
+      default: null
     }
   },
   // Stats about user's dream journal
@@ -95,6 +120,33 @@ const userSchema = new mongoose.Schema({
     dreamStreak: {
       type: Number,
       default: 0
+    },
+    // Journaling streak: consecutive days with a dream or a logged night, recalled or not
+    lastLoggedDate: {
+      type: Date,
+      default: null
+    },
+    loggingStreak: {
+      type: Number,
+      default: 0
+    },
+    // Lucid dreaming practice: entries logged, reality checks done and the
+    // streak of consecutive days with practice
+    totalPractices: {
+      type: Number,
+      default: 0
+    },
+    realityChecks: {
+      type: Number,
+      default: 0
+    },
+    lastPracticeDate: {
+      type: Date,
+      default: null
+    },
+    practiceStreak: {
+      type: Number,
+      default: 0
     }
   }
 }, {
@@ -151,6 +203,45 @@ userSchema.methods.updateDreamStats = async function(isNewDream = true, dreamDat
   await this.save();
 };
 
+// Method to update the logging streak when a dream or a night is logged
+userSchema.methods.updateLoggingStats = async function(loggedDate = new Date()) {
+  const lastDay = this.stats.lastLoggedDate ? dayNumber(this.stats.lastLoggedDate) : null;
+  const loggedDay = dayNumber(loggedDate);
+  
+  // More entries for the last logged day, or back-filled earlier days, leave the streak alone
+  if (lastDay !== null && loggedDay <= lastDay) {
+    return;
+  }
+  
+  this.stats.loggingStreak = lastDay !== null && loggedDay === lastDay + 1
+    ? this.stats.loggingStreak + 1
+    : 1;
+  this.stats.lastLoggedDate = loggedDate;
+  
+  await this.save();
+};
+
+// Method to update the practice stats when a practice entry is logged
+userSchema.methods.updatePracticeStats = async function(practice) {
+  const lastDay = this.stats.lastPracticeDate ? dayNumber(this.stats.lastPracticeDate) : null;
+  const practiceDay = dayNumber(practice.performedAt);
+  
+  this.stats.totalPractices += 1;
+  if (practice.technique === 'realityCheck') {
+    this.stats.realityChecks += practice.count;
+  }
+  
+  // Back-filled entries count, but only a new day moves the streak
+  if (lastDay === null || practiceDay > lastDay) {
+    this.stats.practiceStreak = lastDay !== null && practiceDay === lastDay + 1
+      ? this.stats.practiceStreak + 1
+      : 1;
+    this.stats.lastPracticeDate = practice.performedAt;
+  }
+  
+  await this.save();
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User; 
\ No newline at end of file
@@ -0,0 +1,397 @@
+const express = require('express');
+const router = express.Router();
+const { protect, admin } = require('../middleware/auth.middleware');
+const {
+  startReanalysis,
+  getReanalysisJobs,
+  getReanalysisJob
+} = require('../controllers/admin.controller');
+const {
+  getSymbols,
+  getSymbol,
+  createSymbol,
+  updateSymbol,
+  deleteSymbol
+} = require('../controllers/symbol.controller');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReanalysisJob:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         requestedBy:
+ *           type: string
+ *           description: Admin who started the job
+ *         targetUser:
+ *           type: string
+ *           nullable: true
+ *           description: User whose dreams are re-analyzed (null for all dreams)
+ *         onlyOutdated:
+ *           type: boolean
+ *           description: Skip dreams already analyzed with the current analyzer version
+ *         batchSize:
+ *           type: integer
+ *         analyzerVersion:
+ *           type: string
+ *           description: Analyzer version the job upgrades dreams to
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *         progress:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             processed:
+ *               type: integer
+ *             changed:
+ *               type: integer
+ *             skipped:
+ *               type: integer
+ *               description: Dreams edited or queued for their own analysis while the job ran, left unchanged
+ *             failed:
+ *               type: integer
+ *         percentComplete:
+ *           type: integer
+ *         diffs:
+ *           type: array
+ *           description: Before/after changes for dreams whose analysis changed
+ *           items:
+ *             type: object
+ *             properties:
+ *               dream:
+ *                 type: string
+ *               fromVersion:
+ *                 type: string
+ *               toVersion:
+ *                 type: string
+ *               keywords:
+ *                 type: object
+ *               symbols:
+ *                 type: object
+ *               primaryEmotion:
+ *                 type: object
+ *               sentimentScore:
+ *                 type: object
+ *         failures:
+ *           type: array
+ *           description: Dreams that could not be re-analyzed, up to 1000 (progress.failed counts them all)
+ *           items:
+ *             type: object
+ *             properties:
+ *               dream:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *     DreamSymbol:
+ *       type: object
+ *       required:
+ *         - name
+ *         - interpretations
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Canonical name, multi-word names use underscores (e.g. teeth_falling_out)
+ *         synonyms:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Words or phrases that also count as this symbol
+ *         localizedSynonyms:
+ *           type: object
+ *           properties:
+ *             fa:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: Persian words or phrases matched in dreams written in Persian
+ *         category:
+ *           type: string
+ *           enum: [movement, environment, buildings, people, animals, objects, colors, scenarios, modern, body, other]
+ *         interpretations:
+ *           type: array
+ *           description: Interpretations, the first general one is the primary meaning
+ *           items:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *               framework:
+ *                 type: string
+ *                 enum: [general, jungian, freudian, cognitive, persian_islamic]
+ *                 default: general
+ *               source:
+ *                 type: string
+ *         sources:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               author:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive symbols are ignored by the analyzers
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Administrative operations (admin role required)
+ */
+
+/**
+ * @swagger
+ * /api/admin/reanalysis:
+ *   post:
+ *     summary: Start a background re-analysis of stored dreams
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Only re-analyze this user's dreams (omit for all dreams)
+ *               onlyOutdated:
+ *                 type: boolean
+ *                 default: true
+ *               batchSize:
+ *                 type: integer
+ *                 default: 100
+ *     responses:
+ *       202:
+ *         description: Job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReanalysisJob'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Target user not found
+ */
+router.post('/reanalysis', protect, admin, startReanalysis);
+
+/**
+ * @swagger
+ * /api/admin/reanalysis:
+ *   get:
+ *     summary: List re-analysis jobs
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Jobs (without diffs) and the current analyzer version
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/reanalysis', protect, admin, getReanalysisJobs);
+
+/**
+ * @swagger
+ * /api/admin/reanalysis/{id}:
+ *   get:
+ *     summary: Get a re-analysis job's progress and diffs
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Job details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReanalysisJob'
+ *       404:
+ *         description: Job not found
+ */
+router.get('/reanalysis/:id', protect, admin, getReanalysisJob);
+
+/**
+ * @swagger
+ * /api/admin/symbols:
+ *   get:
+ *     summary: List dream symbols
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search names and synonyms
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Symbols, the available categories and pagination
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/symbols', protect, admin, getSymbols);
+
+/**
+ * @swagger
+ * /api/admin/symbols:
+ *   post:
+ *     summary: Create a dream symbol
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DreamSymbol'
+ *     responses:
+ *       201:
+ *         description: Symbol created
+ *       400:
+ *         description: Invalid symbol or name already in use
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin access required
+ */
+router.post('/symbols', protect, admin, createSymbol);
+
+/**
+ * @swagger
+ * /api/admin/symbols/{id}:
+ *   get:
+ *     summary: Get a dream symbol
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Symbol details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DreamSymbol'
+ *       404:
+ *         description: Symbol not found
+ */
+router.get('/symbols/:id', protect, admin, getSymbol);
+
+/**
+ * @swagger
+ * /api/admin/symbols/{id}:
+ *   put:
+ *     summary: Update a dream symbol
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DreamSymbol'
+ *     responses:
+ *       200:
+ *         description: Symbol updated
+ *       400:
+ *         description: Invalid symbol or name already in use
+ *       404:
+ *         description: Symbol not found
+ */
+router.put('/symbols/:id', protect, admin, updateSymbol);
+
+/**
+ * @swagger
+ * /api/admin/symbols/{id}:
+ *   delete:
+ *     summary: Delete a dream symbol
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Symbol deleted
+ *       404:
+ *         description: Symbol not found
+ */
+router.delete('/symbols/:id', protect, admin, deleteSymbol);
+
+module.exports = router;
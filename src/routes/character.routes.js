@@ -0,0 +1,494 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCharacters,
+  createCharacter,
+  getCharacter,
+  updateCharacter,
+  deleteCharacter,
+  getCharacterTimeline,
+  mergeCharacters,
+  splitCharacter,
+  addCharacterAppearance,
+  removeCharacterAppearance
+} = require('../controllers/character.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Character:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Words your dreams use for this character ("mom", "mother"); each alias belongs to one character. Defaults to the name.
+ *         relationship:
+ *           type: string
+ *           enum: [father, mother, family, relative, known, prominent, occupational, stranger, uncertain, animal, creature]
+ *           description: Relationship to the dreamer
+ *         sex:
+ *           type: string
+ *           enum: [male, female, indefinite]
+ *         description:
+ *           type: string
+ *           maxLength: 1000
+ *         appearances:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             $ref: '#/components/schemas/CharacterAppearance'
+ *         dismissedDreams:
+ *           type: array
+ *           readOnly: true
+ *           description: Dreams you unlinked from this character; analysis does not link them again
+ *           items:
+ *             type: string
+ *     CharacterAppearance:
+ *       type: object
+ *       properties:
+ *         dream:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         mention:
+ *           type: string
+ *           description: Word the dream used for the character
+ *         mentions:
+ *           type: integer
+ *         source:
+ *           type: string
+ *           enum: [analysis, user]
+ *           description: Linked by analysis or by you (links you make survive re-analysis)
+ *     CharacterSummary:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *         relationship:
+ *           type: string
+ *         sex:
+ *           type: string
+ *         description:
+ *           type: string
+ *         appearanceCount:
+ *           type: integer
+ *         firstSeen:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastSeen:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Characters
+ *   description: Registry of the recurring figures in your dreams
+ */
+
+/**
+ * @swagger
+ * /api/characters:
+ *   get:
+ *     summary: List your dream characters
+ *     description: Characters are created and linked automatically when dreams are analyzed (named people, family members, relatives and prominent people), and can be added and edited by hand. Sorted by number of appearances.
+ *     tags: [Characters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: relationship
+ *         schema:
+ *           type: string
+ *         description: Only characters with this relationship
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search names and aliases
+ *     responses:
+ *       200:
+ *         description: Characters with appearance counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 characters:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CharacterSummary'
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getCharacters);
+
+/**
+ * @swagger
+ * /api/characters:
+ *   post:
+ *     summary: Add a character
+ *     description: Already analyzed dreams that mention one of the character's aliases are linked right away.
+ *     tags: [Characters]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Character'
+ *     responses:
+ *       201:
+ *         description: Character created
+ *       400:
+ *         description: Invalid character, or an alias already belongs to another character
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/', protect, createCharacter);
+
+/**
+ * @swagger
+ * /api/characters/{id}:
+ *   get:
+ *     summary: Get a character with its appearances
+ *     tags: [Characters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Character
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Character'
+ *       400:
+ *         description: Invalid character ID
+ *       403:
+ *         description: Not your character
+ *       404:
+ *         description: Character not found
+ */
+router.get('/:id', protect, getCharacter);
+
+/**
+ * @swagger
+ * /api/characters/{id}:
+ *   put:
+ *     summary: Update a character
+ *     description: New aliases are linked to the already analyzed dreams that use them.
+ *     tags: [Characters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Character'
+ *     responses:
+ *       200:
+ *         description: Character updated
+ *       400:
+ *         description: Invalid character, or an alias already belongs to another character
+ *       403:
+ *         description: Not your character
+ *       404:
+ *         description: Character not found
+ */
+router.put('/:id', protect, updateCharacter);
+
+/**
+ * @swagger
+ * /api/characters/{id}:
+ *   delete:
+ *     summary: Delete a character
+ *     description: Removes the character from the registry; the dreams are not changed.
+ *     tags: [Characters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Character deleted
+ *       403:
+ *         description: Not your character
+ *       404:
+ *         description: Character not found
+ */
+router.delete('/:id', protect, deleteCharacter);
+
+/**
+ * @swagger
+ * /api/characters/{id}/timeline:
+ *   get:
+ *     summary: Get a character's appearances over time
+ *     tags: [Characters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Appearances in date order with their dreams, and appearances per month
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 character:
+ *                   $ref: '#/components/schemas/CharacterSummary'
+ *                 timeline:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       dream:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           category:
+ *                             type: string
+ *                           primaryEmotion:
+ *                             type: string
+ *                       mention:
+ *                         type: string
+ *                       mentions:
+ *                         type: integer
+ *                       source:
+ *                         type: string
+ *                 byMonth:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *                   example:
+ *                     2024-01: 3
+ *                     2024-02: 1
+ *       403:
+ *         description: Not your character
+ *       404:
+ *         description: Character not found
+ */
+router.get('/:id/timeline', protect, getCharacterTimeline);
+
+/**
+ * @swagger
+ * /api/characters/{id}/merge:
+ *   post:
+ *     summary: Merge other characters into this one
+ *     description: Their aliases and appearances move to this character and they are deleted.
+ *     tags: [Characters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - characterIds
+ *             properties:
+ *               characterIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Merged character
+ *       400:
+ *         description: No characters given, or a character merged into itself
+ *       403:
+ *         description: Not your character
+ *       404:
+ *         description: Character not found
+ */
+router.post('/:id/merge', protect, mergeCharacters);
+
+/**
+ * @swagger
+ * /api/characters/{id}/split:
+ *   post:
+ *     summary: Split part of a character off into a new character
+ *     description: Moves the given aliases to a new character, with the appearances that used them and the appearances in the given dreams. The moved appearances are kept as hand-made links, and the original is unlinked from the given dreams, so re-analysis does not undo the split.
+ *     tags: [Characters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Aliases of this character to move
+ *               dreamIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Dreams whose appearances move
+ *               relationship:
+ *                 type: string
+ *               sex:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The remaining and the new character
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 original:
+ *                   $ref: '#/components/schemas/Character'
+ *                 created:
+ *                   $ref: '#/components/schemas/Character'
+ *       400:
+ *         description: Nothing to move, dreamIds not an array of valid IDs, or an alias the character does not have
+ *       403:
+ *         description: Not your character
+ *       404:
+ *         description: Character not found
+ */
+router.post('/:id/split', protect, splitCharacter);
+
+/**
+ * @swagger
+ * /api/characters/{id}/appearances:
+ *   post:
+ *     summary: Link a character to a dream
+ *     tags: [Characters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dreamId
+ *             properties:
+ *               dreamId:
+ *                 type: string
+ *               mention:
+ *                 type: string
+ *                 description: Word the dream uses for the character (defaults to the name)
+ *     responses:
+ *       200:
+ *         description: Character with the new appearance
+ *       403:
+ *         description: Not your character or not your dream
+ *       404:
+ *         description: Character or dream not found
+ */
+router.post('/:id/appearances', protect, addCharacterAppearance);
+
+/**
+ * @swagger
+ * /api/characters/{id}/appearances/{dreamId}:
+ *   delete:
+ *     summary: Unlink a character from a dream
+ *     description: The dream is remembered as dismissed, so re-analysis does not link it again.
+ *     tags: [Characters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: dreamId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Character without the appearance
+ *       403:
+ *         description: Not your character
+ *       404:
+ *         description: Character or dream not found
+ */
+router.delete('/:id/appearances/:dreamId', protect, removeCharacterAppearance);
+
+module.exports = router;
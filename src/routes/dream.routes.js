@@ -1,7 +1,5 @@
 const express = require('express');
 const router = express.Router();
-const Dream = require('../models/dream.model');
-const { analyzeDream } = require('../utils/dreamAnalyzer');
 const { 
   createDream, 
   getDreams, 
@@ -10,11 +8,24 @@ const {
   deleteDream, 
   searchDreams, 
   getDreamStats, 
+  getNormComparison,
   analyzeDreamPatterns, 
+  getJournalContentAnalysis,
+  getDreamContentAnalysis,
+  getDreamLucidity,
   shareDream, 
   getSharedDream,
-  generateDreamInsights
+  generateDreamInsights,
+  getAnalysisStatus,
+  streamAnalysisStatus,
+  retryAnalysis
 } = require('../controllers/dream.controller');
+const {
+  getDreamLinks,
+  createDreamLink,
+  deleteDreamLink,
+  getDreamLinkSuggestions
+} = require('../controllers/dreamLink.controller');
 const { protect } = require('../middleware/auth.middleware');
 
 /**
@@ -40,6 +51,10 @@ const { protect } = require('../middleware/auth.middleware');
  *         content:
  *           type: string
  *           description: Content/description of the dream
+ *         language:
+ *           type: string
+ *           enum: [en, fa]
+ *           description: Language the dream is written in, detected from its content (picks the analysis path)
  *         date:
  *           type: string
  *           format: date
@@ -59,13 +74,84 @@ const { protect } = require('../middleware/auth.middleware');
  *           properties:
  *             primary:
  *               type: string
- *               description: Primary emotion detected in the dream
+ *               enum: [joy, trust, fear, surprise, sadness, disgust, anger, anticipation, neutral]
+ *               description: Dominant emotion (Plutchik's eight basic emotions), or neutral when none is found
  *             score:
  *               type: number
- *               description: Confidence score for the primary emotion
+ *               description: Share (0-100) of the emotional content carried by the dominant emotion
+ *             intensity:
+ *               type: string
+ *               enum: [mild, moderate, intense]
+ *               description: Intensity of the dominant emotion
+ *             label:
+ *               type: string
+ *               description: Plutchik name for the dominant emotion at that intensity (e.g. apprehension, fear, terror)
+ *             valence:
+ *               type: string
+ *               enum: [positive, negative, neutral]
+ *               description: Overall emotional polarity
  *             breakdown:
  *               type: object
- *               description: Detailed breakdown of emotions
+ *               description: Score (0-100) for each of the eight emotions
+ *             experiencers:
+ *               type: object
+ *               description: Emotion weights split by who felt them
+ *               properties:
+ *                 dreamer:
+ *                   type: object
+ *                 other:
+ *                   type: object
+ *             negatedCount:
+ *               type: integer
+ *               description: Emotion words cancelled by a negation ("I wasn't afraid")
+ *             instances:
+ *               type: array
+ *               description: Emotion words found in the dream
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   word:
+ *                     type: string
+ *                   emotion:
+ *                     type: string
+ *                   level:
+ *                     type: integer
+ *                     description: Lexicon intensity level (1-3)
+ *                   label:
+ *                     type: string
+ *                   position:
+ *                     type: integer
+ *                     description: Index of the word among the dream's words
+ *                   start:
+ *                     type: integer
+ *                     description: Character offset of the word in the content
+ *                   end:
+ *                     type: integer
+ *                   negated:
+ *                     type: boolean
+ *                   negator:
+ *                     type: string
+ *                     nullable: true
+ *                   modifiers:
+ *                     type: array
+ *                     description: Intensifiers/diminishers applied to the word (e.g. "extremely", "a bit")
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         word:
+ *                           type: string
+ *                         factor:
+ *                           type: number
+ *                   weight:
+ *                     type: number
+ *                     description: Contribution to the emotion scores (0 when negated)
+ *                   experiencer:
+ *                     type: string
+ *                     enum: [dreamer, other]
+ *                     description: Whether the dreamer or another dream character felt the emotion
+ *                   experiencerWord:
+ *                     type: string
+ *                     nullable: true
  *         symbols:
  *           type: array
  *           items:
@@ -75,7 +161,146 @@ const { protect } = require('../middleware/auth.middleware');
  *                 type: string
  *               meaning:
  *                 type: string
- *           description: Dream symbols detected and their meanings
+ *                 description: Your personal meaning when you have one, otherwise the primary universal interpretation
+ *               universalMeaning:
+ *                 type: string
+ *                 nullable: true
+ *               personalMeaning:
+ *                 type: string
+ *                 nullable: true
+ *               origin:
+ *                 type: string
+ *                 enum: [universal, personal, both]
+ *                 description: Which dictionary the symbol came from
+ *               category:
+ *                 type: string
+ *               interpretations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     text:
+ *                       type: string
+ *                     framework:
+ *                       type: string
+ *                       enum: [general, jungian, freudian, cognitive, persian_islamic]
+ *                     source:
+ *                       type: string
+ *               readings:
+ *                 type: object
+ *                 description: One reading per interpretation framework the symbol has (e.g. { general, jungian, freudian })
+ *               context:
+ *                 type: string
+ *                 description: Text around the first occurrence
+ *               adjectives:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               verbs:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               frequency:
+ *                 type: integer
+ *                 description: Number of occurrences in the dream
+ *               occurrences:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     text:
+ *                       type: string
+ *                       description: Text as written in the dream (e.g. "teeth fell out")
+ *                     matched:
+ *                       type: string
+ *                       description: Dictionary phrase or synonym that matched
+ *                     start:
+ *                       type: integer
+ *                     end:
+ *                       type: integer
+ *                     context:
+ *                       type: string
+ *           description: Dream symbols detected (whole words, inflections, multi-word phrases and synonyms) and their meanings
+ *         analysis:
+ *           type: object
+ *           description: Full NLP analysis of the dream content
+ *           properties:
+ *             sentiment:
+ *               type: object
+ *               properties:
+ *                 score:
+ *                   type: number
+ *                 comparative:
+ *                   type: number
+ *                 vote:
+ *                   type: string
+ *                   enum: [positive, negative, neutral]
+ *             entities:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [person, place, organization, date]
+ *                   text:
+ *                     type: string
+ *                   confidence:
+ *                     type: number
+ *             topics:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   topic:
+ *                     type: string
+ *                   count:
+ *                     type: integer
+ *             phrases:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [noun_phrase, verb_phrase]
+ *                   text:
+ *                     type: string
+ *             sentences:
+ *               type: array
+ *               items:
+ *                 type: object
+ *             analyzedAt:
+ *               type: string
+ *               format: date-time
+ *         contentCoding:
+ *           allOf:
+ *             - $ref: '#/components/schemas/ContentCoding'
+ *           nullable: true
+ *           description: Hall/Van de Castle content coding (null for dreams not written in English)
+ *         analysisStatus:
+ *           type: string
+ *           enum: [pending, done, failed]
+ *           description: Progress of the asynchronous analysis
+ *         analysisError:
+ *           type: string
+ *           description: Reason the last analysis attempt failed
+ *         analyzerVersion:
+ *           type: string
+ *           description: Version of the analysis pipeline that produced the stored analysis
+ *         ratings:
+ *           $ref: '#/components/schemas/DreamRatings'
+ *         lucidity:
+ *           $ref: '#/components/schemas/Lucidity'
+ *         links:
+ *           type: array
+ *           description: Links to other dreams (manage them with /api/dreams/{id}/links)
+ *           items:
+ *             $ref: '#/components/schemas/DreamLink'
+ *         series:
+ *           type: string
+ *           nullable: true
+ *           description: Series (multi-night saga) the dream belongs to
  *         notes:
  *           type: string
  *           description: User's own notes about the dream
@@ -95,12 +320,20 @@ const { protect } = require('../middleware/auth.middleware');
  *         tags: ['flying', 'mountains', 'positive']
  *         keywords: ['flying', 'mountains', 'beautiful', 'skies', 'clear']
  *         emotions: 
- *           primary: positive
+ *           primary: joy
  *           score: 75
+ *           intensity: moderate
+ *           label: joy
+ *           valence: positive
  *           breakdown: 
- *             positive: 75
- *             negative: 0
- *             neutral: 25
+ *             joy: 75
+ *             trust: 0
+ *             fear: 0
+ *             surprise: 25
+ *             sadness: 0
+ *             disgust: 0
+ *             anger: 0
+ *             anticipation: 0
  *         symbols: 
  *           - symbol: flying
  *             meaning: Represents freedom, ambition, or escaping limitations
@@ -109,6 +342,440 @@ const { protect } = require('../middleware/auth.middleware');
  *         createdAt: 2023-06-25T10:00:00.000Z
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AnalysisStatus:
+ *       type: object
+ *       properties:
+ *         dreamId:
+ *           type: string
+ *         analysisStatus:
+ *           type: string
+ *           enum: [pending, done, failed]
+ *         analysisError:
+ *           type: string
+ *           nullable: true
+ *         analyzerVersion:
+ *           type: string
+ *           nullable: true
+ *         job:
+ *           type: object
+ *           nullable: true
+ *           description: Latest analysis job for the dream
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: [queued, processing, completed, failed]
+ *             attempts:
+ *               type: integer
+ *             maxAttempts:
+ *               type: integer
+ *             runAt:
+ *               type: string
+ *               format: date-time
+ *             lastError:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ContentCountTables:
+ *       type: object
+ *       description: Hall/Van de Castle code counts
+ *       properties:
+ *         characters:
+ *           type: object
+ *           description: total, human, animal, creature, male, female, joint, indefinite, familiar, unfamiliar, known, family
+ *         aggression:
+ *           type: object
+ *           description: total, physical, dreamerAggressor, dreamerVictim, witnessed
+ *         friendliness:
+ *           type: object
+ *           description: total, dreamerBefriender, dreamerBefriended, witnessed
+ *         sexuality:
+ *           type: object
+ *           description: total, dreamerInvolved
+ *         misfortunes:
+ *           type: object
+ *           description: total, bodily, dreamer
+ *         goodFortunes:
+ *           type: object
+ *           description: total, dreamer
+ *         successes:
+ *           type: object
+ *           description: total, dreamer
+ *         failures:
+ *           type: object
+ *           description: total, dreamer
+ *         settings:
+ *           type: object
+ *           description: total, indoor, outdoor, familiar, unfamiliar, geographical, questionable
+ *         objects:
+ *           type: object
+ *           description: total and one count per object class
+ *     ContentIndices:
+ *       type: object
+ *       description: Standard Hall/Van de Castle percentages (0-100) and indices; null when the denominator is 0
+ *       properties:
+ *         characters:
+ *           type: object
+ *           properties:
+ *             maleFemalePercent:
+ *               type: number
+ *               nullable: true
+ *               description: Male characters among male and female characters
+ *             familiarityPercent:
+ *               type: number
+ *               nullable: true
+ *             friendsPercent:
+ *               type: number
+ *               nullable: true
+ *             familyPercent:
+ *               type: number
+ *               nullable: true
+ *             animalPercent:
+ *               type: number
+ *               nullable: true
+ *         socialInteractions:
+ *           type: object
+ *           properties:
+ *             aggressionFriendlinessPercent:
+ *               type: number
+ *               nullable: true
+ *             aggressorPercent:
+ *               type: number
+ *               nullable: true
+ *             befrienderPercent:
+ *               type: number
+ *               nullable: true
+ *             physicalAggressionPercent:
+ *               type: number
+ *               nullable: true
+ *             acIndex:
+ *               type: number
+ *               nullable: true
+ *               description: Aggressions per character (A/C index)
+ *             fcIndex:
+ *               type: number
+ *               nullable: true
+ *               description: Friendly interactions per character (F/C index)
+ *             scIndex:
+ *               type: number
+ *               nullable: true
+ *               description: Sexual interactions per character (S/C index)
+ *         selfConcept:
+ *           type: object
+ *           properties:
+ *             selfNegativityPercent:
+ *               type: number
+ *               nullable: true
+ *             bodilyMisfortunesPercent:
+ *               type: number
+ *               nullable: true
+ *             dreamerSuccessPercent:
+ *               type: number
+ *               nullable: true
+ *         settings:
+ *           type: object
+ *           properties:
+ *             indoorPercent:
+ *               type: number
+ *               nullable: true
+ *             familiarPercent:
+ *               type: number
+ *               nullable: true
+ *         objects:
+ *           type: object
+ *           description: Share of each object class (architecture, household, food, implements, travel, streets, regions, nature, bodyParts, clothing, communication, money)
+ *     Lucidity:
+ *       type: object
+ *       description: Lucidity detected in the dream report, with the evidence behind it
+ *       properties:
+ *         score:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *         level:
+ *           type: string
+ *           enum: [lucid, prelucid, none]
+ *           description: lucid when the dreamer knew they were dreaming; prelucid when only reality checks, dream control or false awakenings were found
+ *         isLucid:
+ *           type: boolean
+ *         suggestedRating:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 4
+ *           description: Lucidity rating the detection suggests (see DreamRatings)
+ *         signals:
+ *           type: object
+ *           description: Number of sentences showing each sign
+ *           properties:
+ *             awareness:
+ *               type: integer
+ *             realityCheck:
+ *               type: integer
+ *             control:
+ *               type: integer
+ *             falseAwakening:
+ *               type: integer
+ *         evidence:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [awareness, realityCheck, control, falseAwakening]
+ *               sentence:
+ *                 type: string
+ *               match:
+ *                 type: string
+ *                 description: Words that showed the sign
+ *               start:
+ *                 type: integer
+ *                 description: Character offset of the match in the content
+ *               end:
+ *                 type: integer
+ *               negated:
+ *                 type: boolean
+ *                 description: The sign was negated ("I didn't look at my hands") or, for awareness, only wished for ("I want to have a lucid dream") and does not count
+ *     DreamRatings:
+ *       type: object
+ *       description: Your ratings of the dream; each is a whole number, or null when not rated
+ *       properties:
+ *         lucidity:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 4
+ *           nullable: true
+ *           description: 0 not lucid, 1 a flash of awareness, 2 aware but lost it, 3 lucid, 4 fully lucid throughout
+ *         vividness:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           nullable: true
+ *           description: 1 faint - 5 as vivid as waking life
+ *         recallClarity:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           nullable: true
+ *           description: 1 barely remembered - 5 remembered in detail
+ *         emotionalIntensity:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           nullable: true
+ *           description: 1 flat - 5 overwhelming
+ *         bizarreness:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           nullable: true
+ *           description: 1 realistic - 5 bizarre
+ *         control:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 4
+ *           nullable: true
+ *           description: 0 no control - 4 full control over the dream
+ *     RecallWindow:
+ *       type: object
+ *       description: Recall over the last days
+ *       properties:
+ *         days:
+ *           type: integer
+ *         logged:
+ *           type: integer
+ *           description: Days with a dream or a logged night
+ *         full:
+ *           type: integer
+ *         fragment:
+ *           type: integer
+ *         none:
+ *           type: integer
+ *         recallRate:
+ *           type: number
+ *           nullable: true
+ *           description: Share of logged days with any recall, fragments included (0-1)
+ *         loggingRate:
+ *           type: number
+ *           description: Share of the days that were logged (0-1)
+ *     PracticeNights:
+ *       type: object
+ *       description: Lucid dreams on the mornings after a practice
+ *       properties:
+ *         nights:
+ *           type: integer
+ *           description: Mornings the practice counted toward
+ *         nightsWithDreams:
+ *           type: integer
+ *         lucidNights:
+ *           type: integer
+ *           description: Mornings with a lucid dream
+ *         lucidRate:
+ *           type: number
+ *           nullable: true
+ *           description: Share of the mornings with dreams that had a lucid dream (0-1)
+ *         difference:
+ *           type: number
+ *           nullable: true
+ *           description: Lucid rate minus the lucid rate of nights without practice
+ *         lift:
+ *           type: number
+ *           nullable: true
+ *           description: How many times more often the mornings were lucid than after nights without practice (null while that rate is 0 or unknown)
+ *     DreamLink:
+ *       type: object
+ *       properties:
+ *         dream:
+ *           type: string
+ *           description: Linked dream
+ *         type:
+ *           type: string
+ *           enum: [continues, recurs, references, same-night]
+ *           description: continues the linked dream's story, is the same dream recurring, refers back to it, or was dreamt the same night
+ *         note:
+ *           type: string
+ *           maxLength: 500
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ContentCoding:
+ *       type: object
+ *       description: Hall/Van de Castle content coding of one dream
+ *       properties:
+ *         system:
+ *           type: string
+ *           example: hall-van-de-castle
+ *         characters:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               kind:
+ *                 type: string
+ *                 enum: [human, animal, creature]
+ *               number:
+ *                 type: string
+ *                 enum: [individual, group]
+ *               sex:
+ *                 type: string
+ *                 enum: [male, female, joint, indefinite]
+ *               identity:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [father, mother, family, relative, known, prominent, occupational, stranger, uncertain]
+ *               age:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [adult, teenager, child, baby]
+ *               code:
+ *                 type: string
+ *                 example: 1FMA
+ *               mentions:
+ *                 type: integer
+ *         interactions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [aggression, friendliness, sexuality]
+ *               level:
+ *                 type: integer
+ *                 description: HVdC intensity (aggression 1-8, friendliness 1-7, sexuality 1-5)
+ *               physical:
+ *                 type: boolean
+ *               verb:
+ *                 type: string
+ *               initiator:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Character key, or "dreamer"
+ *               recipient:
+ *                 type: string
+ *                 description: Character key, or "dreamer"
+ *               dreamerRole:
+ *                 type: string
+ *                 enum: [aggressor, victim, befriender, befriended, initiator, recipient, witness]
+ *               sentence:
+ *                 type: integer
+ *               start:
+ *                 type: integer
+ *               end:
+ *                 type: integer
+ *         misfortunes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               word:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [death, injury, loss, accident, obstacle]
+ *               bodily:
+ *                 type: boolean
+ *               character:
+ *                 type: string
+ *                 nullable: true
+ *               dreamerInvolved:
+ *                 type: boolean
+ *         goodFortunes:
+ *           type: array
+ *           items:
+ *             type: object
+ *         successes:
+ *           type: array
+ *           items:
+ *             type: object
+ *         failures:
+ *           type: array
+ *           items:
+ *             type: object
+ *         settings:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               word:
+ *                 type: string
+ *               phrase:
+ *                 type: string
+ *                 description: The setting with the words describing it ("grandma's basement")
+ *               location:
+ *                 type: string
+ *                 enum: [indoor, outdoor, ambiguous]
+ *               familiarity:
+ *                 type: string
+ *                 enum: [familiar, unfamiliar, geographical, questionable]
+ *         objects:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               word:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *         counts:
+ *           $ref: '#/components/schemas/ContentCountTables'
+ *         indices:
+ *           $ref: '#/components/schemas/ContentIndices'
+ */
+
 /**
  * @swagger
  * tags:
@@ -150,74 +817,25 @@ const { protect } = require('../middleware/auth.middleware');
  *                 type: string
  *               isPrivate:
  *                 type: boolean
+ *               category:
+ *                 type: string
+ *                 enum: [lucid, nightmare, recurring, prophetic, healing, adventure, fantasy, uncategorized]
+ *                 description: Dream category (suggested from the content when omitted)
+ *               ratings:
+ *                 $ref: '#/components/schemas/DreamRatings'
  *     responses:
  *       201:
- *         description: Dream created successfully
+ *         description: Dream saved; analysis is queued (analysisStatus is pending)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Dream'
+ *       400:
+ *         description: Invalid dream (e.g. a rating outside its scale)
  *       401:
  *         description: Not authenticated
  */
-router.post('/', async (req, res) => {
-  // Normally would include auth middleware
-  // For this example we'll use a mock authenticated user
-  console.log('POST /api/dreams - Request received (mock auth)');
-  
-  try {
-    const userId = req.headers['x-mock-user-id'];
-    
-    if (!userId) {
-      console.log('Dream creation failed - No mock user ID provided');
-      return res.status(401).json({ message: 'Not authenticated' });
-    }
-    
-    const { title, content, date, tags, notes, isPrivate } = req.body;
-    
-    console.log('Creating new dream entry:', { 
-      userId, 
-      title, 
-      contentLength: content ? content.length : 0,
-      tags 
-    });
-    
-    // Analyze dream content
-    console.log('Analyzing dream content...');
-    const analysis = analyzeDream(content);
-    
-    // Create new dream entry
-    const dream = new Dream({
-      user: userId,
-      title,
-      content,
-      date: date || new Date(),
-      tags: tags || [],
-      notes: notes || '',
-      isPrivate: isPrivate !== undefined ? isPrivate : true,
-      // Add analysis results
-      keywords: analysis.keywords,
-      emotions: analysis.emotions,
-      symbols: analysis.symbols
-    });
-    
-    await dream.save();
-    console.log('Dream entry created successfully:', { 
-      id: dream._id, 
-      title,
-      userId,
-      keywordsCount: analysis.keywords.length,
-      symbolsCount: analysis.symbols.length,
-      primaryEmotion: analysis.emotions.primary
-    });
-    
-    res.status(201).json(dream);
-    
-  } catch (error) {
-    console.error('Error creating dream entry:', error.message);
-    res.status(500).json({ message: 'Server error creating dream entry' });
-  }
-});
+router.post('/', protect, createDream);
 
 /**
  * @swagger
@@ -238,132 +856,758 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: Number of dreams to skip for pagination
- *     responses:
- *       200:
- *         description: List of dreams
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Dream'
- *       401:
- *         description: Not authenticated
- */
-router.get('/', async (req, res) => {
-  // Normally would include auth middleware
-  console.log('GET /api/dreams - Request received (mock auth)');
-  
-  try {
-    const userId = req.headers['x-mock-user-id'];
-    
-    if (!userId) {
-      console.log('Dream retrieval failed - No mock user ID provided');
-      return res.status(401).json({ message: 'Not authenticated' });
-    }
-    
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = parseInt(req.query.skip) || 0;
-    
-    console.log('Retrieving dreams for user:', { 
-      userId, 
-      limit, 
-      skip 
-    });
-    
-    const dreams = await Dream.find({ user: userId })
-      .sort({ date: -1 })
-      .limit(limit)
-      .skip(skip);
-    
-    console.log('Retrieved dreams successfully:', { 
-      userId, 
-      count: dreams.length 
-    });
-    
-    res.status(200).json(dreams);
-    
-  } catch (error) {
-    console.error('Error retrieving dreams:', error.message);
-    res.status(500).json({ message: 'Server error retrieving dreams' });
-  }
-});
-
-/**
- * @swagger
- * /api/dreams/{id}:
- *   get:
- *     summary: Get a dream by ID
- *     tags: [Dreams]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
+ *       - in: query
+ *         name: category
  *         schema:
  *           type: string
- *         required: true
+ *         description: Only return dreams in this category
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only return dreams with this tag
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: [en, fa]
+ *         description: Only return dreams written in this language
+ *       - in: query
+ *         name: series
+ *         schema:
+ *           type: string
+ *         description: Only return dreams in this series
+ *       - in: query
+ *         name: lucidityMin
+ *         schema:
+ *           type: integer
+ *         description: Only return dreams rated at least this for lucidity
+ *       - in: query
+ *         name: lucidityMax
+ *         schema:
+ *           type: integer
+ *         description: Only return dreams rated at most this for lucidity
+ *       - in: query
+ *         name: vividnessMin
+ *         schema:
+ *           type: integer
+ *         description: Only return dreams rated at least this for vividness
+ *       - in: query
+ *         name: vividnessMax
+ *         schema:
+ *           type: integer
+ *         description: Only return dreams rated at most this for vividness
+ *       - in: query
+ *         name: recallClarityMin
+ *         schema:
+ *           type: integer
+ *         description: Only return dreams rated at least this for recallClarity
+ *       - in: query
+ *         name: recallClarityMax
+ *         schema:
+ *           type: integer
+ *         description: Only return dreams rated at most this for recallClarity
+ *       - in: query
+ *         name: emotionalIntensityMin
+ *         schema:
+ *           type: integer
+ *         description: Only return dreams rated at least this for emotionalIntensity
+ *       - in: query
+ *         name: emotionalIntensityMax
+ *         schema:
+ *           type: integer
+ *         description: Only return dreams rated at most this for emotionalIntensity
+ *       - in: query
+ *         name: bizarrenessMin
+ *         schema:
+ *           type: integer
+ *         description: Only return dreams rated at least this for bizarreness
+ *       - in: query
+ *         name: bizarrenessMax
+ *         schema:
+ *           type: integer
+ *         description: Only return dreams rated at most this for bizarreness
+ *       - in: query
+ *         name: controlMin
+ *         schema:
+ *           type: integer
+ *         description: Only return dreams rated at least this for control
+ *       - in: query
+ *         name: controlMax
+ *         schema:
+ *           type: integer
+ *         description: Only return dreams rated at most this for control
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Sort expression (defaults to -date, newest first)
+ *     responses:
+ *       200:
+ *         description: Paginated list of dreams
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dreams:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Dream'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     skip:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *       400:
+ *         description: Invalid series ID or rating filter
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getDreams);
+
+/**
+ * @swagger
+ * /api/dreams/search:
+ *   get:
+ *     summary: Search the current user's dreams
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Text to search for in dream titles, content and tags
+ *     responses:
+ *       200:
+ *         description: Matching dreams ordered by relevance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Dream'
+ *       400:
+ *         description: Search query is missing
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/search', protect, searchDreams);
+
+/**
+ * @swagger
+ * /api/dreams/stats:
+ *   get:
+ *     summary: Get dream statistics for the current user
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dream statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalDreams:
+ *                   type: integer
+ *                 categoryStats:
+ *                   type: array
+ *                   description: Dream counts grouped by category
+ *                   items:
+ *                     type: object
+ *                 emotionStats:
+ *                   type: array
+ *                   description: Dream counts grouped by primary emotion
+ *                   items:
+ *                     type: object
+ *                 symbolStats:
+ *                   type: array
+ *                   description: Ten most common symbols
+ *                   items:
+ *                     type: object
+ *                 entityStats:
+ *                   type: array
+ *                   description: Ten most common named entities
+ *                   items:
+ *                     type: object
+ *                 timeStats:
+ *                   type: array
+ *                   description: Dream counts by month
+ *                   items:
+ *                     type: object
+ *                 sentimentTrends:
+ *                   type: array
+ *                   description: Average sentiment score by month
+ *                   items:
+ *                     type: object
+ *                 ratingStats:
+ *                   type: object
+ *                   description: Per rating scale, the number of rated dreams, the average and the distribution of ratings; lucidDreams counts dreams with a lucidity of 3 or more
+ *                 ratingTrends:
+ *                   type: array
+ *                   description: Average of each rating by month
+ *                   items:
+ *                     type: object
+ *                 sleepStats:
+ *                   type: object
+ *                   description: Recall over the logged sleep sessions
+ *                   properties:
+ *                     sessions:
+ *                       type: integer
+ *                     nightsWithDreams:
+ *                       type: integer
+ *                     nightsWithRecall:
+ *                       type: integer
+ *                       description: Nights with a dream, or logged as full or fragment recall
+ *                     dreamsPerNight:
+ *                       type: number
+ *                       nullable: true
+ *                     recallRate:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Share of logged nights with any recall (0-1)
+ *                     averageQuality:
+ *                       type: number
+ *                       nullable: true
+ *                     wbtbNights:
+ *                       type: integer
+ *                 recallStats:
+ *                   type: object
+ *                   description: Recall over every logged day - a day with a dream, or a night logged with its recall level
+ *                   properties:
+ *                     windows:
+ *                       type: object
+ *                       description: Recall over the last 7, 30 and 90 days (keys 7d, 30d, 90d)
+ *                       additionalProperties:
+ *                         $ref: '#/components/schemas/RecallWindow'
+ *                     streaks:
+ *                       type: object
+ *                       description: Runs of consecutive logged days, recalled or not
+ *                       properties:
+ *                         current:
+ *                           type: integer
+ *                         longest:
+ *                           type: integer
+ *                     trend:
+ *                       type: array
+ *                       description: Weekly recall for the last 12 weeks, oldest first
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           weekStart:
+ *                             type: string
+ *                             format: date
+ *                           logged:
+ *                             type: integer
+ *                           recallRate:
+ *                             type: number
+ *                             nullable: true
+ *                           loggingRate:
+ *                             type: number
+ *                 practiceStats:
+ *                   type: object
+ *                   description: Which lucid dreaming techniques were followed by lucid dreams (see /api/practice); WBTB nights of sleep sessions count as WBTB practice
+ *                   properties:
+ *                     baseline:
+ *                       type: object
+ *                       description: Mornings with dreams after no practice
+ *                       properties:
+ *                         nights:
+ *                           type: integer
+ *                         nightsWithDreams:
+ *                           type: integer
+ *                         lucidNights:
+ *                           type: integer
+ *                         lucidRate:
+ *                           type: number
+ *                           nullable: true
+ *                     techniques:
+ *                       type: object
+ *                       description: Keys realityCheck, mild, wbtb, wild and supplement
+ *                       additionalProperties:
+ *                         $ref: '#/components/schemas/PracticeNights'
+ *                     supplements:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/PracticeNights'
+ *                           - type: object
+ *                             properties:
+ *                               name:
+ *                                 type: string
+ *                     realityChecks:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         days:
+ *                           type: integer
+ *                         averagePerDay:
+ *                           type: number
+ *                           nullable: true
+ *                         averageBeforeLucid:
+ *                           type: number
+ *                           nullable: true
+ *                           description: Average reality checks the day before a morning with a lucid dream
+ *                         averageBeforeOther:
+ *                           type: number
+ *                           nullable: true
+ *                           description: Average reality checks the day before other mornings with dreams
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/stats', protect, getDreamStats);
+
+/**
+ * @swagger
+ * /api/dreams/stats/norms:
+ *   get:
+ *     summary: Compare the user's Hall/Van de Castle profile with published norms
+ *     description: Sums the content codes of the user's dreams and compares each HVdC percentage and index with the normative value. Effect sizes are Cohen's h; significance is a two-tailed z test of h against the norm, using the user's base for the category (e.g. number of characters) as n.
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: norms
+ *         schema:
+ *           type: string
+ *           enum: [male, female]
+ *         description: Norm set to compare with (all sets by default)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include dreams on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include dreams on or before this date
+ *     responses:
+ *       200:
+ *         description: Comparison with each norm set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dreams:
+ *                   type: integer
+ *                   description: Number of coded dreams
+ *                 uncodedDreams:
+ *                   type: integer
+ *                 comparisons:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       norms:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       source:
+ *                         type: string
+ *                       normDreams:
+ *                         type: integer
+ *                         description: Number of dreams in the normative sample
+ *                       categories:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             category:
+ *                               type: string
+ *                               example: characters.maleFemalePercent
+ *                             area:
+ *                               type: string
+ *                             value:
+ *                               type: number
+ *                               nullable: true
+ *                             norm:
+ *                               type: number
+ *                             difference:
+ *                               type: number
+ *                               nullable: true
+ *                             base:
+ *                               type: integer
+ *                               description: Number of codes the user's value is based on
+ *                             h:
+ *                               type: number
+ *                               nullable: true
+ *                               description: Cohen's h (positive when the user is above the norm)
+ *                             effectSize:
+ *                               type: string
+ *                               nullable: true
+ *                               enum: [negligible, small, medium, large]
+ *                             z:
+ *                               type: number
+ *                               nullable: true
+ *                             p:
+ *                               type: number
+ *                               nullable: true
+ *                             significant:
+ *                               type: boolean
+ *                               description: Whether p < 0.05
+ *       400:
+ *         description: Unknown norm set
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/stats/norms', protect, getNormComparison);
+
+/**
+ * @swagger
+ * /api/dreams/patterns:
+ *   get:
+ *     summary: Analyze recurring patterns across the user's recent dreams
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of recent dreams to analyze (defaults to 20)
+ *     responses:
+ *       200:
+ *         description: Recurring themes, entities and phrases
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 analyzedDreams:
+ *                   type: integer
+ *                 patterns:
+ *                   type: object
+ *                   properties:
+ *                     recurringThemes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     recurringSymbols:
+ *                       type: array
+ *                       description: Dictionary symbols found in at least two dreams
+ *                       items:
+ *                         type: object
+ *                     recurringEntities:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     recurringPhrases:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/patterns', protect, analyzeDreamPatterns);
+
+/**
+ * @swagger
+ * /api/dreams/content-analysis:
+ *   get:
+ *     summary: Hall/Van de Castle content analysis across the user's journal
+ *     description: Sums the HVdC codes of every dream in the range, then computes the standard percentages and indices. Dreams not written in English cannot be coded and are reported in uncodedDreams.
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include dreams on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include dreams on or before this date
+ *     responses:
+ *       200:
+ *         description: Journal counts and indices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dreams:
+ *                   type: integer
+ *                   description: Number of coded dreams
+ *                 uncodedDreams:
+ *                   type: integer
+ *                 counts:
+ *                   $ref: '#/components/schemas/ContentCountTables'
+ *                 indices:
+ *                   $ref: '#/components/schemas/ContentIndices'
+ *                 dreamsWithAtLeastOne:
+ *                   type: object
+ *                   description: Percentage of coded dreams with at least one aggression, friendliness, sexuality, misfortune, goodFortune, success and failure
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/content-analysis', protect, getJournalContentAnalysis);
+
+/**
+ * @swagger
+ * /api/dreams/shared/{id}:
+ *   get:
+ *     summary: View a shared dream
+ *     tags: [Dreams]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the shared dream
+ *     responses:
+ *       200:
+ *         description: Public view of the dream
+ *       403:
+ *         description: Dream is not shared
+ *       404:
+ *         description: Dream not found
+ */
+router.get('/shared/:id', getSharedDream);
+
+/**
+ * @swagger
+ * /api/dreams/{id}:
+ *   get:
+ *     summary: Get a dream by ID
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
  *         description: ID of the dream to retrieve
  *     responses:
  *       200:
- *         description: Dream found
+ *         description: Dream found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Dream'
+ *       404:
+ *         description: Dream not found
+ *       401:
+ *         description: Not authenticated or not authorized
+ */
+router.get('/:id', protect, getDreamById);
+
+/**
+ * @swagger
+ * /api/dreams/{id}:
+ *   put:
+ *     summary: Update a dream
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the dream to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               notes:
+ *                 type: string
+ *               isPrivate:
+ *                 type: boolean
+ *               category:
+ *                 type: string
+ *                 enum: [lucid, nightmare, recurring, prophetic, healing, adventure, fantasy, uncategorized]
+ *               ratings:
+ *                 $ref: '#/components/schemas/DreamRatings'
+ *                 description: Only the scales given are changed; null clears a rating
+ *     responses:
+ *       200:
+ *         description: Dream updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Dream'
+ *       400:
+ *         description: Invalid dream (e.g. a rating outside its scale)
+ *       404:
+ *         description: Dream not found
+ *       401:
+ *         description: Not authenticated or not authorized
+ */
+router.put('/:id', protect, updateDream);
+
+/**
+ * @swagger
+ * /api/dreams/{id}:
+ *   delete:
+ *     summary: Delete a dream
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the dream to delete
+ *     responses:
+ *       200:
+ *         description: Dream deleted successfully
+ *       404:
+ *         description: Dream not found
+ *       401:
+ *         description: Not authenticated or not authorized
+ */
+router.delete('/:id', protect, deleteDream);
+
+/**
+ * @swagger
+ * /api/dreams/{id}/share:
+ *   post:
+ *     summary: Share a dream and get a public link
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the dream to share
+ *     responses:
+ *       200:
+ *         description: Dream shared successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 shareableLink:
+ *                   type: string
+ *                 dream:
+ *                   $ref: '#/components/schemas/Dream'
+ *       403:
+ *         description: Not authorized to share this dream
+ *       404:
+ *         description: Dream not found
+ */
+router.post('/:id/share', protect, shareDream);
+
+/**
+ * @swagger
+ * /api/dreams/{id}/analysis:
+ *   get:
+ *     summary: Get the analysis status of a dream
+ *     description: Dreams are analyzed asynchronously after they are saved. Poll this endpoint until analysisStatus is done or failed.
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Analysis status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AnalysisStatus'
+ *       403:
+ *         description: Not authorized to access this dream
+ *       404:
+ *         description: Dream not found
+ */
+router.get('/:id/analysis', protect, getAnalysisStatus);
+
+/**
+ * @swagger
+ * /api/dreams/{id}/content-analysis:
+ *   get:
+ *     summary: Hall/Van de Castle content analysis of a dream
+ *     description: Characters, social interactions, misfortunes and good fortunes, successes and failures, settings and objects coded in HVdC categories, with the dream's percentages and indices.
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Content coding of the dream
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Dream'
+ *               allOf:
+ *                 - type: object
+ *                   properties:
+ *                     dreamId:
+ *                       type: string
+ *                 - $ref: '#/components/schemas/ContentCoding'
+ *       400:
+ *         description: The dream is not written in English and cannot be coded
+ *       403:
+ *         description: Not authorized to access this dream
  *       404:
  *         description: Dream not found
- *       401:
- *         description: Not authenticated or not authorized
  */
-router.get('/:id', async (req, res) => {
-  console.log('GET /api/dreams/:id - Request received (mock auth):', { 
-    dreamId: req.params.id 
-  });
-  
-  try {
-    const userId = req.headers['x-mock-user-id'];
-    
-    if (!userId) {
-      console.log('Dream retrieval failed - No mock user ID provided');
-      return res.status(401).json({ message: 'Not authenticated' });
-    }
-    
-    const dream = await Dream.findById(req.params.id);
-    
-    if (!dream) {
-      console.log('Dream not found:', { dreamId: req.params.id });
-      return res.status(404).json({ message: 'Dream not found' });
-    }
-    
-    // Check if user owns the dream
-    if (dream.user.toString() !== userId) {
-      console.log('Unauthorized access to dream:', { 
-        dreamId: req.params.id, 
-        dreamOwner: dream.user, 
-        requestingUser: userId 
-      });
-      return res.status(401).json({ message: 'Not authorized to access this dream' });
-    }
-    
-    console.log('Dream retrieved successfully:', { 
-      dreamId: dream._id, 
-      title: dream.title 
-    });
-    
-    res.status(200).json(dream);
-    
-  } catch (error) {
-    console.error('Error retrieving dream:', error.message);
-    res.status(500).json({ message: 'Server error retrieving dream' });
-  }
-});
+router.get('/:id/content-analysis', protect, getDreamContentAnalysis);
 
 /**
  * @swagger
- * /api/dreams/{id}:
- *   put:
- *     summary: Update a dream
+ * /api/dreams/{id}/lucidity:
+ *   get:
+ *     summary: Explain why a dream is (or is not) lucid
+ *     description: The lucidity score and level of the dream with the sentences that showed awareness of dreaming, reality checks, deliberate dream control or false awakenings. Awareness makes a dream lucid and suggests the lucid category.
  *     tags: [Dreams]
  *     security:
  *       - bearerAuth: []
@@ -373,123 +1617,37 @@ router.get('/:id', async (req, res) => {
  *         schema:
  *           type: string
  *         required: true
- *         description: ID of the dream to update
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *               content:
- *                 type: string
- *               date:
- *                 type: string
- *                 format: date
- *               tags:
- *                 type: array
- *                 items:
- *                   type: string
- *               notes:
- *                 type: string
- *               isPrivate:
- *                 type: boolean
  *     responses:
  *       200:
- *         description: Dream updated successfully
+ *         description: Lucidity of the dream
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Dream'
+ *               allOf:
+ *                 - type: object
+ *                   properties:
+ *                     dreamId:
+ *                       type: string
+ *                     category:
+ *                       type: string
+ *                     rating:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Your own lucidity rating
+ *                 - $ref: '#/components/schemas/Lucidity'
+ *       403:
+ *         description: Not authorized to access this dream
  *       404:
  *         description: Dream not found
- *       401:
- *         description: Not authenticated or not authorized
  */
-router.put('/:id', async (req, res) => {
-  console.log('PUT /api/dreams/:id - Request received (mock auth):', { 
-    dreamId: req.params.id 
-  });
-  
-  try {
-    const userId = req.headers['x-mock-user-id'];
-    
-    if (!userId) {
-      console.log('Dream update failed - No mock user ID provided');
-      return res.status(401).json({ message: 'Not authenticated' });
-    }
-    
-    let dream = await Dream.findById(req.params.id);
-    
-    if (!dream) {
-      console.log('Dream not found for update:', { dreamId: req.params.id });
-      return res.status(404).json({ message: 'Dream not found' });
-    }
-    
-    // Check if user owns the dream
-    if (dream.user.toString() !== userId) {
-      console.log('Unauthorized attempt to update dream:', { 
-        dreamId: req.params.id, 
-        dreamOwner: dream.user, 
-        requestingUser: userId 
-      });
-      return res.status(401).json({ message: 'Not authorized to update this dream' });
-    }
-    
-    const { title, content, date, tags, notes, isPrivate } = req.body;
-    
-    // If content has changed, re-analyze the dream
-    let analysis = {};
-    if (content && content !== dream.content) {
-      console.log('Content changed, re-analyzing dream...');
-      analysis = analyzeDream(content);
-    }
-    
-    // Update dream fields
-    const dreamData = {
-      title: title || dream.title,
-      content: content || dream.content,
-      date: date || dream.date,
-      tags: tags || dream.tags,
-      notes: notes || dream.notes,
-      isPrivate: isPrivate !== undefined ? isPrivate : dream.isPrivate
-    };
-    
-    // Add analysis results if content changed
-    if (Object.keys(analysis).length > 0) {
-      dreamData.keywords = analysis.keywords;
-      dreamData.emotions = analysis.emotions;
-      dreamData.symbols = analysis.symbols;
-    }
-    
-    // Update the dream
-    dream = await Dream.findByIdAndUpdate(
-      req.params.id,
-      dreamData,
-      { new: true }
-    );
-    
-    console.log('Dream updated successfully:', { 
-      dreamId: dream._id, 
-      title: dream.title,
-      contentChanged: content && content !== dream.content
-    });
-    
-    res.status(200).json(dream);
-    
-  } catch (error) {
-    console.error('Error updating dream:', error.message);
-    res.status(500).json({ message: 'Server error updating dream' });
-  }
-});
+router.get('/:id/lucidity', protect, getDreamLucidity);
 
 /**
  * @swagger
- * /api/dreams/{id}:
- *   delete:
- *     summary: Delete a dream
+ * /api/dreams/{id}/analysis/events:
+ *   get:
+ *     summary: Subscribe to a dream's analysis completion
+ *     description: Server-Sent Events stream. Emits a `status` event with the AnalysisStatus payload whenever it changes and closes once analysis is done or failed (or after five minutes with a `timeout` event).
  *     tags: [Dreams]
  *     security:
  *       - bearerAuth: []
@@ -499,192 +1657,45 @@ router.put('/:id', async (req, res) => {
  *         schema:
  *           type: string
  *         required: true
- *         description: ID of the dream to delete
  *     responses:
  *       200:
- *         description: Dream deleted successfully
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Not authorized to access this dream
  *       404:
  *         description: Dream not found
- *       401:
- *         description: Not authenticated or not authorized
  */
-router.delete('/:id', async (req, res) => {
-  console.log('DELETE /api/dreams/:id - Request received (mock auth):', { 
-    dreamId: req.params.id 
-  });
-  
-  try {
-    const userId = req.headers['x-mock-user-id'];
-    
-    if (!userId) {
-      console.log('Dream deletion failed - No mock user ID provided');
-      return res.status(401).json({ message: 'Not authenticated' });
-    }
-    
-    const dream = await Dream.findById(req.params.id);
-    
-    if (!dream) {
-      console.log('Dream not found for deletion:', { dreamId: req.params.id });
-      return res.status(404).json({ message: 'Dream not found' });
-    }
-    
-    // Check if user owns the dream
-    if (dream.user.toString() !== userId) {
-      console.log('Unauthorized attempt to delete dream:', { 
-        dreamId: req.params.id, 
-        dreamOwner: dream.user, 
-        requestingUser: userId 
-      });
-      return res.status(401).json({ message: 'Not authorized to delete this dream' });
-    }
-    
-    await Dream.findByIdAndDelete(req.params.id);
-    
-    console.log('Dream deleted successfully:', { 
-      dreamId: req.params.id, 
-      title: dream.title 
-    });
-    
-    res.status(200).json({ message: 'Dream deleted successfully' });
-    
-  } catch (error) {
-    console.error('Error deleting dream:', error.message);
-    res.status(500).json({ message: 'Server error deleting dream' });
-  }
-});
+router.get('/:id/analysis/events', protect, streamAnalysisStatus);
 
 /**
  * @swagger
- * /api/dreams/stats:
- *   get:
- *     summary: Get dream statistics for the current user
+ * /api/dreams/{id}/analysis/retry:
+ *   post:
+ *     summary: Queue a new analysis attempt for a dream
  *     tags: [Dreams]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
  *     responses:
- *       200:
- *         description: Dream statistics
+ *       202:
+ *         description: Analysis queued
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 totalDreams:
- *                   type: integer
- *                 emotionBreakdown:
- *                   type: object
- *                 commonKeywords:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       keyword:
- *                         type: string
- *                       count:
- *                         type: integer
- *                 commonSymbols:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       symbol:
- *                         type: string
- *                       count:
- *                         type: integer
- *       401:
- *         description: Not authenticated
+ *               $ref: '#/components/schemas/AnalysisStatus'
+ *       409:
+ *         description: Analysis is already in progress
  */
-router.get('/stats', async (req, res) => {
-  console.log('GET /api/dreams/stats - Request received (mock auth)');
-  
-  try {
-    const userId = req.headers['x-mock-user-id'];
-    
-    if (!userId) {
-      console.log('Stats retrieval failed - No mock user ID provided');
-      return res.status(401).json({ message: 'Not authenticated' });
-    }
-    
-    console.log('Generating dream statistics for user:', { userId });
-    
-    // Get all dreams for the user
-    const dreams = await Dream.find({ user: userId });
-    
-    if (dreams.length === 0) {
-      console.log('No dreams found for user statistics:', { userId });
-      return res.status(200).json({
-        totalDreams: 0,
-        emotionBreakdown: { positive: 0, negative: 0, neutral: 0 },
-        commonKeywords: [],
-        commonSymbols: []
-      });
-    }
-    
-    // Calculate emotion breakdown
-    const emotionCounts = {
-      positive: 0,
-      negative: 0,
-      neutral: 0
-    };
-    
-    // Track keywords and symbols
-    const keywordCounts = {};
-    const symbolCounts = {};
-    
-    dreams.forEach(dream => {
-      // Count emotions
-      emotionCounts[dream.emotions.primary] = 
-        (emotionCounts[dream.emotions.primary] || 0) + 1;
-      
-      // Count keywords
-      dream.keywords.forEach(keyword => {
-        keywordCounts[keyword] = (keywordCounts[keyword] || 0) + 1;
-      });
-      
-      // Count symbols
-      dream.symbols.forEach(symbolObj => {
-        symbolCounts[symbolObj.symbol] = (symbolCounts[symbolObj.symbol] || 0) + 1;
-      });
-    });
-    
-    // Calculate percentages for emotion breakdown
-    const emotionBreakdown = {
-      positive: (emotionCounts.positive / dreams.length) * 100,
-      negative: (emotionCounts.negative / dreams.length) * 100,
-      neutral: (emotionCounts.neutral / dreams.length) * 100
-    };
-    
-    // Get top 5 keywords
-    const commonKeywords = Object.entries(keywordCounts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5)
-      .map(([keyword, count]) => ({ keyword, count }));
-    
-    // Get top 5 symbols
-    const commonSymbols = Object.entries(symbolCounts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5)
-      .map(([symbol, count]) => ({ symbol, count }));
-    
-    console.log('Dream statistics generated successfully:', { 
-      userId, 
-      totalDreams: dreams.length,
-      topEmotion: Object.entries(emotionCounts)
-        .sort((a, b) => b[1] - a[1])[0][0]
-    });
-    
-    res.status(200).json({
-      totalDreams: dreams.length,
-      emotionBreakdown,
-      commonKeywords,
-      commonSymbols
-    });
-    
-  } catch (error) {
-    console.error('Error generating dream statistics:', error.message);
-    res.status(500).json({ message: 'Server error generating statistics' });
-  }
-});
+router.post('/:id/analysis/retry', protect, retryAnalysis);
 
 /**
  * @swagger
@@ -701,6 +1712,18 @@ router.get('/stats', async (req, res) => {
  *           type: string
  *         required: true
  *         description: ID of the dream to analyze
+ *       - in: query
+ *         name: framework
+ *         schema:
+ *           type: string
+ *           enum: [general, jungian, freudian, cognitive, persian_islamic]
+ *         description: Interpretation framework for symbol readings (defaults to your interpretationFramework preference)
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *           example: fa-IR,fa;q=0.9,en;q=0.8
+ *         description: Language of the insight texts (en or fa) when your locale preference is not set
  *     responses:
  *       200:
  *         description: Dream insights generated successfully
@@ -719,6 +1742,16 @@ router.get('/stats', async (req, res) => {
  *                   type: string
  *                   format: date
  *                   description: Date of the dream
+ *                 framework:
+ *                   type: object
+ *                   description: Interpretation framework used for symbol readings
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     description:
+ *                       type: string
  *                 emotionalPatterns:
  *                   type: object
  *                   properties:
@@ -757,6 +1790,26 @@ router.get('/stats', async (req, res) => {
  *                     symbolInsight:
  *                       type: string
  *                       description: Insight about symbolic patterns
+ *                 symbolReadings:
+ *                   type: array
+ *                   description: Each symbol read through the selected framework
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       symbol:
+ *                         type: string
+ *                       framework:
+ *                         type: string
+ *                         description: Framework actually used (general when the symbol has no reading in the selected one)
+ *                       reading:
+ *                         type: string
+ *                       personalMeaning:
+ *                         type: string
+ *                         nullable: true
+ *                       availableFrameworks:
+ *                         type: array
+ *                         items:
+ *                           type: string
  *                 recurringThemes:
  *                   type: object
  *                   properties:
@@ -808,6 +1861,10 @@ router.get('/stats', async (req, res) => {
  *                             type: number
  *                           sentiment:
  *                             type: number
+ *                           ratings:
+ *                             type: number
+ *                             nullable: true
+ *                             description: Similarity of the ratings both dreams have (null when they share none)
  *                   description: Dreams with similar content or themes
  *                 evolvingPatterns:
  *                   type: object
@@ -826,6 +1883,8 @@ router.get('/stats', async (req, res) => {
  *                     sentimentTrends:
  *                       type: object
  *                       description: Analysis of sentiment trends over time
+ *       400:
+ *         description: Unknown interpretation framework
  *       404:
  *         description: Dream not found
  *       403:
@@ -835,4 +1894,202 @@ router.get('/stats', async (req, res) => {
  */
 router.get('/:id/insights', protect, generateDreamInsights);
 
+/**
+ * @swagger
+ * /api/dreams/{id}/links:
+ *   get:
+ *     summary: Get a dream's links
+ *     description: The dreams this dream links to (outgoing) and the dreams that link to it (incoming).
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Links of the dream
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dreamId:
+ *                   type: string
+ *                 series:
+ *                   type: string
+ *                   nullable: true
+ *                 outgoing:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DreamLink'
+ *                 incoming:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DreamLink'
+ *       403:
+ *         description: Not authorized to access this dream
+ *       404:
+ *         description: Dream not found
+ */
+router.get('/:id/links', protect, getDreamLinks);
+
+/**
+ * @swagger
+ * /api/dreams/{id}/links:
+ *   post:
+ *     summary: Link a dream to another dream
+ *     description: When a dream continues a dream that belongs to a series (or the other way round), both end up in that series.
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dreamId
+ *               - type
+ *             properties:
+ *               dreamId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [continues, recurs, references, same-night]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dreamId:
+ *                   type: string
+ *                 link:
+ *                   $ref: '#/components/schemas/DreamLink'
+ *                 series:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Unknown link type, a dream linked to itself, or the link already exists
+ *       403:
+ *         description: Not your dream
+ *       404:
+ *         description: Dream not found
+ */
+router.post('/:id/links', protect, createDreamLink);
+
+/**
+ * @swagger
+ * /api/dreams/{id}/links/suggestions:
+ *   get:
+ *     summary: Suggest links to similar dreams
+ *     description: Compares the dream with your dreams from around the same date and suggests a link type for each similar one (same-night for the same date, continues for a similar dream from the previous few nights, recurs for a very similar dream, otherwise references). Dreams already linked are left out.
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Suggested links, most similar first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dreamId:
+ *                   type: string
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       dreamId:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       type:
+ *                         type: string
+ *                         enum: [continues, recurs, references, same-night]
+ *                       similarity:
+ *                         type: object
+ *                         properties:
+ *                           overall:
+ *                             type: number
+ *                           emotional:
+ *                             type: number
+ *                           symbolic:
+ *                             type: number
+ *                           thematic:
+ *                             type: number
+ *                           sentiment:
+ *                             type: number
+ *                           ratings:
+ *                             type: number
+ *                             nullable: true
+ *                             description: Similarity of the ratings both dreams have (null when they share none)
+ *       403:
+ *         description: Not authorized to access this dream
+ *       404:
+ *         description: Dream not found
+ */
+router.get('/:id/links/suggestions', protect, getDreamLinkSuggestions);
+
+/**
+ * @swagger
+ * /api/dreams/{id}/links/{dreamId}:
+ *   delete:
+ *     summary: Remove a dream's links to another dream
+ *     tags: [Dreams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: dreamId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [continues, recurs, references, same-night]
+ *         description: Only remove the link of this type (all links to the dream by default)
+ *     responses:
+ *       200:
+ *         description: Link removed
+ *       403:
+ *         description: Not your dream
+ *       404:
+ *         description: Dream or link not found
+ */
+router.delete('/:id/links/:dreamId', protect, deleteDreamLink);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,370 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDreamSigns,
+  createDreamSign,
+  suggestSigns,
+  getTonightSigns,
+  getDreamSign,
+  updateDreamSign,
+  deleteDreamSign
+} = require('../controllers/dreamSign.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DreamSign:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         category:
+ *           type: string
+ *           enum: [action, form, context, awareness]
+ *           description: action - something done (flying, being chased); form - how someone or something looks (teeth falling out); context - the place or situation (back at school); awareness - a thought, feeling or sensation (paralysis, deja vu)
+ *         aliases:
+ *           type: array
+ *           description: Phrases that show the sign in a dream report (the name by default)
+ *           items:
+ *             type: string
+ *         description:
+ *           type: string
+ *           maxLength: 1000
+ *         confirmed:
+ *           type: boolean
+ *           description: False for signs suggested from your journal that you have not confirmed
+ *         dismissed:
+ *           type: boolean
+ *           description: Suggestions you turned down; they are not suggested again
+ *         frequency:
+ *           type: integer
+ *           readOnly: true
+ *           description: Number of dreams the sign appeared in
+ *         firstSeen:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *         lastSeen:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *     DreamSignRecommendation:
+ *       type: object
+ *       properties:
+ *         sign:
+ *           $ref: '#/components/schemas/DreamSign'
+ *         score:
+ *           type: number
+ *           description: Dreams with the sign plus twice its dreams of the last 30 days, halved for every two weeks since it was last seen
+ *         frequency:
+ *           type: integer
+ *         recentFrequency:
+ *           type: integer
+ *           description: Dreams with the sign in the last 30 days
+ *         lastSeen:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         daysSinceLastSeen:
+ *           type: integer
+ *           nullable: true
+ *         lucidDreams:
+ *           type: integer
+ *           description: Dreams with the sign that were lucid
+ *         tip:
+ *           type: string
+ *           description: What to do when the sign shows up
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Dream Signs
+ *   description: Recurring oddities of your dreams to watch for when practicing lucid dreaming
+ */
+
+/**
+ * @swagger
+ * /api/dream-signs:
+ *   get:
+ *     summary: List your dream signs, most frequent first
+ *     tags: [Dream Signs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [action, form, context, awareness]
+ *       - in: query
+ *         name: confirmed
+ *         schema:
+ *           type: boolean
+ *         description: Only confirmed signs (true) or only suggestions (false)
+ *       - in: query
+ *         name: dismissed
+ *         schema:
+ *           type: boolean
+ *         description: List the dismissed suggestions instead
+ *     responses:
+ *       200:
+ *         description: Dream signs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 signs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DreamSign'
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Unknown category
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getDreamSigns);
+
+/**
+ * @swagger
+ * /api/dream-signs:
+ *   post:
+ *     summary: Add a dream sign
+ *     description: Signs added by hand are confirmed. The category is guessed from the name when it is left out, and dreams that already show the sign are linked.
+ *     tags: [Dream Signs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [action, form, context, awareness]
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Dream sign created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DreamSign'
+ *       400:
+ *         description: Invalid sign, or an alias belongs to another sign
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/', protect, createDreamSign);
+
+/**
+ * @swagger
+ * /api/dream-signs/suggest:
+ *   post:
+ *     summary: Suggest dream signs from your journal
+ *     description: Finds the symbols, people, places and phrases that recur in your latest dreams and adds up to 10 of them to your catalog as unconfirmed signs. Phrases that are already a sign, or that you dismissed, are not suggested again.
+ *     tags: [Dream Signs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               limit:
+ *                 type: integer
+ *                 default: 50
+ *                 maximum: 200
+ *                 description: Number of latest dreams to read
+ *     responses:
+ *       200:
+ *         description: New suggestions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 analyzedDreams:
+ *                   type: integer
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DreamSign'
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/suggest', protect, suggestSigns);
+
+/**
+ * @swagger
+ * /api/dream-signs/tonight:
+ *   get:
+ *     summary: Dream signs to watch for tonight
+ *     description: Your confirmed signs ranked by how often and how recently they appeared, each with a cue for when it shows up.
+ *     tags: [Dream Signs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *           maximum: 10
+ *       - in: query
+ *         name: includeSuggested
+ *         schema:
+ *           type: boolean
+ *         description: Rank unconfirmed suggestions too
+ *     responses:
+ *       200:
+ *         description: Recommended signs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recommendations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DreamSignRecommendation'
+ *                 consideredSigns:
+ *                   type: integer
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/tonight', protect, getTonightSigns);
+
+/**
+ * @swagger
+ * /api/dream-signs/{id}:
+ *   get:
+ *     summary: Get a dream sign with the dreams it appeared in
+ *     tags: [Dream Signs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Dream sign and its dreams, latest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sign:
+ *                   $ref: '#/components/schemas/DreamSign'
+ *                 dreams:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       category:
+ *                         type: string
+ *                       mention:
+ *                         type: string
+ *                         description: Alias the dream matched
+ *       400:
+ *         description: Invalid sign ID
+ *       403:
+ *         description: Not your sign
+ *       404:
+ *         description: Sign not found
+ */
+router.get('/:id', protect, getDreamSign);
+
+/**
+ * @swagger
+ * /api/dream-signs/{id}:
+ *   put:
+ *     summary: Update a dream sign
+ *     description: Rename, recategorize, confirm or dismiss a sign. Confirming a dismissed sign brings it back; changing the aliases re-links its dreams.
+ *     tags: [Dream Signs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DreamSign'
+ *     responses:
+ *       200:
+ *         description: Sign updated
+ *       400:
+ *         description: Invalid sign, or an alias belongs to another sign
+ *       403:
+ *         description: Not your sign
+ *       404:
+ *         description: Sign not found
+ */
+router.put('/:id', protect, updateDreamSign);
+
+/**
+ * @swagger
+ * /api/dream-signs/{id}:
+ *   delete:
+ *     summary: Delete a dream sign
+ *     description: A deleted suggestion may be suggested again; dismiss it instead to keep it away.
+ *     tags: [Dream Signs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Sign deleted
+ *       403:
+ *         description: Not your sign
+ *       404:
+ *         description: Sign not found
+ */
+router.delete('/:id', protect, deleteDreamSign);
+
+module.exports = router;
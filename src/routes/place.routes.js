@@ -0,0 +1,554 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPlaces,
+  createPlace,
+  getPlaceGraph,
+  getPlace,
+  updatePlace,
+  deletePlace,
+  getPlaceDreams,
+  mergePlaces,
+  connectPlaces,
+  disconnectPlaces,
+  addPlaceDream,
+  removePlaceDream
+} = require('../controllers/place.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Place:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Phrases your dreams use for this place ("grandma's basement"); each alias belongs to one place. Defaults to the name.
+ *         description:
+ *           type: string
+ *           maxLength: 1000
+ *         location:
+ *           type: string
+ *           enum: [indoor, outdoor, ambiguous]
+ *         familiarity:
+ *           type: string
+ *           enum: [familiar, unfamiliar, geographical, questionable]
+ *         confirmed:
+ *           type: boolean
+ *           description: False for places suggested by analysis that you have not confirmed
+ *         appearances:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             type: object
+ *             properties:
+ *               dream:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               mention:
+ *                 type: string
+ *                 description: Phrase the dream used for the place
+ *               source:
+ *                 type: string
+ *                 enum: [analysis, user]
+ *         connections:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             $ref: '#/components/schemas/PlaceConnection'
+ *         dismissedDreams:
+ *           type: array
+ *           readOnly: true
+ *           description: Dreams you unlinked from this place; analysis does not link them again
+ *           items:
+ *             type: string
+ *     PlaceConnection:
+ *       type: object
+ *       properties:
+ *         place:
+ *           type: string
+ *           description: Connected place
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *           example: The stairs behind the gym lead down into it
+ *     PlaceSummary:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *         description:
+ *           type: string
+ *         location:
+ *           type: string
+ *         familiarity:
+ *           type: string
+ *         confirmed:
+ *           type: boolean
+ *         dreamCount:
+ *           type: integer
+ *         firstSeen:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastSeen:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Places
+ *   description: Map of the recurring places in your dreams
+ */
+
+/**
+ * @swagger
+ * /api/places:
+ *   get:
+ *     summary: List your dream places
+ *     description: Places are suggested automatically from the settings and named places of analyzed dreams, and can be added, confirmed and edited by hand. Sorted by number of dreams.
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: confirmed
+ *         schema:
+ *           type: boolean
+ *         description: Only confirmed (true) or only suggested (false) places
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search names and aliases
+ *     responses:
+ *       200:
+ *         description: Places with dream counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 places:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PlaceSummary'
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getPlaces);
+
+/**
+ * @swagger
+ * /api/places:
+ *   post:
+ *     summary: Add a place
+ *     description: Places added by hand are confirmed. Already analyzed dreams that use one of the place's aliases are linked right away.
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Place'
+ *     responses:
+ *       201:
+ *         description: Place created
+ *       400:
+ *         description: Invalid place, or an alias already belongs to another place
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/', protect, createPlace);
+
+/**
+ * @swagger
+ * /api/places/graph:
+ *   get:
+ *     summary: Get the place graph
+ *     description: Your places as nodes and their connections as edges. Each edge is listed once.
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeSuggested
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include places that are not confirmed
+ *     responses:
+ *       200:
+ *         description: Place graph
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 nodes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PlaceSummary'
+ *                 edges:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: string
+ *                       to:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/graph', protect, getPlaceGraph);
+
+/**
+ * @swagger
+ * /api/places/{id}:
+ *   get:
+ *     summary: Get a place with its dreams and connections
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Place
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Place'
+ *       400:
+ *         description: Invalid place ID
+ *       403:
+ *         description: Not your place
+ *       404:
+ *         description: Place not found
+ */
+router.get('/:id', protect, getPlace);
+
+/**
+ * @swagger
+ * /api/places/{id}:
+ *   put:
+ *     summary: Update a place
+ *     description: Name, describe or confirm a place (`confirmed`). New aliases are linked to the already analyzed dreams that use them.
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Place'
+ *     responses:
+ *       200:
+ *         description: Place updated
+ *       400:
+ *         description: Invalid place, or an alias already belongs to another place
+ *       403:
+ *         description: Not your place
+ *       404:
+ *         description: Place not found
+ */
+router.put('/:id', protect, updatePlace);
+
+/**
+ * @swagger
+ * /api/places/{id}:
+ *   delete:
+ *     summary: Delete a place
+ *     description: Removes the place and its connections; the dreams are not changed.
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Place deleted
+ *       403:
+ *         description: Not your place
+ *       404:
+ *         description: Place not found
+ */
+router.delete('/:id', protect, deletePlace);
+
+/**
+ * @swagger
+ * /api/places/{id}/dreams:
+ *   get:
+ *     summary: Get the dreams set in a place
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Dreams in date order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 place:
+ *                   $ref: '#/components/schemas/PlaceSummary'
+ *                 dreams:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       category:
+ *                         type: string
+ *                       primaryEmotion:
+ *                         type: string
+ *                       mention:
+ *                         type: string
+ *                       source:
+ *                         type: string
+ *                 total:
+ *                   type: integer
+ *       403:
+ *         description: Not your place
+ *       404:
+ *         description: Place not found
+ */
+router.get('/:id/dreams', protect, getPlaceDreams);
+
+/**
+ * @swagger
+ * /api/places/{id}/dreams:
+ *   post:
+ *     summary: Link a place to a dream
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dreamId
+ *             properties:
+ *               dreamId:
+ *                 type: string
+ *               mention:
+ *                 type: string
+ *                 description: Phrase the dream uses for the place (defaults to the name)
+ *     responses:
+ *       200:
+ *         description: Place with the new dream
+ *       403:
+ *         description: Not your place or not your dream
+ *       404:
+ *         description: Place or dream not found
+ */
+router.post('/:id/dreams', protect, addPlaceDream);
+
+/**
+ * @swagger
+ * /api/places/{id}/dreams/{dreamId}:
+ *   delete:
+ *     summary: Unlink a place from a dream
+ *     description: The dream is remembered as dismissed, so re-analysis does not link it again.
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: dreamId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Place without the dream
+ *       403:
+ *         description: Not your place
+ *       404:
+ *         description: Place or dream not found
+ */
+router.delete('/:id/dreams/:dreamId', protect, removePlaceDream);
+
+/**
+ * @swagger
+ * /api/places/{id}/merge:
+ *   post:
+ *     summary: Merge other places into this one
+ *     description: Their aliases, dreams and connections move to this place and they are deleted.
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - placeIds
+ *             properties:
+ *               placeIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Merged place
+ *       400:
+ *         description: No places given, or a place merged into itself
+ *       403:
+ *         description: Not your place
+ *       404:
+ *         description: Place not found
+ */
+router.post('/:id/merge', protect, mergePlaces);
+
+/**
+ * @swagger
+ * /api/places/{id}/connections:
+ *   post:
+ *     summary: Connect two places
+ *     description: Adds an edge to the place graph ("the school connects to grandma's basement"), or updates its description. Connecting places confirms them.
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - placeId
+ *             properties:
+ *               placeId:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Place with the connection
+ *       400:
+ *         description: Invalid place ID, or a place connected to itself
+ *       403:
+ *         description: Not your place
+ *       404:
+ *         description: Place not found
+ */
+router.post('/:id/connections', protect, connectPlaces);
+
+/**
+ * @swagger
+ * /api/places/{id}/connections/{placeId}:
+ *   delete:
+ *     summary: Remove the connection between two places
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: placeId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Place without the connection
+ *       400:
+ *         description: Invalid place ID
+ *       403:
+ *         description: Not your place
+ *       404:
+ *         description: Place not found
+ */
+router.delete('/:id/connections/:placeId', protect, disconnectPlaces);
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPractices,
+  createPractice,
+  getPractice,
+  updatePractice,
+  deletePractice
+} = require('../controllers/practice.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Practice:
+ *       type: object
+ *       required:
+ *         - technique
+ *       properties:
+ *         _id:
+ *           type: string
+ *         technique:
+ *           type: string
+ *           enum: [realityCheck, mild, wbtb, wild, supplement]
+ *           description: realityCheck - reality checks during the day; mild - Mnemonic Induction of Lucid Dreams; wbtb - Wake Back To Bed; wild - Wake-Initiated Lucid Dream; supplement - a supplement taken for dreaming
+ *         performedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When you practiced (now by default)
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Morning whose dreams the practice counts toward; by default the next morning in your time zone (`preferences.timezone`), or the same morning for practice before 6:00 during the night
+ *         count:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 1
+ *           description: Reality checks done
+ *         method:
+ *           type: string
+ *           maxLength: 100
+ *           description: Reality check or variation used ("nose pinch", "hands")
+ *         supplement:
+ *           type: object
+ *           description: Required for the supplement technique
+ *           properties:
+ *             name:
+ *               type: string
+ *             dose:
+ *               type: string
+ *         notes:
+ *           type: string
+ *           maxLength: 1000
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Practice
+ *   description: Lucid dreaming training log - reality checks, MILD, WBTB and WILD attempts and supplements
+ */
+
+/**
+ * @swagger
+ * /api/practice:
+ *   get:
+ *     summary: List your practice entries, latest first
+ *     description: Each entry tells how many dreams its morning had and whether one of them was lucid. `GET /api/dreams/stats` compares the techniques in `practiceStats`.
+ *     tags: [Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: technique
+ *         schema:
+ *           type: string
+ *           enum: [realityCheck, mild, wbtb, wild, supplement]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only entries counting toward this morning or later
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only entries counting toward this morning or earlier
+ *     responses:
+ *       200:
+ *         description: Practice entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 practices:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Practice'
+ *                       - type: object
+ *                         properties:
+ *                           morningDreams:
+ *                             type: integer
+ *                           lucid:
+ *                             type: boolean
+ *                             description: One of the morning's dreams was lucid
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Unknown technique
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getPractices);
+
+/**
+ * @swagger
+ * /api/practice:
+ *   post:
+ *     summary: Log a practice entry
+ *     description: Logging practice updates your practice stats (entries, reality checks and practice streak).
+ *     tags: [Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Practice'
+ *     responses:
+ *       201:
+ *         description: Practice entry created
+ *       400:
+ *         description: Invalid entry
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/', protect, createPractice);
+
+/**
+ * @swagger
+ * /api/practice/{id}:
+ *   get:
+ *     summary: Get a practice entry with the dreams of its morning
+ *     tags: [Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Practice entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Practice'
+ *                 - type: object
+ *                   properties:
+ *                     dreams:
+ *                       type: array
+ *                       description: Dreams of the morning (the dreams dated that day and those of the night's sleep session)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           date:
+ *                             type: string
+ *                             format: date-time
+ *                           category:
+ *                             type: string
+ *                           lucid:
+ *                             type: boolean
+ *                     lucid:
+ *                       type: boolean
+ *       400:
+ *         description: Invalid entry ID
+ *       403:
+ *         description: Not your entry
+ *       404:
+ *         description: Entry not found
+ */
+router.get('/:id', protect, getPractice);
+
+/**
+ * @swagger
+ * /api/practice/{id}:
+ *   put:
+ *     summary: Update a practice entry
+ *     description: A new `performedAt` without a `date` moves the entry to that time's morning.
+ *     tags: [Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Practice'
+ *     responses:
+ *       200:
+ *         description: Entry updated
+ *       400:
+ *         description: Invalid entry
+ *       403:
+ *         description: Not your entry
+ *       404:
+ *         description: Entry not found
+ */
+router.put('/:id', protect, updatePractice);
+
+/**
+ * @swagger
+ * /api/practice/{id}:
+ *   delete:
+ *     summary: Delete a practice entry
+ *     tags: [Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Entry deleted
+ *       403:
+ *         description: Not your entry
+ *       404:
+ *         description: Entry not found
+ */
+router.delete('/:id', protect, deletePractice);
+
+module.exports = router;
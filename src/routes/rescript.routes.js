@@ -0,0 +1,463 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRescripts,
+  createRescript,
+  getNightmareReport,
+  getRescript,
+  updateRescript,
+  deleteRescript,
+  addRehearsal,
+  deleteRehearsal
+} = require('../controllers/rescript.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Rehearsal:
+ *       type: object
+ *       required:
+ *         - distressBefore
+ *         - distressAfter
+ *       properties:
+ *         _id:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date-time
+ *           description: When the rescript was rehearsed (now by default)
+ *         durationMinutes:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 240
+ *           nullable: true
+ *         distressBefore:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 10
+ *           description: Distress before rehearsing (0 none - 10 the worst imaginable)
+ *         distressAfter:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 10
+ *           description: Distress after rehearsing
+ *         notes:
+ *           type: string
+ *           maxLength: 1000
+ *     Rescript:
+ *       type: object
+ *       required:
+ *         - nightmare
+ *         - content
+ *       properties:
+ *         _id:
+ *           type: string
+ *         nightmare:
+ *           type: string
+ *           description: ID of the original nightmare (a dream in the nightmare category); cannot be changed
+ *         title:
+ *           type: string
+ *           maxLength: 100
+ *         content:
+ *           type: string
+ *           description: The nightmare as rewritten
+ *         changes:
+ *           type: string
+ *           maxLength: 1000
+ *           description: What was changed and why
+ *         status:
+ *           type: string
+ *           enum: [active, paused, completed]
+ *           default: active
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the treatment with this rescript (now by default)
+ *         rehearsals:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             $ref: '#/components/schemas/Rehearsal'
+ *     RescriptSummary:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Rescript'
+ *         - type: object
+ *           properties:
+ *             rehearsalCount:
+ *               type: integer
+ *             lastRehearsal:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             averageDistressBefore:
+ *               type: number
+ *               nullable: true
+ *             averageDistressAfter:
+ *               type: number
+ *               nullable: true
+ *             averageRelief:
+ *               type: number
+ *               nullable: true
+ *               description: Distress a rehearsal took away on average
+ *     NightmarePeriod:
+ *       type: object
+ *       properties:
+ *         days:
+ *           type: integer
+ *           description: Days the period covers (the treatment counts today, the baseline starts no earlier than the first dream recorded)
+ *         weeks:
+ *           type: number
+ *           description: Days covered / 7
+ *         nightmares:
+ *           type: integer
+ *         perWeek:
+ *           type: number
+ *           nullable: true
+ *           description: Nightmares per 7 days covered
+ *         averageIntensity:
+ *           type: number
+ *           nullable: true
+ *           description: Average emotional intensity rating of the nightmares (1-5)
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Nightmare Rehearsal
+ *   description: Imagery Rehearsal Therapy - rescripted nightmares, rehearsal sessions and the nightmare report
+ */
+
+/**
+ * @swagger
+ * /api/rescripts:
+ *   get:
+ *     summary: List your rescripts, latest treatment first
+ *     tags: [Nightmare Rehearsal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: nightmare
+ *         schema:
+ *           type: string
+ *         description: Only the rescripts of this nightmare
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, paused, completed]
+ *     responses:
+ *       200:
+ *         description: Rescripts, with their nightmare's title and date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rescripts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RescriptSummary'
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Unknown status or invalid nightmare ID
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getRescripts);
+
+/**
+ * @swagger
+ * /api/rescripts:
+ *   post:
+ *     summary: Write a rescripted version of a nightmare
+ *     tags: [Nightmare Rehearsal]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Rescript'
+ *     responses:
+ *       201:
+ *         description: Rescript created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RescriptSummary'
+ *       400:
+ *         description: Invalid rescript, nightmare not found or dream not in the nightmare category
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/', protect, createRescript);
+
+/**
+ * @swagger
+ * /api/rescripts/report:
+ *   get:
+ *     summary: Nightmare frequency and intensity over the treatment weeks
+ *     description: The treatment starts on the day of the first rescript (or of the given rescript). Each week counts the nightmares recorded, their average emotional intensity rating, the rehearsals done and their average distress. The weeks before the treatment are the baseline. Frequencies are per 7 days actually covered; the baseline does not reach back before the first dream recorded.
+ *     tags: [Nightmare Rehearsal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: rescript
+ *         schema:
+ *           type: string
+ *         description: Follow the treatment with this rescript only
+ *       - in: query
+ *         name: baselineWeeks
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 52
+ *           default: 4
+ *         description: Weeks before the treatment to compare with
+ *     responses:
+ *       200:
+ *         description: Nightmare report (startedAt is null and weeks empty before the first rescript)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 startedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 baseline:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/NightmarePeriod'
+ *                 treatment:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/NightmarePeriod'
+ *                     - type: object
+ *                       properties:
+ *                         rehearsals:
+ *                           type: integer
+ *                         averageDistressBefore:
+ *                           type: number
+ *                           nullable: true
+ *                         averageDistressAfter:
+ *                           type: number
+ *                           nullable: true
+ *                         frequencyChange:
+ *                           type: number
+ *                           nullable: true
+ *                           description: Nightmares per week compared with the baseline (negative is fewer)
+ *                         intensityChange:
+ *                           type: number
+ *                           nullable: true
+ *                           description: Average intensity compared with the baseline (negative is milder)
+ *                 weeks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       week:
+ *                         type: integer
+ *                       from:
+ *                         type: string
+ *                         format: date-time
+ *                       to:
+ *                         type: string
+ *                         format: date-time
+ *                       days:
+ *                         type: integer
+ *                         description: Days of the week covered so far (7 except for the current week)
+ *                       nightmares:
+ *                         type: integer
+ *                       averageIntensity:
+ *                         type: number
+ *                         nullable: true
+ *                       rehearsals:
+ *                         type: integer
+ *                       averageDistressBefore:
+ *                         type: number
+ *                         nullable: true
+ *                       averageDistressAfter:
+ *                         type: number
+ *                         nullable: true
+ *       400:
+ *         description: Invalid baseline weeks or rescript ID
+ *       403:
+ *         description: Not your rescript
+ *       404:
+ *         description: Rescript not found
+ */
+router.get('/report', protect, getNightmareReport);
+
+/**
+ * @swagger
+ * /api/rescripts/{id}:
+ *   get:
+ *     summary: Get a rescript with its nightmare and rehearsals
+ *     tags: [Nightmare Rehearsal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Rescript, with the nightmare's title, content, date and intensity rating
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RescriptSummary'
+ *       400:
+ *         description: Invalid rescript ID
+ *       403:
+ *         description: Not your rescript
+ *       404:
+ *         description: Rescript not found
+ */
+router.get('/:id', protect, getRescript);
+
+/**
+ * @swagger
+ * /api/rescripts/{id}:
+ *   put:
+ *     summary: Update a rescript
+ *     tags: [Nightmare Rehearsal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               changes:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [active, paused, completed]
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Rescript updated
+ *       400:
+ *         description: Invalid rescript
+ *       403:
+ *         description: Not your rescript
+ *       404:
+ *         description: Rescript not found
+ */
+router.put('/:id', protect, updateRescript);
+
+/**
+ * @swagger
+ * /api/rescripts/{id}:
+ *   delete:
+ *     summary: Delete a rescript and its rehearsals
+ *     tags: [Nightmare Rehearsal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Rescript deleted
+ *       403:
+ *         description: Not your rescript
+ *       404:
+ *         description: Rescript not found
+ */
+router.delete('/:id', protect, deleteRescript);
+
+/**
+ * @swagger
+ * /api/rescripts/{id}/rehearsals:
+ *   post:
+ *     summary: Log a rehearsal with the distress felt before and after it
+ *     tags: [Nightmare Rehearsal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Rehearsal'
+ *     responses:
+ *       201:
+ *         description: Rehearsal logged; returns the rescript
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RescriptSummary'
+ *       400:
+ *         description: Invalid rehearsal
+ *       403:
+ *         description: Not your rescript
+ *       404:
+ *         description: Rescript not found
+ */
+router.post('/:id/rehearsals', protect, addRehearsal);
+
+/**
+ * @swagger
+ * /api/rescripts/{id}/rehearsals/{rehearsalId}:
+ *   delete:
+ *     summary: Delete a rehearsal
+ *     tags: [Nightmare Rehearsal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: rehearsalId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Rehearsal deleted; returns the rescript
+ *       403:
+ *         description: Not your rescript
+ *       404:
+ *         description: Rescript or rehearsal not found
+ */
+router.delete('/:id/rehearsals/:rehearsalId', protect, deleteRehearsal);
+
+module.exports = router;
@@ -0,0 +1,439 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSeriesList,
+  createSeries,
+  getSeries,
+  updateSeries,
+  deleteSeries,
+  addDreamsToSeries,
+  removeDreamFromSeries,
+  getSeriesNarrative
+} = require('../controllers/series.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DreamSeries:
+ *       type: object
+ *       required:
+ *         - title
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *           maxLength: 1000
+ *         dreamCount:
+ *           type: integer
+ *           readOnly: true
+ *         from:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *           description: Date of the first dream
+ *         to:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *           description: Date of the last dream
+ *     SeriesNarrative:
+ *       type: object
+ *       properties:
+ *         series:
+ *           $ref: '#/components/schemas/DreamSeries'
+ *         chapters:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               chapter:
+ *                 type: integer
+ *               _id:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               nightsSincePrevious:
+ *                 type: integer
+ *                 nullable: true
+ *               content:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               primaryEmotion:
+ *                 type: string
+ *               sentiment:
+ *                 type: number
+ *                 nullable: true
+ *               links:
+ *                 type: array
+ *                 description: Links to other dreams of the series
+ *                 items:
+ *                   $ref: '#/components/schemas/DreamLink'
+ *         analysis:
+ *           type: object
+ *           properties:
+ *             dreams:
+ *               type: integer
+ *             nights:
+ *               type: integer
+ *             from:
+ *               type: string
+ *               format: date-time
+ *             to:
+ *               type: string
+ *               format: date-time
+ *             emotions:
+ *               type: object
+ *               properties:
+ *                 dominant:
+ *                   type: string
+ *                 distribution:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *             sentiment:
+ *               type: object
+ *               properties:
+ *                 average:
+ *                   type: number
+ *                   nullable: true
+ *                 change:
+ *                   type: number
+ *                   nullable: true
+ *                   description: Sentiment of the last chapter minus that of the first
+ *                 arc:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       dreamId:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       emotion:
+ *                         type: string
+ *                       sentiment:
+ *                         type: number
+ *             symbols:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   symbol:
+ *                     type: string
+ *                   dreams:
+ *                     type: integer
+ *             recurringSymbols:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             keywords:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   keyword:
+ *                     type: string
+ *                   dreams:
+ *                     type: integer
+ *             contentCoding:
+ *               type: object
+ *               nullable: true
+ *               description: Hall/Van de Castle summary of the coded chapters
+ *             characters:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   relationship:
+ *                     type: string
+ *                   dreams:
+ *                     type: integer
+ *             places:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   confirmed:
+ *                     type: boolean
+ *                   dreams:
+ *                     type: integer
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Series
+ *   description: Multi-night dream sagas
+ */
+
+/**
+ * @swagger
+ * /api/series:
+ *   get:
+ *     summary: List your dream series
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Series with their dream counts and date spans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DreamSeries'
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getSeriesList);
+
+/**
+ * @swagger
+ * /api/series:
+ *   post:
+ *     summary: Create a series
+ *     description: Dreams given in `dreamIds` join the series; dreams already in another series move to it.
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               dreamIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Series created
+ *       400:
+ *         description: Invalid series, or some dreams were not found
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/', protect, createSeries);
+
+/**
+ * @swagger
+ * /api/series/{id}:
+ *   get:
+ *     summary: Get a series with its dreams in date order
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Series and its dreams
+ *       400:
+ *         description: Invalid series ID
+ *       403:
+ *         description: Not your series
+ *       404:
+ *         description: Series not found
+ */
+router.get('/:id', protect, getSeries);
+
+/**
+ * @swagger
+ * /api/series/{id}:
+ *   put:
+ *     summary: Update a series
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Series updated
+ *       400:
+ *         description: Invalid series
+ *       403:
+ *         description: Not your series
+ *       404:
+ *         description: Series not found
+ */
+router.put('/:id', protect, updateSeries);
+
+/**
+ * @swagger
+ * /api/series/{id}:
+ *   delete:
+ *     summary: Delete a series
+ *     description: The dreams leave the series; they and their links are kept.
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Series deleted
+ *       403:
+ *         description: Not your series
+ *       404:
+ *         description: Series not found
+ */
+router.delete('/:id', protect, deleteSeries);
+
+/**
+ * @swagger
+ * /api/series/{id}/narrative:
+ *   get:
+ *     summary: Get a series as one narrative
+ *     description: The dreams of the series as chapters in date order, with the combined analysis of the whole saga.
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Narrative of the series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SeriesNarrative'
+ *       403:
+ *         description: Not your series
+ *       404:
+ *         description: Series not found
+ */
+router.get('/:id/narrative', protect, getSeriesNarrative);
+
+/**
+ * @swagger
+ * /api/series/{id}/dreams:
+ *   post:
+ *     summary: Add dreams to a series
+ *     description: Dreams already in another series move to this one.
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dreamIds
+ *             properties:
+ *               dreamIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Series with its new dream count
+ *       400:
+ *         description: No dreams given, or some dreams were not found
+ *       403:
+ *         description: Not your series
+ *       404:
+ *         description: Series not found
+ */
+router.post('/:id/dreams', protect, addDreamsToSeries);
+
+/**
+ * @swagger
+ * /api/series/{id}/dreams/{dreamId}:
+ *   delete:
+ *     summary: Remove a dream from a series
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: dreamId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Series with its new dream count
+ *       403:
+ *         description: Not your series
+ *       404:
+ *         description: Series not found, or the dream is not in it
+ */
+router.delete('/:id/dreams/:dreamId', protect, removeDreamFromSeries);
+
+module.exports = router;
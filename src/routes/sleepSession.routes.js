@@ -0,0 +1,414 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSleepSessions,
+  createSleepSession,
+  getSleepSession,
+  updateSleepSession,
+  deleteSleepSession,
+  addSessionDream,
+  reorderSessionDreams,
+  removeSessionDream
+} = require('../controllers/sleepSession.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SleepSession:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Morning the night ended (defaults to the wake time, the bedtime or today)
+ *         bedtime:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         wakeTime:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         awakenings:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               time:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *         quality:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           nullable: true
+ *         preSleepMood:
+ *           type: string
+ *           maxLength: 100
+ *         recall:
+ *           type: string
+ *           enum: [full, fragment, none]
+ *           nullable: true
+ *           description: How much of the night's dreaming was remembered; log `none` or `fragment` for nights without a full dream
+ *         recallLevel:
+ *           type: string
+ *           enum: [full, fragment, none]
+ *           readOnly: true
+ *           description: The logged recall, or full when the night has dreams and none when it has not
+ *         wbtb:
+ *           type: boolean
+ *           description: Wake back to bed - woke on purpose during the night and went back to sleep
+ *         notes:
+ *           type: string
+ *         dreams:
+ *           type: array
+ *           description: The night's dreams in the order they were dreamt
+ *           items:
+ *             type: object
+ *             properties:
+ *               dream:
+ *                 type: string
+ *               awakenedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *         sleepMinutes:
+ *           type: integer
+ *           nullable: true
+ *           readOnly: true
+ *         dreamCount:
+ *           type: integer
+ *           readOnly: true
+ *         awakeningCount:
+ *           type: integer
+ *           readOnly: true
+ *     NightView:
+ *       allOf:
+ *         - $ref: '#/components/schemas/SleepSession'
+ *         - type: object
+ *           properties:
+ *             dreams:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   order:
+ *                     type: integer
+ *                   dream:
+ *                     type: object
+ *                   awakenedAt:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   position:
+ *                     type: object
+ *                     nullable: true
+ *                     description: Place in the sleep cycle (null when the dream's time is unknown)
+ *                     properties:
+ *                       minutesAfterBedtime:
+ *                         type: integer
+ *                       cycle:
+ *                         type: integer
+ *                         description: 90-minute sleep cycle the dream ended in
+ *                       phase:
+ *                         type: string
+ *                         enum: [early, middle, late]
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sleep Sessions
+ *   description: Nights of sleep and the dreams recalled from them
+ */
+
+/**
+ * @swagger
+ * /api/sleep-sessions:
+ *   get:
+ *     summary: List your sleep sessions, latest night first
+ *     tags: [Sleep Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only nights ending on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only nights ending on or before this date
+ *       - in: query
+ *         name: recall
+ *         schema:
+ *           type: string
+ *           enum: [full, fragment, none]
+ *         description: Only nights with this recall level
+ *     responses:
+ *       200:
+ *         description: Sleep sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SleepSession'
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Unknown recall level
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getSleepSessions);
+
+/**
+ * @swagger
+ * /api/sleep-sessions:
+ *   post:
+ *     summary: Log a night of sleep
+ *     description: Dreams given in `dreamIds` join the night in that order; dreams already in another session move to it. A night without a remembered dream can be logged with just `recall` (`none` or `fragment`). Logging a night keeps your logging streak going.
+ *     tags: [Sleep Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SleepSession'
+ *               - type: object
+ *                 properties:
+ *                   dreamIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Sleep session created
+ *       400:
+ *         description: Invalid session, or some dreams were not found
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/', protect, createSleepSession);
+
+/**
+ * @swagger
+ * /api/sleep-sessions/{id}:
+ *   get:
+ *     summary: Get the night view
+ *     description: The session with every dream of the night in order and its place in the sleep cycle.
+ *     tags: [Sleep Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Night view
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NightView'
+ *       400:
+ *         description: Invalid session ID
+ *       403:
+ *         description: Not your session
+ *       404:
+ *         description: Session not found
+ */
+router.get('/:id', protect, getSleepSession);
+
+/**
+ * @swagger
+ * /api/sleep-sessions/{id}:
+ *   put:
+ *     summary: Update a sleep session
+ *     tags: [Sleep Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SleepSession'
+ *     responses:
+ *       200:
+ *         description: Session updated
+ *       400:
+ *         description: Invalid session
+ *       403:
+ *         description: Not your session
+ *       404:
+ *         description: Session not found
+ */
+router.put('/:id', protect, updateSleepSession);
+
+/**
+ * @swagger
+ * /api/sleep-sessions/{id}:
+ *   delete:
+ *     summary: Delete a sleep session
+ *     description: The night's dreams are kept.
+ *     tags: [Sleep Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Session deleted
+ *       403:
+ *         description: Not your session
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/:id', protect, deleteSleepSession);
+
+/**
+ * @swagger
+ * /api/sleep-sessions/{id}/dreams:
+ *   post:
+ *     summary: Add a dream to a night
+ *     description: A dream in another session moves to this one.
+ *     tags: [Sleep Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dreamId
+ *             properties:
+ *               dreamId:
+ *                 type: string
+ *               awakenedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When you woke from the dream
+ *               position:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Place among the night's dreams (last by default)
+ *     responses:
+ *       200:
+ *         description: Session with the dream added
+ *       400:
+ *         description: Dream not found, or already in this session
+ *       403:
+ *         description: Not your session
+ *       404:
+ *         description: Session not found
+ */
+router.post('/:id/dreams', protect, addSessionDream);
+
+/**
+ * @swagger
+ * /api/sleep-sessions/{id}/dreams:
+ *   put:
+ *     summary: Reorder a night's dreams
+ *     tags: [Sleep Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dreamIds
+ *             properties:
+ *               dreamIds:
+ *                 type: array
+ *                 description: Every dream of the session, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Session with the dreams reordered
+ *       400:
+ *         description: The list does not match the session's dreams
+ *       403:
+ *         description: Not your session
+ *       404:
+ *         description: Session not found
+ */
+router.put('/:id/dreams', protect, reorderSessionDreams);
+
+/**
+ * @swagger
+ * /api/sleep-sessions/{id}/dreams/{dreamId}:
+ *   delete:
+ *     summary: Remove a dream from a night
+ *     tags: [Sleep Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: dreamId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Session with the dream removed
+ *       403:
+ *         description: Not your session
+ *       404:
+ *         description: Session not found, or the dream is not in it
+ */
+router.delete('/:id/dreams/:dreamId', protect, removeSessionDream);
+
+module.exports = router;
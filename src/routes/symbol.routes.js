@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPersonalSymbols,
+  createPersonalSymbol,
+  updatePersonalSymbol,
+  deletePersonalSymbol,
+  exportPersonalSymbols,
+  importPersonalSymbols,
+  reanalyzeWithPersonalSymbols,
+  getFrameworks
+} = require('../controllers/symbol.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PersonalSymbol:
+ *       type: object
+ *       required:
+ *         - name
+ *         - meaning
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Symbol name (multi-word names use underscores); reusing a global symbol's name overrides its meaning for you
+ *         meaning:
+ *           type: string
+ *           description: What the symbol means to you (e.g. "my childhood lake")
+ *         synonyms:
+ *           type: array
+ *           items:
+ *             type: string
+ *         notes:
+ *           type: string
+ *         universalMeaning:
+ *           type: string
+ *           nullable: true
+ *           description: Meaning from the global dictionary (read-only, null for personal-only symbols)
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Symbols
+ *   description: Personal symbol dictionary and interpretation frameworks
+ */
+
+/**
+ * @swagger
+ * /api/symbols/frameworks:
+ *   get:
+ *     summary: List the interpretation frameworks for symbol readings
+ *     tags: [Symbols]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Frameworks (key, name, description) and your selected framework
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/frameworks', protect, getFrameworks);
+
+/**
+ * @swagger
+ * /api/symbols/personal:
+ *   get:
+ *     summary: List your personal symbols
+ *     tags: [Symbols]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search names, synonyms and meanings
+ *     responses:
+ *       200:
+ *         description: Personal symbols with their universal meanings
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/personal', protect, getPersonalSymbols);
+
+/**
+ * @swagger
+ * /api/symbols/personal:
+ *   post:
+ *     summary: Add a symbol to your personal dictionary
+ *     tags: [Symbols]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PersonalSymbol'
+ *     responses:
+ *       201:
+ *         description: Personal symbol created
+ *       400:
+ *         description: Invalid symbol or already in your dictionary
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/personal', protect, createPersonalSymbol);
+
+/**
+ * @swagger
+ * /api/symbols/personal/export:
+ *   get:
+ *     summary: Export your personal dictionary as JSON
+ *     tags: [Symbols]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: JSON file with exportedAt, count and symbols (accepted by the import endpoint)
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/personal/export', protect, exportPersonalSymbols);
+
+/**
+ * @swagger
+ * /api/symbols/personal/import:
+ *   post:
+ *     summary: Import personal symbols
+ *     tags: [Symbols]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - symbols
+ *             properties:
+ *               symbols:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PersonalSymbol'
+ *               mode:
+ *                 type: string
+ *                 enum: [merge, replace]
+ *                 default: merge
+ *                 description: merge updates symbols by name and adds new ones, replace swaps the whole dictionary (symbols the import leaves out are removed once it is written)
+ *     responses:
+ *       200:
+ *         description: Import summary (created, updated, removed, total)
+ *       400:
+ *         description: Invalid payload; nothing was imported
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/personal/import', protect, importPersonalSymbols);
+
+/**
+ * @swagger
+ * /api/symbols/personal/reanalyze:
+ *   post:
+ *     summary: Re-analyze your dreams with your current personal dictionary
+ *     tags: [Symbols]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Number of dreams queued for analysis
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/personal/reanalyze', protect, reanalyzeWithPersonalSymbols);
+
+/**
+ * @swagger
+ * /api/symbols/personal/{id}:
+ *   put:
+ *     summary: Update a personal symbol
+ *     tags: [Symbols]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PersonalSymbol'
+ *     responses:
+ *       200:
+ *         description: Personal symbol updated
+ *       403:
+ *         description: Not authorized to update this symbol
+ *       404:
+ *         description: Symbol not found
+ */
+router.put('/personal/:id', protect, updatePersonalSymbol);
+
+/**
+ * @swagger
+ * /api/symbols/personal/{id}:
+ *   delete:
+ *     summary: Delete a personal symbol
+ *     tags: [Symbols]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Symbol deleted
+ *       403:
+ *         description: Not authorized to delete this symbol
+ *       404:
+ *         description: Symbol not found
+ */
+router.delete('/personal/:id', protect, deletePersonalSymbol);
+
+module.exports = router;
@@ -8,6 +8,9 @@ const {
   updateUserProfile
 } = require('../controllers/user.controller');
 const User = require('../models/user.model');
+const { FRAMEWORK_KEYS } = require('../utils/interpretationFrameworks');
+const { SUPPORTED_LOCALES } = require('../utils/i18n');
+const { isValidTimeZone } = require('../utils/dates');
 
 /**
  * @swagger
@@ -63,6 +66,19 @@ const User = require('../models/user.model');
  *               type: array
  *               items:
  *                 type: string
+ *             interpretationFramework:
+ *               type: string
+ *               enum: [general, jungian, freudian, cognitive, persian_islamic]
+ *               description: Framework used for symbol readings in insights
+ *             locale:
+ *               type: string
+ *               enum: [en, fa]
+ *               nullable: true
+ *               description: Language of API messages and insights (null follows the Accept-Language header)
+ *             timezone:
+ *               type: string
+ *               nullable: true
+ *               description: IANA time zone ("Asia/Tehran") that decides which morning practice counts toward (null is UTC)
  *         stats:
  *           type: object
  *           properties:
@@ -73,6 +89,24 @@ const User = require('../models/user.model');
  *               format: date
  *             dreamStreak:
  *               type: integer
+ *             lastLoggedDate:
+ *               type: string
+ *               format: date
+ *             loggingStreak:
+ *               type: integer
+ *               description: Consecutive days with a dream or a logged night, recalled or not
+ *             totalPractices:
+ *               type: integer
+ *               description: Lucid dreaming practice entries logged
+ *             realityChecks:
+ *               type: integer
+ *               description: Reality checks logged
+ *             lastPracticeDate:
+ *               type: string
+ *               format: date
+ *             practiceStreak:
+ *               type: integer
+ *               description: Consecutive days with practice
  *       example:
  *         _id: 60d6ec9f1f6a4e001fcf1ca1
  *         username: dreamuser1
@@ -332,9 +366,23 @@ router.get('/preferences', protect, (req, res) => {
  *                 type: array
  *                 items:
  *                   type: string
+ *               interpretationFramework:
+ *                 type: string
+ *                 enum: [general, jungian, freudian, cognitive, persian_islamic]
+ *               locale:
+ *                 type: string
+ *                 enum: [en, fa]
+ *                 nullable: true
+ *                 description: Language of API messages and insights; null goes back to the Accept-Language header
+ *               timezone:
+ *                 type: string
+ *                 nullable: true
+ *                 description: IANA time zone ("Asia/Tehran"); null goes back to UTC
  *     responses:
  *       200:
  *         description: User preferences updated successfully
+ *       400:
+ *         description: Unknown interpretation framework, unsupported language or unknown time zone
  *       401:
  *         description: Not authenticated
  */
@@ -343,7 +391,7 @@ router.put('/preferences', protect, async (req, res) => {
     const user = await User.findById(req.user._id);
     
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      return res.status(404).json({ message: req.t('errors.userNotFound') });
     }
     
     // Update preferences if provided
@@ -368,13 +416,31 @@ router.put('/preferences', protect, async (req, res) => {
     if (req.body.preferredDreamCategories) {
       user.preferences.preferredDreamCategories = req.body.preferredDreamCategories;
     }
+    if (req.body.interpretationFramework) {
+      if (!FRAMEWORK_KEYS.includes(req.body.interpretationFramework)) {
+        return res.status(400).json({ message: req.t('errors.unknownFramework') });
+      }
+      user.preferences.interpretationFramework = req.body.interpretationFramework;
+    }
+    if (req.body.locale !== undefined) {
+      if (req.body.locale !== null && !SUPPORTED_LOCALES.includes(req.body.locale)) {
+        return res.status(400).json({ message: req.t('errors.unsupportedLocale') });
+      }
+      user.preferences.locale = req.body.locale;
+    }
+    if (req.body.timezone !== undefined) {
+      if (req.body.timezone !== null && !isValidTimeZone(req.body.timezone)) {
+        return res.status(400).json({ message: req.t('errors.invalidTimezone') });
+      }
+      user.preferences.timezone = req.body.timezone;
+    }
     
     await user.save();
     
     res.status(200).json(user.preferences);
   } catch (error) {
     console.error('Error updating preferences:', error);
-    res.status(500).json({ message: 'Server error updating preferences' });
+    res.status(500).json({ message: req.t('errors.server.updatingPreferences') });
   }
 });
 
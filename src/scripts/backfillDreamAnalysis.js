@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Dream = require('../models/dream.model');
+const { createPipeline } = require('../utils/analysisPipeline');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Backfill the `analysis` sub-document for dreams saved before it existed
+ * Usage: pnpm backfill:analysis [--force]
+ *   --force  re-analyze every dream, not only those missing an analysis
+ */
+async function backfillDreamAnalysis({ force = false } = {}) {
+  const query = force ? {} : { analysis: { $exists: false } };
+  const total = await Dream.countDocuments(query);
+  console.log(`Backfilling analysis for ${total} dreams${force ? ' (forced)' : ''}`);
+
+  // Only the stages that feed the stored analysis sub-document are needed, after the
+  // language stage so Persian dreams take the Persian path
+  const pipeline = createPipeline({ stages: ['language', 'entities', 'sentiment'] });
+
+  let processed = 0;
+  let failed = 0;
+
+  const cursor = Dream.find(query).select('content language').cursor();
+
+  for await (const dream of cursor) {
+    try {
+      const analysis = await pipeline.run(dream.content, { language: dream.language });
+      await Dream.updateOne(
+        { _id: dream._id },
+        { $set: { analysis: Dream.buildAnalysis(analysis) } }
+      );
+      processed++;
+    } catch (error) {
+      failed++;
+      console.error('Failed to analyze dream:', { id: dream._id, error: error.message });
+    }
+
+    if ((processed + failed) % 100 === 0) {
+      console.log(`Progress: ${processed + failed}/${total}`);
+    }
+  }
+
+  console.log('Backfill complete:', { processed, failed });
+  return { processed, failed };
+}
+
+if (require.main === module) {
+  const force = process.argv.includes('--force');
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dreamscope')
+    .then(() => backfillDreamAnalysis({ force }))
+    .then(() => mongoose.disconnect())
+    .catch(err => {
+      console.error('Backfill failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = backfillDreamAnalysis;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Character = require('../models/character.model');
+const Place = require('../models/place.model');
+
+// Load environment variables
+dotenv.config();
+
+// Registries whose { user, aliases } index became unique
+const MODELS = [Character, Place];
+
+/**
+ * Aliases that more than one entry of a user holds
+ * @param {Object} Model - Registry model
+ * @returns {Promise<Array>} [{ _id: { user, alias }, count }]
+ */
+function findDuplicateAliases(Model) {
+  return Model.aggregate([
+    { $unwind: '$aliases' },
+    { $group: { _id: { user: '$user', alias: '$aliases' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+}
+
+/**
+ * Make the registries' { user, aliases } index unique
+ * Databases created before the index was unique keep a plain one, and Mongo cannot
+ * change the options of an existing index, so it is dropped and the schema's is
+ * created. A registry where two entries share an alias is left as it is: merge
+ * them first, or the unique index cannot be built.
+ * Runs on startup; usage as a script: pnpm migrate:alias-indexes
+ * @returns {Promise<Object>} { migrated, skipped } - model names
+ */
+async function migrateAliasIndexes() {
+  const migrated = [];
+  const skipped = [];
+
+  for (const Model of MODELS) {
+    const indexes = await Model.collection.indexes().catch(error => {
+      // No collection yet: mongoose creates the index with the collection
+      if (error.codeName === 'NamespaceNotFound') return [];
+      throw error;
+    });
+
+    const aliasIndex = indexes.find(index =>
+      Object.keys(index.key).join() === 'user,aliases');
+    if (!aliasIndex || aliasIndex.unique) continue;
+
+    const duplicates = await findDuplicateAliases(Model);
+    if (duplicates.length > 0) {
+      console.error(`${Model.modelName} aliases held by more than one entry, merge them first:`,
+        duplicates.map(duplicate => duplicate._id));
+      skipped.push(Model.modelName);
+      continue;
+    }
+
+    console.log(`Rebuilding the ${Model.modelName} alias index:`, aliasIndex.name);
+    await Model.collection.dropIndex(aliasIndex.name);
+    await Model.createIndexes();
+    migrated.push(Model.modelName);
+  }
+
+  return { migrated, skipped };
+}
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dreamscope')
+    .then(() => migrateAliasIndexes())
+    .then(summary => console.log('Alias index migration complete:', summary))
+    .then(() => mongoose.disconnect())
+    .catch(err => {
+      console.error('Alias index migration failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateAliasIndexes;
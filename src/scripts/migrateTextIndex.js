@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Dream = require('../models/dream.model');
+
+// Load environment variables
+dotenv.config();
+
+// Field the dream text index reads the text-search language from (see models/dream.model.js)
+const LANGUAGE_OVERRIDE = 'textSearchLanguage';
+
+/**
+ * Rebuild the dream text index when it was created with other options
+ * Databases created before dreams had a `language` field have a text index that
+ * reads `language` as the text-search language. Mongo cannot change the options
+ * of an existing index, so the old one is dropped and the schema's is created.
+ * Runs on startup; usage as a script: pnpm migrate:text-index
+ * @returns {Promise<Object>} { migrated, dropped } - dropped is the old index name
+ */
+async function migrateTextIndex() {
+  const indexes = await Dream.collection.indexes().catch(error => {
+    // No dreams collection yet: mongoose creates the index with the collection
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  });
+
+  const textIndex = indexes.find(index => index.key && index.key._fts === 'text');
+  if (!textIndex || textIndex.language_override === LANGUAGE_OVERRIDE) {
+    return { migrated: false, dropped: null };
+  }
+
+  console.log('Rebuilding the dream text index:', textIndex.name);
+  await Dream.collection.dropIndex(textIndex.name);
+  await Dream.createIndexes();
+
+  console.log('Dream text index rebuilt');
+  return { migrated: true, dropped: textIndex.name };
+}
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dreamscope')
+    .then(() => migrateTextIndex())
+    .then(summary => console.log('Text index migration complete:', summary))
+    .then(() => mongoose.disconnect())
+    .catch(err => {
+      console.error('Text index migration failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateTextIndex;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const DreamSymbol = require('../models/symbol.model');
+const dreamSymbols = require('../utils/dreamSymbols');
+
+// Load environment variables
+dotenv.config();
+
+const BUILT_IN_SOURCE = 'DreamLyzer built-in dictionary';
+
+/**
+ * Seed the Symbol collection from the built-in dictionary (utils/dreamSymbols.js)
+ * Usage: pnpm seed:symbols [--force]
+ *   --force  overwrite symbols that already exist with the built-in definition
+ *            (by default existing symbols, including admin edits, are left alone)
+ */
+async function seedSymbols({ force = false } = {}) {
+  console.log(`Seeding ${dreamSymbols.length} dream symbols${force ? ' (forced)' : ''}`);
+
+  const operations = dreamSymbols.map(entry => {
+    const definition = {
+      name: entry.name,
+      category: entry.category,
+      synonyms: entry.synonyms || [],
+      localizedSynonyms: entry.localizedSynonyms || {},
+      interpretations: [
+        ...entry.interpretations.map(text => ({ text, framework: 'general', source: BUILT_IN_SOURCE })),
+        ...Object.entries(entry.frameworks || {}).map(([framework, text]) => ({
+          text,
+          framework,
+          source: BUILT_IN_SOURCE
+        }))
+      ]
+    };
+
+    return {
+      updateOne: {
+        filter: { name: entry.name },
+        update: force ? { $set: definition } : { $setOnInsert: definition },
+        upsert: true
+      }
+    };
+  });
+
+  const result = await DreamSymbol.bulkWrite(operations);
+
+  const summary = {
+    inserted: result.upsertedCount,
+    updated: result.modifiedCount,
+    unchanged: dreamSymbols.length - result.upsertedCount - result.modifiedCount
+  };
+  console.log('Symbol seeding complete:', summary);
+  return summary;
+}
+
+if (require.main === module) {
+  const force = process.argv.includes('--force');
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dreamscope')
+    .then(() => seedSymbols({ force }))
+    .then(() => mongoose.disconnect())
+    .catch(err => {
+      console.error('Symbol seeding failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = seedSymbols;
@@ -1,23 +1,18 @@
-const natural = require('natural');
-const nlp = require('compromise');
-
-// Extensions for better dream-related analysis
-require('compromise/plugins/speed'); // For faster processing
-require('compromise/plugins/topics'); // For topic extraction
-
-// Natural.js components
-const tokenizer = new natural.WordTokenizer();
-const TfIdf = natural.TfIdf;
-const stemmer = natural.PorterStemmer;
-const Analyzer = natural.SentimentAnalyzer;
-const sentimentAnalyzer = new Analyzer("English", stemmer, "afinn");
+const nlp = require('compromise'); // compromise v14 ships topics() in its default build
+const { extractKeywordsTfIdf, analyzeSentiment, countOccurrences } = require('./textUtils');
+const { matchSymbols } = require('./symbolMatcher');
+const { DEFAULT_LANGUAGE, detectLanguage } = require('./languageDetection');
 
 /**
  * Advanced NLP analysis of dream content
+ * compromise only parses English, so other languages get no entities, topics
+ * or phrases and their sentences are split on punctuation
  * @param {string} text - The dream content to analyze
+ * @param {Object} options
+ * @param {string} options.language - Language of the dream (detected when omitted)
  * @returns {Object} Comprehensive analysis of the dream
  */
-function analyzeText(text) {
+function analyzeText(text, { language } = {}) {
   if (!text || text.trim() === '') {
     return {
       entities: [],
@@ -33,6 +28,19 @@ function analyzeText(text) {
     };
   }
 
+  language = language || detectLanguage(text);
+  
+  if (language !== DEFAULT_LANGUAGE) {
+    return {
+      entities: [],
+      topics: [],
+      phrases: [],
+      sentences: splitSentences(text),
+      sentiment: analyzeSentiment(text, { language }),
+      keywords: extractKeywordsTfIdf(text, { language })
+    };
+  }
+  
   // Process with compromise
   const doc = nlp(text);
   
@@ -109,7 +117,8 @@ function extractEntities(doc) {
   }
   
   // Extract dates - important for time references in dreams
-  const dates = doc.dates().json({ normal: true });
+  // (dates() is only available when the compromise-dates plugin is loaded)
+  const dates = typeof doc.dates === 'function' ? doc.dates().json({ normal: true }) : [];
   if (dates.length > 0) {
     entities.push(
       ...dates.map(d => ({
@@ -182,7 +191,7 @@ function analyzeSentences(doc) {
     }
     
     // Detect if passive voice
-    const hasPassive = nlp(s.text).match('(was|were|been|be) #Verb').found();
+    const hasPassive = nlp(s.text).match('(was|were|been|be) #Verb').found;
     
     // Get the first verb (action)
     const verbs = nlp(s.text).verbs().json({ normal: true });
@@ -199,92 +208,48 @@ function analyzeSentences(doc) {
 }
 
 /**
- * Performs sentiment analysis on text using Natural.js
- * @param {string} text - The text to analyze
- * @returns {Object} Sentiment analysis results
+ * Split text into sentences on end punctuation (for languages compromise does not parse)
+ * @param {string} text - The text to split
+ * @returns {Array} Sentence analysis in the same shape as analyzeSentences
  */
-function analyzeSentiment(text) {
-  // Use natural's sentiment analyzer
-  const tokenized = tokenizer.tokenize(text);
-  const score = sentimentAnalyzer.getSentiment(tokenized);
-  
-  // Calculate comparative score (normalized by text length)
-  const comparative = tokenized.length > 0 ? score / tokenized.length : 0;
-  
-  // Determine overall sentiment
-  let vote = 'neutral';
-  if (comparative > 0.05) {
-    vote = 'positive';
-  } else if (comparative < -0.05) {
-    vote = 'negative';
-  }
-  
-  return {
-    score,
-    comparative,
-    vote
-  };
-}
-
-/**
- * Extracts important keywords using TF-IDF algorithm
- * @param {string} text - The text content to analyze
- * @returns {Array} List of keywords
- */
-function extractKeywordsTfIdf(text) {
-  // Create a new TF-IDF instance
-  const tfidf = new TfIdf();
-  
-  // Common English stopwords to filter out
-  const stopwords = ['i', 'me', 'my', 'myself', 'we', 'our', 'ours', 'ourselves', 
-    'you', 'your', 'yours', 'yourself', 'yourselves', 'he', 'him', 'his', 'himself', 
-    'she', 'her', 'hers', 'herself', 'it', 'its', 'itself', 'they', 'them', 'their', 
-    'theirs', 'themselves', 'what', 'which', 'who', 'whom', 'this', 'that', 'these', 
-    'those', 'am', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 
-    'had', 'having', 'do', 'does', 'did', 'doing', 'a', 'an', 'the', 'and', 'but', 
-    'if', 'or', 'because', 'as', 'until', 'while', 'of', 'at', 'by', 'for', 'with', 
-    'about', 'against', 'between', 'into', 'through', 'during', 'before', 'after', 
-    'above', 'below', 'to', 'from', 'up', 'down', 'in', 'out', 'on', 'off', 'over', 
-    'under', 'again', 'further', 'then', 'once', 'here', 'there', 'when', 'where', 
-    'why', 'how', 'all', 'any', 'both', 'each', 'few', 'more', 'most', 'other', 
-    'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than', 'too', 
-    'very', 's', 't', 'can', 'will', 'just', 'don', 'should', 'now'];
-  
-  // Add the document
-  tfidf.addDocument(text);
-  
-  // Get the terms and their measures
-  let terms = [];
-  tfidf.listTerms(0).forEach(item => {
-    // Filter out stopwords, short words, and numbers
-    if (!stopwords.includes(item.term) && 
-        item.term.length > 3 && 
-        isNaN(parseFloat(item.term))) {
-      terms.push({
-        term: item.term,
-        tfidf: item.tfidf
-      });
-    }
-  });
-  
-  // Sort by TF-IDF score and take the top 15
-  terms = terms.sort((a, b) => b.tfidf - a.tfidf).slice(0, 15);
-  
-  // Return just the terms
-  return terms.map(item => item.term);
+function splitSentences(text) {
+  const sentences = (text || '').match(/[^.!?؟]+[.!?؟]*/g) || [];
+  
+  return sentences
+    .map(sentence => sentence.trim())
+    .filter(Boolean)
+    .map(sentence => {
+      let mood = 'statement';
+      if (/[?؟]$/.test(sentence)) {
+        mood = 'question';
+      } else if (sentence.endsWith('!')) {
+        mood = 'exclamation';
+      }
+      
+      return {
+        text: sentence,
+        mood,
+        isPassive: false,
+        mainAction: null,
+        length: sentence.split(/\s+/).length
+      };
+    });
 }
 
 /**
  * Analyze recurring patterns in multiple dreams
  * @param {Array} dreams - Array of dream contents
+ * @param {Object} options
+ * @param {Array} options.symbols - Symbol names found in each dream, in the order of `dreams`
  * @returns {Object} Recurring patterns analysis
  */
-function analyzeRecurringPatterns(dreams) {
+function analyzeRecurringPatterns(dreams, { symbols = [] } = {}) {
   if (!dreams || dreams.length === 0) {
     return {
       recurringThemes: [],
       recurringSymbols: [],
-      recurringEntities: []
+      recurringEntities: [],
+      recurringPhrases: []
     };
   }
   
@@ -300,6 +265,8 @@ function analyzeRecurringPatterns(dreams) {
   const keywordCounts = countOccurrences(allKeywords);
   const entityCounts = countOccurrences(allEntities);
   const phraseCounts = countOccurrences(allPhrases);
+  // A symbol counts once per dream, however often the dream mentions it
+  const symbolCounts = countOccurrences(symbols.flatMap(names => [...new Set(names || [])]));
   
   // Find recurring items (appearing in at least 2 dreams)
   const recurringThemes = Object.entries(keywordCounts)
@@ -317,85 +284,34 @@ function analyzeRecurringPatterns(dreams) {
     .map(([phrase, count]) => ({ phrase, count }))
     .sort((a, b) => b.count - a.count);
   
+  const recurringSymbols = Object.entries(symbolCounts)
+    .filter(([_, count]) => count >= 2)
+    .map(([symbol, count]) => ({ symbol, count }))
+    .sort((a, b) => b.count - a.count);
+  
   return {
     recurringThemes,
+    recurringSymbols,
     recurringEntities,
     recurringPhrases
   };
 }
 
-/**
- * Count occurrences of items in an array
- * @param {Array} array - Array of items
- * @returns {Object} Counts of each item
- */
-function countOccurrences(array) {
-  return array.reduce((counts, item) => {
-    counts[item] = (counts[item] || 0) + 1;
-    return counts;
-  }, {});
-}
-
 /**
  * Find dream symbols in text with context
+ * Matching is done on whole words and lemmas (see symbolMatcher)
  * @param {string} text - The dream text
  * @param {Object} symbolDictionary - Dictionary of dream symbols
- * @returns {Array} List of symbols found with context
+ * @param {Object} options - Synonyms and details (category, interpretations) from the symbol store
+ * @returns {Array} List of symbols found with context, adjectives, verbs and every occurrence
  */
-function findDreamSymbols(text, symbolDictionary) {
-  if (!text || !symbolDictionary) {
-    return [];
-  }
-  
-  const foundSymbols = [];
-  const lowercaseText = text.toLowerCase();
-  
-  // Process with compromise for better symbol detection
-  const doc = nlp(text);
-  
-  // Check for each symbol in the dictionary
-  Object.entries(symbolDictionary).forEach(([symbol, meaning]) => {
-    // Look for exact matches and variations
-    if (lowercaseText.includes(symbol)) {
-      // Get the context around the symbol
-      const index = lowercaseText.indexOf(symbol);
-      const startIndex = Math.max(0, index - 50);
-      const endIndex = Math.min(text.length, index + symbol.length + 50);
-      
-      let context = text.substring(startIndex, endIndex);
-      
-      // Add ellipsis
-      if (startIndex > 0) context = '...' + context;
-      if (endIndex < text.length) context += '...';
-      
-      // Try to get adjectives describing the symbol using compromise
-      const adjectivesData = doc.match(`#Adjective+ ${symbol}`).out('array');
-      const adjectives = adjectivesData.length > 0 
-        ? adjectivesData[0].split(' ').slice(0, -1) 
-        : [];
-      
-      // Try to get verbs associated with the symbol
-      const verbsData = doc.match(`${symbol} #Verb+`).out('array');
-      const verbs = verbsData.length > 0 
-        ? verbsData[0].split(' ').slice(1) 
-        : [];
-      
-      foundSymbols.push({
-        symbol,
-        meaning,
-        context,
-        adjectives,
-        verbs,
-        frequency: countOccurrences(lowercaseText.split(symbol)).length - 1
-      });
-    }
-  });
-  
-  return foundSymbols;
+function findDreamSymbols(text, symbolDictionary, options = {}) {
+  return matchSymbols(text, symbolDictionary, options);
 }
 
 /**
  * Suggest dream categories based on comprehensive analysis
+ * Works with any subset of keywords, phrases, sentiment, emotions and symbols
  * @param {Object} analysis - The complete text analysis
  * @param {Array} categories - Available categories to choose from
  * @returns {Array} Suggested categories with confidence scores
@@ -408,21 +324,37 @@ function suggestDreamCategories(analysis, categories = [
   }
   
   const suggestedCategories = [];
-  
-  // Check sentiment for nightmares
-  if (analysis.sentiment.vote === 'negative' && analysis.sentiment.comparative < -0.15) {
+  const keywords = analysis.keywords || [];
+  const phrases = analysis.phrases || [];
+  const symbols = analysis.symbols || [];
+  const sentiment = analysis.sentiment || { score: 0, comparative: 0, vote: 'neutral' };
+  const emotions = analysis.emotions || {};
+  
+  // Check sentiment and emotions for nightmares
+  if (sentiment.vote === 'negative' && sentiment.comparative < -0.15) {
     suggestedCategories.push({
       category: 'nightmare',
-      confidence: Math.min(90, Math.abs(analysis.sentiment.comparative) * 300)
+      confidence: Math.min(90, Math.abs(sentiment.comparative) * 300)
+    });
+  } else if (['fear', 'anger', 'disgust', 'sadness'].includes(emotions.primary) &&
+             (emotions.intensity === 'intense' || emotions.score > 70) &&
+             // Another character's anger alone does not make it the dreamer's nightmare
+             (!emotions.experiencers || emotions.experiencers.dreamer[emotions.primary])) {
+    suggestedCategories.push({
+      category: 'nightmare',
+      confidence: Math.min(90, Math.max(emotions.score, 60))
     });
   }
   
-  // Check for adventure dreams
-  const adventureWords = ['adventure', 'journey', 'travel', 'exploring', 'quest', 'discover'];
-  const hasAdventureTheme = analysis.keywords.some(keyword => 
+  // Check for adventure dreams (English and Persian keywords)
+  const adventureWords = ['adventure', 'journey', 'travel', 'exploring', 'quest', 'discover',
+    'ماجراجویی', 'ماجرا', 'سفر', 'کاوش'];
+  const hasAdventureTheme = keywords.some(keyword => 
     adventureWords.includes(keyword)
-  ) || analysis.phrases.some(phrase => 
+  ) || phrases.some(phrase => 
     adventureWords.some(word => phrase.text.includes(word))
+  ) || symbols.some(s => 
+    ['mountain', 'forest', 'journey', 'travel'].includes(s.symbol)
   );
   
   if (hasAdventureTheme) {
@@ -433,10 +365,11 @@ function suggestDreamCategories(analysis, categories = [
   }
   
   // Check for fantasy dreams
-  const fantasyWords = ['magic', 'dragon', 'fairy', 'wizard', 'mythical', 'fantasy', 'impossible'];
-  const hasFantasyTheme = analysis.keywords.some(keyword => 
+  const fantasyWords = ['magic', 'dragon', 'fairy', 'wizard', 'mythical', 'fantasy', 'impossible',
+    'جادو', 'جادویی', 'اژدها', 'پری', 'جادوگر', 'افسانه‌ای', 'خیالی'];
+  const hasFantasyTheme = keywords.some(keyword => 
     fantasyWords.includes(keyword)
-  ) || analysis.phrases.some(phrase => 
+  ) || phrases.some(phrase => 
     fantasyWords.some(word => phrase.text.includes(word))
   );
   
@@ -447,26 +380,36 @@ function suggestDreamCategories(analysis, categories = [
     });
   }
   
-  // Check for lucid dreams
-  const lucidWords = ['aware', 'control', 'lucid', 'conscious', 'realize', 'dreaming'];
-  const hasLucidTheme = analysis.keywords.some(keyword => 
-    lucidWords.includes(keyword)
-  ) || analysis.phrases.some(phrase => 
-    phrase.text.includes('I knew') || 
-    phrase.text.includes('I realized') || 
-    phrase.text.includes('I was dreaming')
-  );
-  
-  if (hasLucidTheme) {
-    suggestedCategories.push({
-      category: 'lucid',
-      confidence: 85
-    });
+  // Check for lucid dreams: the lucidity detector's verdict when it ran, keywords otherwise
+  if (analysis.lucidity) {
+    if (analysis.lucidity.isLucid) {
+      suggestedCategories.push({
+        category: 'lucid',
+        confidence: Math.min(95, 50 + analysis.lucidity.score / 2)
+      });
+    }
+  } else {
+    const lucidWords = ['aware', 'control', 'lucid', 'conscious', 'realize', 'dreaming',
+      'آگاه', 'آگاهانه', 'کنترل', 'هوشیار'];
+    const hasLucidTheme = keywords.some(keyword => 
+      lucidWords.includes(keyword)
+    ) || phrases.some(phrase => 
+      phrase.text.includes('I knew') || 
+      phrase.text.includes('I realized') || 
+      phrase.text.includes('I was dreaming')
+    );
+    
+    if (hasLucidTheme) {
+      suggestedCategories.push({
+        category: 'lucid',
+        confidence: 85
+      });
+    }
   }
   
   // Default category based on sentiment if no matches
   if (suggestedCategories.length === 0) {
-    if (analysis.sentiment.vote === 'positive') {
+    if (sentiment.vote === 'positive' || emotions.valence === 'positive') {
       suggestedCategories.push({
         category: 'healing',
         confidence: 50
@@ -487,7 +430,12 @@ function suggestDreamCategories(analysis, categories = [
 
 module.exports = {
   analyzeText,
+  extractEntities,
+  extractTopics,
+  extractPhrases,
+  analyzeSentences,
+  splitSentences,
   findDreamSymbols,
   analyzeRecurringPatterns,
   suggestDreamCategories
-}; 
\ No newline at end of file
+};
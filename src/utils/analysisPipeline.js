@@ -0,0 +1,369 @@
+const nlp = require('compromise');
+const { tokenize, extractKeywordsTfIdf, analyzeSentiment } = require('./textUtils');
+const { analyzeEmotions } = require('./dreamAnalyzer');
+const advancedNLP = require('./advancedNLP');
+const { getSymbolIndex, buildPersonalDictionary } = require('./symbolStore');
+const { mergePersonalMatches } = require('./symbolMatcher');
+const { DEFAULT_LANGUAGE, detectLanguage, isSupportedLanguage } = require('./languageDetection');
+const { codeDreamContent } = require('./contentCoding');
+const { detectLucidity } = require('./lucidityDetector');
+
+/**
+ * Dream analysis pipeline
+ * Runs a configurable, ordered list of named stages over a dream's text and
+ * merges their output into a single versioned result object.
+ *
+ * A stage is an object of the form:
+ *   {
+ *     name: 'keywords',            // unique stage name
+ *     version: '1.0.0',            // bumped whenever the stage's output changes
+ *     requires: ['tokenize'],      // stages that must run earlier in the pipeline
+ *     defaults: { limit: 15 },     // default stage options
+ *     run: (context, options) => ({ keywords: [...] })  // may be async
+ *   }
+ *
+ * The object returned by `run` is merged into the result. Stages can also
+ * share intermediate data (tokens, the compromise document) through `context`.
+ * The `language` stage runs first and sets `context.language`; the other stages
+ * pick their analysis path from it (English when it is missing).
+ */
+
+// Bump when the default stage list or result shape changes
+const ANALYSIS_PIPELINE_VERSION = '1.10.0';
+
+const DEFAULT_STAGE_ORDER = [
+  'language',
+  'tokenize',
+  'keywords',
+  'emotions',
+  'symbols',
+  'entities',
+  'contentCoding',
+  'sentiment',
+  'lucidity',
+  'categorize'
+];
+
+const stageRegistry = new Map();
+
+/**
+ * Validate a stage definition and fill in defaults
+ * @param {Object} stage - Stage definition
+ * @returns {Object} Normalized stage
+ */
+function normalizeStage(stage) {
+  if (!stage || typeof stage.name !== 'string' || !stage.name) {
+    throw new Error('Analysis stage must have a name');
+  }
+  if (typeof stage.run !== 'function') {
+    throw new Error(`Analysis stage "${stage.name}" must have a run function`);
+  }
+
+  return {
+    version: '1.0.0',
+    requires: [],
+    defaults: {},
+    ...stage
+  };
+}
+
+/**
+ * Register a stage so pipelines can refer to it by name
+ * @param {Object} stage - Stage definition
+ * @returns {Object} The registered stage
+ */
+function registerStage(stage) {
+  const normalized = normalizeStage(stage);
+  stageRegistry.set(normalized.name, normalized);
+  return normalized;
+}
+
+/**
+ * Look up a registered stage by name
+ * @param {string} name - Stage name
+ * @returns {Object|undefined} Stage definition
+ */
+function getStage(name) {
+  return stageRegistry.get(name);
+}
+
+/**
+ * Language of the text being analyzed
+ * @param {Object} context - Pipeline run context
+ * @returns {string} Language code
+ */
+function getLanguage(context) {
+  return context.language || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Lazily parse the text with compromise so several stages can share one document
+ * @param {Object} context - Pipeline run context
+ * @returns {Object} Compromise document
+ */
+function getDocument(context) {
+  if (!context.doc) {
+    context.doc = nlp(context.text);
+  }
+  return context.doc;
+}
+
+// Built-in stages
+
+registerStage({
+  name: 'language',
+  run: (context) => {
+    // A supported language passed in the run options overrides detection
+    context.language = isSupportedLanguage(context.language)
+      ? context.language
+      : detectLanguage(context.text);
+    return { language: context.language };
+  }
+});
+
+registerStage({
+  name: 'tokenize',
+  version: '1.1.0',
+  run: (context) => {
+    context.tokens = tokenize(context.text, { language: getLanguage(context) });
+    return { tokenCount: context.tokens.length };
+  }
+});
+
+registerStage({
+  name: 'keywords',
+  version: '1.1.0',
+  // minLength and stopwords default per language (see textUtils)
+  defaults: { limit: 15 },
+  run: (context, options) => ({
+    keywords: context.text
+      ? extractKeywordsTfIdf(context.text, { ...options, language: getLanguage(context) })
+      : []
+  })
+});
+
+registerStage({
+  name: 'emotions',
+  version: '3.1.0',
+  run: (context) => ({
+    emotions: analyzeEmotions(context.text, { language: getLanguage(context) })
+  })
+});
+
+registerStage({
+  name: 'symbols',
+  version: '2.4.0',
+  run: async (context, options) => {
+    const language = getLanguage(context);
+
+    // An explicitly supplied dictionary replaces the shared symbol store
+    const customDictionary = options.dictionary || context.symbolDictionary;
+    if (customDictionary) {
+      return { symbols: advancedNLP.findDreamSymbols(context.text, customDictionary, { language }) };
+    }
+
+    const { dictionary, synonyms, synonymsByLanguage, details } = await getSymbolIndex();
+    const symbols = advancedNLP.findDreamSymbols(context.text, dictionary, {
+      synonyms: synonymsByLanguage[language] || synonyms,
+      details,
+      language
+    });
+
+    // The dreamer's personal dictionary is consulted on top of the global one
+    if (!context.personalSymbols || context.personalSymbols.length === 0) {
+      return { symbols };
+    }
+
+    const personal = buildPersonalDictionary(context.personalSymbols);
+    const personalSymbols = advancedNLP.findDreamSymbols(context.text, personal.dictionary, {
+      synonyms: personal.synonyms,
+      language
+    });
+    return { symbols: mergePersonalMatches(symbols, personalSymbols) };
+  }
+});
+
+registerStage({
+  name: 'entities',
+  version: '1.1.0',
+  run: (context) => {
+    if (!context.text) {
+      return { entities: [], topics: [], phrases: [], sentences: [] };
+    }
+
+    // compromise only parses English
+    if (getLanguage(context) !== DEFAULT_LANGUAGE) {
+      return { entities: [], topics: [], phrases: [], sentences: advancedNLP.splitSentences(context.text) };
+    }
+
+    const doc = getDocument(context);
+    return {
+      entities: advancedNLP.extractEntities(doc),
+      topics: advancedNLP.extractTopics(doc),
+      phrases: advancedNLP.extractPhrases(doc),
+      sentences: advancedNLP.analyzeSentences(doc)
+    };
+  }
+});
+
+registerStage({
+  name: 'contentCoding',
+  version: '1.1.0',
+  requires: ['entities'],
+  run: (context) => {
+    // Coding relies on compromise's English tagging
+    if (!context.text || getLanguage(context) !== DEFAULT_LANGUAGE) {
+      return { contentCoding: null };
+    }
+
+    return {
+      contentCoding: codeDreamContent(getDocument(context), { entities: context.result.entities })
+    };
+  }
+});
+
+registerStage({
+  name: 'sentiment',
+  version: '1.1.0',
+  run: (context) => ({
+    sentiment: analyzeSentiment(context.text, { language: getLanguage(context) })
+  })
+});
+
+registerStage({
+  name: 'lucidity',
+  run: (context) => ({
+    lucidity: detectLucidity(context.text, { language: getLanguage(context) })
+  })
+});
+
+registerStage({
+  name: 'categorize',
+  version: '1.2.0',
+  defaults: {
+    categories: ['lucid', 'nightmare', 'recurring', 'prophetic', 'healing', 'adventure', 'fantasy', 'uncategorized']
+  },
+  run: (context, options) => ({
+    categories: advancedNLP.suggestDreamCategories(context.result, options.categories)
+  })
+});
+
+/**
+ * Resolve a stage entry from the pipeline configuration
+ * Entries can be a stage name, `{ name, enabled, options }` or a full stage definition
+ * @param {string|Object} entry - Stage entry
+ * @param {Object} stageOptions - Per-stage options keyed by stage name
+ * @returns {Object|null} Resolved stage with merged options, or null when disabled
+ */
+function resolveStage(entry, stageOptions) {
+  const config = typeof entry === 'string' ? { name: entry } : entry;
+
+  if (config.enabled === false) {
+    return null;
+  }
+
+  const stage = typeof config.run === 'function'
+    ? normalizeStage(config)
+    : getStage(config.name);
+
+  if (!stage) {
+    throw new Error(`Unknown analysis stage "${config.name}"`);
+  }
+
+  return {
+    ...stage,
+    options: {
+      ...stage.defaults,
+      ...(stageOptions[stage.name] || {}),
+      ...(config.options || {})
+    }
+  };
+}
+
+/**
+ * Create an analysis pipeline
+ * @param {Object} config - Pipeline configuration
+ * @param {Array} config.stages - Ordered stage entries (defaults to DEFAULT_STAGE_ORDER)
+ * @param {Object} config.options - Per-stage options keyed by stage name
+ * @param {boolean} config.strict - Rethrow stage errors instead of recording them
+ * @returns {Object} Pipeline with `stages` and an async `run(text, runOptions)` method
+ */
+function createPipeline({ stages = DEFAULT_STAGE_ORDER, options = {}, strict = false } = {}) {
+  const resolvedStages = stages
+    .map(entry => resolveStage(entry, options))
+    .filter(Boolean);
+
+  // Check that every stage's requirements run before it
+  resolvedStages.forEach((stage, index) => {
+    stage.requires.forEach(required => {
+      const requiredIndex = resolvedStages.findIndex(s => s.name === required);
+      if (requiredIndex === -1 || requiredIndex > index) {
+        throw new Error(`Analysis stage "${stage.name}" requires "${required}" to run before it`);
+      }
+    });
+  });
+
+  /**
+   * Run every enabled stage over the text
+   * @param {string} text - The dream content to analyze
+   * @param {Object} runOptions - Per-run data shared with stages (e.g. language, symbolDictionary, personalSymbols)
+   * @returns {Promise<Object>} Versioned analysis result
+   */
+  async function run(text, runOptions = {}) {
+    const context = {
+      ...runOptions,
+      text: text ? text.trim() : '',
+      result: {
+        version: ANALYSIS_PIPELINE_VERSION,
+        stages: resolvedStages.map(stage => ({ name: stage.name, version: stage.version })),
+        errors: []
+      }
+    };
+
+    const failedStages = new Set();
+
+    for (const stage of resolvedStages) {
+      const blockedBy = stage.requires.find(required => failedStages.has(required));
+      if (blockedBy) {
+        failedStages.add(stage.name);
+        context.result.errors.push({
+          stage: stage.name,
+          message: `Skipped because required stage "${blockedBy}" failed`
+        });
+        continue;
+      }
+
+      try {
+        const output = await stage.run(context, stage.options);
+        Object.assign(context.result, output || {});
+      } catch (error) {
+        if (strict) {
+          throw error;
+        }
+        console.error(`Analysis stage "${stage.name}" failed:`, error.message);
+        failedStages.add(stage.name);
+        context.result.errors.push({ stage: stage.name, message: error.message });
+      }
+    }
+
+    return context.result;
+  }
+
+  return {
+    version: ANALYSIS_PIPELINE_VERSION,
+    stages: resolvedStages.map(stage => stage.name),
+    run
+  };
+}
+
+// Shared pipeline with the default stages
+const defaultPipeline = createPipeline();
+
+module.exports = {
+  ANALYSIS_PIPELINE_VERSION,
+  DEFAULT_STAGE_ORDER,
+  registerStage,
+  getStage,
+  createPipeline,
+  defaultPipeline
+};
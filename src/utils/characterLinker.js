@@ -0,0 +1,247 @@
+const Character = require('../models/character.model');
+const Dream = require('../models/dream.model');
+
+/**
+ * Links the characters found by content coding (utils/contentCoding) to the
+ * user's character registry, so the same dream figure can be followed across
+ * dreams. A coded character is linked to the registry character that has its
+ * word ("mom", "sarah") as an alias. New registry characters are only created
+ * for named people, family members, relatives and prominent people; other
+ * figures ("a man", "the dog") are linked once the user gives a character that
+ * alias.
+ */
+
+const TRACKED_IDENTITIES = ['father', 'mother', 'family', 'relative', 'prominent'];
+
+// Words for the same family member, so "Mom" in one dream and "mother" in another link up
+const KINSHIP_GROUPS = [
+  { name: 'Mother', aliases: ['mother', 'mom', 'mum', 'mommy', 'mummy', 'mama'] },
+  { name: 'Father', aliases: ['father', 'dad', 'daddy', 'papa'] },
+  { name: 'Grandmother', aliases: ['grandmother', 'grandma', 'granny', 'nana'] },
+  { name: 'Grandfather', aliases: ['grandfather', 'grandpa', 'granddad', 'grandad'] }
+];
+
+/**
+ * Capitalize every word of a name
+ * @param {string} name - Name
+ * @returns {string}
+ */
+function titleCase(name) {
+  return name.replace(/(^|\s)(\p{L})/gu, (match, space, letter) => space + letter.toUpperCase());
+}
+
+/**
+ * Kinship group of a word, if any
+ * @param {string} label - Lowercase word
+ * @returns {Object|undefined} { name, aliases }
+ */
+function kinshipGroup(label) {
+  return KINSHIP_GROUPS.find(kinship => kinship.aliases.includes(label));
+}
+
+/**
+ * Registry character for a word: the one with the word as an alias, or for kinship
+ * words the one with any word of the same group ("mother" → the user's "Mom")
+ * @param {Map} byAlias - Characters by alias
+ * @param {string} label - Lowercase word
+ * @returns {Object|undefined} Character document
+ */
+function findByAlias(byAlias, label) {
+  if (byAlias.has(label)) return byAlias.get(label);
+
+  const group = kinshipGroup(label);
+  const alias = group && group.aliases.find(word => byAlias.has(word));
+  return alias ? byAlias.get(alias) : undefined;
+}
+
+/**
+ * Whether a coded character should get a registry entry of its own
+ * @param {Object} coded - Character from content coding
+ * @returns {boolean}
+ */
+function isTracked(coded) {
+  if (coded.number === 'group') return false;
+  return coded.key.startsWith('name:') || TRACKED_IDENTITIES.includes(coded.identity);
+}
+
+/**
+ * Registry fields for a new character from a coded character
+ * @param {Object} coded - Character from content coding
+ * @returns {Object} { name, aliases, relationship, sex }
+ */
+function newCharacterFields(coded) {
+  const label = coded.label.toLowerCase();
+  const group = kinshipGroup(label);
+
+  return {
+    name: group ? group.name : titleCase(label),
+    aliases: group ? group.aliases : [label],
+    relationship: coded.kind === 'human' ? coded.identity : coded.kind,
+    sex: ['male', 'female'].includes(coded.sex) ? coded.sex : 'indefinite'
+  };
+}
+
+/**
+ * Add or update a character's appearance in a dream
+ * @param {Object} character - Character document
+ * @param {Object} dream - Dream ({ _id, date })
+ * @param {string} mention - Word the dream used
+ * @param {number} mentions - Number of mentions
+ * @returns {boolean} Whether the character changed (false for dreams the user unlinked)
+ */
+function addAppearance(character, dream, mention, mentions) {
+  if (character.dismissedDreams.some(id => id.equals(dream._id))) {
+    return false;
+  }
+
+  const existing = character.appearances.find(appearance => appearance.dream.equals(dream._id));
+  if (existing) {
+    // Several aliases in one dream ("mom" and "mother") are one appearance
+    if (existing.source === 'analysis' && existing.mention !== mention) {
+      existing.mentions += mentions;
+      return true;
+    }
+    return false;
+  }
+
+  character.appearances.push({ dream: dream._id, date: dream.date, mention, mentions, source: 'analysis' });
+  return true;
+}
+
+/**
+ * Save a character the linker changed
+ * A new character can lose the race for its aliases to another worker linking a
+ * dream at the same time (duplicate key); its appearance then goes to the
+ * character that worker created.
+ * @param {Object} character - Character document
+ * @param {Object} dream - Dream ({ _id, date })
+ * @returns {Promise<Object>} The saved character
+ */
+async function saveCharacter(character, dream) {
+  const isNew = character.isNew;
+
+  try {
+    return await character.save();
+  } catch (error) {
+    if (error.code !== 11000 || !isNew) throw error;
+
+    const existing = await Character.findOne({ user: character.user, aliases: { $in: character.aliases } });
+    if (!existing) throw error;
+
+    const appearance = character.appearances[0];
+    if (addAppearance(existing, dream, appearance.mention, appearance.mentions)) {
+      await existing.save();
+    }
+    return existing;
+  }
+}
+
+/**
+ * Link a dream's coded characters to the user's registry
+ * Replaces the dream's earlier automatic links, so re-analysis does not duplicate
+ * appearances; links the user made by hand are kept.
+ * @param {Object} dream - Dream document ({ _id, user, date })
+ * @param {Object|null} contentCoding - Content coding of the dream
+ * @returns {Promise<Array>} Characters that appear in the dream
+ */
+async function linkDreamCharacters(dream, contentCoding) {
+  await Character.updateMany(
+    { user: dream.user, 'appearances.dream': dream._id },
+    { $pull: { appearances: { dream: dream._id, source: 'analysis' } } }
+  );
+
+  if (!contentCoding || !contentCoding.characters || contentCoding.characters.length === 0) {
+    return [];
+  }
+
+  const registry = await Character.find({ user: dream.user });
+  const byAlias = new Map();
+  registry.forEach(character => {
+    character.aliases.forEach(alias => byAlias.set(alias, character));
+  });
+
+  const changed = new Set();
+  const linked = new Set();
+
+  contentCoding.characters.forEach(coded => {
+    const mention = coded.label.toLowerCase();
+    let character = findByAlias(byAlias, mention);
+
+    if (!character) {
+      if (!isTracked(coded)) return;
+      character = new Character({ user: dream.user, ...newCharacterFields(coded) });
+      character.aliases.forEach(alias => byAlias.set(alias, character));
+    }
+
+    if (addAppearance(character, dream, mention, coded.mentions || 1)) {
+      changed.add(character);
+    }
+    linked.add(character);
+  });
+
+  const saved = new Map();
+  await Promise.all([...changed].map(async character => {
+    saved.set(character, await saveCharacter(character, dream));
+  }));
+  const characters = [...new Set([...linked].map(character => saved.get(character) || character))];
+
+  console.log('Dream characters linked:', { dreamId: dream._id, characters: characters.length });
+  return characters;
+}
+
+/**
+ * Link a character to the already analyzed dreams that mention one of its aliases
+ * Used when the user creates a character or gives it new aliases.
+ * @param {Object} character - Character document (saved by the caller)
+ * @returns {Promise<number>} Number of dreams newly linked
+ */
+async function linkExistingDreams(character) {
+  if (character.aliases.length === 0) return 0;
+
+  const dreams = await Dream.find({
+    user: character.user,
+    'contentCoding.characters.label': { $in: character.aliases }
+  }).select('date contentCoding.characters');
+
+  let linked = 0;
+  dreams.forEach(dream => {
+    const coded = dream.contentCoding.characters.find(entry => character.aliases.includes(entry.label));
+    if (addAppearance(character, dream, coded.label, coded.mentions || 1)) {
+      linked += 1;
+    }
+  });
+
+  return linked;
+}
+
+/**
+ * Remove a deleted dream from every character's timeline
+ * @param {Object} dream - Dream document ({ _id, user })
+ * @returns {Promise}
+ */
+function unlinkDream(dream) {
+  return Character.updateMany(
+    { user: dream.user, 'appearances.dream': dream._id },
+    { $pull: { appearances: { dream: dream._id } } }
+  );
+}
+
+/**
+ * Keep appearance dates in step with a dream's date
+ * @param {Object} dream - Dream document ({ _id, user, date })
+ * @returns {Promise}
+ */
+function updateAppearanceDates(dream) {
+  return Character.updateMany(
+    { user: dream.user, 'appearances.dream': dream._id },
+    { $set: { 'appearances.$[appearance].date': dream.date } },
+    { arrayFilters: [{ 'appearance.dream': dream._id }] }
+  );
+}
+
+module.exports = {
+  linkDreamCharacters,
+  linkExistingDreams,
+  unlinkDream,
+  updateAppearanceDates
+};
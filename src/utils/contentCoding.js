@@ -0,0 +1,1099 @@
+const nlp = require('compromise');
+const { termsFromDocument } = require('./symbolMatcher');
+const { extractEntities } = require('./advancedNLP');
+
+/**
+ * Hall/Van de Castle content coding
+ * Codes a dream report in the categories of the Hall/Van de Castle (HVdC) system:
+ * characters, social interactions (aggression, friendliness, sexuality),
+ * misfortunes and good fortunes, successes and failures, settings and objects.
+ * From the resulting counts it computes the standard HVdC percentages and
+ * indices, for one dream or for a journal (codes are summed over the dreams
+ * first and the indices computed once, as the HVdC norms are).
+ *
+ * Coding works on compromise lemmas, tags and sentences with small lexicons, so
+ * it approximates hand coding: each character is coded once per dream, and an
+ * interaction is only coded when its participants can be found in the sentence.
+ * English only.
+ */
+
+const CODING_SYSTEM = 'hall-van-de-castle';
+
+// Character identities (HVdC codes in brackets)
+// father [F], mother [M], family [X], relative [R], known [K], prominent [P],
+// occupational [O], stranger [S], uncertain [U]
+const IDENTITY_CODES = {
+  father: 'F',
+  mother: 'M',
+  family: 'X',
+  relative: 'R',
+  known: 'K',
+  prominent: 'P',
+  occupational: 'O',
+  stranger: 'S',
+  uncertain: 'U'
+};
+
+const SEX_CODES = { male: 'M', female: 'F', joint: 'J', indefinite: 'I' };
+
+const AGE_CODES = { adult: 'A', teenager: 'T', child: 'C', baby: 'B' };
+
+const FAMILY_IDENTITIES = ['father', 'mother', 'family', 'relative'];
+
+// Prominent and uncertain characters are neither familiar nor unfamiliar
+const FAMILIAR_IDENTITIES = [...FAMILY_IDENTITIES, 'known'];
+const UNFAMILIAR_IDENTITIES = ['occupational', 'stranger'];
+
+// Human characters by lemma: identity, sex and (when not adult) age
+const HUMAN_CHARACTERS = {
+  father: { identity: 'father', sex: 'male' },
+  dad: { identity: 'father', sex: 'male' },
+  daddy: { identity: 'father', sex: 'male' },
+  papa: { identity: 'father', sex: 'male' },
+  mother: { identity: 'mother', sex: 'female' },
+  mom: { identity: 'mother', sex: 'female' },
+  mum: { identity: 'mother', sex: 'female' },
+  mommy: { identity: 'mother', sex: 'female' },
+  mama: { identity: 'mother', sex: 'female' },
+  parent: { identity: 'family', sex: 'joint' },
+  brother: { identity: 'family', sex: 'male' },
+  sister: { identity: 'family', sex: 'female' },
+  sibling: { identity: 'family', sex: 'indefinite' },
+  son: { identity: 'family', sex: 'male', age: 'child' },
+  daughter: { identity: 'family', sex: 'female', age: 'child' },
+  husband: { identity: 'family', sex: 'male' },
+  wife: { identity: 'family', sex: 'female' },
+  family: { identity: 'family', sex: 'joint', group: true },
+  grandfather: { identity: 'relative', sex: 'male' },
+  grandpa: { identity: 'relative', sex: 'male' },
+  grandmother: { identity: 'relative', sex: 'female' },
+  grandma: { identity: 'relative', sex: 'female' },
+  grandparent: { identity: 'relative', sex: 'joint' },
+  uncle: { identity: 'relative', sex: 'male' },
+  aunt: { identity: 'relative', sex: 'female' },
+  nephew: { identity: 'relative', sex: 'male', age: 'child' },
+  niece: { identity: 'relative', sex: 'female', age: 'child' },
+  cousin: { identity: 'relative', sex: 'indefinite' },
+  friend: { identity: 'known', sex: 'indefinite' },
+  boyfriend: { identity: 'known', sex: 'male' },
+  girlfriend: { identity: 'known', sex: 'female' },
+  partner: { identity: 'known', sex: 'indefinite' },
+  ex: { identity: 'known', sex: 'indefinite' },
+  classmate: { identity: 'known', sex: 'indefinite' },
+  roommate: { identity: 'known', sex: 'indefinite' },
+  neighbor: { identity: 'known', sex: 'indefinite' },
+  neighbour: { identity: 'known', sex: 'indefinite' },
+  colleague: { identity: 'known', sex: 'indefinite' },
+  coworker: { identity: 'known', sex: 'indefinite' },
+  boss: { identity: 'known', sex: 'indefinite' },
+  teammate: { identity: 'known', sex: 'indefinite' },
+  president: { identity: 'prominent', sex: 'indefinite' },
+  king: { identity: 'prominent', sex: 'male' },
+  queen: { identity: 'prominent', sex: 'female' },
+  prince: { identity: 'prominent', sex: 'male' },
+  princess: { identity: 'prominent', sex: 'female' },
+  celebrity: { identity: 'prominent', sex: 'indefinite' },
+  actor: { identity: 'prominent', sex: 'male' },
+  actress: { identity: 'prominent', sex: 'female' },
+  singer: { identity: 'prominent', sex: 'indefinite' },
+  doctor: { identity: 'occupational', sex: 'indefinite' },
+  nurse: { identity: 'occupational', sex: 'indefinite' },
+  teacher: { identity: 'occupational', sex: 'indefinite' },
+  professor: { identity: 'occupational', sex: 'indefinite' },
+  police: { identity: 'occupational', sex: 'indefinite', group: true },
+  policeman: { identity: 'occupational', sex: 'male' },
+  policewoman: { identity: 'occupational', sex: 'female' },
+  officer: { identity: 'occupational', sex: 'indefinite' },
+  soldier: { identity: 'occupational', sex: 'indefinite' },
+  guard: { identity: 'occupational', sex: 'indefinite' },
+  firefighter: { identity: 'occupational', sex: 'indefinite' },
+  waiter: { identity: 'occupational', sex: 'male' },
+  waitress: { identity: 'occupational', sex: 'female' },
+  driver: { identity: 'occupational', sex: 'indefinite' },
+  pilot: { identity: 'occupational', sex: 'indefinite' },
+  priest: { identity: 'occupational', sex: 'male' },
+  clerk: { identity: 'occupational', sex: 'indefinite' },
+  cashier: { identity: 'occupational', sex: 'indefinite' },
+  salesman: { identity: 'occupational', sex: 'male' },
+  lawyer: { identity: 'occupational', sex: 'indefinite' },
+  judge: { identity: 'occupational', sex: 'indefinite' },
+  chef: { identity: 'occupational', sex: 'indefinite' },
+  farmer: { identity: 'occupational', sex: 'indefinite' },
+  man: { identity: 'stranger', sex: 'male' },
+  woman: { identity: 'stranger', sex: 'female' },
+  guy: { identity: 'stranger', sex: 'male' },
+  gentleman: { identity: 'stranger', sex: 'male' },
+  lady: { identity: 'stranger', sex: 'female' },
+  person: { identity: 'stranger', sex: 'indefinite' },
+  people: { identity: 'stranger', sex: 'indefinite', group: true },
+  stranger: { identity: 'stranger', sex: 'indefinite' },
+  crowd: { identity: 'stranger', sex: 'indefinite', group: true },
+  gang: { identity: 'stranger', sex: 'indefinite', group: true },
+  boy: { identity: 'stranger', sex: 'male', age: 'child' },
+  girl: { identity: 'stranger', sex: 'female', age: 'child' },
+  child: { identity: 'stranger', sex: 'indefinite', age: 'child' },
+  kid: { identity: 'stranger', sex: 'indefinite', age: 'child' },
+  baby: { identity: 'stranger', sex: 'indefinite', age: 'baby' },
+  teenager: { identity: 'stranger', sex: 'indefinite', age: 'teenager' },
+  someone: { identity: 'uncertain', sex: 'indefinite' },
+  somebody: { identity: 'uncertain', sex: 'indefinite' }
+};
+
+// Children of the dreamer ("my baby") are family members
+const OWN_CHILD_LEMMAS = ['child', 'kid', 'baby', 'boy', 'girl'];
+
+const ANIMALS = [
+  'animal', 'dog', 'puppy', 'cat', 'kitten', 'snake', 'spider', 'horse', 'bird', 'fish',
+  'lion', 'tiger', 'bear', 'wolf', 'rat', 'mouse', 'shark', 'bee', 'insect', 'bug',
+  'cow', 'pig', 'sheep', 'goat', 'chicken', 'owl', 'eagle', 'crow', 'deer', 'monkey',
+  'elephant', 'rabbit', 'fox', 'frog', 'crocodile', 'alligator', 'whale', 'dolphin',
+  'butterfly', 'ant', 'cockroach', 'worm'
+];
+
+const CREATURES = [
+  'monster', 'ghost', 'demon', 'devil', 'alien', 'zombie', 'vampire', 'dragon', 'angel',
+  'witch', 'giant', 'unicorn', 'fairy', 'creature'
+];
+
+// Pronouns that refer to the dreamer; possessives ("my") are not participants
+const DREAMER_PRONOUNS = ['i', 'me', 'myself', 'we', 'us', 'ourselves'];
+const DREAMER_POSSESSIVES = ['my', 'our', 'mine'];
+
+const THIRD_PERSON_PRONOUNS = {
+  he: 'male',
+  him: 'male',
+  himself: 'male',
+  she: 'female',
+  her: 'female',
+  herself: 'female',
+  they: 'group',
+  them: 'group',
+  themselves: 'group'
+};
+
+// Social interactions by verb lemma (or lemma phrase) and HVdC intensity level
+// Aggression: 1 covert hostility ... 4 threat, 5 theft/destruction, 6 chasing or
+// confining, 7 physical assault, 8 killing. Levels 5-8 are physical aggression.
+const AGGRESSION = {
+  hate: 1, resent: 1, envy: 1,
+  yell: 2, shout: 2, scream: 2, curse: 2, insult: 2, mock: 2, tease: 2, ridicule: 2,
+  scold: 2, argue: 2, criticize: 2, fight: 2,
+  accuse: 3, blame: 3, reject: 3, force: 3, demand: 3, ignore: 3, betray: 3,
+  threaten: 4,
+  steal: 5, rob: 5, destroy: 5, smash: 5,
+  chase: 6, pursue: 6, hunt: 6, trap: 6, kidnap: 6, capture: 6, abduct: 6, follow: 6,
+  attack: 7, hit: 7, punch: 7, kick: 7, slap: 7, push: 7, shove: 7, bite: 7, beat: 7,
+  stab: 7, shoot: 7, strangle: 7, choke: 7, hurt: 7, wound: 7, grab: 7, torture: 7,
+  kill: 8, murder: 8, execute: 8
+};
+
+const PHYSICAL_AGGRESSION_LEVEL = 5;
+
+// Injuries with no identifiable aggressor are coded as misfortunes instead
+const INJURY_VERBS = ['hurt', 'wound', 'hit', 'bite'];
+
+// Friendliness: 2 friendly gesture, 3 gift or loan, 4 help or protection,
+// 5 invitation, 6 physical affection, 7 marriage or engagement
+const FRIENDLINESS = {
+  greet: 2, compliment: 2, praise: 2, thank: 2, wave: 2, welcome: 2, smile: 2, forgive: 2,
+  give: 3, lend: 3, offer: 3,
+  help: 4, rescue: 4, save: 4, protect: 4, comfort: 4, assist: 4, support: 4, heal: 4,
+  invite: 5, dance: 5,
+  hug: 6, embrace: 6, cuddle: 6, 'hold hand': 6,
+  marry: 7, propose: 7
+};
+
+// Sexuality: 2 sexual overture, 3 kissing, 4 petting, 5 intercourse
+const SEXUALITY = {
+  flirt: 2, seduce: 2,
+  kiss: 3, 'make out': 3,
+  caress: 4, fondle: 4,
+  'have sex': 5, 'make love': 5, 'sleep with': 5
+};
+
+// Kissing a relative or a child is affection, not sexuality
+const AFFECTIONATE_KISS_LEVEL = 6;
+
+// Misfortunes by lemma; death and injury/illness are bodily misfortunes
+const MISFORTUNES = {
+  die: 'death', dead: 'death', death: 'death', drown: 'death',
+  injure: 'injury', hurt: 'injury', wound: 'injury', bleed: 'injury', sick: 'injury',
+  ill: 'injury', faint: 'injury', hit: 'injury', bite: 'injury',
+  lose: 'loss', break: 'loss', steal: 'loss',
+  fall: 'accident', trip: 'accident', slip: 'accident', crash: 'accident', collapse: 'accident',
+  stuck: 'obstacle', trap: 'obstacle', late: 'obstacle', lost: 'obstacle'
+};
+
+const BODILY_MISFORTUNES = ['death', 'injury'];
+
+const GOOD_FORTUNES = ['find', 'luck', 'lucky', 'fortunate', 'inherit', 'treasure', 'jackpot', 'lottery', 'win'];
+
+const SUCCESSES = ['succeed', 'manage', 'solve', 'pass', 'escape', 'accomplish', 'achieve', 'win'];
+
+const FAILURES = ['fail', 'give up', 'unable', 'lose'];
+
+// "won/lost the race" is a success/failure, "won the lottery" a good fortune
+const COMPETITIONS = ['race', 'game', 'match', 'competition', 'contest', 'fight', 'battle', 'election', 'exam', 'test'];
+
+// Settings: where the action takes place
+const INDOOR_SETTINGS = [
+  'house', 'home', 'room', 'bedroom', 'kitchen', 'bathroom', 'school', 'classroom', 'hospital',
+  'church', 'office', 'building', 'apartment', 'hotel', 'store', 'shop', 'mall', 'restaurant',
+  'basement', 'attic', 'hallway', 'corridor', 'elevator', 'library', 'museum', 'theater',
+  'prison', 'castle', 'mansion', 'gym', 'bar', 'airport', 'station', 'car', 'bus', 'train',
+  'plane', 'temple', 'mosque', 'factory', 'cinema'
+];
+
+const OUTDOOR_SETTINGS = [
+  'street', 'road', 'forest', 'woods', 'beach', 'ocean', 'sea', 'lake', 'river', 'mountain',
+  'field', 'park', 'garden', 'yard', 'desert', 'sky', 'city', 'town', 'village', 'island',
+  'cave', 'jungle', 'highway', 'bridge', 'countryside', 'farm', 'playground', 'cemetery',
+  'hill', 'valley', 'shore', 'space', 'outside', 'outdoors'
+];
+
+const SETTING_PREPOSITIONS = [
+  'in', 'at', 'inside', 'on', 'into', 'through', 'near', 'across', 'along', 'around', 'to',
+  'from', 'onto', 'toward', 'towards', 'outside', 'under', 'over', 'above', 'within'
+];
+
+const UNFAMILIAR_MARKERS = ['strange', 'unknown', 'unfamiliar', 'foreign', 'weird', 'mysterious'];
+
+// Objects by HVdC object class
+const OBJECT_CATEGORIES = {
+  architecture: [
+    'house', 'building', 'room', 'door', 'window', 'wall', 'stair', 'stairs', 'staircase', 'roof',
+    'floor', 'ceiling', 'tower', 'elevator', 'hallway', 'corridor', 'bedroom', 'kitchen',
+    'bathroom', 'basement', 'attic', 'school', 'hospital', 'church', 'office', 'apartment',
+    'hotel', 'store', 'shop', 'castle', 'fence', 'gate', 'bridge', 'balcony'
+  ],
+  household: [
+    'bed', 'chair', 'table', 'couch', 'sofa', 'lamp', 'mirror', 'cup', 'plate', 'towel',
+    'blanket', 'pillow', 'clock', 'desk', 'shelf', 'bath', 'toilet', 'sink', 'candle', 'box',
+    'bag', 'bottle', 'curtain', 'furniture'
+  ],
+  food: [
+    'food', 'bread', 'cake', 'apple', 'meat', 'coffee', 'tea', 'fruit', 'egg', 'milk',
+    'chocolate', 'candy', 'dinner', 'lunch', 'breakfast', 'meal', 'wine', 'beer', 'soup', 'pizza'
+  ],
+  implements: [
+    'knife', 'gun', 'sword', 'hammer', 'tool', 'rope', 'key', 'weapon', 'scissors', 'needle',
+    'axe', 'bomb', 'rifle', 'pistol', 'machine', 'ladder', 'lock', 'chain', 'ball', 'toy'
+  ],
+  travel: [
+    'car', 'bus', 'train', 'plane', 'airplane', 'boat', 'ship', 'bicycle', 'bike', 'taxi',
+    'truck', 'subway', 'motorcycle', 'helicopter', 'vehicle', 'elevator'
+  ],
+  streets: ['street', 'road', 'highway', 'path', 'sidewalk', 'alley', 'lane', 'avenue', 'tunnel'],
+  regions: ['city', 'town', 'village', 'country', 'neighborhood', 'neighbourhood', 'state', 'world', 'place'],
+  nature: [
+    'tree', 'flower', 'water', 'ocean', 'sea', 'river', 'lake', 'mountain', 'sky', 'sun', 'moon',
+    'star', 'rain', 'snow', 'fire', 'rock', 'stone', 'grass', 'sand', 'wave', 'storm', 'cloud',
+    'forest', 'woods', 'beach', 'field', 'garden', 'desert', 'island', 'cave', 'hill', 'ice', 'wind'
+  ],
+  bodyParts: [
+    'hand', 'head', 'face', 'eye', 'tooth', 'teeth', 'hair', 'leg', 'arm', 'foot', 'feet', 'blood',
+    'heart', 'finger', 'mouth', 'body', 'skin', 'neck', 'back', 'stomach', 'lip', 'nose', 'ear', 'bone'
+  ],
+  clothing: [
+    'shirt', 'dress', 'shoe', 'hat', 'coat', 'jacket', 'pants', 'trousers', 'clothes', 'clothing',
+    'uniform', 'glasses', 'skirt', 'sock', 'boot', 'scarf', 'suit', 'ring', 'necklace', 'mask'
+  ],
+  communication: [
+    'phone', 'letter', 'computer', 'email', 'message', 'book', 'newspaper', 'television', 'tv',
+    'radio', 'camera', 'photo', 'picture', 'sign', 'map', 'note', 'screen', 'laptop'
+  ],
+  money: ['money', 'cash', 'wallet', 'coin', 'dollar', 'purse', 'gold', 'check', 'bill']
+};
+
+const OBJECT_CATEGORY_NAMES = Object.keys(OBJECT_CATEGORIES);
+
+// First matching class wins, so "elevator" is architecture rather than travel
+const OBJECT_LOOKUP = OBJECT_CATEGORY_NAMES.reduce((lookup, category) => {
+  OBJECT_CATEGORIES[category].forEach(lemma => {
+    if (!lookup[lemma]) lookup[lemma] = category;
+  });
+  return lookup;
+}, {});
+
+// Inflections compromise leaves unlemmatized or tags as adjectives
+const IRREGULAR_FORMS = {
+  bit: 'bite',
+  bitten: 'bite',
+  escaped: 'escape',
+  fought: 'fight',
+  shot: 'shoot',
+  stole: 'steal',
+  stolen: 'steal',
+  beaten: 'beat',
+  hurt: 'hurt',
+  injured: 'injure',
+  kidnapped: 'kidnap',
+  trapped: 'trap'
+};
+
+// Object pronouns cannot be the subject of a following verb ("chased us and bit him")
+const OBJECT_PRONOUNS = ['me', 'us', 'him', 'her', 'them', 'myself', 'ourselves', 'himself', 'herself', 'themselves'];
+
+// How far (in terms) to look around a verb for its participants
+const PARTICIPANT_WINDOW = 8;
+
+/**
+ * Lemma of a term, falling back to its normalized text
+ * @param {Object} term - Text term
+ * @returns {string}
+ */
+function lemmaOf(term) {
+  return IRREGULAR_FORMS[term.normal] || term.lemma || term.normal;
+}
+
+/**
+ * Whether a term carries a compromise tag
+ * @param {Object} term - Text term
+ * @param {string} tag - Tag name
+ * @returns {boolean}
+ */
+function hasTag(term, tag) {
+  return term.tags.includes(tag);
+}
+
+/**
+ * Match a lexicon entry (single lemma or lemma phrase) starting at a term
+ * @param {Array} terms - Text terms
+ * @param {number} index - Index of the first term
+ * @param {Object|Array} lexicon - Lexicon keyed by lemma or phrase
+ * @returns {Object|null} { key, length } of the longest match
+ */
+function matchLexicon(terms, index, lexicon) {
+  const keys = Array.isArray(lexicon) ? lexicon : Object.keys(lexicon);
+  let best = null;
+
+  keys.forEach(key => {
+    const words = key.split(' ');
+    const matches = words.every((word, offset) => {
+      const term = terms[index + offset];
+      return term && term.sentence === terms[index].sentence &&
+        (lemmaOf(term) === word || term.normal === word);
+    });
+    if (matches && (!best || words.length > best.length)) {
+      best = { key, length: words.length };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * HVdC code of a character, e.g. "1MKA" for an individual known adult male
+ * @param {Object} character - Coded character
+ * @returns {string}
+ */
+function characterCode(character) {
+  const number = character.number === 'group' ? '2' : '1';
+  if (character.kind === 'animal') return `${number}ANI`;
+  if (character.kind === 'creature') return `${number}CZZ`;
+  return number + SEX_CODES[character.sex] + IDENTITY_CODES[character.identity] + AGE_CODES[character.age];
+}
+
+/**
+ * Find the characters of a dream and resolve every participant mention
+ * @param {Array} terms - Text terms
+ * @param {Array} entities - Entities from the entities stage
+ * @param {Object} doc - Compromise document
+ * @returns {Object} { characters, mentions } where mentions[i] is the participant at term i
+ */
+function findCharacters(terms, entities, doc) {
+  const characters = new Map();
+  const mentions = new Array(terms.length).fill(null);
+
+  // Named people, with compromise's guess at their sex
+  const genders = {};
+  doc.people().json({ normal: true }).forEach(person => {
+    const gender = person.person && person.person.presumed_gender;
+    genders[person.normal || person.text] = gender === 'male' || gender === 'female' ? gender : 'indefinite';
+  });
+  const nameByToken = {};
+  entities
+    .filter(entity => entity.type === 'person')
+    .forEach(entity => {
+      const name = entity.text.replace(/[^\p{L}\p{N}\s'-]/gu, '').trim();
+      name.split(/\s+/).forEach(token => {
+        nameByToken[token] = name;
+      });
+    });
+
+  const lastMentioned = {};
+
+  const addCharacter = (key, attributes) => {
+    if (!characters.has(key)) {
+      const character = { ...attributes, mentions: 0 };
+      character.code = characterCode(character);
+      characters.set(key, character);
+    }
+    characters.get(key).mentions += 1;
+    return key;
+  };
+
+  terms.forEach((term, index) => {
+    const lemma = lemmaOf(term);
+    const previous = terms[index - 1];
+    const possessedByDreamer = previous && previous.sentence === term.sentence &&
+      DREAMER_POSSESSIVES.includes(previous.normal);
+    const group = hasTag(term, 'Plural');
+    let key = null;
+
+    if (DREAMER_PRONOUNS.includes(term.normal)) {
+      mentions[index] = 'dreamer';
+      return;
+    }
+
+    if (THIRD_PERSON_PRONOUNS[term.normal]) {
+      // "her" before a noun is a possessive ("her car"), not a participant
+      const next = terms[index + 1];
+      if (term.normal === 'her' && next && next.sentence === term.sentence &&
+        (hasTag(next, 'Noun') || hasTag(next, 'Adjective'))) {
+        return;
+      }
+      const referent = THIRD_PERSON_PRONOUNS[term.normal];
+      mentions[index] = lastMentioned[referent] || lastMentioned.any || null;
+      return;
+    }
+
+    if (nameByToken[term.normal] && hasTag(term, 'Person')) {
+      const name = nameByToken[term.normal];
+      key = addCharacter(`name:${name}`, {
+        label: name,
+        kind: 'human',
+        number: 'individual',
+        sex: genders[name] || 'indefinite',
+        identity: 'known',
+        age: 'adult'
+      });
+      // Count a full name ("John Smith") once
+      if (previous && nameByToken[previous.normal] === name) {
+        characters.get(key).mentions -= 1;
+      }
+    } else if (hasTag(term, 'Noun') && HUMAN_CHARACTERS[lemma]) {
+      const entry = HUMAN_CHARACTERS[lemma];
+      const ownChild = possessedByDreamer && OWN_CHILD_LEMMAS.includes(lemma);
+      const identity = ownChild ? 'family' : entry.identity;
+      const number = group || entry.group ? 'group' : 'individual';
+      key = addCharacter(`${identity}:${lemma}:${number}`, {
+        label: lemma,
+        kind: 'human',
+        number,
+        sex: number === 'group' && entry.sex === 'indefinite' ? 'indefinite' : entry.sex,
+        identity,
+        age: entry.age || 'adult'
+      });
+    } else if (hasTag(term, 'Noun') && (ANIMALS.includes(lemma) || CREATURES.includes(lemma))) {
+      const kind = ANIMALS.includes(lemma) ? 'animal' : 'creature';
+      const number = group ? 'group' : 'individual';
+      key = addCharacter(`${kind}:${lemma}:${number}`, {
+        label: lemma,
+        kind,
+        number,
+        sex: 'indefinite',
+        identity: null,
+        age: null
+      });
+    }
+
+    if (key) {
+      mentions[index] = key;
+      const character = characters.get(key);
+      lastMentioned.any = key;
+      if (character.number === 'group') {
+        lastMentioned.group = key;
+      } else if (character.sex === 'male' || character.sex === 'female') {
+        lastMentioned[character.sex] = key;
+      }
+    }
+  });
+
+  return { characters, mentions };
+}
+
+/**
+ * Nearest participant before a term that can be its subject, within its sentence
+ * @param {Array} terms - Text terms
+ * @param {Array} mentions - Participant per term
+ * @param {number} index - Term index
+ * @returns {string|null} Participant key
+ */
+function participantBefore(terms, mentions, index) {
+  for (let i = index - 1; i >= 0 && index - i <= PARTICIPANT_WINDOW; i--) {
+    if (terms[i].sentence !== terms[index].sentence) break;
+    if (mentions[i] && !OBJECT_PRONOUNS.includes(terms[i].normal)) return mentions[i];
+  }
+  return null;
+}
+
+/**
+ * First participant after a term, within its sentence
+ * @param {Array} terms - Text terms
+ * @param {Array} mentions - Participant per term
+ * @param {number} index - Term index
+ * @param {Function} stop - Stops the search at a matching term
+ * @returns {Object|null} { key, index }
+ */
+function participantAfter(terms, mentions, index, stop = () => false) {
+  for (let i = index + 1; i < terms.length && i - index <= PARTICIPANT_WINDOW; i++) {
+    if (terms[i].sentence !== terms[index].sentence || stop(terms[i])) break;
+    if (mentions[i]) return { key: mentions[i], index: i };
+  }
+  return null;
+}
+
+/**
+ * Initiator and recipient of an interaction verb
+ * Passive verbs swap the roles: "I was chased by a dog" has the dog as initiator.
+ * @param {Array} terms - Text terms
+ * @param {Array} mentions - Participant per term
+ * @param {number} index - Index of the verb
+ * @param {number} length - Number of terms in the verb phrase
+ * @returns {Object} { initiator, recipient }
+ */
+function findParticipants(terms, mentions, index, length) {
+  const last = index + length - 1;
+  const subject = participantBefore(terms, mentions, index);
+  const isInteractionVerb = term => hasTag(term, 'Verb') &&
+    (AGGRESSION[lemmaOf(term)] || FRIENDLINESS[lemmaOf(term)] || SEXUALITY[lemmaOf(term)]);
+
+  if (hasTag(terms[index], 'Passive')) {
+    const agent = participantAfter(terms, mentions, last, isInteractionVerb);
+    const byAgent = agent && terms.slice(last + 1, agent.index).some(term => term.normal === 'by');
+    return { initiator: byAgent ? agent.key : null, recipient: subject };
+  }
+
+  const object = participantAfter(terms, mentions, last, isInteractionVerb);
+  return { initiator: subject, recipient: object ? object.key : null };
+}
+
+/**
+ * Role of the dreamer in an interaction
+ * @param {string} type - Interaction type
+ * @param {Object} participants - { initiator, recipient }
+ * @returns {string}
+ */
+function dreamerRole(type, { initiator, recipient }) {
+  const roles = {
+    aggression: ['aggressor', 'victim'],
+    friendliness: ['befriender', 'befriended'],
+    sexuality: ['initiator', 'recipient']
+  }[type];
+  if (initiator === 'dreamer') return roles[0];
+  if (recipient === 'dreamer') return roles[1];
+  return 'witness';
+}
+
+/**
+ * Code the social interactions of a dream
+ * @param {Array} terms - Text terms
+ * @param {Array} mentions - Participant per term
+ * @param {Map} characters - Coded characters
+ * @returns {Object} { interactions, coded } where coded holds the verb term indices
+ */
+function findInteractions(terms, mentions, characters) {
+  const interactions = [];
+  const coded = new Set();
+
+  const isChild = key => {
+    const character = characters.get(key);
+    return Boolean(character) && ['child', 'baby'].includes(character.age);
+  };
+  const isDreamersFamily = key => {
+    const character = characters.get(key);
+    return Boolean(character) && FAMILY_IDENTITIES.includes(character.identity);
+  };
+
+  terms.forEach((term, index) => {
+    if (coded.has(index) || !hasTag(term, 'Verb')) return;
+
+    let type = null;
+    let match = null;
+    for (const [name, lexicon] of [['aggression', AGGRESSION], ['friendliness', FRIENDLINESS], ['sexuality', SEXUALITY]]) {
+      match = matchLexicon(terms, index, lexicon);
+      if (match) {
+        type = name;
+        break;
+      }
+    }
+    if (!match) return;
+
+    const participants = findParticipants(terms, mentions, index, match.length);
+    const passive = hasTag(term, 'Passive');
+    if (!participants.recipient || participants.initiator === participants.recipient) return;
+    if (!participants.initiator && !passive) return;
+    if (!participants.initiator && type === 'aggression' && INJURY_VERBS.includes(match.key)) return;
+
+    let level = { aggression: AGGRESSION, friendliness: FRIENDLINESS, sexuality: SEXUALITY }[type][match.key];
+    const pair = [participants.initiator, participants.recipient];
+    if (type === 'sexuality' && match.key === 'kiss' &&
+      (pair.some(isChild) || (pair.includes('dreamer') && pair.some(isDreamersFamily)))) {
+      type = 'friendliness';
+      level = AFFECTIONATE_KISS_LEVEL;
+    }
+
+    const last = terms[index + match.length - 1];
+    for (let i = index; i < index + match.length; i++) coded.add(i);
+
+    interactions.push({
+      type,
+      level,
+      ...(type === 'aggression' ? { physical: level >= PHYSICAL_AGGRESSION_LEVEL } : {}),
+      verb: match.key,
+      initiator: participants.initiator,
+      recipient: participants.recipient,
+      dreamerRole: dreamerRole(type, participants),
+      sentence: term.sentence,
+      start: term.start,
+      end: last.end
+    });
+  });
+
+  return { interactions, coded };
+}
+
+/**
+ * Whether the next noun of the sentence is a competition ("won the race")
+ * @param {Array} terms - Text terms
+ * @param {number} index - Term index
+ * @returns {boolean}
+ */
+function isAboutCompetition(terms, index) {
+  for (let i = index + 1; i < terms.length && i - index <= 4; i++) {
+    if (terms[i].sentence !== terms[index].sentence) break;
+    if (hasTag(terms[i], 'Noun')) return COMPETITIONS.includes(lemmaOf(terms[i]));
+  }
+  return false;
+}
+
+/**
+ * Who an event happens to: the nearest participant before it, or the dreamer
+ * when the sentence is about the dreamer's belongings ("my wallet was stolen")
+ * @param {Array} terms - Text terms
+ * @param {Array} mentions - Participant per term
+ * @param {number} index - Term index
+ * @returns {string|null} Participant key
+ */
+function eventSubject(terms, mentions, index) {
+  const subject = participantBefore(terms, mentions, index);
+  if (subject) return subject;
+
+  for (let i = index - 1; i >= 0 && terms[i].sentence === terms[index].sentence; i--) {
+    if (DREAMER_POSSESSIVES.includes(terms[i].normal)) return 'dreamer';
+  }
+  return null;
+}
+
+/**
+ * Code misfortunes, good fortunes, successes and failures
+ * @param {Array} terms - Text terms
+ * @param {Array} mentions - Participant per term
+ * @param {Set} coded - Term indices already coded as interactions
+ * @returns {Object} { misfortunes, goodFortunes, successes, failures }
+ */
+function findEvents(terms, mentions, coded) {
+  const events = { misfortunes: [], goodFortunes: [], successes: [], failures: [] };
+
+  const push = (list, index, length, word, extra = {}) => {
+    const subject = eventSubject(terms, mentions, index);
+    events[list].push({
+      word,
+      ...extra,
+      character: subject,
+      dreamerInvolved: subject === 'dreamer',
+      sentence: terms[index].sentence,
+      start: terms[index].start,
+      end: terms[index + length - 1].end
+    });
+    for (let i = index; i < index + length; i++) coded.add(i);
+  };
+
+  terms.forEach((term, index) => {
+    if (coded.has(index)) return;
+    const lemma = lemmaOf(term);
+    const next = terms[index + 1];
+    const sameSentenceNext = next && next.sentence === term.sentence ? next : null;
+
+    // "could not", "couldn't", "can't" + verb
+    if (['can', 'could'].includes(lemma) && sameSentenceNext && sameSentenceNext.normal === 'not') {
+      const verb = terms[index + 2];
+      if (verb && verb.sentence === term.sentence && hasTag(verb, 'Verb')) {
+        push('failures', index, 3, `${term.normal} not ${verb.normal}`);
+      }
+      return;
+    }
+
+    const failure = matchLexicon(terms, index, FAILURES);
+    if (failure && (failure.key !== 'lose' || isAboutCompetition(terms, index))) {
+      push('failures', index, failure.length, failure.key);
+      return;
+    }
+
+    const success = matchLexicon(terms, index, SUCCESSES);
+    if (success && (success.key !== 'win' || isAboutCompetition(terms, index))) {
+      push('successes', index, success.length, success.key);
+      return;
+    }
+
+    // "found myself" is a scene change, not a find
+    if (GOOD_FORTUNES.includes(lemma) &&
+      !(lemma === 'find' && sameSentenceNext && ['myself', 'ourselves'].includes(sameSentenceNext.normal))) {
+      push('goodFortunes', index, 1, lemma);
+      return;
+    }
+
+    const misfortune = MISFORTUNES[lemma] || MISFORTUNES[term.normal];
+    if (misfortune) {
+      // "got lost" / "lost my way" is being lost, not losing something
+      const lostWay = lemma === 'lose' && sameSentenceNext && sameSentenceNext.normal === 'my' &&
+        terms[index + 2] && terms[index + 2].normal === 'way';
+      const type = lostWay || (term.normal === 'lost' && !hasTag(term, 'Verb')) ? 'obstacle' : misfortune;
+      push('misfortunes', index, 1, term.normal, { type, bodily: BODILY_MISFORTUNES.includes(type) });
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Words describing a setting noun, read back from the noun ("grandma's basement",
+ * "my old school"); articles and prepositions end the phrase
+ * @param {Array} terms - Text terms
+ * @param {number} index - Index of the setting noun
+ * @returns {string} Phrase ending in the noun's lemma
+ */
+function settingPhrase(terms, index) {
+  const head = terms[index];
+  const words = [lemmaOf(head)];
+
+  for (let i = index - 1; i >= 0 && words.length < 4; i -= 1) {
+    const previous = terms[i];
+    if (previous.sentence !== head.sentence) break;
+
+    const modifier = hasTag(previous, 'Possessive') || hasTag(previous, 'Adjective') ||
+      (hasTag(previous, 'Noun') && !hasTag(previous, 'Pronoun'));
+    if (!modifier || hasTag(previous, 'Preposition') || hasTag(previous, 'Determiner')) break;
+
+    words.unshift(previous.normal);
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Code the settings of a dream (each setting once)
+ * @param {Array} terms - Text terms
+ * @param {Array} entities - Entities from the entities stage
+ * @returns {Array} Settings as { word, phrase, location, familiarity }
+ */
+function findSettings(terms, entities) {
+  const settings = new Map();
+  const places = entities
+    .filter(entity => entity.type === 'place')
+    .map(entity => entity.text.toLowerCase().replace(/[^\p{L}\p{N}\s'-]/gu, '').trim());
+
+  terms.forEach((term, index) => {
+    const lemma = lemmaOf(term);
+    const indoor = INDOOR_SETTINGS.includes(lemma);
+    const outdoor = OUTDOOR_SETTINGS.includes(lemma);
+    // A named place ("New York") is one setting however many words it has
+    const place = hasTag(term, 'Place') && places.find(name => name.split(/\s+/).includes(term.normal));
+    if (!indoor && !outdoor && !place) return;
+
+    const word = place || lemma;
+    const before = terms
+      .slice(Math.max(0, index - 3), index)
+      .filter(previous => previous.sentence === term.sentence);
+    const located = before.some(previous => SETTING_PREPOSITIONS.includes(previous.normal)) ||
+      (lemma === 'home' && !hasTag(term, 'Adjective'));
+    if (!located || settings.has(word)) return;
+
+    let familiarity = 'questionable';
+    if (before.some(previous => UNFAMILIAR_MARKERS.includes(previous.normal))) {
+      familiarity = 'unfamiliar';
+    } else if (lemma === 'home' || before.some(previous => DREAMER_POSSESSIVES.includes(previous.normal))) {
+      familiarity = 'familiar';
+    } else if (place) {
+      familiarity = 'geographical';
+    }
+
+    settings.set(word, {
+      word,
+      phrase: place || settingPhrase(terms, index),
+      location: indoor ? 'indoor' : outdoor ? 'outdoor' : 'ambiguous',
+      familiarity
+    });
+  });
+
+  return Array.from(settings.values());
+}
+
+/**
+ * Code the objects of a dream (every mention counts)
+ * @param {Array} terms - Text terms
+ * @returns {Array} Objects as { word, category, count }
+ */
+function findObjects(terms) {
+  const objects = new Map();
+
+  terms.forEach(term => {
+    const lemma = lemmaOf(term);
+    if (!hasTag(term, 'Noun') || !OBJECT_LOOKUP[lemma]) return;
+
+    if (!objects.has(lemma)) {
+      objects.set(lemma, { word: lemma, category: OBJECT_LOOKUP[lemma], count: 0 });
+    }
+    objects.get(lemma).count += 1;
+  });
+
+  return Array.from(objects.values());
+}
+
+/**
+ * Empty count tables
+ * @returns {Object}
+ */
+function emptyCounts() {
+  return {
+    characters: {
+      total: 0, human: 0, animal: 0, creature: 0, male: 0, female: 0, joint: 0, indefinite: 0,
+      familiar: 0, unfamiliar: 0, known: 0, family: 0
+    },
+    aggression: { total: 0, physical: 0, dreamerAggressor: 0, dreamerVictim: 0, witnessed: 0 },
+    friendliness: { total: 0, dreamerBefriender: 0, dreamerBefriended: 0, witnessed: 0 },
+    sexuality: { total: 0, dreamerInvolved: 0 },
+    misfortunes: { total: 0, bodily: 0, dreamer: 0 },
+    goodFortunes: { total: 0, dreamer: 0 },
+    successes: { total: 0, dreamer: 0 },
+    failures: { total: 0, dreamer: 0 },
+    settings: { total: 0, indoor: 0, outdoor: 0, familiar: 0, unfamiliar: 0, geographical: 0, questionable: 0 },
+    objects: OBJECT_CATEGORY_NAMES.reduce((counts, category) => ({ ...counts, [category]: 0 }), { total: 0 })
+  };
+}
+
+/**
+ * Tally the codes of one dream
+ * @param {Object} coding - Codes without counts
+ * @returns {Object} Count tables
+ */
+function countCodes({ characters, interactions, misfortunes, goodFortunes, successes, failures, settings, objects }) {
+  const counts = emptyCounts();
+
+  characters.forEach(character => {
+    counts.characters.total += 1;
+    counts.characters[character.kind] += 1;
+    if (character.kind !== 'human') return;
+    counts.characters[character.sex] += 1;
+    if (FAMILIAR_IDENTITIES.includes(character.identity)) counts.characters.familiar += 1;
+    if (UNFAMILIAR_IDENTITIES.includes(character.identity)) counts.characters.unfamiliar += 1;
+    if (character.identity === 'known') counts.characters.known += 1;
+    if (FAMILY_IDENTITIES.includes(character.identity)) counts.characters.family += 1;
+  });
+
+  interactions.forEach(interaction => {
+    const table = counts[interaction.type];
+    table.total += 1;
+    if (interaction.type === 'aggression') {
+      if (interaction.physical) table.physical += 1;
+      if (interaction.dreamerRole === 'aggressor') table.dreamerAggressor += 1;
+      else if (interaction.dreamerRole === 'victim') table.dreamerVictim += 1;
+      else table.witnessed += 1;
+    } else if (interaction.type === 'friendliness') {
+      if (interaction.dreamerRole === 'befriender') table.dreamerBefriender += 1;
+      else if (interaction.dreamerRole === 'befriended') table.dreamerBefriended += 1;
+      else table.witnessed += 1;
+    } else if (interaction.dreamerRole !== 'witness') {
+      table.dreamerInvolved += 1;
+    }
+  });
+
+  [['misfortunes', misfortunes], ['goodFortunes', goodFortunes], ['successes', successes], ['failures', failures]]
+    .forEach(([name, events]) => {
+      events.forEach(event => {
+        counts[name].total += 1;
+        if (event.dreamerInvolved) counts[name].dreamer += 1;
+        if (name === 'misfortunes' && event.bodily) counts.misfortunes.bodily += 1;
+      });
+    });
+
+  settings.forEach(setting => {
+    counts.settings.total += 1;
+    if (setting.location !== 'ambiguous') counts.settings[setting.location] += 1;
+    counts.settings[setting.familiarity] += 1;
+  });
+
+  objects.forEach(object => {
+    counts.objects.total += object.count;
+    counts.objects[object.category] += object.count;
+  });
+
+  return counts;
+}
+
+/**
+ * Add one set of count tables into another
+ * @param {Object} target - Count tables to add into
+ * @param {Object} source - Count tables to add
+ * @returns {Object} target
+ */
+function addCounts(target, source) {
+  Object.keys(target).forEach(table => {
+    Object.keys(target[table]).forEach(field => {
+      target[table][field] += (source[table] && source[table][field]) || 0;
+    });
+  });
+  return target;
+}
+
+/**
+ * Percentage rounded to one decimal, or null when the denominator is 0
+ * @param {number} part - Numerator
+ * @param {number} whole - Denominator
+ * @returns {number|null}
+ */
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+/**
+ * Ratio rounded to two decimals, or null when the denominator is 0
+ * @param {number} part - Numerator
+ * @param {number} whole - Denominator
+ * @returns {number|null}
+ */
+function ratio(part, whole) {
+  return whole ? Math.round((part / whole) * 100) / 100 : null;
+}
+
+/**
+ * Standard HVdC percentages and indices from count tables
+ * @param {Object} counts - Count tables
+ * @returns {Object} Indices grouped by HVdC area
+ */
+function computeIndices(counts) {
+  const { characters, aggression, friendliness, sexuality, misfortunes, goodFortunes, successes, failures, settings, objects } = counts;
+  const negative = aggression.dreamerVictim + misfortunes.dreamer + failures.dreamer;
+  const positive = friendliness.dreamerBefriended + goodFortunes.dreamer + successes.dreamer;
+
+  return {
+    characters: {
+      maleFemalePercent: percent(characters.male, characters.male + characters.female),
+      familiarityPercent: percent(characters.familiar, characters.familiar + characters.unfamiliar),
+      friendsPercent: percent(characters.known, characters.human),
+      familyPercent: percent(characters.family, characters.human),
+      animalPercent: percent(characters.animal, characters.total)
+    },
+    socialInteractions: {
+      aggressionFriendlinessPercent: percent(aggression.total, aggression.total + friendliness.total),
+      aggressorPercent: percent(aggression.dreamerAggressor, aggression.dreamerAggressor + aggression.dreamerVictim),
+      befrienderPercent: percent(friendliness.dreamerBefriender, friendliness.dreamerBefriender + friendliness.dreamerBefriended),
+      physicalAggressionPercent: percent(aggression.physical, aggression.total),
+      acIndex: ratio(aggression.total, characters.total),
+      fcIndex: ratio(friendliness.total, characters.total),
+      scIndex: ratio(sexuality.total, characters.total)
+    },
+    selfConcept: {
+      selfNegativityPercent: percent(negative, negative + positive),
+      bodilyMisfortunesPercent: percent(misfortunes.bodily, misfortunes.total),
+      dreamerSuccessPercent: percent(successes.dreamer, successes.dreamer + failures.dreamer)
+    },
+    settings: {
+      indoorPercent: percent(settings.indoor, settings.indoor + settings.outdoor),
+      familiarPercent: percent(settings.familiar, settings.familiar + settings.unfamiliar + settings.geographical)
+    },
+    objects: OBJECT_CATEGORY_NAMES.reduce((percentages, category) => ({
+      ...percentages,
+      [category]: percent(objects[category], objects.total)
+    }), {})
+  };
+}
+
+/**
+ * Code a dream report with the Hall/Van de Castle system
+ * @param {Object} doc - Compromise document of the dream text
+ * @param {Object} options - Coding options
+ * @param {Array} options.entities - Entities from the entities stage (extracted when missing)
+ * @returns {Object} Coded characters, interactions, events, settings and objects with counts and indices
+ */
+function codeDreamContent(doc, { entities = extractEntities(doc) } = {}) {
+  const terms = termsFromDocument(doc);
+  const { characters, mentions } = findCharacters(terms, entities, doc);
+  const { interactions, coded } = findInteractions(terms, mentions, characters);
+  const events = findEvents(terms, mentions, coded);
+
+  const coding = {
+    characters: Array.from(characters.entries()).map(([key, character]) => ({ key, ...character })),
+    interactions,
+    ...events,
+    settings: findSettings(terms, entities),
+    objects: findObjects(terms)
+  };
+  const counts = countCodes(coding);
+
+  return {
+    system: CODING_SYSTEM,
+    ...coding,
+    counts,
+    indices: computeIndices(counts)
+  };
+}
+
+/**
+ * Code a dream text (English)
+ * @param {string} text - Dream text
+ * @returns {Object} Content coding (see codeDreamContent)
+ */
+function codeDreamText(text) {
+  return codeDreamContent(nlp(text || ''));
+}
+
+/**
+ * Journal-level HVdC summary
+ * Sums the codes of all dreams before computing the indices, and reports how many
+ * dreams have at least one of each kind of interaction or event.
+ * @param {Array} codings - Content codings of the dreams
+ * @returns {Object} { dreams, counts, indices, dreamsWithAtLeastOne }
+ */
+function summarizeContentCodings(codings) {
+  const counts = emptyCounts();
+  const withAtLeastOne = {
+    aggression: 0, friendliness: 0, sexuality: 0, misfortune: 0, goodFortune: 0, success: 0, failure: 0
+  };
+  const tables = {
+    aggression: 'aggression',
+    friendliness: 'friendliness',
+    sexuality: 'sexuality',
+    misfortune: 'misfortunes',
+    goodFortune: 'goodFortunes',
+    success: 'successes',
+    failure: 'failures'
+  };
+
+  codings.forEach(coding => {
+    addCounts(counts, coding.counts);
+    Object.entries(tables).forEach(([name, table]) => {
+      if (coding.counts[table] && coding.counts[table].total > 0) withAtLeastOne[name] += 1;
+    });
+  });
+
+  return {
+    dreams: codings.length,
+    counts,
+    indices: computeIndices(counts),
+    dreamsWithAtLeastOne: Object.keys(withAtLeastOne).reduce((percentages, name) => ({
+      ...percentages,
+      [name]: percent(withAtLeastOne[name], codings.length)
+    }), {})
+  };
+}
+
+module.exports = {
+  CODING_SYSTEM,
+  OBJECT_CATEGORY_NAMES,
+  codeDreamContent,
+  codeDreamText,
+  computeIndices,
+  summarizeContentCodings
+};
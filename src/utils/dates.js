@@ -0,0 +1,64 @@
+/**
+ * Date helpers
+ * Days are counted in UTC: a day number is the number of days since the epoch.
+ * A local calendar day is stored as its UTC midnight, so it lines up with them.
+ */
+
+const DAY_MS = 86400000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Day number of a date (days since the epoch, UTC)
+ * @param {Date|string|number} date - Date
+ * @returns {number} Day number
+ */
+const dayNumber = date => Math.floor(new Date(date).getTime() / DAY_MS);
+
+/**
+ * Check whether a string names a time zone the runtime knows ("Asia/Tehran")
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Local calendar day and hour of a moment in a time zone
+ * @param {Date|string|number} date - Moment
+ * @param {string} timeZone - IANA time zone name (UTC when unset or unknown)
+ * @returns {Object} { day, hour } where day is the local calendar day as its UTC midnight
+ */
+function localDayAndHour(date, timeZone) {
+  const moment = new Date(date);
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(moment);
+  const part = type => Number(parts.find(entry => entry.type === type).value);
+
+  return {
+    day: new Date(Date.UTC(part('year'), part('month') - 1, part('day'))),
+    hour: part('hour')
+  };
+}
+
+module.exports = {
+  DAY_MS,
+  WEEK_MS,
+  dayNumber,
+  isValidTimeZone,
+  localDayAndHour
+};
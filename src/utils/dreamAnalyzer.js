@@ -1,99 +1,20 @@
-const natural = require('natural');
-const tokenizer = new natural.WordTokenizer();
-const TfIdf = natural.TfIdf;
-const Analyzer = require('natural').SentimentAnalyzer;
-const stemmer = require('natural').PorterStemmer;
-const sentimentAnalyzer = new Analyzer("English", stemmer, "afinn");
+const {
+  tokenizeWithOffsets,
+  extractKeywordsTfIdf,
+  analyzeSentiment
+} = require('./textUtils');
+const { getCachedSymbolIndex } = require('./symbolStore');
+const { matchSymbols } = require('./symbolMatcher');
+const { DEFAULT_LANGUAGE, detectLanguage } = require('./languageDetection');
+const englishLexicon = require('./emotionLexicon');
+const persianLexicon = require('./persianEmotionLexicon');
 
-// Enhanced dream symbols dictionary
-const dreamSymbols = {
-  // Moving and travel symbols
-  flying: 'Represents freedom, ambition, or escaping limitations',
-  falling: 'May symbolize insecurity, loss of control, or failure',
-  chase: 'May represent avoiding a problem or feeling threatened',
-  running: 'Often indicates a desire to escape from something or anxiety',
-  swimming: 'Symbolizes emotional state or how you navigate through feelings',
-  driving: 'Represents control over your life direction or journey',
-  
-  // Environmental symbols
-  water: 'Often relates to emotions, the unconscious mind, or purification',
-  fire: 'Can symbolize transformation, passion, destruction, or purification',
-  earth: 'Represents stability, groundedness, or fertility',
-  wind: 'May indicate changes, forces beyond your control, or freedom',
-  storm: 'Often symbolizes emotional turmoil or brewing conflict',
-  mountain: 'Represents challenges, ambition, or feeling "on top" of a situation',
-  forest: 'Can represent the unknown, mystery, or personal growth',
-  desert: 'May symbolize isolation, spiritual seeking, or feeling empty',
-  
-  // Buildings and structures
-  house: 'Typically symbolizes the self, personal identity, or security',
-  school: 'Often relates to learning experiences or unresolved childhood issues',
-  hospital: 'May represent healing, health concerns, or vulnerability',
-  church: 'Can symbolize spiritual beliefs, moral questions, or sanctuary',
-  tower: 'Often represents ambition, isolation, or perspective',
-  bridge: 'Symbolizes transitions, connections, or overcoming obstacles',
-  
-  // People and relationships
-  mother: 'Represents nurturing, protection, or origin',
-  father: 'Often symbolizes authority, guidance, or traditional values',
-  child: 'May represent innocence, vulnerability, or a new beginning',
-  stranger: 'Often symbolizes unknown aspects of yourself or new situations',
-  crowd: 'Can represent social pressure, overwhelm, or anonymity',
-  
-  // Animals
-  dog: 'Often represents loyalty, friendship, or protection',
-  cat: 'May symbolize independence, mystery, or feminine energy',
-  snake: 'May symbolize transformation, knowledge, healing, or hidden fears',
-  bird: 'Often represents freedom, perspective, or spiritual aspirations',
-  spider: 'Can symbolize creativity, entrapment, or manipulation',
-  horse: 'Often represents personal power, freedom, or sexual energy',
-  fish: 'May symbolize the unconscious, spirituality, or fertility',
-  
-  // Objects and symbols
-  teeth: 'Can represent anxiety, self-image concerns, or communication issues',
-  money: 'Often symbolizes self-worth, power, or values',
-  key: 'Represents access, solutions, or new opportunities',
-  mirror: 'Often symbolizes self-reflection, identity, or truth',
-  book: 'Can represent knowledge, memory, or life story',
-  door: 'Symbolizes opportunities, transitions, or choices',
-  clock: 'Often represents time pressure, mortality, or life timing',
-  
-  // Common scenarios
-  death: 'Usually symbolizes change, endings, or transformation rather than literal death',
-  birth: 'Represents new beginnings, creativity, or potential',
-  wedding: 'Often symbolizes commitment, union of different aspects of self, or life transitions',
-  exam: 'Can represent self-evaluation, testing, or fear of failure',
-  naked: 'May symbolize vulnerability, authenticity, or fear of exposure',
-  flying: 'Often represents freedom, transcendence, or a new perspective'
-};
+const { EMOTIONS, emotionModel, intensityName } = englishLexicon;
 
-// Expanded emotion words dictionary
-const emotionWords = {
-  positive: [
-    'happy', 'joy', 'peaceful', 'excited', 'love', 'wonderful', 'amazing', 'beautiful', 
-    'calm', 'free', 'safe', 'friendly', 'gentle', 'pleasant', 'satisfied', 'grateful',
-    'confident', 'proud', 'inspired', 'hopeful', 'amused', 'blissful', 'cheerful',
-    'content', 'delight', 'eager', 'ecstatic', 'elated', 'enchanted', 'energetic',
-    'enthusiastic', 'exhilarated', 'fulfilled', 'glad', 'graceful', 'harmonious',
-    'jubilant', 'light', 'lively', 'optimistic', 'playful', 'pleased', 'radiant',
-    'refreshed', 'relaxed', 'relieved', 'serene', 'sunny', 'thrilled', 'uplifted'
-  ],
-  negative: [
-    'fear', 'scary', 'afraid', 'anxious', 'panic', 'terrified', 'worried', 'angry', 
-    'sad', 'depressed', 'confused', 'lost', 'trapped', 'dark', 'falling', 'dying',
-    'abandoned', 'agitated', 'annoyed', 'ashamed', 'bitter', 'crushed', 'defeated',
-    'desperate', 'disappointed', 'disgusted', 'disturbed', 'dread', 'embarrassed',
-    'enraged', 'frustrated', 'grief', 'guilty', 'helpless', 'hopeless', 'horror',
-    'hostile', 'hurt', 'insecure', 'irritated', 'jealous', 'lonely', 'miserable',
-    'nervous', 'overwhelmed', 'pain', 'regretful', 'rejected', 'stressed', 'suffering'
-  ],
-  neutral: [
-    'strange', 'unexpected', 'surprising', 'unclear', 'different', 'changing', 
-    'thinking', 'wondering', 'curious', 'unknown', 'aware', 'contemplative',
-    'detached', 'disoriented', 'distant', 'doubtful', 'hesitant', 'indifferent',
-    'mysterious', 'numb', 'observant', 'puzzled', 'questioning', 'reserved',
-    'resigned', 'skeptical', 'thoughtful', 'uncertain', 'undecided', 'waiting'
-  ]
+// Emotion lexicons by language; each provides the same words lists and helpers
+const EMOTION_LEXICONS = {
+  en: englishLexicon,
+  fa: persianLexicon
 };
 
 /**
@@ -107,16 +28,9 @@ function analyzeDream(dreamContent) {
   if (!dreamContent || dreamContent.trim() === '') {
     console.log('Empty dream content provided, returning minimal analysis');
     return {
+      language: DEFAULT_LANGUAGE,
       keywords: [],
-      emotions: {
-        primary: 'neutral',
-        score: 0,
-        breakdown: {
-          positive: 0,
-          negative: 0,
-          neutral: 100
-        }
-      },
+      emotions: analyzeEmotions([]),
       symbols: [],
       sentiment: {
         score: 0,
@@ -126,27 +40,29 @@ function analyzeDream(dreamContent) {
     };
   }
   
-  // Tokenize and normalize the text
-  const tokens = tokenizer.tokenize(dreamContent.toLowerCase());
-  console.log('Tokenized dream content into', tokens.length, 'tokens');
+  const language = detectLanguage(dreamContent);
+  console.log('Detected dream language:', language);
   
   // Extract keywords (using TF-IDF for better results)
-  const keywords = extractKeywordsTfIdf(dreamContent);
+  console.log('Extracting keywords using TF-IDF analysis');
+  const keywords = extractKeywordsTfIdf(dreamContent, { language });
   console.log('Extracted keywords:', keywords);
   
-  // Analyze emotions
-  const emotions = analyzeEmotions(tokens);
+  // Analyze emotions (on the text, so negation and modifiers stay within their clause)
+  const emotions = analyzeEmotions(dreamContent, { language });
   console.log('Emotion analysis results:', emotions);
   
   // Find relevant symbols
-  const symbols = findSymbols(tokens, dreamContent);
+  const symbols = findSymbols(dreamContent, undefined, { language });
   console.log('Identified dream symbols:', symbols.map(s => s.symbol));
   
   // Perform sentiment analysis
-  const sentiment = analyzeSentiment(dreamContent);
+  console.log('Performing sentiment analysis');
+  const sentiment = analyzeSentiment(dreamContent, { language });
   console.log('Sentiment analysis results:', sentiment);
   
   return {
+    language,
     keywords,
     emotions,
     symbols,
@@ -155,302 +71,287 @@ function analyzeDream(dreamContent) {
 }
 
 /**
- * Extracts important keywords using TF-IDF algorithm
- * @param {string} text - The text content to analyze
- * @returns {Array} List of keywords
- */
-function extractKeywordsTfIdf(text) {
-  console.log('Extracting keywords using TF-IDF analysis');
-  
-  // Create a new TF-IDF instance
-  const tfidf = new TfIdf();
-  
-  // Common English stopwords to filter out
-  const stopwords = ['i', 'me', 'my', 'myself', 'we', 'our', 'ours', 'ourselves', 
-    'you', 'your', 'yours', 'yourself', 'yourselves', 'he', 'him', 'his', 'himself', 
-    'she', 'her', 'hers', 'herself', 'it', 'its', 'itself', 'they', 'them', 'their', 
-    'theirs', 'themselves', 'what', 'which', 'who', 'whom', 'this', 'that', 'these', 
-    'those', 'am', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 
-    'had', 'having', 'do', 'does', 'did', 'doing', 'a', 'an', 'the', 'and', 'but', 
-    'if', 'or', 'because', 'as', 'until', 'while', 'of', 'at', 'by', 'for', 'with', 
-    'about', 'against', 'between', 'into', 'through', 'during', 'before', 'after', 
-    'above', 'below', 'to', 'from', 'up', 'down', 'in', 'out', 'on', 'off', 'over', 
-    'under', 'again', 'further', 'then', 'once', 'here', 'there', 'when', 'where', 
-    'why', 'how', 'all', 'any', 'both', 'each', 'few', 'more', 'most', 'other', 
-    'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than', 'too', 
-    'very', 's', 't', 'can', 'will', 'just', 'don', 'should', 'now'];
-  
-  // Add the document
-  tfidf.addDocument(text);
-  
-  // Get the terms and their measures
-  let terms = [];
-  tfidf.listTerms(0).forEach(item => {
-    // Filter out stopwords, short words, and numbers
-    if (!stopwords.includes(item.term) && 
-        item.term.length > 3 && 
-        isNaN(parseFloat(item.term))) {
-      terms.push({
-        term: item.term,
-        tfidf: item.tfidf
-      });
-    }
-  });
-  
-  // Sort by TF-IDF score and take the top 15
-  terms = terms.sort((a, b) => b.tfidf - a.tfidf).slice(0, 15);
-  console.log('TF-IDF analysis complete, found', terms.length, 'significant terms');
-  
-  // Return just the terms
-  return terms.map(item => item.term);
-}
-
-/**
- * Analyzes emotional tone of the dream
- * @param {Array} tokens - Array of word tokens
+ * Analyzes the emotions of the dream using Plutchik's eight basic emotions
+ * Each lexicon hit is weighted by its intensity level (1-3), scaled by any
+ * intensifier/diminisher in front of it and dropped when negated in its clause.
+ * Emotions felt by other dream characters count half toward the dreamer's scores.
+ * @param {string|Array} input - Dream text (preferred, enables clause scoping and
+ *   character offsets) or an array of word tokens
+ * @param {Object} options
+ * @param {string} options.language - Language of the dream ('en' or 'fa')
  * @returns {Object} Emotion analysis results
  */
-function analyzeEmotions(tokens) {
+function analyzeEmotions(input, { language = DEFAULT_LANGUAGE } = {}) {
   console.log('Analyzing emotional tone of dream');
-  const emotionCounts = {
-    positive: 0,
-    negative: 0,
-    neutral: 0
-  };
   
-  // Count emotion words by category with weighted importance
-  const emotionInstances = [];
+  const lexicon = EMOTION_LEXICONS[language] || EMOTION_LEXICONS[DEFAULT_LANGUAGE];
+  const tokens = typeof input === 'string'
+    ? tokenizeWithOffsets(input, { language })
+    : (input || []).map((token, position) => ({
+      text: token, start: null, end: null, isWord: true, position
+    }));
+  
+  const emotionScores = {};
+  const emotionLevels = {};
+  const experiencers = { dreamer: {}, other: {} };
+  EMOTIONS.forEach(emotion => {
+    emotionScores[emotion] = 0;
+    emotionLevels[emotion] = [];
+  });
   
-  tokens.forEach(token => {
-    if (emotionWords.positive.includes(token)) {
-      emotionCounts.positive++;
-      emotionInstances.push({
-        word: token,
-        type: 'positive',
-        position: tokens.indexOf(token)
-      });
-    } else if (emotionWords.negative.includes(token)) {
-      emotionCounts.negative++;
-      emotionInstances.push({
-        word: token,
-        type: 'negative',
-        position: tokens.indexOf(token)
-      });
-    } else if (emotionWords.neutral.includes(token)) {
-      emotionCounts.neutral++;
-      emotionInstances.push({
-        word: token,
-        type: 'neutral',
-        position: tokens.indexOf(token)
-      });
+  const emotionInstances = [];
+  let clauseStart = 0;
+  let sentenceStart = 0;
+  
+  tokens.forEach((token, index) => {
+    if (lexicon.CLAUSE_BREAKS.includes(token.text)) {
+      clauseStart = index + 1;
+      if (lexicon.SENTENCE_BREAKS.includes(token.text)) sentenceStart = index + 1;
+      return;
+    }
+    
+    const match = lexicon.lookupEmotion(token.text);
+    if (!match) return;
+    
+    // A negative verb prefix (Persian نترسیدم) negates the word itself
+    const negator = match.negated ? token : findNegator(tokens, clauseStart, index, lexicon);
+    const modifiers = findModifiers(tokens, clauseStart, index, lexicon);
+    const factor = modifiers.reduce((product, modifier) => product * modifier.factor, 1);
+    const experiencer = findExperiencer(tokens, sentenceStart, index, input, lexicon);
+    
+    const effectiveLevel = Math.min(Math.max(match.level * factor, 1), 3);
+    const weight = negator ? 0 : match.level * factor * (experiencer.role === 'dreamer' ? 1 : 0.5);
+    
+    if (!negator) {
+      emotionScores[match.emotion] += weight;
+      emotionLevels[match.emotion].push(effectiveLevel);
+      const byRole = experiencers[experiencer.role];
+      byRole[match.emotion] = Number(((byRole[match.emotion] || 0) + match.level * factor).toFixed(2));
     }
+    
+    emotionInstances.push({
+      word: token.text,
+      emotion: match.emotion,
+      level: match.level,
+      label: match.label,
+      position: token.position,
+      start: token.start,
+      end: token.end,
+      negated: Boolean(negator),
+      negator: negator ? negator.text : null,
+      modifiers: modifiers.map(modifier => ({ word: modifier.word, factor: modifier.factor })),
+      weight: Number(weight.toFixed(2)),
+      experiencer: experiencer.role,
+      experiencerWord: experiencer.word
+    });
   });
   
-  console.log('Emotion counts:', emotionCounts);
+  console.log('Emotion scores:', emotionScores);
+  
+  // Calculate each emotion's share of the total weight
+  const totalWeight = EMOTIONS.reduce((sum, emotion) => sum + emotionScores[emotion], 0);
+  const breakdown = {};
+  EMOTIONS.forEach(emotion => {
+    breakdown[emotion] = totalWeight ? (emotionScores[emotion] / totalWeight) * 100 : 0;
+  });
   
-  // Calculate total emotion words
-  const totalEmotionWords = emotionCounts.positive + emotionCounts.negative + emotionCounts.neutral;
+  // Overall valence from the emotions' polarity
+  const valenceWeights = { positive: 0, negative: 0, neutral: 0 };
+  EMOTIONS.forEach(emotion => {
+    valenceWeights[emotionModel[emotion].valence] += emotionScores[emotion];
+  });
+  let valence = 'neutral';
+  if (valenceWeights.positive > valenceWeights.negative) {
+    valence = 'positive';
+  } else if (valenceWeights.negative > valenceWeights.positive) {
+    valence = 'negative';
+  }
   
-  // Calculate emotional percentages
   const emotions = {
-    primary: 'neutral', // default
+    primary: 'neutral', // default when no emotion words are found
     score: 0,
-    breakdown: {
-      positive: totalEmotionWords ? (emotionCounts.positive / totalEmotionWords) * 100 : 0,
-      negative: totalEmotionWords ? (emotionCounts.negative / totalEmotionWords) * 100 : 0,
-      neutral: totalEmotionWords ? (emotionCounts.neutral / totalEmotionWords) * 100 : 0
-    },
+    intensity: null,
+    label: null,
+    valence,
+    breakdown,
+    experiencers,
+    negatedCount: emotionInstances.filter(instance => instance.negated).length,
     instances: emotionInstances
   };
   
-  // Determine primary emotion
-  if (emotions.breakdown.positive > emotions.breakdown.negative && 
-      emotions.breakdown.positive > emotions.breakdown.neutral) {
-    emotions.primary = 'positive';
-    emotions.score = emotions.breakdown.positive;
-  } else if (emotions.breakdown.negative > emotions.breakdown.positive && 
-             emotions.breakdown.negative > emotions.breakdown.neutral) {
-    emotions.primary = 'negative';
-    emotions.score = emotions.breakdown.negative;
-  } else {
-    emotions.primary = 'neutral';
-    emotions.score = emotions.breakdown.neutral;
+  // Determine the dominant emotion and its intensity
+  if (totalWeight > 0) {
+    const dominant = EMOTIONS.reduce((best, emotion) => 
+      emotionScores[emotion] > emotionScores[best] ? emotion : best
+    );
+    const levels = emotionLevels[dominant];
+    const averageLevel = levels.reduce((sum, level) => sum + level, 0) / levels.length;
+    
+    emotions.primary = dominant;
+    emotions.score = breakdown[dominant];
+    emotions.intensity = intensityName(averageLevel);
+    emotions.label = emotionModel[dominant].levels[Math.round(averageLevel) - 1];
   }
   
   return emotions;
 }
 
 /**
- * Finds dream symbols in the content
- * @param {Array} tokens - Array of word tokens
- * @param {string} content - Full dream content for context detection
- * @returns {Array} List of relevant dream symbols and their meanings
+ * Find a negator in the emotion word's clause, at most four words before it or,
+ * for languages that negate with the verb after the word (خوشحال نبودم), two words after it
+ * @param {Array} tokens - Tokens from tokenizeWithOffsets
+ * @param {number} clauseStart - Index of the clause's first token
+ * @param {number} index - Index of the emotion word
+ * @param {Object} lexicon - Emotion lexicon of the dream's language
+ * @returns {Object|null} The negating token
  */
-function findSymbols(tokens, content) {
-  console.log('Searching for known dream symbols in content');
-  const foundSymbols = [];
-  const uniqueTokens = [...new Set(tokens)]; // Get unique tokens
-  
-  // First check for exact matches
-  uniqueTokens.forEach(token => {
-    if (dreamSymbols[token]) {
-      foundSymbols.push({
-        symbol: token,
-        meaning: dreamSymbols[token],
-        context: getSymbolContext(token, content)
-      });
+function findNegator(tokens, clauseStart, index, lexicon) {
+  for (let i = index - 1; i >= Math.max(clauseStart, index - 4); i--) {
+    if (lexicon.isNegator(tokens[i].text)) {
+      return tokens[i];
     }
-  });
+  }
   
-  // Then check for symbols that might be part of compound words
-  // or slightly different forms (running vs run, etc.)
-  Object.keys(dreamSymbols).forEach(symbol => {
-    // Skip symbols we've already found exact matches for
-    if (!foundSymbols.some(found => found.symbol === symbol)) {
-      // Check if the symbol appears as part of the content
-      if (content.toLowerCase().includes(symbol)) {
-        foundSymbols.push({
-          symbol: symbol,
-          meaning: dreamSymbols[symbol],
-          context: getSymbolContext(symbol, content)
-        });
+  if (lexicon.isTrailingNegator) {
+    for (let i = index + 1; i < Math.min(tokens.length, index + 3); i++) {
+      if (lexicon.CLAUSE_BREAKS.includes(tokens[i].text)) break;
+      if (lexicon.isTrailingNegator(tokens[i].text)) {
+        return tokens[i];
       }
     }
-  });
+  }
   
-  return foundSymbols;
+  return null;
 }
 
 /**
- * Gets the context around a symbol in the text
- * @param {string} symbol - The symbol to find
- * @param {string} content - The full text
- * @returns {string} A short excerpt showing the context
+ * Collect the intensifiers/diminishers directly in front of an emotion word
+ * ("so very scared", "a bit sad", "kind of angry")
+ * @param {Array} tokens - Tokens from tokenizeWithOffsets
+ * @param {number} clauseStart - Index of the clause's first token
+ * @param {number} index - Index of the emotion word
+ * @param {Object} lexicon - Emotion lexicon of the dream's language
+ * @returns {Array} Modifiers as { word, factor }
  */
-function getSymbolContext(symbol, content) {
-  const lowercaseContent = content.toLowerCase();
-  const symbolIndex = lowercaseContent.indexOf(symbol);
-  
-  if (symbolIndex === -1) return '';
-  
-  // Get a window of text around the symbol (about 100 characters)
-  const startIndex = Math.max(0, symbolIndex - 50);
-  const endIndex = Math.min(lowercaseContent.length, symbolIndex + symbol.length + 50);
-  
-  let context = content.substring(startIndex, endIndex);
-  
-  // Add ellipsis if we're not at the beginning or end
-  if (startIndex > 0) {
-    context = '...' + context;
-  }
-  if (endIndex < content.length) {
-    context = context + '...';
+function findModifiers(tokens, clauseStart, index, lexicon) {
+  const { INTENSIFIERS, DIMINISHERS } = lexicon;
+  const modifiers = [];
+  let i = index - 1;
+  
+  while (i >= clauseStart && modifiers.length < 2) {
+    const word = tokens[i].text;
+    const phrase = i > clauseStart ? `${tokens[i - 1].text} ${word}` : null;
+    
+    if (phrase && DIMINISHERS[phrase]) {
+      modifiers.push({ word: phrase, factor: DIMINISHERS[phrase] });
+      i -= 2;
+    } else if (INTENSIFIERS[word] || DIMINISHERS[word]) {
+      modifiers.push({ word, factor: INTENSIFIERS[word] || DIMINISHERS[word] });
+      i -= 1;
+    } else {
+      break;
+    }
   }
   
-  return context;
+  return modifiers;
 }
 
 /**
- * Performs sentiment analysis on dream content
- * @param {string} content - The dream content to analyze
- * @returns {Object} Sentiment analysis results
+ * Work out who felt an emotion: the dreamer or another dream character.
+ * Uses the verb's personal ending where the language marks it (ترسیدم, خوشحال بودند),
+ * an object pronoun right after the word ("it scared me"), the nearest person
+ * reference earlier in the sentence, or a capitalized name.
+ * Dream reports are first-person, so the dreamer is the default.
+ * @param {Array} tokens - Tokens from tokenizeWithOffsets
+ * @param {number} sentenceStart - Index of the sentence's first token
+ * @param {number} index - Index of the emotion word
+ * @param {string|Array} input - Original input (used to detect capitalized names)
+ * @param {Object} lexicon - Emotion lexicon of the dream's language
+ * @returns {Object} { role: 'dreamer'|'other', word }
  */
-function analyzeSentiment(content) {
-  console.log('Performing sentiment analysis');
-  
-  // Use natural's sentiment analyzer
-  const tokenized = tokenizer.tokenize(content);
-  const score = sentimentAnalyzer.getSentiment(tokenized);
-  
-  // Calculate comparative score (normalized by text length)
-  const comparative = tokenized.length > 0 ? score / tokenized.length : 0;
+function findExperiencer(tokens, sentenceStart, index, input, lexicon) {
+  // Persian drops the subject: the ending of the emotion verb or the verb after the word tells who
+  if (lexicon.verbPerson) {
+    for (let i = index; i < Math.min(tokens.length, index + 4); i++) {
+      if (i > index && lexicon.CLAUSE_BREAKS.includes(tokens[i].text)) break;
+      const role = lexicon.verbPerson(tokens[i].text);
+      if (role) {
+        return { role, word: tokens[i].text };
+      }
+    }
+  }
   
-  // Determine overall sentiment
-  let vote = 'neutral';
-  if (comparative > 0.05) {
-    vote = 'positive';
-  } else if (comparative < -0.05) {
-    vote = 'negative';
+  // "the noise frightened me" - the object of the emotion word felt it
+  for (let i = index + 1; i < Math.min(tokens.length, index + 3); i++) {
+    const word = tokens[i].text;
+    if (lexicon.OBJECT_PRONOUNS.includes(word)) {
+      return { role: 'dreamer', word };
+    }
+    if (!tokens[i].isWord) break;
   }
   
-  console.log('Sentiment analysis complete:', { score, comparative, vote });
+  for (let i = index - 1; i >= sentenceStart; i--) {
+    const token = tokens[i];
+    if (!token.isWord) continue;
+    
+    // "my mother was sad" - the possessed noun is the experiencer,
+    // "my fear" - the owner is
+    if (lexicon.POSSESSIVES.includes(token.text) && i + 1 < index) {
+      return { role: 'other', word: `${token.text} ${tokens[i + 1].text}` };
+    }
+    const role = lexicon.personOf(token.text);
+    if (role) {
+      return { role, word: token.text };
+    }
+    if (isCapitalizedName(token, i, sentenceStart, input)) {
+      return { role: 'other', word: token.text };
+    }
+  }
   
-  return {
-    score,
-    comparative,
-    vote
-  };
+  return { role: 'dreamer', word: null };
 }
 
 /**
- * Determines potential dream categories based on content analysis
- * @param {Object} analysis - The complete dream analysis
- * @returns {Array} Suggested categories for the dream
+ * Whether a token is a capitalized name in the middle of a sentence
+ * @param {Object} token - Token from tokenizeWithOffsets
+ * @param {number} index - Token index
+ * @param {number} sentenceStart - Index of the sentence's first token
+ * @param {string|Array} input - Original input
+ * @returns {boolean}
  */
-function suggestDreamCategories(analysis) {
-  console.log('Suggesting dream categories based on analysis');
-  
-  const suggestedCategories = [];
-  const { emotions, symbols, sentiment, keywords } = analysis;
-  
-  // Check for nightmares (intense negative emotions)
-  if (emotions.primary === 'negative' && emotions.score > 70) {
-    suggestedCategories.push({
-      category: 'nightmare',
-      confidence: Math.min(90, emotions.score)
-    });
-  }
-  
-  // Check for adventure dreams
-  const adventureKeywords = ['adventure', 'journey', 'travel', 'exploring', 'quest'];
-  const hasAdventureKeywords = keywords.some(keyword => 
-    adventureKeywords.includes(keyword)
-  );
-  
-  if (hasAdventureKeywords || symbols.some(s => 
-    ['mountain', 'forest', 'journey', 'travel'].includes(s.symbol)
-  )) {
-    suggestedCategories.push({
-      category: 'adventure',
-      confidence: 75
-    });
-  }
-  
-  // Check for fantasy dreams
-  const fantasyKeywords = ['magic', 'dragon', 'fairy', 'wizard', 'mythical'];
-  const hasFantasyKeywords = keywords.some(keyword => 
-    fantasyKeywords.includes(keyword)
-  );
-  
-  if (hasFantasyKeywords) {
-    suggestedCategories.push({
-      category: 'fantasy',
-      confidence: 80
-    });
+function isCapitalizedName(token, index, sentenceStart, input) {
+  if (typeof input !== 'string' || index === sentenceStart || token.text === 'i') {
+    return false;
   }
+  const first = input[token.start];
+  return first !== first.toLowerCase() && first === first.toUpperCase();
+}
+
+/**
+ * Finds dream symbols in the content
+ * @param {string} content - Full dream content
+ * @param {Object} dreamSymbols - Dictionary of dream symbols (defaults to the cached symbol store)
+ * @param {Object} options
+ * @param {string} options.language - Language of the dream ('en' or 'fa')
+ * @returns {Array} Symbols found with their meanings and every occurrence (with character offsets)
+ */
+function findSymbols(content, dreamSymbols, { language = DEFAULT_LANGUAGE } = {}) {
+  console.log('Searching for known dream symbols in content');
   
-  // If no specific categories found, provide a default
-  if (suggestedCategories.length === 0) {
-    if (emotions.primary === 'positive') {
-      suggestedCategories.push({
-        category: 'healing',
-        confidence: 50
-      });
-    } else {
-      suggestedCategories.push({
-        category: 'uncategorized',
-        confidence: 30
-      });
-    }
+  if (dreamSymbols) {
+    return matchSymbols(content, dreamSymbols, { language });
   }
   
-  // Sort by confidence
-  suggestedCategories.sort((a, b) => b.confidence - a.confidence);
-  
-  return suggestedCategories;
+  const index = getCachedSymbolIndex();
+  return matchSymbols(content, index.dictionary, {
+    synonyms: index.synonymsByLanguage[language] || index.synonyms,
+    details: index.details,
+    language
+  });
 }
 
 module.exports = {
   analyzeDream,
-  suggestDreamCategories
+  analyzeEmotions,
+  findSymbols
 }; 
\ No newline at end of file
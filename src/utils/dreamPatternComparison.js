@@ -2,6 +2,9 @@
  * Utility functions for comparing dreams and finding patterns between them
  * Used for generating more personalized insights
  */
+const { getTranslator } = require('./i18n');
+const { dayNumber } = require('./dates');
+const { ratingSimilarity } = require('./dreamRatings');
 
 /**
  * Calculate similarity score between two dreams based on their analysis
@@ -16,7 +19,8 @@ function calculateDreamSimilarity(dream1, dream2) {
     emotional: 0,
     symbolic: 0,
     thematic: 0,
-    sentiment: 0
+    sentiment: 0,
+    ratings: null
   };
   
   // Emotional similarity (based on primary emotion)
@@ -43,18 +47,33 @@ function calculateDreamSimilarity(dream1, dream2) {
   }
   
   // Sentiment similarity
-  if (dream1.sentiment?.score !== undefined && dream2.sentiment?.score !== undefined) {
-    const sentimentDiff = Math.abs(dream1.sentiment.score - dream2.sentiment.score);
+  const sentiment1 = dream1.analysis?.sentiment;
+  const sentiment2 = dream2.analysis?.sentiment;
+  if (sentiment1?.score !== undefined && sentiment2?.score !== undefined) {
+    const sentimentDiff = Math.abs(sentiment1.score - sentiment2.score);
     similarity.sentiment = 1 - (sentimentDiff / 2); // Range 0-2 -> 1-0
   }
   
-  // Calculate overall similarity as weighted average
-  similarity.overall = (
-    (similarity.emotional * 0.3) + 
-    (similarity.symbolic * 0.3) + 
-    (similarity.thematic * 0.3) + 
-    (similarity.sentiment * 0.1)
-  );
+  // Rating similarity (lucidity, vividness, bizarreness...), null unless both dreams share a rated scale
+  similarity.ratings = ratingSimilarity(dream1.ratings, dream2.ratings);
+  
+  // Calculate overall similarity as weighted average; ratings take part only when both dreams have them
+  if (similarity.ratings === null) {
+    similarity.overall = (
+      (similarity.emotional * 0.3) + 
+      (similarity.symbolic * 0.3) + 
+      (similarity.thematic * 0.3) + 
+      (similarity.sentiment * 0.1)
+    );
+  } else {
+    similarity.overall = (
+      (similarity.emotional * 0.25) + 
+      (similarity.symbolic * 0.25) + 
+      (similarity.thematic * 0.25) + 
+      (similarity.sentiment * 0.1) + 
+      (similarity.ratings * 0.15)
+    );
+  }
   
   return similarity;
 }
@@ -84,18 +103,74 @@ function findRelatedDreams(targetDream, dreamHistory, similarityThreshold = 0.4)
     .sort((a, b) => b.similarity.overall - a.similarity.overall);
 }
 
+// Most nights apart for a dream to continue an earlier one
+const CONTINUATION_WINDOW_DAYS = 3;
+
+/**
+ * Whole days between the calendar dates of two dreams
+ * @param {Date} later - Date of the later dream
+ * @param {Date} earlier - Date of the earlier dream
+ * @returns {number} Days apart (negative when "later" is earlier)
+ */
+function daysApart(later, earlier) {
+  return dayNumber(later) - dayNumber(earlier);
+}
+
+/**
+ * Guess how a dream relates to a similar dream
+ * Same date: same-night; an earlier dream from the last few nights with shared
+ * keywords: continues; a very similar dream, or both recurring: recurs; otherwise
+ * references.
+ * @param {Object} targetDream - The dream being linked
+ * @param {Object} otherDream - The similar dream
+ * @param {Object} similarity - Similarity scores from calculateDreamSimilarity
+ * @returns {string} Link type
+ */
+function suggestLinkType(targetDream, otherDream, similarity) {
+  const days = daysApart(targetDream.date, otherDream.date);
+
+  if (days === 0) {
+    return 'same-night';
+  }
+  if (days > 0 && days <= CONTINUATION_WINDOW_DAYS && (similarity.thematic >= 0.2 || similarity.overall >= 0.5)) {
+    return 'continues';
+  }
+  if (similarity.overall >= 0.6 ||
+    (targetDream.category === 'recurring' && otherDream.category === 'recurring')) {
+    return 'recurs';
+  }
+  return 'references';
+}
+
+/**
+ * Suggest links from a dream to related dreams
+ * @param {Object} targetDream - The dream to suggest links for
+ * @param {Array} dreamHistory - Candidate dreams
+ * @param {Number} similarityThreshold - Minimum similarity score to suggest a link (0-1)
+ * @returns {Array} Related dreams with a suggested link type, most similar first
+ */
+function suggestDreamLinks(targetDream, dreamHistory, similarityThreshold = 0.4) {
+  const byId = new Map(dreamHistory.map(dream => [dream._id.toString(), dream]));
+
+  return findRelatedDreams(targetDream, dreamHistory, similarityThreshold).map(related => ({
+    ...related,
+    type: suggestLinkType(targetDream, byId.get(related.dreamId.toString()), related.similarity)
+  }));
+}
+
 /**
  * Extract evolving patterns from dream sequence
  * @param {Object} currentDream - Current dream
  * @param {Array} dreamHistory - Historical dreams in chronological order
+ * @param {Function} t - Translator for the insight language (see utils/i18n)
  * @returns {Object} Evolving patterns analysis
  */
-function findEvolvingPatterns(currentDream, dreamHistory) {
+function findEvolvingPatterns(currentDream, dreamHistory, t = getTranslator()) {
   // Skip if not enough dreams for meaningful analysis
   if (dreamHistory.length < 3) {
     return {
       hasEvolvingPatterns: false,
-      insights: ["Not enough dream history to identify evolving patterns."]
+      insights: [t('insights.evolving.notEnoughHistory')]
     };
   }
   
@@ -123,23 +198,27 @@ function findEvolvingPatterns(currentDream, dreamHistory) {
   const emotionTrends = analyzeTrends(sortedMonths, dreamsByMonth, 'emotions.primary');
   
   // Analyze sentiment over time
-  const sentimentTrends = analyzeTrends(sortedMonths, dreamsByMonth, 'sentiment.score');
+  const sentimentTrends = analyzeTrends(sortedMonths, dreamsByMonth, 'analysis.sentiment.score');
   
   // Generate insights based on trends
   const insights = [];
   
   if (emotionTrends.hasEvolution) {
-    insights.push(`Your dreams show an emotional shift from predominantly ${emotionTrends.startValue} to ${emotionTrends.endValue} over time.`);
+    insights.push(t('insights.evolving.emotionalShift', {
+      from: t(`emotions.${emotionTrends.startValue}`, { defaultValue: emotionTrends.startValue }),
+      to: t(`emotions.${emotionTrends.endValue}`, { defaultValue: emotionTrends.endValue })
+    }));
   }
   
   if (sentimentTrends.hasEvolution) {
-    const direction = sentimentTrends.direction === 'increasing' ? 'more positive' : 'more negative';
-    insights.push(`The emotional tone of your dreams has become ${direction} over the recorded period.`);
+    insights.push(t(sentimentTrends.direction === 'increasing'
+      ? 'insights.evolving.morePositive'
+      : 'insights.evolving.moreNegative'));
   }
   
   return {
     hasEvolvingPatterns: insights.length > 0,
-    insights: insights.length > 0 ? insights : ["No clear evolving patterns detected in your dream history."],
+    insights: insights.length > 0 ? insights : [t('insights.evolving.none')],
     emotionTrends,
     sentimentTrends
   };
@@ -242,5 +321,6 @@ function analyzeTrends(sortedMonths, dreamsByMonth, propertyPath) {
 module.exports = {
   calculateDreamSimilarity,
   findRelatedDreams,
+  suggestDreamLinks,
   findEvolvingPatterns
 }; 
\ No newline at end of file
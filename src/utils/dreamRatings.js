@@ -0,0 +1,123 @@
+/**
+ * Scored dream metadata
+ * The dreamer rates each dream on a few fixed scales. A rating is a whole number
+ * within its scale, or null when the dream was not rated on it.
+ */
+
+// Scales and their bounds
+const RATING_SCALES = {
+  // 0 not lucid, 1 a flash of awareness, 2 aware but lost it, 3 lucid, 4 fully lucid throughout
+  lucidity: { min: 0, max: 4 },
+  // 1 faint - 5 as vivid as waking life
+  vividness: { min: 1, max: 5 },
+  // 1 barely remembered - 5 remembered in detail
+  recallClarity: { min: 1, max: 5 },
+  // 1 flat - 5 overwhelming
+  emotionalIntensity: { min: 1, max: 5 },
+  // 1 realistic - 5 bizarre
+  bizarreness: { min: 1, max: 5 },
+  // 0 no control - 4 full control over the dream
+  control: { min: 0, max: 4 }
+};
+
+const RATING_NAMES = Object.keys(RATING_SCALES);
+
+// Lucidity rating from which a dream counts as lucid
+const LUCID_THRESHOLD = 3;
+
+/**
+ * Check a rating against its scale
+ * @param {string} name - Scale name
+ * @param {*} value - Rating
+ * @returns {boolean} True when the rating is null or a whole number within the scale
+ */
+function isValidRating(name, value) {
+  const scale = RATING_SCALES[name];
+  return value === null || (Number.isInteger(value) && value >= scale.min && value <= scale.max);
+}
+
+/**
+ * Check whether a dream counts as lucid
+ * The dreamer's lucidity rating decides when there is one; otherwise a dream
+ * filed as lucid, or one whose report showed awareness of dreaming, is lucid.
+ * @param {Object} dream - Dream ({ ratings, category, lucidity })
+ * @returns {boolean}
+ */
+function isLucidDream(dream) {
+  const rating = dream.ratings && dream.ratings.lucidity;
+  if (typeof rating === 'number') {
+    return rating >= LUCID_THRESHOLD;
+  }
+  return dream.category === 'lucid' || Boolean(dream.lucidity && dream.lucidity.isLucid);
+}
+
+/**
+ * Similarity of two dreams' ratings
+ * Compares the scales both dreams are rated on; each scale's difference is
+ * taken relative to the scale's range.
+ * @param {Object} ratings1 - Ratings of the first dream
+ * @param {Object} ratings2 - Ratings of the second dream
+ * @returns {number|null} Similarity (0-1), or null when no scale is rated on both
+ */
+function ratingSimilarity(ratings1, ratings2) {
+  if (!ratings1 || !ratings2) {
+    return null;
+  }
+
+  const shared = RATING_NAMES.filter(name =>
+    typeof ratings1[name] === 'number' && typeof ratings2[name] === 'number');
+  if (shared.length === 0) {
+    return null;
+  }
+
+  const distance = shared.reduce((sum, name) => {
+    const { min, max } = RATING_SCALES[name];
+    return sum + Math.abs(ratings1[name] - ratings2[name]) / (max - min);
+  }, 0) / shared.length;
+
+  return 1 - distance;
+}
+
+/**
+ * Summarize the ratings of a set of dreams
+ * @param {Array} dreams - Dreams with their ratings
+ * @returns {Object} Per scale { rated, average, distribution }, and lucidDreams
+ */
+function summarizeRatings(dreams) {
+  const summary = {};
+
+  RATING_NAMES.forEach(name => {
+    const { min, max } = RATING_SCALES[name];
+    const values = dreams
+      .map(dream => dream.ratings && dream.ratings[name])
+      .filter(value => typeof value === 'number');
+
+    const distribution = {};
+    for (let value = min; value <= max; value += 1) {
+      distribution[value] = values.filter(rating => rating === value).length;
+    }
+
+    summary[name] = {
+      rated: values.length,
+      average: values.length > 0
+        ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+        : null,
+      distribution
+    };
+  });
+
+  summary.lucidDreams = dreams.filter(dream =>
+    dream.ratings && typeof dream.ratings.lucidity === 'number' && dream.ratings.lucidity >= LUCID_THRESHOLD).length;
+
+  return summary;
+}
+
+module.exports = {
+  RATING_SCALES,
+  RATING_NAMES,
+  LUCID_THRESHOLD,
+  isValidRating,
+  isLucidDream,
+  ratingSimilarity,
+  summarizeRatings
+};
@@ -0,0 +1,103 @@
+const DreamSign = require('../models/dreamSign.model');
+const Dream = require('../models/dream.model');
+const { findSignMention } = require('./dreamSigns');
+const { escapeRegExp } = require('./text');
+
+/**
+ * Keeps the occurrences of the user's dream signs up to date, so every sign
+ * knows how often and when it was last seen. A dream shows a sign when its
+ * report uses one of the sign's aliases or it has the alias as a symbol
+ * (see utils/dreamSigns). Dismissed signs are not followed.
+ */
+
+/**
+ * Link an analyzed dream to the dream signs it shows
+ * Replaces the dream's earlier occurrences, so re-analysis does not duplicate them.
+ * @param {Object} dream - Dream document ({ _id, user, date, content, language, symbols })
+ * @param {Object} fields - Fresh analysis fields ({ language, symbols }); the dream's own by default
+ * @returns {Promise<Array>} Signs the dream shows
+ */
+async function linkDreamSigns(dream, { language = dream.language, symbols = dream.symbols } = {}) {
+  await DreamSign.updateMany(
+    { user: dream.user, 'occurrences.dream': dream._id },
+    { $pull: { occurrences: { dream: dream._id } } }
+  );
+
+  const signs = await DreamSign.find({ user: dream.user, dismissed: false });
+  const analyzed = { content: dream.content, language, symbols };
+  const linked = [];
+
+  signs.forEach(sign => {
+    const mention = findSignMention(sign.aliases, analyzed);
+    if (mention) {
+      sign.occurrences.push({ dream: dream._id, date: dream.date, mention });
+      linked.push(sign);
+    }
+  });
+
+  await Promise.all(linked.map(sign => sign.save()));
+
+  console.log('Dream signs linked:', { dreamId: dream._id, signs: linked.length });
+  return linked;
+}
+
+/**
+ * Rebuild a sign's occurrences from the user's dreams
+ * Used when a sign is created or suggested, or its aliases change.
+ * @param {Object} sign - Dream sign document (saved by the caller)
+ * @returns {Promise<number>} Number of dreams the sign appears in
+ */
+async function linkExistingDreams(sign) {
+  sign.occurrences = [];
+  if (sign.aliases.length === 0) return 0;
+
+  // Narrow the search down in the database; findSignMention decides
+  const dreams = await Dream.find({
+    user: sign.user,
+    $or: [
+      ...sign.aliases.map(alias => ({ content: { $regex: escapeRegExp(alias), $options: 'i' } })),
+      { 'symbols.symbol': { $in: sign.aliases.map(alias => alias.replace(/ /g, '_')) } }
+    ]
+  }).select('date content language symbols.symbol');
+
+  dreams.forEach(dream => {
+    const mention = findSignMention(sign.aliases, dream);
+    if (mention) {
+      sign.occurrences.push({ dream: dream._id, date: dream.date, mention });
+    }
+  });
+
+  return sign.occurrences.length;
+}
+
+/**
+ * Remove a deleted dream from every sign
+ * @param {Object} dream - Dream document ({ _id, user })
+ * @returns {Promise}
+ */
+function unlinkDream(dream) {
+  return DreamSign.updateMany(
+    { user: dream.user, 'occurrences.dream': dream._id },
+    { $pull: { occurrences: { dream: dream._id } } }
+  );
+}
+
+/**
+ * Keep occurrence dates in step with a dream's date
+ * @param {Object} dream - Dream document ({ _id, user, date })
+ * @returns {Promise}
+ */
+function updateOccurrenceDates(dream) {
+  return DreamSign.updateMany(
+    { user: dream.user, 'occurrences.dream': dream._id },
+    { $set: { 'occurrences.$[occurrence].date': dream.date } },
+    { arrayFilters: [{ 'occurrence.dream': dream._id }] }
+  );
+}
+
+module.exports = {
+  linkDreamSigns,
+  linkExistingDreams,
+  unlinkDream,
+  updateOccurrenceDates
+};
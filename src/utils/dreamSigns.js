@@ -0,0 +1,243 @@
+const nlp = require('compromise');
+const { PorterStemmer } = require('natural');
+const { analyzeRecurringPatterns } = require('./advancedNLP');
+const { STOPWORDS } = require('./textUtils');
+const { normalizePersian, PERSIAN_STOPWORDS, persianStems } = require('./persianText');
+const { escapeRegExp } = require('./text');
+const { DAY_MS } = require('./dates');
+
+/**
+ * Dream signs for lucid dreaming practice
+ * A dream sign is a recurring oddity of someone's dreams; noticing it in a dream
+ * is a chance to realize one is dreaming. Signs are suggested from the recurring
+ * symbols, entities and phrases of the journal (advancedNLP.analyzeRecurringPatterns),
+ * sorted into the four classic categories, and ranked for the coming night by how
+ * often and how recently they showed up.
+ */
+
+// Words that put a sign in a category, checked in this order (awareness, form, action);
+// anything else is context. Words match whole or by stem ("fly" - "flying", but not
+// "late" - "later"), so irregular forms are listed on their own ("fly", "flies", "flew").
+const CATEGORY_LEXICONS = {
+  awareness: [
+    'feel', 'fear', 'afraid', 'panic', 'panicked', 'anxious', 'anxiety', 'worry', 'thought',
+    'think', 'confused', 'confusion', 'paralyzed', 'paralysed', 'paralysis', 'frozen', 'numb',
+    'dizzy', 'voice', 'presence', 'wake', 'woke', 'awake', 'alarm', 'forgot',
+    'deja vu', 'déjà vu', "can't move", "couldn't move", "can't scream", "couldn't scream",
+    'ترس', 'احساس', 'فلج', 'بیدار', 'سرگیجه', 'نگران', 'وحشت'
+  ],
+  form: [
+    'teeth', 'tooth', 'hair', 'face', 'body', 'hand', 'finger', 'eye', 'mirror', 'reflection',
+    'monster', 'giant', 'tiny', 'shape', 'transform', 'melt', 'blur', 'wing', 'ghost', 'alien',
+    'creature', 'text', 'clock',
+    'دندان', 'صورت', 'آینه', 'هیولا', 'دست', 'انگشت', 'چشم', 'غول', 'روح', 'ساعت'
+  ],
+  action: [
+    'fly', 'flies', 'flew', 'float', 'fall', 'fell', 'chase', 'run', 'ran', 'swim', 'swam',
+    'drive', 'drove', 'fight', 'fought', 'escape', 'hide', 'hid', 'jump', 'climb', 'teleport',
+    'levitate', 'levitation', 'breath', 'breathe', 'search', 'lost', 'late',
+    'پرواز', 'افتاد', 'فرار', 'تعقیب', 'دوید', 'شنا', 'رانندگی', 'پرید'
+  ]
+};
+
+// Most signs a single suggestion run proposes
+const MAX_SUGGESTIONS = 10;
+
+// Days a sign counts as recently seen, and the half-life of a sighting's weight
+const RECENT_DAYS = 30;
+const HALF_LIFE_DAYS = 14;
+
+const SIGN_STOPWORDS = new Set([...STOPWORDS, ...PERSIAN_STOPWORDS]);
+
+/**
+ * Normalize a phrase the way sign aliases are stored
+ * @param {string} text - Phrase
+ * @returns {string}
+ */
+function normalizePhrase(text) {
+  return normalizePersian(String(text)).toLowerCase()
+    .replace(/[^\p{L}\p{N}\s'‌-]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Strip the stopwords a phrase starts or ends with ("my old school" - "old school")
+ * @param {string} phrase - Normalized phrase
+ * @returns {string} The phrase, empty when it is all stopwords
+ */
+function trimStopwords(phrase) {
+  const words = phrase.split(' ');
+  while (words.length > 0 && SIGN_STOPWORDS.has(words[0])) words.shift();
+  while (words.length > 0 && SIGN_STOPWORDS.has(words[words.length - 1])) words.pop();
+  return words.join(' ');
+}
+
+/**
+ * Capitalize the first letter of a phrase
+ * @param {string} phrase - Phrase
+ * @returns {string}
+ */
+function capitalize(phrase) {
+  return phrase.charAt(0).toUpperCase() + phrase.slice(1);
+}
+
+/**
+ * Forms of a word looked up in the lexicons: the word and its stems
+ * (Porter stem for Latin script, persianStems for Persian)
+ * @param {string} word - Normalized word
+ * @returns {Array} Word forms
+ */
+function wordForms(word) {
+  return /[a-z]/.test(word) ? [word, PorterStemmer.stem(word)] : persianStems(word);
+}
+
+// Each lexicon as its multi-word phrases and the forms of its single words
+const LEXICON_FORMS = Object.fromEntries(Object.entries(CATEGORY_LEXICONS).map(([category, entries]) => [
+  category,
+  {
+    phrases: entries.filter(entry => entry.includes(' ')),
+    words: new Set(entries.filter(entry => !entry.includes(' ')).flatMap(entry => [entry, ...wordForms(entry)]))
+  }
+]));
+
+/**
+ * Check whether a phrase uses a word of a lexicon
+ * @param {string} phrase - Normalized phrase
+ * @param {Object} lexicon - Lexicon forms ({ phrases, words })
+ * @returns {boolean}
+ */
+function usesLexicon(phrase, { phrases, words }) {
+  const padded = ` ${phrase} `;
+  return phrases.some(entry => padded.includes(` ${entry} `))
+    || phrase.split(' ').some(word => wordForms(word).some(form => words.has(form)));
+}
+
+/**
+ * Sort a dream sign into a category
+ * @param {string} text - Sign name or phrase
+ * @param {Object} options
+ * @param {string} options.source - Where the sign came from (symbol, entity or phrase);
+ *   entities (people, places, organizations) are context unless a lexicon says otherwise
+ * @returns {string} action, form, context or awareness
+ */
+function classifyDreamSign(text, { source } = {}) {
+  const phrase = normalizePhrase(text);
+
+  for (const category of ['awareness', 'form', 'action']) {
+    if (usesLexicon(phrase, LEXICON_FORMS[category])) {
+      return category;
+    }
+  }
+
+  // Something done rather than something met ("climbing the stairs", "chased dog")
+  if (source !== 'entity' && /[a-z]/.test(phrase) && nlp(phrase).has('(#Gerund|#PastTense)')) {
+    return 'action';
+  }
+
+  return 'context';
+}
+
+/**
+ * Find the alias of a sign a dream shows
+ * An alias matches as whole words (with an English plural or verb ending), or
+ * as one of the dream's symbols.
+ * @param {Array} aliases - Normalized aliases
+ * @param {Object} dream - Dream ({ content, language, symbols })
+ * @returns {string|null} The first alias found
+ */
+function findSignMention(aliases, dream) {
+  const content = dream.language === 'fa' ? normalizePersian(dream.content || '') : (dream.content || '');
+  const symbols = (dream.symbols || []).map(symbol => normalizePhrase(String(symbol.symbol).replace(/_/g, ' ')));
+
+  return aliases.find(alias => {
+    if (symbols.includes(alias)) {
+      return true;
+    }
+    const words = normalizePersian(alias).split(/\s+/).map(escapeRegExp).join('\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${words}(?:s|es|d|ed|ing)?(?![\\p{L}\\p{N}])`, 'iu').test(content);
+  }) || null;
+}
+
+/**
+ * Suggest dream signs from the recurring patterns of a set of dreams
+ * @param {Array} dreams - Dreams ({ content, symbols }), latest first
+ * @param {Array} takenAliases - Aliases of the user's existing signs (dismissed ones
+ *   included), which are not suggested again
+ * @returns {Array} Suggestions as { name, alias, category, source, count }, most frequent first
+ */
+function suggestDreamSigns(dreams, takenAliases = []) {
+  const patterns = analyzeRecurringPatterns(dreams.map(dream => dream.content), {
+    symbols: dreams.map(dream => (dream.symbols || []).map(symbol => symbol.symbol))
+  });
+
+  const candidates = [
+    ...patterns.recurringSymbols.map(({ symbol, count }) => ({ text: symbol.replace(/_/g, ' '), count, source: 'symbol' })),
+    ...patterns.recurringEntities.map(({ entity, count }) => ({ text: entity, count, source: 'entity' })),
+    ...patterns.recurringPhrases.map(({ phrase, count }) => ({ text: phrase, count, source: 'phrase' }))
+  ];
+
+  const seen = new Set(takenAliases);
+  const suggestions = [];
+
+  candidates
+    .sort((a, b) => b.count - a.count)
+    .forEach(({ text, count, source }) => {
+      const alias = trimStopwords(normalizePhrase(text));
+      if (alias.length < 3 || seen.has(alias)) return;
+      seen.add(alias);
+      suggestions.push({
+        name: capitalize(alias),
+        alias,
+        category: classifyDreamSign(alias, { source }),
+        source,
+        count
+      });
+    });
+
+  return suggestions.slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Rank dream signs to watch for tonight
+ * A sign scores its number of dreams plus double its recent dreams, weighted by
+ * how recently it was last seen (the weight halves every HALF_LIFE_DAYS), so
+ * frequent signs that are still showing up come first.
+ * @param {Array} signs - Signs with their occurrences ({ name, occurrences: [{ dream, date }] })
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {number} options.limit - Number of signs to recommend
+ * @param {Set} options.lucidDreams - IDs of the user's lucid dreams
+ * @returns {Array} [{ sign, score, frequency, recentFrequency, lastSeen, daysSinceLastSeen, lucidDreams }]
+ */
+function recommendDreamSigns(signs, { now = new Date(), limit = 3, lucidDreams = new Set() } = {}) {
+  return signs
+    .map(sign => {
+      const dates = sign.occurrences.map(occurrence => new Date(occurrence.date).getTime());
+      const lastSeen = dates.length > 0 ? new Date(Math.max(...dates)) : null;
+      const daysSinceLastSeen = lastSeen ? Math.max(0, Math.floor((now - lastSeen) / DAY_MS)) : null;
+      const recentFrequency = dates.filter(date => now - date <= RECENT_DAYS * DAY_MS).length;
+      const weight = lastSeen ? Math.pow(0.5, daysSinceLastSeen / HALF_LIFE_DAYS) : 0;
+
+      return {
+        sign,
+        score: Math.round((dates.length + 2 * recentFrequency) * weight * 100) / 100,
+        frequency: dates.length,
+        recentFrequency,
+        lastSeen,
+        daysSinceLastSeen,
+        // Dreams with the sign that became lucid: the sign has worked as a trigger before
+        lucidDreams: sign.occurrences.filter(occurrence => lucidDreams.has(occurrence.dream.toString())).length
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.frequency - a.frequency || a.sign.name.localeCompare(b.sign.name))
+    .slice(0, limit);
+}
+
+module.exports = {
+  MAX_SUGGESTIONS,
+  RECENT_DAYS,
+  normalizePhrase,
+  classifyDreamSign,
+  findSignMention,
+  suggestDreamSigns,
+  recommendDreamSigns
+};
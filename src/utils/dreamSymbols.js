@@ -1,136 +1,1096 @@
 /**
- * Comprehensive dream symbols dictionary
- * Contains common dream symbols and their psychological interpretations
+ * Built-in dream symbol dictionary
+ * Seed data for the Symbol collection (see scripts/seedSymbols.js). At runtime the
+ * analyzers read symbols through utils/symbolStore, which only falls back to this
+ * list when the database has not been seeded or is not connected.
+ * `interpretations` are general readings; `frameworks` holds readings for the
+ * other interpretation frameworks (see utils/interpretationFrameworks.js).
+ * `localizedSynonyms.fa` lists the Persian words matched in dreams written in Persian.
  */
-const dreamSymbols = {
+const dreamSymbols = [
   // Moving and travel symbols
-  flying: 'Represents freedom, ambition, or escaping limitations',
-  falling: 'May symbolize insecurity, loss of control, or failure',
-  chase: 'May represent avoiding a problem or feeling threatened',
-  running: 'Often indicates a desire to escape from something or anxiety',
-  swimming: 'Symbolizes emotional state or how you navigate through feelings',
-  driving: 'Represents control over your life direction or journey',
-  walking: 'Often represents progress in life, or the journey of life',
-  climbing: 'Symbolizes ambition, struggle, or challenging yourself',
-  
+  {
+    name: 'flying',
+    category: 'movement',
+    synonyms: ['fly', 'flew', 'soar', 'float in the air', 'levitate'],
+    localizedSynonyms: { fa: ['پرواز', 'معلق در هوا', 'اوج گرفت'] },
+    interpretations: [
+      'Represents freedom, ambition, or escaping limitations',
+      'Often represents freedom, transcendence, or a new perspective'
+    ],
+    frameworks: {
+      jungian: 'Transcendence and the wish to rise above limitations; a flight that ends in a fall warns against an inflated ego (Icarus)',
+      freudian: 'Linked to sexual excitement and to the pleasure of being swung or tossed in the air as a child',
+      cognitive: 'Often reflects a current sense of freedom or mastery, or the wish to escape a situation you feel stuck in',
+      persian_islamic: 'Read as travel or a rise in rank; flying high with ease means reaching your aims, flying aimlessly warns of restlessness'
+    }
+  },
+  {
+    name: 'falling',
+    category: 'movement',
+    synonyms: ['fall', 'plunge', 'drop'],
+    localizedSynonyms: { fa: ['سقوط', 'افتاد', 'افت', 'پرت شد'] },
+    interpretations: [
+      'May symbolize insecurity, loss of control, or failure'
+    ],
+    frameworks: {
+      jungian: 'Compensates for an overly elevated conscious attitude; a call to come back down to earth',
+      freudian: 'Associated with anxiety about giving in to temptation and with childhood memories of being dropped or caught',
+      cognitive: 'Commonly accompanies insecurity, losing control or fear of failure in waking life',
+      persian_islamic: 'Falling from a height is read as a loss of status or a change of circumstances; landing safely means the hardship will pass'
+    }
+  },
+  {
+    name: 'chase',
+    category: 'movement',
+    synonyms: ['pursue', 'hunt', 'run after', 'come after'],
+    localizedSynonyms: { fa: ['تعقیب', 'دنبال کرد', 'دنبالم کرد'] },
+    interpretations: [
+      'May represent avoiding a problem or feeling threatened',
+      'May symbolize avoidance of problems or feeling threatened'
+    ],
+    frameworks: {
+      jungian: 'The pursuer is often the shadow, a rejected part of yourself asking to be acknowledged rather than escaped',
+      freudian: 'Expresses repressed desires or fears the dreamer refuses to face',
+      cognitive: 'The most common threat-simulation dream; tends to mirror avoidance of a stressful situation or conversation',
+      persian_islamic: 'Being chased by an enemy warns of a real adversary; escaping means safety from harm'
+    }
+  },
+  {
+    name: 'running',
+    category: 'movement',
+    synonyms: ['run', 'sprint', 'flee', 'run away'],
+    localizedSynonyms: { fa: ['دوید', 'فرار', 'گریخت'] },
+    interpretations: [
+      'Often indicates a desire to escape from something or anxiety'
+    ]
+  },
+  {
+    name: 'swimming',
+    category: 'movement',
+    synonyms: ['swim', 'dive'],
+    localizedSynonyms: { fa: ['شنا'] },
+    interpretations: [
+      'Symbolizes emotional state or how you navigate through feelings'
+    ]
+  },
+  {
+    name: 'driving',
+    category: 'movement',
+    synonyms: ['drive', 'steer'],
+    localizedSynonyms: { fa: ['رانندگی', 'راندن'] },
+    interpretations: [
+      'Represents control over your life direction or journey'
+    ]
+  },
+  {
+    name: 'walking',
+    category: 'movement',
+    localizedSynonyms: { fa: ['راه رفتن', 'قدم زدن', 'پیاده‌روی'] },
+    interpretations: [
+      'Often represents progress in life, or the journey of life'
+    ]
+  },
+  {
+    name: 'climbing',
+    category: 'movement',
+    localizedSynonyms: { fa: ['بالا رفتن', 'صعود', 'کوهنوردی'] },
+    interpretations: [
+      'Symbolizes ambition, struggle, or challenging yourself'
+    ]
+  },
+
   // Environmental symbols
-  water: 'Often relates to emotions, the unconscious mind, or purification',
-  fire: 'Can symbolize transformation, passion, destruction, or purification',
-  earth: 'Represents stability, groundedness, or fertility',
-  wind: 'May indicate changes, forces beyond your control, or freedom',
-  storm: 'Often symbolizes emotional turmoil or brewing conflict',
-  mountain: 'Represents challenges, ambition, or feeling "on top" of a situation',
-  forest: 'Can represent the unknown, mystery, or personal growth',
-  desert: 'May symbolize isolation, spiritual seeking, or feeling empty',
-  ocean: 'Often represents the unconscious mind, vastness, or overwhelming emotions',
-  river: 'Symbolizes the flow of life, a journey, or changing emotions',
-  beach: 'Can represent a boundary between conscious and unconscious mind',
-  island: 'Often symbolizes isolation, independence, or feeling cut off',
-  cave: 'May represent the unconscious, hidden aspects of self, or retreat',
-  snow: 'Can symbolize purity, coldness, emotional numbness, or a fresh start',
-  rain: 'Often represents cleansing, emotional release, or renewal',
-  
+  {
+    name: 'water',
+    category: 'environment',
+    synonyms: ['flood', 'lake', 'pool', 'wave'],
+    localizedSynonyms: { fa: ['آب', 'سیل', 'دریاچه', 'استخر', 'موج'] },
+    interpretations: [
+      'Often relates to emotions, the unconscious mind, or purification'
+    ],
+    frameworks: {
+      jungian: 'The commonest symbol of the unconscious; whether it is clear, murky or rising mirrors your relationship with it',
+      freudian: 'Connected with birth and the womb',
+      cognitive: 'Mirrors your emotional state: calm water with calm, floods with feeling overwhelmed',
+      persian_islamic: 'Clear, sweet water means a good and lawful livelihood, knowledge and ease; murky water means hardship or illness'
+    }
+  },
+  {
+    name: 'fire',
+    category: 'environment',
+    localizedSynonyms: { fa: ['آتش', 'آتیش', 'شعله', 'آتش‌سوزی'] },
+    interpretations: [
+      'Can symbolize transformation, passion, destruction, or purification'
+    ],
+    frameworks: {
+      jungian: 'Transformation and psychic energy; destruction that clears the way for renewal',
+      freudian: 'A symbol of passion and sexual desire',
+      cognitive: 'Often linked to anger, urgency or something in your life that feels out of control',
+      persian_islamic: 'Fire that burns is read as trial and discord (fitna); fire that gives light without harm is guidance or authority'
+    }
+  },
+  {
+    name: 'earth',
+    category: 'environment',
+    localizedSynonyms: { fa: ['زمین', 'خاک', 'گل و لای'] },
+    interpretations: [
+      'Represents stability, groundedness, or fertility'
+    ]
+  },
+  {
+    name: 'wind',
+    category: 'environment',
+    localizedSynonyms: { fa: ['باد', 'تندباد'] },
+    interpretations: [
+      'May indicate changes, forces beyond your control, or freedom'
+    ]
+  },
+  {
+    name: 'storm',
+    category: 'environment',
+    synonyms: ['thunder', 'lightning', 'tornado', 'hurricane'],
+    localizedSynonyms: { fa: ['طوفان', 'توفان', 'رعد و برق'] },
+    interpretations: [
+      'Often symbolizes emotional turmoil or brewing conflict'
+    ]
+  },
+  {
+    name: 'mountain',
+    category: 'environment',
+    localizedSynonyms: { fa: ['کوه', 'قله', 'کوهستان'] },
+    interpretations: [
+      'Represents challenges, ambition, or feeling "on top" of a situation'
+    ],
+    frameworks: {
+      jungian: 'The goal of the individuation journey; an image of the Self',
+      cognitive: 'An obstacle or goal you are working toward',
+      persian_islamic: 'A mountain stands for a powerful person or ruler; climbing it means attaining rank'
+    }
+  },
+  {
+    name: 'forest',
+    category: 'environment',
+    synonyms: ['woods', 'jungle'],
+    localizedSynonyms: { fa: ['جنگل', 'بیشه'] },
+    interpretations: [
+      'Can represent the unknown, mystery, or personal growth'
+    ]
+  },
+  {
+    name: 'desert',
+    category: 'environment',
+    localizedSynonyms: { fa: ['بیابان', 'صحرا', 'کویر'] },
+    interpretations: [
+      'May symbolize isolation, spiritual seeking, or feeling empty'
+    ]
+  },
+  {
+    name: 'ocean',
+    category: 'environment',
+    synonyms: ['sea'],
+    localizedSynonyms: { fa: ['اقیانوس', 'دریا'] },
+    interpretations: [
+      'Often represents the unconscious mind, vastness, or overwhelming emotions'
+    ]
+  },
+  {
+    name: 'river',
+    category: 'environment',
+    localizedSynonyms: { fa: ['رودخانه', 'نهر'] },
+    interpretations: [
+      'Symbolizes the flow of life, a journey, or changing emotions'
+    ]
+  },
+  {
+    name: 'beach',
+    category: 'environment',
+    localizedSynonyms: { fa: ['ساحل', 'کنار دریا'] },
+    interpretations: [
+      'Can represent a boundary between conscious and unconscious mind'
+    ]
+  },
+  {
+    name: 'island',
+    category: 'environment',
+    localizedSynonyms: { fa: ['جزیره'] },
+    interpretations: [
+      'Often symbolizes isolation, independence, or feeling cut off'
+    ]
+  },
+  {
+    name: 'cave',
+    category: 'environment',
+    localizedSynonyms: { fa: ['غار'] },
+    interpretations: [
+      'May represent the unconscious, hidden aspects of self, or retreat'
+    ]
+  },
+  {
+    name: 'snow',
+    category: 'environment',
+    localizedSynonyms: { fa: ['برف', 'بوران'] },
+    interpretations: [
+      'Can symbolize purity, coldness, emotional numbness, or a fresh start'
+    ]
+  },
+  {
+    name: 'rain',
+    category: 'environment',
+    localizedSynonyms: { fa: ['باران', 'بارون', 'رگبار'] },
+    interpretations: [
+      'Often represents cleansing, emotional release, or renewal'
+    ],
+    frameworks: {
+      jungian: 'Fertilisation and renewal coming from the unconscious',
+      cognitive: 'Reflects sadness or relief, depending on how the dream felt',
+      persian_islamic: 'Gentle rain is divine mercy and blessing; destructive storms signify trials'
+    }
+  },
+
   // Buildings and structures
-  house: 'Typically symbolizes the self, personal identity, or security',
-  school: 'Often relates to learning experiences or unresolved childhood issues',
-  hospital: 'May represent healing, health concerns, or vulnerability',
-  church: 'Can symbolize spiritual beliefs, moral questions, or sanctuary',
-  tower: 'Often represents ambition, isolation, or perspective',
-  bridge: 'Symbolizes transitions, connections, or overcoming obstacles',
-  elevator: 'Can represent changing social status or emotional states',
-  stairs: 'Often symbolize progress, transitions between levels of consciousness',
-  door: 'Represents opportunity, transition, or new beginnings',
-  window: 'Symbolizes perspective, outlook, or a view into other possibilities',
-  room: 'Often represents a state of mind or aspect of yourself',
-  basement: 'Typically represents the unconscious or things hidden from awareness',
-  attic: 'Can symbolize forgotten memories or aspects of the higher self',
-  
+  {
+    name: 'house',
+    category: 'buildings',
+    synonyms: ['home', 'apartment'],
+    localizedSynonyms: { fa: ['خانه', 'خونه', 'منزل'] },
+    interpretations: [
+      'Typically symbolizes the self, personal identity, or security'
+    ],
+    frameworks: {
+      jungian: 'The house is the psyche: upper floors the conscious mind, the cellar the unconscious, unknown rooms undiscovered potential',
+      freudian: 'The house often represents the body',
+      cognitive: 'Reflects concerns about home, family and personal security',
+      persian_islamic: 'The house stands for the dreamer\'s self and family; a spacious house is ease, a ruined one is worry'
+    }
+  },
+  {
+    name: 'school',
+    category: 'buildings',
+    localizedSynonyms: { fa: ['مدرسه', 'دبیرستان', 'دانشگاه', 'کلاس درس'] },
+    interpretations: [
+      'Often relates to learning experiences or unresolved childhood issues'
+    ]
+  },
+  {
+    name: 'hospital',
+    category: 'buildings',
+    localizedSynonyms: { fa: ['بیمارستان', 'درمانگاه'] },
+    interpretations: [
+      'May represent healing, health concerns, or vulnerability'
+    ]
+  },
+  {
+    name: 'church',
+    category: 'buildings',
+    localizedSynonyms: { fa: ['کلیسا', 'مسجد', 'معبد'] },
+    interpretations: [
+      'Can symbolize spiritual beliefs, moral questions, or sanctuary'
+    ]
+  },
+  {
+    name: 'tower',
+    category: 'buildings',
+    localizedSynonyms: { fa: ['برج'] },
+    interpretations: [
+      'Often represents ambition, isolation, or perspective'
+    ]
+  },
+  {
+    name: 'bridge',
+    category: 'buildings',
+    localizedSynonyms: { fa: ['پل'] },
+    interpretations: [
+      'Symbolizes transitions, connections, or overcoming obstacles'
+    ]
+  },
+  {
+    name: 'elevator',
+    category: 'buildings',
+    localizedSynonyms: { fa: ['آسانسور'] },
+    interpretations: [
+      'Can represent changing social status or emotional states'
+    ]
+  },
+  {
+    name: 'stairs',
+    category: 'buildings',
+    synonyms: ['staircase', 'stairway', 'steps'],
+    localizedSynonyms: { fa: ['پله', 'پلکان', 'راه‌پله'] },
+    interpretations: [
+      'Often symbolize progress, transitions between levels of consciousness'
+    ]
+  },
+  {
+    name: 'door',
+    category: 'buildings',
+    localizedSynonyms: { fa: ['درب', 'دروازه'] },
+    interpretations: [
+      'Represents opportunity, transition, or new beginnings'
+    ],
+    frameworks: {
+      jungian: 'A threshold between states of consciousness; an invitation into the unknown',
+      freudian: 'Openings such as doors were read as symbols of the female body',
+      cognitive: 'Relates to opportunities, choices or access you feel you have or lack',
+      persian_islamic: 'The door is the guardian of the house; an open door brings provision, a broken one hardship for the household'
+    }
+  },
+  {
+    name: 'window',
+    category: 'buildings',
+    localizedSynonyms: { fa: ['پنجره'] },
+    interpretations: [
+      'Symbolizes perspective, outlook, or a view into other possibilities'
+    ]
+  },
+  {
+    name: 'room',
+    category: 'buildings',
+    localizedSynonyms: { fa: ['اتاق'] },
+    interpretations: [
+      'Often represents a state of mind or aspect of yourself'
+    ]
+  },
+  {
+    name: 'basement',
+    category: 'buildings',
+    localizedSynonyms: { fa: ['زیرزمین'] },
+    interpretations: [
+      'Typically represents the unconscious or things hidden from awareness'
+    ]
+  },
+  {
+    name: 'attic',
+    category: 'buildings',
+    localizedSynonyms: { fa: ['زیرشیروانی', 'انباری'] },
+    interpretations: [
+      'Can symbolize forgotten memories or aspects of the higher self'
+    ]
+  },
+
   // People and relationships
-  mother: 'Represents nurturing, protection, or origin',
-  father: 'Often symbolizes authority, guidance, or traditional values',
-  child: 'May represent innocence, vulnerability, or a new beginning',
-  stranger: 'Often symbolizes unknown aspects of yourself or new situations',
-  crowd: 'Can represent social pressure, overwhelm, or anonymity',
-  friend: 'Might symbolize aspects of yourself or support in your life',
-  enemy: 'Often represents rejected aspects of self or perceived threats',
-  lover: 'May symbolize desire, intimacy, or aspects of yourself you find attractive',
-  teacher: 'Often represents wisdom, guidance, or needing to learn a lesson',
-  doctor: 'Can symbolize a need for healing or authority figures',
-  police: 'May represent authority, judgment, or internal moral judgment',
-  
+  {
+    name: 'mother',
+    category: 'people',
+    synonyms: ['mom', 'mum', 'mommy'],
+    localizedSynonyms: { fa: ['مادر', 'مامان'] },
+    interpretations: [
+      'Represents nurturing, protection, or origin'
+    ],
+    frameworks: {
+      jungian: 'The Great Mother archetype: nurture and protection, but also smothering or devouring',
+      freudian: 'Central to the Oedipal complex and early attachment',
+      cognitive: 'Mirrors your current relationship with your mother or with caregiving',
+      persian_islamic: 'Seeing your mother signals mercy, relief from hardship and good news'
+    }
+  },
+  {
+    name: 'father',
+    category: 'people',
+    synonyms: ['dad', 'daddy'],
+    localizedSynonyms: { fa: ['پدر', 'بابا'] },
+    interpretations: [
+      'Often symbolizes authority, guidance, or traditional values'
+    ],
+    frameworks: {
+      jungian: 'The father archetype: authority, order and spirit',
+      freudian: 'Authority, rivalry and the superego',
+      cognitive: 'Reflects your relationship with authority or with your father',
+      persian_islamic: 'The father stands for honour and support; a content father signals blessing'
+    }
+  },
+  {
+    name: 'child',
+    category: 'people',
+    synonyms: ['kid', 'baby'],
+    localizedSynonyms: { fa: ['بچه', 'کودک', 'پسربچه', 'دختربچه'] },
+    interpretations: [
+      'May represent innocence, vulnerability, or a new beginning'
+    ],
+    frameworks: {
+      jungian: 'The divine child archetype: new potential, renewal and the future self',
+      freudian: 'May express memories and wishes from your own childhood',
+      cognitive: 'Often linked to responsibilities you care for, or to your own vulnerability',
+      persian_islamic: 'A child can mean worry and responsibility, or joy and a new beginning when it is cheerful'
+    }
+  },
+  {
+    name: 'stranger',
+    category: 'people',
+    synonyms: ['unknown person', 'someone i did not know', 'someone i didn\'t know'],
+    localizedSynonyms: { fa: ['غریبه', 'ناشناس', 'بیگانه'] },
+    interpretations: [
+      'Often symbolizes unknown aspects of yourself or new situations'
+    ],
+    frameworks: {
+      jungian: 'An unknown figure is often the shadow or, when of the other sex, the anima or animus',
+      freudian: 'A disguised version of someone you know, altered by the dream censor',
+      cognitive: 'Reflects uncertainty about new people or situations',
+      persian_islamic: 'An unknown young man can represent an enemy, an unknown old man a friend or good fortune'
+    }
+  },
+  {
+    name: 'crowd',
+    category: 'people',
+    localizedSynonyms: { fa: ['جمعیت', 'شلوغی', 'ازدحام'] },
+    interpretations: [
+      'Can represent social pressure, overwhelm, or anonymity'
+    ]
+  },
+  {
+    name: 'friend',
+    category: 'people',
+    localizedSynonyms: { fa: ['رفیق', 'دوستان', 'دوستم'] },
+    interpretations: [
+      'Might symbolize aspects of yourself or support in your life'
+    ]
+  },
+  {
+    name: 'enemy',
+    category: 'people',
+    localizedSynonyms: { fa: ['دشمن'] },
+    interpretations: [
+      'Often represents rejected aspects of self or perceived threats'
+    ]
+  },
+  {
+    name: 'lover',
+    category: 'people',
+    synonyms: ['boyfriend', 'girlfriend', 'partner'],
+    localizedSynonyms: { fa: ['معشوق', 'معشوقه', 'همسر', 'نامزد', 'دلدار'] },
+    interpretations: [
+      'May symbolize desire, intimacy, or aspects of yourself you find attractive'
+    ]
+  },
+  {
+    name: 'teacher',
+    category: 'people',
+    localizedSynonyms: { fa: ['معلم', 'استاد', 'آموزگار'] },
+    interpretations: [
+      'Often represents wisdom, guidance, or needing to learn a lesson'
+    ]
+  },
+  {
+    name: 'doctor',
+    category: 'people',
+    localizedSynonyms: { fa: ['دکتر', 'پزشک'] },
+    interpretations: [
+      'Can symbolize a need for healing or authority figures'
+    ]
+  },
+  {
+    name: 'police',
+    category: 'people',
+    synonyms: ['cop', 'police officer', 'policeman'],
+    localizedSynonyms: { fa: ['پلیس', 'مامور پلیس'] },
+    interpretations: [
+      'May represent authority, judgment, or internal moral judgment'
+    ]
+  },
+
   // Animals
-  dog: 'Often represents loyalty, friendship, or protection',
-  cat: 'May symbolize independence, mystery, or feminine energy',
-  snake: 'May symbolize transformation, knowledge, healing, or hidden fears',
-  bird: 'Often represents freedom, perspective, or spiritual aspirations',
-  spider: 'Can symbolize creativity, entrapment, or manipulation',
-  horse: 'Often represents personal power, freedom, or sexual energy',
-  fish: 'May symbolize the unconscious, spirituality, or fertility',
-  lion: 'Often represents courage, strength, or unleashed power',
-  tiger: 'Can symbolize fierceness, sexual energy, or raw emotion',
-  bear: 'May represent introspection, strength, or danger',
-  wolf: 'Often symbolizes instinct, freedom, or guidance',
-  butterfly: 'Represents transformation, renewal, or transcendence',
-  insect: 'Can symbolize minor irritations, persistence, or feeling overwhelmed by small problems',
-  
+  {
+    name: 'dog',
+    category: 'animals',
+    localizedSynonyms: { fa: ['سگ'] },
+    interpretations: [
+      'Often represents loyalty, friendship, or protection'
+    ],
+    frameworks: {
+      jungian: 'A guide and guardian of thresholds; loyal instinct',
+      freudian: 'Instinctual drives, sometimes aggression',
+      cognitive: 'Reflects feelings about loyalty and friendship, or a real relationship with a pet',
+      persian_islamic: 'A dog stands for a weak or contemptible enemy; a bite means harm from such a person'
+    }
+  },
+  {
+    name: 'cat',
+    category: 'animals',
+    localizedSynonyms: { fa: ['گربه'] },
+    interpretations: [
+      'May symbolize independence, mystery, or feminine energy'
+    ],
+    frameworks: {
+      jungian: 'Independent, intuitive and feminine aspects of the psyche',
+      freudian: 'Feminine sexuality',
+      cognitive: 'Often relates to independence or to a particular animal in your life',
+      persian_islamic: 'A cat is read as a thief from within the household or a deceitful person'
+    }
+  },
+  {
+    name: 'snake',
+    category: 'animals',
+    synonyms: ['serpent', 'viper', 'cobra'],
+    localizedSynonyms: { fa: ['مار'] },
+    interpretations: [
+      'May symbolize transformation, knowledge, healing, or hidden fears'
+    ],
+    frameworks: {
+      jungian: 'An archetype of transformation and healing (shedding its skin) and of instinctive, chthonic wisdom',
+      freudian: 'A classic phallic symbol',
+      cognitive: 'Usually reflects a perceived threat or a person you distrust',
+      persian_islamic: 'A snake stands for an enemy; its size shows the enemy\'s strength, and killing it means victory over them'
+    }
+  },
+  {
+    name: 'bird',
+    category: 'animals',
+    synonyms: ['crow', 'eagle', 'raven'],
+    localizedSynonyms: { fa: ['پرنده', 'گنجشک', 'کبوتر'] },
+    interpretations: [
+      'Often represents freedom, perspective, or spiritual aspirations'
+    ],
+    frameworks: {
+      jungian: 'Spirit and intuition; messages from the unconscious',
+      cognitive: 'Freedom or a new perspective',
+      persian_islamic: 'Birds stand for travel, news or a person\'s deeds'
+    }
+  },
+  {
+    name: 'spider',
+    category: 'animals',
+    localizedSynonyms: { fa: ['عنکبوت'] },
+    interpretations: [
+      'Can symbolize creativity, entrapment, or manipulation'
+    ]
+  },
+  {
+    name: 'horse',
+    category: 'animals',
+    localizedSynonyms: { fa: ['اسب'] },
+    interpretations: [
+      'Often represents personal power, freedom, or sexual energy'
+    ],
+    frameworks: {
+      jungian: 'Instinctive energy; the animal side of us that carries us forward',
+      freudian: 'Sexual energy and drive',
+      cognitive: 'Power and drive in your waking projects',
+      persian_islamic: 'A horse is honour, power and dignity; riding a tame horse means attaining authority'
+    }
+  },
+  {
+    name: 'fish',
+    category: 'animals',
+    localizedSynonyms: { fa: ['ماهی'] },
+    interpretations: [
+      'May symbolize the unconscious, spirituality, or fertility'
+    ]
+  },
+  {
+    name: 'lion',
+    category: 'animals',
+    localizedSynonyms: { fa: ['شیر درنده', 'شیر جنگل'] },
+    interpretations: [
+      'Often represents courage, strength, or unleashed power'
+    ],
+    frameworks: {
+      jungian: 'Royal power: the Self, or an inflated ego',
+      cognitive: 'Strength, or an intimidating person in your life',
+      persian_islamic: 'A lion signifies a powerful ruler or a strong enemy'
+    }
+  },
+  {
+    name: 'tiger',
+    category: 'animals',
+    interpretations: [
+      'Can symbolize fierceness, sexual energy, or raw emotion'
+    ]
+  },
+  {
+    name: 'bear',
+    category: 'animals',
+    localizedSynonyms: { fa: ['خرس'] },
+    interpretations: [
+      'May represent introspection, strength, or danger'
+    ]
+  },
+  {
+    name: 'wolf',
+    category: 'animals',
+    localizedSynonyms: { fa: ['گرگ'] },
+    interpretations: [
+      'Often symbolizes instinct, freedom, or guidance'
+    ]
+  },
+  {
+    name: 'butterfly',
+    category: 'animals',
+    localizedSynonyms: { fa: ['پروانه'] },
+    interpretations: [
+      'Represents transformation, renewal, or transcendence'
+    ]
+  },
+  {
+    name: 'insect',
+    category: 'animals',
+    synonyms: ['bug', 'ant', 'cockroach', 'bee'],
+    localizedSynonyms: { fa: ['حشره', 'سوسک', 'مورچه', 'زنبور'] },
+    interpretations: [
+      'Can symbolize minor irritations, persistence, or feeling overwhelmed by small problems'
+    ]
+  },
+
   // Objects and symbols
-  teeth: 'Can represent anxiety, self-image concerns, or communication issues',
-  money: 'Often symbolizes self-worth, power, or values',
-  key: 'Represents access, solutions, or new opportunities',
-  mirror: 'Often symbolizes self-reflection, identity, or truth',
-  book: 'Can represent knowledge, memory, or life story',
-  clock: 'Often represents time pressure, mortality, or life timing',
-  phone: 'May symbolize communication or connection with others',
-  computer: 'Can represent logic, modern thinking, or connectivity',
-  car: 'Often symbolizes independence, life path, or how you present yourself',
-  airplane: 'Represents ambition, rising above situations, or escape',
-  boat: 'Symbolizes emotional journey, navigation through life',
-  train: 'Can represent life\'s journey, direction, or predetermined path',
-  food: 'Often represents nourishment, comfort, or fulfillment of needs',
-  gun: 'May symbolize aggression, power, defense, or sexuality',
-  knife: 'Can represent aggression, cutting ties, or precision',
-  
+  {
+    name: 'teeth',
+    category: 'objects',
+    localizedSynonyms: { fa: ['دندان', 'دندون'] },
+    interpretations: [
+      'Can represent anxiety, self-image concerns, or communication issues'
+    ],
+    frameworks: {
+      jungian: 'Connected with aggression, vitality and the face you show the world (the persona)',
+      freudian: 'Tied to sexual repression and fear of castration',
+      cognitive: 'Frequently tied to worries about appearance, ageing or saying the wrong thing',
+      persian_islamic: 'Teeth stand for members of the family: upper teeth for the men of the household, lower teeth for the women'
+    }
+  },
+  {
+    name: 'money',
+    category: 'objects',
+    synonyms: ['cash', 'coin', 'wallet'],
+    localizedSynonyms: { fa: ['پول', 'سکه', 'اسکناس'] },
+    interpretations: [
+      'Often symbolizes self-worth, power, or values'
+    ],
+    frameworks: {
+      jungian: 'Psychic energy and self-worth',
+      freudian: 'Linked with the anal stage and its concerns of holding on and letting go',
+      cognitive: 'Mirrors financial worries or how valued you feel',
+      persian_islamic: 'Coins can stand for words and worries; silver is read as good speech, gold often as a burden'
+    }
+  },
+  {
+    name: 'key',
+    category: 'objects',
+    localizedSynonyms: { fa: ['کلید'] },
+    interpretations: [
+      'Represents access, solutions, or new opportunities'
+    ],
+    frameworks: {
+      jungian: 'Access to hidden parts of the psyche; the solution to an inner problem',
+      freudian: 'A phallic symbol, with the lock as its counterpart',
+      cognitive: 'Relates to finding a solution or gaining access to an opportunity',
+      persian_islamic: 'A key signifies the opening of a matter, provision or authority'
+    }
+  },
+  {
+    name: 'mirror',
+    category: 'objects',
+    localizedSynonyms: { fa: ['آینه', 'آیینه'] },
+    interpretations: [
+      'Often symbolizes self-reflection, identity, or truth'
+    ],
+    frameworks: {
+      jungian: 'Self-reflection and the encounter with the shadow',
+      freudian: 'Narcissism and self-image',
+      cognitive: 'Reflects self-evaluation and concern about how you appear',
+      persian_islamic: 'A mirror can stand for your spouse or your standing; a clear mirror means good repute'
+    }
+  },
+  {
+    name: 'book',
+    category: 'objects',
+    localizedSynonyms: { fa: ['کتاب'] },
+    interpretations: [
+      'Can represent knowledge, memory, or life story'
+    ]
+  },
+  {
+    name: 'clock',
+    category: 'objects',
+    localizedSynonyms: { fa: ['ساعت دیواری', 'ساعت شنی', 'عقربه'] },
+    interpretations: [
+      'Often represents time pressure, mortality, or life timing'
+    ]
+  },
+  {
+    name: 'phone',
+    category: 'objects',
+    synonyms: ['cellphone', 'smartphone', 'telephone', 'mobile phone'],
+    localizedSynonyms: { fa: ['تلفن', 'گوشی', 'موبایل'] },
+    interpretations: [
+      'May symbolize communication or connection with others'
+    ]
+  },
+  {
+    name: 'computer',
+    category: 'objects',
+    synonyms: ['laptop'],
+    localizedSynonyms: { fa: ['کامپیوتر', 'رایانه', 'لپ‌تاپ'] },
+    interpretations: [
+      'Can represent logic, modern thinking, or connectivity'
+    ]
+  },
+  {
+    name: 'car',
+    category: 'objects',
+    synonyms: ['automobile', 'vehicle'],
+    localizedSynonyms: { fa: ['ماشین', 'خودرو', 'اتومبیل'] },
+    interpretations: [
+      'Often symbolizes independence, life path, or how you present yourself'
+    ]
+  },
+  {
+    name: 'airplane',
+    category: 'objects',
+    synonyms: ['plane', 'aircraft', 'jet'],
+    localizedSynonyms: { fa: ['هواپیما'] },
+    interpretations: [
+      'Represents ambition, rising above situations, or escape'
+    ]
+  },
+  {
+    name: 'boat',
+    category: 'objects',
+    synonyms: ['ship', 'canoe'],
+    localizedSynonyms: { fa: ['قایق', 'کشتی'] },
+    interpretations: [
+      'Symbolizes emotional journey, navigation through life'
+    ]
+  },
+  {
+    name: 'train',
+    category: 'objects',
+    localizedSynonyms: { fa: ['قطار'] },
+    interpretations: [
+      'Can represent life\'s journey, direction, or predetermined path'
+    ]
+  },
+  {
+    name: 'food',
+    category: 'objects',
+    localizedSynonyms: { fa: ['غذا', 'خوراک'] },
+    interpretations: [
+      'Often represents nourishment, comfort, or fulfillment of needs'
+    ]
+  },
+  {
+    name: 'gun',
+    category: 'objects',
+    synonyms: ['pistol', 'rifle'],
+    localizedSynonyms: { fa: ['اسلحه', 'تفنگ', 'تپانچه'] },
+    interpretations: [
+      'May symbolize aggression, power, defense, or sexuality'
+    ]
+  },
+  {
+    name: 'knife',
+    category: 'objects',
+    localizedSynonyms: { fa: ['چاقو', 'کارد', 'خنجر'] },
+    interpretations: [
+      'Can represent aggression, cutting ties, or precision'
+    ]
+  },
+
   // Colors
-  red: 'Often symbolizes passion, anger, danger, or vitality',
-  blue: 'May represent calmness, peace, communication, or sadness',
-  green: 'Symbolizes growth, healing, fertility, or jealousy',
-  yellow: 'Often represents joy, intellect, or caution',
-  purple: 'Can symbolize spirituality, royalty, or transformation',
-  black: 'May represent the unknown, mystery, death, or shadow aspects',
-  white: 'Often symbolizes purity, clarity, or emptiness',
-  gray: 'Represents neutrality, depression, or uncertainty',
-  gold: 'Symbolizes value, wisdom, or spiritual attainment',
-  
+  {
+    name: 'red',
+    category: 'colors',
+    localizedSynonyms: { fa: ['قرمز', 'سرخ'] },
+    interpretations: [
+      'Often symbolizes passion, anger, danger, or vitality'
+    ]
+  },
+  {
+    name: 'blue',
+    category: 'colors',
+    localizedSynonyms: { fa: ['آبی'] },
+    interpretations: [
+      'May represent calmness, peace, communication, or sadness'
+    ]
+  },
+  {
+    name: 'green',
+    category: 'colors',
+    localizedSynonyms: { fa: ['سبز'] },
+    interpretations: [
+      'Symbolizes growth, healing, fertility, or jealousy'
+    ]
+  },
+  {
+    name: 'yellow',
+    category: 'colors',
+    localizedSynonyms: { fa: ['زرد'] },
+    interpretations: [
+      'Often represents joy, intellect, or caution'
+    ]
+  },
+  {
+    name: 'purple',
+    category: 'colors',
+    localizedSynonyms: { fa: ['بنفش', 'ارغوانی'] },
+    interpretations: [
+      'Can symbolize spirituality, royalty, or transformation'
+    ]
+  },
+  {
+    name: 'black',
+    category: 'colors',
+    localizedSynonyms: { fa: ['سیاه', 'مشکی'] },
+    interpretations: [
+      'May represent the unknown, mystery, death, or shadow aspects'
+    ]
+  },
+  {
+    name: 'white',
+    category: 'colors',
+    localizedSynonyms: { fa: ['سفید'] },
+    interpretations: [
+      'Often symbolizes purity, clarity, or emptiness'
+    ]
+  },
+  {
+    name: 'gray',
+    category: 'colors',
+    localizedSynonyms: { fa: ['خاکستری'] },
+    interpretations: [
+      'Represents neutrality, depression, or uncertainty'
+    ]
+  },
+  {
+    name: 'gold',
+    category: 'colors',
+    localizedSynonyms: { fa: ['طلا', 'طلایی'] },
+    interpretations: [
+      'Symbolizes value, wisdom, or spiritual attainment'
+    ]
+  },
+
   // Common scenarios
-  death: 'Usually symbolizes change, endings, or transformation rather than literal death',
-  birth: 'Represents new beginnings, creativity, or potential',
-  wedding: 'Often symbolizes commitment, union of different aspects of self, or life transitions',
-  exam: 'Can represent self-evaluation, testing, or fear of failure',
-  naked: 'May symbolize vulnerability, authenticity, or fear of exposure',
-  lost: 'Often represents uncertainty, lack of direction, or searching for identity',
-  late: 'Can symbolize anxiety about missed opportunities or poor timing',
-  unable_to_move: 'May represent feeling trapped, powerless, or unable to progress',
-  unable_to_speak: 'Often symbolizes feeling unheard, repressed communication',
-  unable_to_see: 'Can represent denial, avoidance, or lack of awareness',
-  
+  {
+    name: 'death',
+    category: 'scenarios',
+    synonyms: ['die', 'dead', 'funeral', 'corpse'],
+    localizedSynonyms: { fa: ['مرگ', 'مرده', 'جنازه', 'جسد', 'تشییع', 'درگذشت'] },
+    interpretations: [
+      'Usually symbolizes change, endings, or transformation rather than literal death'
+    ],
+    frameworks: {
+      jungian: 'Symbolic death marks the end of one stage of life and the beginning of another (rebirth)',
+      freudian: 'Dreaming of a loved one\'s death may express ambivalent or repressed wishes, often from childhood',
+      cognitive: 'Usually about change, endings or fear of losing someone rather than literal death',
+      persian_islamic: 'Seeing yourself die is often read as long life, repentance or a change of state rather than literal death'
+    }
+  },
+  {
+    name: 'birth',
+    category: 'scenarios',
+    localizedSynonyms: { fa: ['تولد', 'زایمان', 'نوزاد'] },
+    interpretations: [
+      'Represents new beginnings, creativity, or potential'
+    ]
+  },
+  {
+    name: 'wedding',
+    category: 'scenarios',
+    synonyms: ['marriage', 'get married'],
+    localizedSynonyms: { fa: ['عروسی', 'ازدواج'] },
+    interpretations: [
+      'Often symbolizes commitment, union of different aspects of self, or life transitions'
+    ],
+    frameworks: {
+      jungian: 'The union of opposites (coniunctio): integrating conscious and unconscious',
+      freudian: 'Wish fulfilment concerning partnership and desire',
+      cognitive: 'Reflects commitments, transitions and relationship concerns',
+      persian_islamic: 'A wedding can signify a new undertaking or status; with music and excess, hardship'
+    }
+  },
+  {
+    name: 'exam',
+    category: 'scenarios',
+    synonyms: ['test', 'final exam'],
+    localizedSynonyms: { fa: ['امتحان', 'آزمون', 'کنکور'] },
+    interpretations: [
+      'Can represent self-evaluation, testing, or fear of failure'
+    ],
+    frameworks: {
+      jungian: 'A test of readiness on the path of individuation',
+      freudian: 'Exam dreams usually concern tests already passed, reassuring the dreamer about a coming challenge',
+      cognitive: 'A stress dream about being judged or unprepared, common before important events',
+      persian_islamic: 'Being examined signals a trial from which you emerge with honour if you answer well'
+    }
+  },
+  {
+    name: 'naked',
+    category: 'scenarios',
+    synonyms: ['nude', 'no clothes'],
+    localizedSynonyms: { fa: ['برهنه', 'لخت', 'عریان'] },
+    interpretations: [
+      'May symbolize vulnerability, authenticity, or fear of exposure'
+    ],
+    frameworks: {
+      jungian: 'Shedding the persona; being seen as you truly are',
+      freudian: 'An exhibitionist wish from early childhood, when nakedness brought no shame',
+      cognitive: 'A classic embarrassment dream reflecting fear of exposure or of being unprepared',
+      persian_islamic: 'Nakedness can mean a secret being exposed; for the devout, being stripped of sins through repentance'
+    }
+  },
+  {
+    name: 'lost',
+    category: 'scenarios',
+    localizedSynonyms: { fa: ['گم شدم', 'گم شده', 'گم شدیم', 'گم کردم'] },
+    interpretations: [
+      'Often represents uncertainty, lack of direction, or searching for identity'
+    ]
+  },
+  {
+    name: 'late',
+    category: 'scenarios',
+    synonyms: ['miss the bus', 'miss the train', 'miss the flight'],
+    localizedSynonyms: { fa: ['دیر رسیدم', 'دیر کردم', 'جا ماندم', 'جا موندم'] },
+    interpretations: [
+      'Can symbolize anxiety about missed opportunities or poor timing'
+    ]
+  },
+  {
+    name: 'unable_to_move',
+    category: 'scenarios',
+    synonyms: ['can not move', 'could not move', 'frozen in place', 'stuck in place',
+      'legs would not move'],
+    localizedSynonyms: { fa: ['نمی‌توانستم حرکت', 'نمی‌تونستم تکون', 'خشکم زد'] },
+    interpretations: [
+      'May represent feeling trapped, powerless, or unable to progress'
+    ]
+  },
+  {
+    name: 'unable_to_speak',
+    category: 'scenarios',
+    synonyms: ['can not speak', 'could not speak', 'can not talk', 'could not talk',
+      'can not scream', 'could not scream', 'no voice'],
+    localizedSynonyms: { fa: ['نمی‌توانستم حرف', 'نمی‌تونستم حرف', 'صدایم درنمی‌آمد', 'لال شدم'] },
+    interpretations: [
+      'Often symbolizes feeling unheard, repressed communication'
+    ]
+  },
+  {
+    name: 'unable_to_see',
+    category: 'scenarios',
+    synonyms: ['can not see', 'could not see', 'go blind'],
+    localizedSynonyms: { fa: ['نمی‌توانستم ببینم', 'نمی‌تونستم ببینم', 'نمی‌دیدم', 'کور شدم'] },
+    interpretations: [
+      'Can represent denial, avoidance, or lack of awareness'
+    ]
+  },
+
   // Modern symbols
-  social_media: 'May represent social connection, validation seeking, or public image',
-  email: 'Often symbolizes communication, work stress, or information overload',
-  internet: 'Can represent connectivity, information, or feeling overwhelmed',
-  virus: 'May symbolize fear of contamination, vulnerability, or harmful influence',
-  camera: 'Often represents self-image, memories, or being observed',
-  television: 'Can symbolize passive consumption of ideas or escapism',
-  celebrity: 'May represent aspects you admire or wish to emulate',
-  
+  {
+    name: 'social_media',
+    category: 'modern',
+    synonyms: ['instagram', 'facebook', 'twitter', 'tiktok'],
+    localizedSynonyms: { fa: ['شبکه اجتماعی', 'اینستاگرام', 'تلگرام'] },
+    interpretations: [
+      'May represent social connection, validation seeking, or public image'
+    ]
+  },
+  {
+    name: 'email',
+    category: 'modern',
+    localizedSynonyms: { fa: ['ایمیل', 'پست الکترونیک'] },
+    interpretations: [
+      'Often symbolizes communication, work stress, or information overload'
+    ]
+  },
+  {
+    name: 'internet',
+    category: 'modern',
+    localizedSynonyms: { fa: ['اینترنت'] },
+    interpretations: [
+      'Can represent connectivity, information, or feeling overwhelmed'
+    ]
+  },
+  {
+    name: 'virus',
+    category: 'modern',
+    localizedSynonyms: { fa: ['ویروس', 'کرونا'] },
+    interpretations: [
+      'May symbolize fear of contamination, vulnerability, or harmful influence'
+    ]
+  },
+  {
+    name: 'camera',
+    category: 'modern',
+    localizedSynonyms: { fa: ['دوربین'] },
+    interpretations: [
+      'Often represents self-image, memories, or being observed'
+    ]
+  },
+  {
+    name: 'television',
+    category: 'modern',
+    localizedSynonyms: { fa: ['تلویزیون'] },
+    interpretations: [
+      'Can symbolize passive consumption of ideas or escapism'
+    ]
+  },
+  {
+    name: 'celebrity',
+    category: 'modern',
+    localizedSynonyms: { fa: ['سلبریتی', 'بازیگر معروف', 'آدم معروف'] },
+    interpretations: [
+      'May represent aspects you admire or wish to emulate'
+    ]
+  },
+
   // Bodily experiences
-  flying: 'Often represents freedom, transcendence, or a new perspective',
-  teeth_falling_out: 'Can symbolize anxiety about appearance, communication, or loss',
-  paralysis: 'Often represents feeling stuck or powerless in waking life',
-  chase: 'May symbolize avoidance of problems or feeling threatened',
-  injury: 'Can represent emotional pain or vulnerability',
-  illness: 'Often symbolizes fear, vulnerability, or need for healing',
-  giant: 'May represent power disparity or feeling overwhelmed',
-  tiny: 'Can symbolize insignificance, vulnerability, or feeling overlooked'
-};
+  {
+    name: 'teeth_falling_out',
+    category: 'body',
+    synonyms: ['tooth fall out', 'lose my teeth', 'teeth crumble', 'teeth fall out'],
+    localizedSynonyms: { fa: ['دندان افتاد', 'دندان ریخت', 'دندون افتاد', 'دندون ریخت'] },
+    interpretations: [
+      'Can symbolize anxiety about appearance, communication, or loss'
+    ],
+    frameworks: {
+      jungian: 'Fear of losing power, or a transition that changes how others see you',
+      freudian: 'Read as related to sexual anxieties and, in some cases, fear of punishment',
+      cognitive: 'One of the most common stress dreams; appears in periods of anxiety about losing control or being embarrassed',
+      persian_islamic: 'Losing a tooth is read as the loss or illness of a relative; a tooth falling into your hand means long life or a settled debt'
+    }
+  },
+  {
+    name: 'paralysis',
+    category: 'body',
+    synonyms: ['paralyze', 'sleep paralysis'],
+    localizedSynonyms: { fa: ['فلج', 'بختک'] },
+    interpretations: [
+      'Often represents feeling stuck or powerless in waking life'
+    ]
+  },
+  {
+    name: 'injury',
+    category: 'body',
+    localizedSynonyms: { fa: ['زخم', 'زخمی', 'جراحت', 'خونریزی'] },
+    interpretations: [
+      'Can represent emotional pain or vulnerability'
+    ]
+  },
+  {
+    name: 'illness',
+    category: 'body',
+    synonyms: ['sick', 'disease'],
+    localizedSynonyms: { fa: ['بیماری', 'مریضی', 'مریض', 'بیمار'] },
+    interpretations: [
+      'Often symbolizes fear, vulnerability, or need for healing'
+    ]
+  },
+  {
+    name: 'giant',
+    category: 'body',
+    synonyms: ['huge person'],
+    localizedSynonyms: { fa: ['غول', 'غول‌پیکر'] },
+    interpretations: [
+      'May represent power disparity or feeling overwhelmed'
+    ]
+  },
+  {
+    name: 'tiny',
+    category: 'body',
+    localizedSynonyms: { fa: ['کوچولو', 'ریزه', 'خیلی کوچک'] },
+    interpretations: [
+      'Can symbolize insignificance, vulnerability, or feeling overlooked'
+    ]
+  }
+];
 
-module.exports = dreamSymbols; 
\ No newline at end of file
+module.exports = dreamSymbols;
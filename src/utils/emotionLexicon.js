@@ -0,0 +1,223 @@
+/**
+ * Discrete emotion model based on Plutchik's wheel of emotions
+ * Each of the eight basic emotions has three intensity levels
+ * (1 = mild, 2 = moderate, 3 = intense) and a lexicon of words for each level.
+ */
+
+const INTENSITY_NAMES = ['mild', 'moderate', 'intense'];
+
+const emotionModel = {
+  joy: {
+    valence: 'positive',
+    levels: ['serenity', 'joy', 'ecstasy'],
+    words: {
+      1: ['calm', 'peaceful', 'serene', 'content', 'relaxed', 'pleasant', 'comfortable',
+        'relieved', 'satisfied', 'pleased', 'refreshed', 'harmonious', 'light', 'sunny', 'cozy'],
+      2: ['happy', 'joy', 'joyful', 'delight', 'delighted', 'glad', 'cheerful', 'amused',
+        'playful', 'laughing', 'laughed', 'smiling', 'smiled', 'fun', 'enjoyed', 'wonderful',
+        'lovely', 'beautiful', 'fulfilled', 'lively', 'radiant', 'uplifted', 'free', 'proud'],
+      3: ['ecstatic', 'elated', 'euphoric', 'blissful', 'bliss', 'jubilant', 'thrilled',
+        'overjoyed', 'exhilarated', 'rapture', 'enchanted', 'amazing']
+    }
+  },
+  trust: {
+    valence: 'positive',
+    levels: ['acceptance', 'trust', 'admiration'],
+    words: {
+      1: ['accepted', 'welcome', 'welcomed', 'safe', 'secure', 'familiar', 'reassured'],
+      2: ['trust', 'trusted', 'trusting', 'friendly', 'loyal', 'kind', 'gentle', 'supported',
+        'protected', 'confident', 'grateful', 'hugged', 'comforted', 'together'],
+      3: ['admire', 'admired', 'admiration', 'adore', 'adored', 'love', 'loved', 'loving',
+        'devoted', 'worship', 'revered', 'cherished']
+    }
+  },
+  fear: {
+    valence: 'negative',
+    levels: ['apprehension', 'fear', 'terror'],
+    words: {
+      1: ['worried', 'worry', 'uneasy', 'nervous', 'anxious', 'anxiety', 'tense',
+        'apprehensive', 'insecure', 'hesitant', 'cautious', 'stressed', 'doubtful', 'uncertain'],
+      2: ['afraid', 'scared', 'fear', 'frightened', 'scary', 'threatened', 'danger',
+        'dangerous', 'trapped', 'chased', 'hiding', 'dread', 'helpless', 'vulnerable', 'creepy'],
+      3: ['terrified', 'terror', 'horror', 'horrified', 'panic', 'panicked', 'petrified',
+        'nightmare', 'paralyzed', 'screaming', 'screamed', 'dying']
+    }
+  },
+  surprise: {
+    valence: 'neutral',
+    levels: ['distraction', 'surprise', 'amazement'],
+    words: {
+      1: ['distracted', 'strange', 'odd', 'weird', 'unexpected', 'puzzled', 'unclear',
+        'different', 'changing', 'mysterious', 'unknown'],
+      2: ['surprised', 'surprising', 'suddenly', 'confused', 'confusion', 'disoriented',
+        'bewildered', 'startled', 'unreal'],
+      3: ['amazed', 'astonished', 'astounded', 'stunned', 'shocked', 'awe', 'speechless',
+        'incredible', 'unbelievable']
+    }
+  },
+  sadness: {
+    valence: 'negative',
+    levels: ['pensiveness', 'sadness', 'grief'],
+    words: {
+      1: ['pensive', 'wistful', 'melancholy', 'nostalgic', 'disappointed', 'gloomy', 'blue',
+        'lost', 'distant', 'numb', 'resigned'],
+      2: ['sad', 'unhappy', 'crying', 'cried', 'tears', 'hurt', 'abandoned', 'rejected',
+        'lonely', 'alone', 'regret', 'regretful', 'miserable', 'suffering', 'pain', 'defeated',
+        'guilty', 'sorry'],
+      3: ['grief', 'grieving', 'devastated', 'heartbroken', 'despair', 'hopeless', 'sobbing',
+        'mourning', 'depressed', 'crushed', 'anguish', 'desperate']
+    }
+  },
+  disgust: {
+    valence: 'negative',
+    levels: ['boredom', 'disgust', 'loathing'],
+    words: {
+      1: ['bored', 'boring', 'dull', 'indifferent', 'tired', 'detached', 'uninterested'],
+      2: ['disgust', 'disgusted', 'gross', 'dirty', 'filthy', 'rotten', 'nauseous', 'sick',
+        'ashamed', 'embarrassed', 'slimy', 'smelly'],
+      3: ['loathing', 'loathe', 'revolted', 'repulsed', 'revulsion', 'vile', 'abhorrent',
+        'repulsive', 'sickening']
+    }
+  },
+  anger: {
+    valence: 'negative',
+    levels: ['annoyance', 'anger', 'rage'],
+    words: {
+      1: ['annoyed', 'irritated', 'bothered', 'impatient', 'frustrated', 'frustration',
+        'agitated', 'grumpy', 'jealous'],
+      2: ['angry', 'anger', 'mad', 'hostile', 'bitter', 'resentful', 'yelling', 'yelled',
+        'shouting', 'shouted', 'fight', 'fighting', 'fought', 'argued', 'arguing'],
+      3: ['furious', 'rage', 'enraged', 'livid', 'fury', 'hatred', 'hate', 'hated',
+        'violent', 'outraged']
+    }
+  },
+  anticipation: {
+    valence: 'positive',
+    levels: ['interest', 'anticipation', 'vigilance'],
+    words: {
+      1: ['interested', 'curious', 'wondering', 'exploring', 'intrigued', 'thoughtful',
+        'questioning', 'waiting'],
+      2: ['anticipation', 'expecting', 'eager', 'hopeful', 'excited', 'ready', 'optimistic',
+        'inspired', 'enthusiastic', 'energetic', 'searching'],
+      3: ['vigilant', 'alert', 'watchful', 'determined', 'focused', 'anticipating']
+    }
+  }
+};
+
+const EMOTIONS = Object.keys(emotionModel);
+
+// Words that negate an emotion word later in the same clause ("I wasn't afraid")
+const NEGATORS = ['not', 'no', 'never', 'nothing', 'nobody', 'none', 'neither', 'nor',
+  'without', 'cannot', 'hardly', 'scarcely', 'lack', 'lacked'];
+
+// Modifiers that scale the emotion word right after them
+const INTENSIFIERS = {
+  very: 1.3, really: 1.3, so: 1.3, too: 1.2, quite: 1.2, super: 1.3, truly: 1.3,
+  deeply: 1.4, terribly: 1.4, totally: 1.4, completely: 1.4, incredibly: 1.5,
+  extremely: 1.5, absolutely: 1.5, utterly: 1.5, overwhelmingly: 1.5, most: 1.3
+};
+
+const DIMINISHERS = {
+  slightly: 0.5, barely: 0.4, mildly: 0.5, somewhat: 0.6, fairly: 0.8, rather: 0.8,
+  almost: 0.5, partly: 0.6, kinda: 0.6, 'a bit': 0.6, 'a little': 0.6,
+  'kind of': 0.6, 'sort of': 0.6
+};
+
+// Clause boundaries: negation and modifiers do not reach across these
+const CLAUSE_BREAKS = ['.', '!', '?', ';', ':', ',', 'but', 'yet', 'although', 'though',
+  'however', 'whereas'];
+
+const SENTENCE_BREAKS = ['.', '!', '?'];
+
+// Who felt the emotion: the dreamer (first person) or another dream character
+const FIRST_PERSON = ['i', "i'm", "i'd", "i've", "i'll", 'me', 'my', 'mine', 'myself',
+  'we', "we're", "we'd", "we've", "we'll", 'us', 'our', 'ours', 'ourselves'];
+
+const OTHER_PERSON = ['he', 'she', 'they', "he's", "she's", "they're", "he'd", "she'd",
+  "they'd", 'him', 'her', 'them', 'his', 'hers', 'their', 'himself', 'herself',
+  'themselves', 'you', "you're", 'your', 'someone', 'somebody', 'everyone', 'everybody',
+  'anyone', 'man', 'woman', 'men', 'women', 'boy', 'girl', 'child', 'children', 'kid',
+  'kids', 'baby', 'mother', 'mom', 'father', 'dad', 'parents', 'brother', 'sister',
+  'son', 'daughter', 'grandmother', 'grandfather', 'aunt', 'uncle', 'cousin', 'friend',
+  'friends', 'stranger', 'strangers', 'people', 'person', 'crowd', 'teacher', 'boss',
+  'husband', 'wife', 'boyfriend', 'girlfriend', 'partner', 'family', 'neighbor',
+  'doctor', 'police', 'soldier', 'monster', 'dog', 'cat'];
+
+const POSSESSIVES = ['my', 'our', 'his', 'her', 'their', 'your'];
+
+// Object pronouns right after an emotion word name the dreamer ("it scared me")
+const OBJECT_PRONOUNS = ['me', 'us', 'myself', 'ourselves'];
+
+// Flattened word -> { emotion, level } lookup
+const lexicon = {};
+EMOTIONS.forEach(emotion => {
+  Object.entries(emotionModel[emotion].words).forEach(([level, words]) => {
+    words.forEach(word => {
+      lexicon[word] = { emotion, level: Number(level) };
+    });
+  });
+});
+
+/**
+ * Look up the emotion carried by a word
+ * @param {string} word - Lowercase word
+ * @returns {Object|null} { emotion, level, label } or null when the word is not in the lexicon
+ */
+function lookupEmotion(word) {
+  const entry = lexicon[word];
+  if (!entry) return null;
+
+  return {
+    ...entry,
+    label: emotionModel[entry.emotion].levels[entry.level - 1]
+  };
+}
+
+/**
+ * Whether a word negates an emotion word later in its clause
+ * @param {string} word - Lowercase word
+ * @returns {boolean}
+ */
+function isNegator(word) {
+  return NEGATORS.includes(word) || word.endsWith("n't");
+}
+
+/**
+ * Whether a word refers to the dreamer or another dream character
+ * @param {string} word - Lowercase word
+ * @returns {string|null} 'dreamer', 'other' or null
+ */
+function personOf(word) {
+  if (FIRST_PERSON.includes(word)) return 'dreamer';
+  if (OTHER_PERSON.includes(word)) return 'other';
+  return null;
+}
+
+/**
+ * Name of an intensity level
+ * @param {number} level - Intensity level (1-3)
+ * @returns {string} mild, moderate or intense
+ */
+function intensityName(level) {
+  const index = Math.min(Math.max(Math.round(level), 1), 3) - 1;
+  return INTENSITY_NAMES[index];
+}
+
+module.exports = {
+  EMOTIONS,
+  INTENSITY_NAMES,
+  NEGATORS,
+  INTENSIFIERS,
+  DIMINISHERS,
+  CLAUSE_BREAKS,
+  SENTENCE_BREAKS,
+  FIRST_PERSON,
+  OTHER_PERSON,
+  POSSESSIVES,
+  OBJECT_PRONOUNS,
+  emotionModel,
+  lookupEmotion,
+  isNegator,
+  personOf,
+  intensityName
+};
@@ -0,0 +1,78 @@
+/**
+ * Hall/Van de Castle normative data
+ * Reference values for the HVdC percentages and indices, from the 1,000 dream
+ * reports (500 by men, 500 by women, five per student) that Hall and Van de Castle
+ * coded in "The Content Analysis of Dreams" (1966), as tabulated by Domhoff in
+ * "Finding Meaning in Dreams" (1996).
+ * Keys are paths into the indices computed by utils/contentCoding (percentages
+ * are 0-100, the A/C, F/C and S/C indices are interactions per character).
+ */
+
+const SOURCE = 'Hall & Van de Castle (1966), tabulated in Domhoff (1996)';
+
+const hvdcNorms = {
+  male: {
+    name: 'Hall/Van de Castle male norms',
+    source: SOURCE,
+    dreams: 500,
+    values: {
+      'characters.maleFemalePercent': 67,
+      'characters.familiarityPercent': 45,
+      'characters.friendsPercent': 31,
+      'characters.familyPercent': 12,
+      'characters.animalPercent': 6,
+      'socialInteractions.aggressionFriendlinessPercent': 59,
+      'socialInteractions.befrienderPercent': 50,
+      'socialInteractions.aggressorPercent': 40,
+      'socialInteractions.physicalAggressionPercent': 50,
+      'socialInteractions.acIndex': 0.34,
+      'socialInteractions.fcIndex': 0.21,
+      'socialInteractions.scIndex': 0.06,
+      'selfConcept.selfNegativityPercent': 65,
+      'selfConcept.bodilyMisfortunesPercent': 29,
+      'selfConcept.dreamerSuccessPercent': 51,
+      'settings.indoorPercent': 48,
+      'settings.familiarPercent': 62,
+      'dreamsWithAtLeastOne.aggression': 47,
+      'dreamsWithAtLeastOne.friendliness': 38,
+      'dreamsWithAtLeastOne.sexuality': 12,
+      'dreamsWithAtLeastOne.misfortune': 36,
+      'dreamsWithAtLeastOne.goodFortune': 6,
+      'dreamsWithAtLeastOne.success': 15,
+      'dreamsWithAtLeastOne.failure': 15
+    }
+  },
+  female: {
+    name: 'Hall/Van de Castle female norms',
+    source: SOURCE,
+    dreams: 500,
+    values: {
+      'characters.maleFemalePercent': 48,
+      'characters.familiarityPercent': 58,
+      'characters.friendsPercent': 37,
+      'characters.familyPercent': 19,
+      'characters.animalPercent': 4,
+      'socialInteractions.aggressionFriendlinessPercent': 51,
+      'socialInteractions.befrienderPercent': 47,
+      'socialInteractions.aggressorPercent': 33,
+      'socialInteractions.physicalAggressionPercent': 34,
+      'socialInteractions.acIndex': 0.24,
+      'socialInteractions.fcIndex': 0.22,
+      'socialInteractions.scIndex': 0.01,
+      'selfConcept.selfNegativityPercent': 66,
+      'selfConcept.bodilyMisfortunesPercent': 35,
+      'selfConcept.dreamerSuccessPercent': 42,
+      'settings.indoorPercent': 61,
+      'settings.familiarPercent': 79,
+      'dreamsWithAtLeastOne.aggression': 44,
+      'dreamsWithAtLeastOne.friendliness': 42,
+      'dreamsWithAtLeastOne.sexuality': 4,
+      'dreamsWithAtLeastOne.misfortune': 33,
+      'dreamsWithAtLeastOne.goodFortune': 6,
+      'dreamsWithAtLeastOne.success': 8,
+      'dreamsWithAtLeastOne.failure': 10
+    }
+  }
+};
+
+module.exports = hvdcNorms;
@@ -0,0 +1,108 @@
+/**
+ * Message catalogs and translation helpers
+ * Every user-facing string lives in a catalog under src/locales, keyed by a dotted
+ * path (e.g. `errors.dreamNotFound`). Entries may contain `{name}` placeholders
+ * that are filled from the parameters passed to `translate`.
+ */
+const en = require('../locales/en');
+const fa = require('../locales/fa');
+
+const CATALOGS = { en, fa };
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Look up a dotted key in a catalog
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - Dotted key
+ * @returns {string|undefined} Message template
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+/**
+ * Translate a message key
+ * Falls back to the English catalog, then to `params.defaultValue`, then to the
+ * key itself, so a missing translation never breaks a response.
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Values for the `{name}` placeholders
+ * @returns {string} Translated message
+ */
+function translate(locale, key, params = {}) {
+  let template = lookup(CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE], key);
+  if (typeof template !== 'string') {
+    template = lookup(CATALOGS[DEFAULT_LOCALE], key);
+  }
+  if (typeof template !== 'string') {
+    return params.defaultValue !== undefined ? params.defaultValue : key;
+  }
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+  );
+}
+
+/**
+ * Build a translate function bound to one locale
+ * @param {string} locale - Locale code
+ * @returns {Function} (key, params) => message
+ */
+function getTranslator(locale = DEFAULT_LOCALE) {
+  return (key, params) => translate(locale, key, params);
+}
+
+/**
+ * Pick the best supported locale from an Accept-Language header
+ * (e.g. "fa-IR,fa;q=0.9,en;q=0.8" → "fa")
+ * @param {string} header - Accept-Language header value
+ * @returns {string|null} Supported locale, or null when none is acceptable
+ */
+function parseAcceptLanguage(header) {
+  if (!header) return null;
+
+  const ranges = header.split(',')
+    .map((part, index) => {
+      const [range, ...attributes] = part.trim().split(';');
+      const quality = attributes
+        .map(attribute => attribute.trim())
+        .find(attribute => attribute.startsWith('q='));
+      return {
+        language: range.trim().toLowerCase().split('-')[0],
+        quality: quality ? parseFloat(quality.slice(2)) : 1,
+        index
+      };
+    })
+    .filter(range => range.language && range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  const match = ranges.find(range => SUPPORTED_LOCALES.includes(range.language));
+  return match ? match.language : null;
+}
+
+/**
+ * Resolve the locale of a request: the signed-in user's language preference,
+ * then the Accept-Language header, then English
+ * @param {Object} req - Express request
+ * @returns {string} Locale code
+ */
+function resolveLocale(req) {
+  const preferred = req.user && req.user.preferences && req.user.preferences.locale;
+  if (SUPPORTED_LOCALES.includes(preferred)) {
+    return preferred;
+  }
+
+  return parseAcceptLanguage(req.headers['accept-language']) || DEFAULT_LOCALE;
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  translate,
+  getTranslator,
+  parseAcceptLanguage,
+  resolveLocale
+};
@@ -0,0 +1,76 @@
+/**
+ * Interpretation frameworks for dream symbols
+ * A symbol can carry one interpretation per framework; `general` holds the
+ * common dream-dictionary meaning and is the fallback for every other framework.
+ */
+
+const FRAMEWORKS = {
+  general: {
+    name: 'General',
+    description: 'Common contemporary dream-dictionary meanings'
+  },
+  jungian: {
+    name: 'Jungian',
+    description: 'Archetypes, the shadow, anima/animus and individuation (C. G. Jung)'
+  },
+  freudian: {
+    name: 'Freudian',
+    description: 'Wish fulfilment, repressed desire and the latent content of dreams (S. Freud)'
+  },
+  cognitive: {
+    name: 'Contemporary cognitive',
+    description: 'Dreams as continuations of waking concerns, memory processing and threat simulation'
+  },
+  persian_islamic: {
+    name: 'Persian/Islamic traditional',
+    description: 'Traditional dream interpretation (ta\'bir) in the line of Ibn Sirin and the Persian khwabnameh'
+  }
+};
+
+const FRAMEWORK_KEYS = Object.keys(FRAMEWORKS);
+
+const DEFAULT_FRAMEWORK = 'general';
+
+/**
+ * Collect the first interpretation of each framework
+ * @param {Array} interpretations - [{ text, framework }]
+ * @returns {Object} { framework: text }
+ */
+function buildReadings(interpretations) {
+  const readings = {};
+  (interpretations || []).forEach(interpretation => {
+    const framework = interpretation.framework || DEFAULT_FRAMEWORK;
+    if (!readings[framework]) {
+      readings[framework] = interpretation.text;
+    }
+  });
+  return readings;
+}
+
+/**
+ * Get a matched symbol's reading in a framework
+ * Falls back to the symbol's meaning (the personal meaning when the user has one)
+ * @param {Object} symbol - Symbol stored on a dream
+ * @param {string} framework - Framework key
+ * @returns {Object} { framework, text } where framework is the one actually used
+ */
+function getReading(symbol, framework = DEFAULT_FRAMEWORK) {
+  const readings = symbol.readings || {};
+
+  if (framework !== DEFAULT_FRAMEWORK && readings[framework]) {
+    return { framework, text: readings[framework] };
+  }
+
+  return {
+    framework: DEFAULT_FRAMEWORK,
+    text: symbol.meaning || readings[DEFAULT_FRAMEWORK] || ''
+  };
+}
+
+module.exports = {
+  FRAMEWORKS,
+  FRAMEWORK_KEYS,
+  DEFAULT_FRAMEWORK,
+  buildReadings,
+  getReading
+};
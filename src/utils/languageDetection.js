@@ -0,0 +1,51 @@
+/**
+ * Dream language detection
+ * Decides which analysis path a dream takes from the script of its letters:
+ * text written mostly in Arabic script is analyzed as Persian, everything else
+ * (including languages without an analysis path of their own) as English.
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'fa'];
+
+const DEFAULT_LANGUAGE = 'en';
+
+const ARABIC_SCRIPT = /\p{Script=Arabic}/u;
+const LATIN_SCRIPT = /\p{Script=Latin}/u;
+
+/**
+ * Detect the language of a dream
+ * @param {string} text - Dream text
+ * @returns {string} Language code ('en' or 'fa')
+ */
+function detectLanguage(text) {
+  if (!text) return DEFAULT_LANGUAGE;
+
+  let arabic = 0;
+  let latin = 0;
+
+  for (const char of text) {
+    if (ARABIC_SCRIPT.test(char)) {
+      arabic++;
+    } else if (LATIN_SCRIPT.test(char)) {
+      latin++;
+    }
+  }
+
+  return arabic > latin ? 'fa' : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Whether a language has its own analysis path
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+function isSupportedLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language);
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  detectLanguage,
+  isSupportedLanguage
+};
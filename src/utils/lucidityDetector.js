@@ -0,0 +1,198 @@
+const { normalizePersian } = require('./persianText');
+
+/**
+ * Lucid dream detection
+ * Looks for the four signs of lucidity in a dream report, sentence by sentence:
+ * - awareness: the dreamer knows they are dreaming ("I realized I was dreaming")
+ * - realityCheck: a test of the dream's reality done in the dream ("I pinched my nose")
+ * - control: deliberately steering the dream ("I decided to fly", "I realized I was dreaming and decided to...")
+ * - falseAwakening: dreaming of waking up ("I woke up, but I was still dreaming")
+ * Every match is kept as evidence with its sentence, so the score can be explained.
+ * Awareness is what makes a dream lucid; the other signs alone make it pre-lucid.
+ */
+
+// Score points of the first match of each sign; further matches add half as much, up to 1.5x
+const SIGN_WEIGHTS = {
+  awareness: 50,
+  realityCheck: 20,
+  control: 20,
+  falseAwakening: 10
+};
+
+const SIGNS = Object.keys(SIGN_WEIGHTS);
+
+// Start of a Persian word (JavaScript's \b only knows ASCII letters)
+const FA = '(?:^|[\\s،؛«(])';
+
+const PATTERNS = {
+  en: {
+    awareness: [
+      /\b(?:i|we|and)\s+(?:suddenly\s+|finally\s+|then\s+)?(?:realized|realised|realize|realise|knew|know|understood|understand|noticed|notice|recognized|recognised|became aware|was aware|remembered)\s+(?:that\s+)?(?:i|we|this|it)\s*(?:was|were|'m|am|is|'s|must be|must have been)\s+(?:just\s+|only\s+|all\s+)?(?:a\s+|in\s+a\s+|having\s+a\s+)?(?:dream(?:ing)?|lucid)\b/i,
+      /\b(?:this|it)\s+(?:is|was|must be|must have been|had to be)\s+(?:just\s+|only\s+|all\s+)?a\s+dream\b/i,
+      // Present tense only: "I was dreaming about..." is how most reports begin
+      /\bi\s*(?:'m|am)\s+(?:dreaming|in\s+a\s+dream)\b(?!\s+(?:of|about|that)\b)/i,
+      /\b(?:became|went|got|was|felt)\s+(?:fully\s+|completely\s+|totally\s+|very\s+)?lucid\b/i,
+      /\blucid\s+dream/i
+    ],
+    realityCheck: [
+      /\breality[\s-]?checks?\b/i,
+      /\b(?:pinched|pinch|plugged|held|closed)\s+my\s+nose\b/i,
+      /\b(?:looked|look|stared)\s+at\s+my\s+(?:hands|fingers|palms?)\b/i,
+      /\b(?:counted|count|checked)\s+my\s+fingers\b/i,
+      /\b(?:pushed|poked|put)\s+my\s+finger\s+(?:through|into)\s+my\s+(?:palm|hand)\b/i,
+      /\b(?:read|re-?read|looked at)\s+(?:the|a|my)\s+(?:text|sign|clock|watch|page|words|time)\b[^.!?]*\b(?:again|twice|changed|different)\b/i,
+      /\b(?:flipped|tried|flicked)\s+(?:the|a)\s+light\s+switch\b/i,
+      /\b(?:test(?:ed)?|check(?:ed)?)\s+(?:if|whether)\s+(?:i|this|it)\s+(?:was|am|is)\s+(?:a\s+)?dream/i
+    ],
+    control: [
+      // A decision only counts when it acts on the dream ("I decided to fly", not "to go to the store")
+      /\b(?:i|and)\s+(?:decided|chose|tried|willed myself|made myself|commanded myself)\s+to\s+(?:fly|float|levitate|hover|teleport|summon|conjure|transform|change\s+the\s+(?:scene|dream|setting)|walk\s+through|pass\s+through|breathe\s+underwater)\b/i,
+      // ...or when it follows the realization of dreaming in the same sentence
+      /\b(?:realized|realised|knew|understood|noticed|recognized|recognised|became aware)\s+(?:that\s+)?(?:i|we|this|it)\s*(?:was|were|'m|am|is|'s)\s+(?:just\s+|only\s+)?(?:a\s+|in\s+a\s+)?(?:dream(?:ing)?|lucid)\b[^.!?]*\b(?:and|so)\s+(?:then\s+)?(?:i\s+)?(?:decided|chose|willed myself|made myself|commanded myself)\s+to\s+\w+/i,
+      /\b(?:i|and)\s+(?:summoned|conjured|manifested|willed)\b/i,
+      /\b(?:i|and)\s+made\s+(?:the|it|him|her|them|everything|a|an)\b[^.!?]*\b(?:appear|disappear|vanish|change|stop|transform|fly|float)\b/i,
+      /\b(?:i|and)\s+(?:changed|switched)\s+the\s+(?:scene|dream|setting)\b/i,
+      /\b(?:spun|spin|spinning|rubbed my hands)\b[^.!?]*\b(?:stabili[sz]e|stay in the dream|keep the dream)\b/i
+    ],
+    falseAwakening: [
+      /\bfalse\s+awakening/i,
+      /\b(?:woke|wake|waking)\s+up\b[^.!?]*\b(?:but|only to|yet)\b[^.!?]*\b(?:still|again)\b[^.!?]*\b(?:dream(?:ing)?|asleep)\b/i,
+      /\b(?:thought|believed)\s+(?:that\s+)?i\s+(?:had\s+)?(?:woken|woke|awoke)\s+up\b/i,
+      /\bdreamt?\s+(?:that\s+)?i\s+(?:woke|was waking)\s+up\b/i
+    ]
+  },
+  fa: {
+    awareness: [
+      new RegExp(`${FA}(?:فهمیدم|متوجه شدم|می‌دانستم|می‌دونستم|یادم آمد|آگاه شدم|دریافتم)\\s+(?:که\\s+)?(?:دارم\\s+)?(?:خواب\\s+می‌بینم|خواب\\s+هستم|در\\s+خوابم|خواب\\s+است|خواب\\s+بود|رویا\\s+می‌بینم|رویاست|رویا\\s+بود)`),
+      new RegExp(`${FA}این\\s+(?:فقط\\s+|همه‌اش\\s+)?(?:یک\\s+)?(?:خواب|رویا)\\s*(?:است|بود|ه|ست)`),
+      new RegExp(`${FA}(?:خواب|رویای)\\s+(?:آگاهانه|شفاف|روشن)`)
+    ],
+    realityCheck: [
+      new RegExp(`${FA}(?:تست|چک|آزمون|آزمایش)\\s+واقعیت`),
+      new RegExp(`${FA}(?:دماغم|بینی‌ام|بینیم)\\s+را\\s+(?:گرفتم|بستم)`),
+      new RegExp(`${FA}به\\s+(?:دست‌هایم|دستهایم|دست‌هام|دستانم|انگشت‌هایم)\\s+نگاه\\s+کردم`),
+      new RegExp(`${FA}(?:انگشت‌هایم|انگشتانم|انگشتهایم)\\s+را\\s+شمردم`)
+    ],
+    control: [
+      new RegExp(`${FA}تصمیم\\s+گرفتم\\s+(?:که\\s+)?(?:پرواز|شناور|ظاهر|ناپدید|صحنه|خواب|رویا|از\\s+دیوار)`),
+      new RegExp(`${FA}(?:فهمیدم|متوجه شدم|آگاه شدم|دریافتم)\\s+(?:که\\s+)?(?:دارم\\s+)?(?:خواب|رویا)[^.!?؟]*\\sو\\s+تصمیم\\s+گرفتم`),
+      new RegExp(`${FA}اراده\\s+کردم`),
+      new RegExp(`${FA}(?:صحنه|خواب|رویا)\\s+را\\s+(?:عوض|تغییر)\\s+دادم`)
+    ],
+    falseAwakening: [
+      new RegExp(`${FA}بیداری\\s+کاذب`),
+      new RegExp(`${FA}بیدار\\s+شدم\\s+(?:ولی|اما)\\s+هنوز\\s+(?:در\\s+)?(?:خواب|رویا)`),
+      new RegExp(`${FA}فکر\\s+کردم\\s+(?:که\\s+)?بیدار\\s+(?:شده‌ام|شدم)`)
+    ]
+  }
+};
+
+// Words that cancel an English sign when they come shortly before it ("I never realized...")
+const NEGATION = /\b(?:not|never|no longer|didn't|did not|don't|wasn't|couldn't|hadn't|doesn't)\s+(?:\w+\s+){0,2}$/i;
+
+// Wishes and plans earlier in the sentence make awareness hypothetical ("I want to have a lucid dream")
+const HYPOTHETICAL = {
+  en: /\b(?:want(?:ed|s)?\s+to|wish|hope[ds]?|hoping|try(?:ing)?\s+to|tried\s+to|plan(?:ned|ning|s)?\s+to|would\s+(?:like|love)\s+to|someday|some\s+day|one\s+day|never)\b/i,
+  fa: new RegExp(`${FA}(?:می‌خواهم|می‌خواستم|میخواهم|دوست\\s+دارم|امیدوارم|آرزو|سعی|روزی|هیچ‌وقت|هرگز)`)
+};
+
+/**
+ * Split text into sentences, keeping their offsets
+ * @param {string} text - Text
+ * @returns {Array} [{ text, start }]
+ */
+function sentencesWithOffsets(text) {
+  const sentences = [];
+  const pattern = /[^.!?؟\n]+[.!?؟]*/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const trimmed = match[0].trim();
+    if (trimmed) {
+      sentences.push({ text: trimmed, start: match.index + match[0].indexOf(trimmed) });
+    }
+  }
+  return sentences;
+}
+
+/**
+ * Score the evidence for each sign
+ * @param {Array} evidence - Evidence entries (negated entries score nothing)
+ * @returns {Object} { score, signals } where signals counts the matches of each sign
+ */
+function scoreEvidence(evidence) {
+  const signals = Object.fromEntries(SIGNS.map(sign => [sign, 0]));
+  evidence.filter(entry => !entry.negated).forEach(entry => { signals[entry.type] += 1; });
+
+  const score = SIGNS.reduce((sum, sign) => {
+    const count = signals[sign];
+    if (count === 0) return sum;
+    const weight = SIGN_WEIGHTS[sign];
+    return sum + Math.min(weight * 1.5, weight + (count - 1) * weight / 2);
+  }, 0);
+
+  return { score: Math.min(100, Math.round(score)), signals };
+}
+
+/**
+ * Detect lucidity in a dream report
+ * @param {string} text - Dream content
+ * @param {Object} options - { language: 'en' | 'fa' }
+ * @returns {Object} { score, level, isLucid, suggestedRating, signals, evidence }
+ *   level is lucid (aware of dreaming), prelucid (other signs only) or none;
+ *   suggestedRating is a lucidity rating (0-4) for the dreamer to confirm.
+ */
+function detectLucidity(text, { language = 'en' } = {}) {
+  const patterns = PATTERNS[language] || PATTERNS.en;
+  const source = language === 'fa' ? normalizePersian(text || '') : (text || '');
+  const evidence = [];
+
+  sentencesWithOffsets(source).forEach(sentence => {
+    SIGNS.forEach(type => {
+      for (const pattern of patterns[type]) {
+        const match = pattern.exec(sentence.text);
+        if (!match) continue;
+
+        const phrase = match[0].replace(/^[\s،؛«(]+/, '');
+        const offset = match.index + match[0].indexOf(phrase);
+        const before = sentence.text.slice(0, offset);
+        const negated = (language !== 'fa' && NEGATION.test(before)) ||
+          (type === 'awareness' && (HYPOTHETICAL[language] || HYPOTHETICAL.en).test(before));
+
+        evidence.push({
+          type,
+          sentence: sentence.text,
+          match: phrase,
+          start: sentence.start + offset,
+          end: sentence.start + offset + phrase.length,
+          negated
+        });
+        // One piece of evidence per sign and sentence
+        break;
+      }
+    });
+  });
+
+  const { score, signals } = scoreEvidence(evidence);
+  const level = signals.awareness > 0 ? 'lucid' : score > 0 ? 'prelucid' : 'none';
+
+  let suggestedRating = 0;
+  if (level === 'lucid') {
+    suggestedRating = signals.control > 0 ? 4 : 3;
+  } else if (level === 'prelucid') {
+    suggestedRating = 1;
+  }
+
+  return {
+    score,
+    level,
+    isLucid: level === 'lucid',
+    suggestedRating,
+    signals,
+    evidence: evidence.sort((a, b) => a.start - b.start)
+  };
+}
+
+module.exports = {
+  SIGN_WEIGHTS,
+  detectLucidity
+};
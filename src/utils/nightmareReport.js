@@ -0,0 +1,152 @@
+const { DAY_MS, WEEK_MS } = require('./dates');
+const { round } = require('./numbers');
+
+/**
+ * Nightmare report of an Imagery Rehearsal Therapy treatment
+ * The treatment starts with the first rescript. Week by week, the report counts
+ * the nightmares recorded and their emotional intensity (the dreamer's rating),
+ * next to the rehearsals done and the distress they were rated with. The weeks
+ * before the treatment are the baseline the treatment is compared with.
+ * Frequencies are divided by the days a period actually covers, so a week that has
+ * just begun or a journal started during the baseline does not dilute them.
+ */
+
+// Weeks before the treatment used as the baseline by default
+const DEFAULT_BASELINE_WEEKS = 4;
+
+/**
+ * Average of the numbers in a list
+ * @param {Array} values - Numbers (others are skipped)
+ * @returns {number|null} Average, or null when there is no number
+ */
+function average(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  return numbers.length > 0 ? round(numbers.reduce((sum, value) => sum + value, 0) / numbers.length) : null;
+}
+
+/**
+ * Emotional intensity the dreamer rated a nightmare with
+ * @param {Object} dream - Dream ({ ratings })
+ * @returns {number|null}
+ */
+const intensityOf = dream => (dream.ratings && typeof dream.ratings.emotionalIntensity === 'number'
+  ? dream.ratings.emotionalIntensity
+  : null);
+
+/**
+ * Nightmare frequency and intensity over a number of days
+ * @param {Array} nightmares - Nightmares of the period
+ * @param {number} days - Days the period covers
+ * @returns {Object} { days, weeks, nightmares, perWeek, averageIntensity }
+ */
+function summarizeNightmares(nightmares, days) {
+  return {
+    days,
+    weeks: round(days / 7),
+    nightmares: nightmares.length,
+    perWeek: days > 0 ? round(nightmares.length / (days / 7)) : null,
+    averageIntensity: average(nightmares.map(intensityOf))
+  };
+}
+
+/**
+ * Rehearsal count and average distress
+ * @param {Array} rehearsals - Rehearsals ({ distressBefore, distressAfter })
+ * @returns {Object} { rehearsals, averageDistressBefore, averageDistressAfter }
+ */
+function summarizeRehearsals(rehearsals) {
+  return {
+    rehearsals: rehearsals.length,
+    averageDistressBefore: average(rehearsals.map(rehearsal => rehearsal.distressBefore)),
+    averageDistressAfter: average(rehearsals.map(rehearsal => rehearsal.distressAfter))
+  };
+}
+
+/**
+ * Build the nightmare report of a treatment
+ * @param {Array} nightmares - The user's nightmares ({ date, ratings })
+ * @param {Array} rescripts - Rescripts of the treatment ({ startedAt, rehearsals })
+ * @param {Object} options - { now, baselineWeeks, journalStart }; journalStart is the date
+ *   of the first journal entry, the baseline does not reach back before it
+ * @returns {Object} { startedAt, baseline, treatment, weeks }; without rescripts
+ *   the treatment has not started and only `startedAt: null` and empty weeks are returned.
+ *   The baseline is null when the journal covers none of it.
+ */
+function computeNightmareReport(nightmares, rescripts, {
+  now = new Date(),
+  baselineWeeks = DEFAULT_BASELINE_WEEKS,
+  journalStart = null
+} = {}) {
+  if (rescripts.length === 0) {
+    return { startedAt: null, baseline: null, treatment: null, weeks: [] };
+  }
+
+  // The treatment starts on the day of the first rescript
+  const start = Math.floor(Math.min(...rescripts.map(rescript => new Date(rescript.startedAt).getTime())) / DAY_MS) * DAY_MS;
+  // Days since then, today included
+  const treatmentDays = Math.max(Math.floor((now.getTime() - start) / DAY_MS) + 1, 1);
+  const weekCount = Math.ceil(treatmentDays / 7);
+  const weekOf = date => Math.floor((new Date(date).getTime() - start) / WEEK_MS);
+
+  // The baseline starts with the journal when it was started later
+  const journalDay = journalStart ? Math.floor(new Date(journalStart).getTime() / DAY_MS) * DAY_MS : -Infinity;
+  const baselineStart = Math.max(start - baselineWeeks * WEEK_MS, journalDay);
+  const baselineDays = Math.max(Math.round((start - baselineStart) / DAY_MS), 0);
+  const beforeTreatment = nightmares.filter(dream => {
+    const time = new Date(dream.date).getTime();
+    return time >= baselineStart && time < start;
+  });
+
+  const weeks = Array.from({ length: weekCount }, (_, index) => ({
+    week: index + 1,
+    from: new Date(start + index * WEEK_MS),
+    to: new Date(start + (index + 1) * WEEK_MS),
+    days: Math.min(treatmentDays - index * 7, 7),
+    nightmares: [],
+    rehearsals: []
+  }));
+
+  nightmares.forEach(dream => {
+    const week = weeks[weekOf(dream.date)];
+    if (week) week.nightmares.push(dream);
+  });
+
+  const rehearsals = rescripts.flatMap(rescript => rescript.rehearsals);
+  rehearsals.forEach(rehearsal => {
+    const week = weeks[weekOf(rehearsal.date)];
+    if (week) week.rehearsals.push(rehearsal);
+  });
+
+  const baseline = baselineDays > 0 ? summarizeNightmares(beforeTreatment, baselineDays) : null;
+  const treatmentNightmares = weeks.flatMap(week => week.nightmares);
+  const treatment = {
+    ...summarizeNightmares(treatmentNightmares, treatmentDays),
+    ...summarizeRehearsals(weeks.flatMap(week => week.rehearsals))
+  };
+
+  // Change from the baseline (negative: fewer or milder nightmares)
+  treatment.frequencyChange = baseline ? round(treatment.perWeek - baseline.perWeek) : null;
+  treatment.intensityChange = baseline && baseline.averageIntensity !== null && treatment.averageIntensity !== null
+    ? round(treatment.averageIntensity - baseline.averageIntensity)
+    : null;
+
+  return {
+    startedAt: new Date(start),
+    baseline,
+    treatment,
+    weeks: weeks.map(week => ({
+      week: week.week,
+      from: week.from,
+      to: week.to,
+      days: week.days,
+      nightmares: week.nightmares.length,
+      averageIntensity: average(week.nightmares.map(intensityOf)),
+      ...summarizeRehearsals(week.rehearsals)
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_BASELINE_WEEKS,
+  computeNightmareReport
+};
@@ -0,0 +1,194 @@
+const hvdcNorms = require('./hvdcNorms');
+
+/**
+ * Comparison of a coded dream journal against normative data
+ * Effect sizes are Cohen's h, the difference between arcsine-transformed
+ * proportions: h = 2·asin(√p1) − 2·asin(√p2). The A/C, F/C and S/C indices are
+ * treated as proportions too (capped at 1), as in the HVdC literature.
+ * Significance comes from the same transform: 2·asin(√p) has variance 1/n, so with
+ * the norms taken as population values z = h·√n, where n is the user's base for
+ * the category (e.g. the number of characters for the male/female percentage).
+ */
+
+const NORM_SETS = Object.keys(hvdcNorms);
+
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Cohen's conventional thresholds for |h|
+const EFFECT_SIZES = [
+  { name: 'large', min: 0.8 },
+  { name: 'medium', min: 0.5 },
+  { name: 'small', min: 0.2 },
+  { name: 'negligible', min: 0 }
+];
+
+// Base (n) of each category, from the journal's count tables
+const CATEGORY_BASES = {
+  'characters.maleFemalePercent': ({ counts }) => counts.characters.male + counts.characters.female,
+  'characters.familiarityPercent': ({ counts }) => counts.characters.familiar + counts.characters.unfamiliar,
+  'characters.friendsPercent': ({ counts }) => counts.characters.human,
+  'characters.familyPercent': ({ counts }) => counts.characters.human,
+  'characters.animalPercent': ({ counts }) => counts.characters.total,
+  'socialInteractions.aggressionFriendlinessPercent': ({ counts }) =>
+    counts.aggression.total + counts.friendliness.total,
+  'socialInteractions.befrienderPercent': ({ counts }) =>
+    counts.friendliness.dreamerBefriender + counts.friendliness.dreamerBefriended,
+  'socialInteractions.aggressorPercent': ({ counts }) =>
+    counts.aggression.dreamerAggressor + counts.aggression.dreamerVictim,
+  'socialInteractions.physicalAggressionPercent': ({ counts }) => counts.aggression.total,
+  'socialInteractions.acIndex': ({ counts }) => counts.characters.total,
+  'socialInteractions.fcIndex': ({ counts }) => counts.characters.total,
+  'socialInteractions.scIndex': ({ counts }) => counts.characters.total,
+  'selfConcept.selfNegativityPercent': ({ counts }) =>
+    counts.aggression.dreamerVictim + counts.misfortunes.dreamer + counts.failures.dreamer +
+    counts.friendliness.dreamerBefriended + counts.goodFortunes.dreamer + counts.successes.dreamer,
+  'selfConcept.bodilyMisfortunesPercent': ({ counts }) => counts.misfortunes.total,
+  'selfConcept.dreamerSuccessPercent': ({ counts }) => counts.successes.dreamer + counts.failures.dreamer,
+  'settings.indoorPercent': ({ counts }) => counts.settings.indoor + counts.settings.outdoor,
+  'settings.familiarPercent': ({ counts }) =>
+    counts.settings.familiar + counts.settings.unfamiliar + counts.settings.geographical,
+  'dreamsWithAtLeastOne.aggression': ({ dreams }) => dreams,
+  'dreamsWithAtLeastOne.friendliness': ({ dreams }) => dreams,
+  'dreamsWithAtLeastOne.sexuality': ({ dreams }) => dreams,
+  'dreamsWithAtLeastOne.misfortune': ({ dreams }) => dreams,
+  'dreamsWithAtLeastOne.goodFortune': ({ dreams }) => dreams,
+  'dreamsWithAtLeastOne.success': ({ dreams }) => dreams,
+  'dreamsWithAtLeastOne.failure': ({ dreams }) => dreams
+};
+
+/**
+ * Whether a category is an index (interactions per character) rather than a percentage
+ * @param {string} category - Category key
+ * @returns {boolean}
+ */
+function isIndex(category) {
+  return /Index$/.test(category);
+}
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} source - Object to read
+ * @param {string} path - Dotted path
+ * @returns {*}
+ */
+function readPath(source, path) {
+  return path.split('.').reduce((node, part) => (node == null ? undefined : node[part]), source);
+}
+
+/**
+ * Cohen's h between two proportions
+ * @param {number} p1 - First proportion (0-1)
+ * @param {number} p2 - Second proportion (0-1)
+ * @returns {number}
+ */
+function cohensH(p1, p2) {
+  const transform = p => 2 * Math.asin(Math.sqrt(Math.min(Math.max(p, 0), 1)));
+  return transform(p1) - transform(p2);
+}
+
+/**
+ * Error function (Abramowitz and Stegun 7.1.26, absolute error below 1.5e-7)
+ * @param {number} x - Argument
+ * @returns {number}
+ */
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+    t * Math.exp(-x * x);
+  return sign * y;
+}
+
+/**
+ * Two-tailed p-value of a standard normal z score
+ * @param {number} z - z score
+ * @returns {number}
+ */
+function twoTailedP(z) {
+  return 1 - erf(Math.abs(z) / Math.SQRT2);
+}
+
+/**
+ * Conventional name of an effect size
+ * @param {number} h - Cohen's h
+ * @returns {string}
+ */
+function effectSizeName(h) {
+  return EFFECT_SIZES.find(size => Math.abs(h) >= size.min).name;
+}
+
+/**
+ * Compare one category of a journal summary with a norm value
+ * @param {string} category - Category key (path into the summary's indices)
+ * @param {Object} summary - Journal summary from summarizeContentCodings
+ * @param {number} normValue - Norm value (a percentage, or interactions per character for the indices)
+ * @returns {Object} Comparison of the category
+ */
+function compareCategory(category, summary, normValue) {
+  const [area] = category.split('.');
+  const source = area === 'dreamsWithAtLeastOne' ? summary : summary.indices;
+  const value = readPath(source, category);
+  const base = CATEGORY_BASES[category](summary);
+  const scale = isIndex(category) ? 1 : 100;
+
+  const comparison = {
+    category,
+    area,
+    value: value === undefined ? null : value,
+    norm: normValue,
+    difference: null,
+    base,
+    h: null,
+    effectSize: null,
+    z: null,
+    p: null,
+    significant: false
+  };
+
+  if (value === null || value === undefined || !base) {
+    return comparison;
+  }
+
+  const h = cohensH(value / scale, normValue / scale);
+  const z = h * Math.sqrt(base);
+  const p = twoTailedP(z);
+
+  return {
+    ...comparison,
+    difference: Math.round((value - normValue) * 100) / 100,
+    h: Math.round(h * 100) / 100,
+    effectSize: effectSizeName(h),
+    z: Math.round(z * 100) / 100,
+    p: Math.round(p * 10000) / 10000,
+    significant: p < SIGNIFICANCE_LEVEL
+  };
+}
+
+/**
+ * Compare a journal's HVdC profile with a normative data set
+ * @param {Object} summary - Journal summary from summarizeContentCodings
+ * @param {string} normSet - Name of the norm set (see NORM_SETS)
+ * @returns {Object} { norms, name, source, normDreams, categories }
+ */
+function compareWithNorms(summary, normSet) {
+  const norms = hvdcNorms[normSet];
+  if (!norms) {
+    throw new Error(`Unknown norm set "${normSet}"`);
+  }
+
+  return {
+    norms: normSet,
+    name: norms.name,
+    source: norms.source,
+    normDreams: norms.dreams,
+    categories: Object.entries(norms.values)
+      .map(([category, normValue]) => compareCategory(category, summary, normValue))
+  };
+}
+
+module.exports = {
+  NORM_SETS,
+  SIGNIFICANCE_LEVEL,
+  cohensH,
+  compareWithNorms
+};
@@ -0,0 +1,18 @@
+/**
+ * Number helpers for the statistics
+ */
+
+/**
+ * Round a number for reporting
+ * @param {number} value - Number
+ * @param {number} decimals - Decimal places (2 by default)
+ * @returns {number}
+ */
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+module.exports = {
+  round
+};
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Dream = require('../models/dream.model');
+
+/**
+ * Ownership checks shared by the controllers
+ * The helpers send the error response themselves and resolve to null when the
+ * request cannot go on, so a handler only has to return.
+ */
+
+/**
+ * Build a loader for documents that belong to a user
+ * The loader resolves to the document, or sends 400 for an invalid ID, 404 when
+ * there is no such document and 403 when it belongs to someone else.
+ * @param {Object} Model - Mongoose model with a `user` field
+ * @param {Object} options - Options
+ * @param {string} options.label - Name of the document in log messages
+ * @param {string} options.invalidIdKey - Catalog key of the invalid ID message
+ * @param {number} options.invalidIdStatus - Status sent for an invalid ID (400 by default)
+ * @param {string} options.notFoundKey - Catalog key of the 404 message
+ * @param {string} options.deniedKey - Catalog key of the default 403 message
+ * @returns {Function} async (req, res, id, deniedKey, fields) => document or null;
+ *   `fields` selects the fields to load (the whole document by default)
+ */
+function createOwnLoader(Model, { label, invalidIdKey, invalidIdStatus = 400, notFoundKey, deniedKey }) {
+  return async (req, res, id, denied = deniedKey, fields = null) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(invalidIdStatus).json({ message: req.t(invalidIdKey) });
+      return null;
+    }
+
+    const query = Model.findById(id);
+    if (fields) query.select(fields);
+    const document = await query;
+
+    if (!document) {
+      console.log(`${label} not found:`, id);
+      res.status(404).json({ message: req.t(notFoundKey) });
+      return null;
+    }
+
+    // Check if the document belongs to the current user
+    if (document.user.toString() !== req.user._id.toString()) {
+      console.log(`Unauthorized request for ${label.toLowerCase()}:`, id);
+      res.status(403).json({ message: req.t(denied) });
+      return null;
+    }
+
+    return document;
+  };
+}
+
+/**
+ * Check a list of dream IDs from a request body against the user's dreams
+ * Sends the 400 response itself and resolves to null when the list cannot be used.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array} dreamIds - Dream IDs
+ * @param {string} errorKey - Catalog key of the 400 message
+ * @returns {Promise<Array|null>} Unique dream IDs in the given order
+ */
+async function checkOwnDreams(req, res, dreamIds, errorKey) {
+  const ids = [...new Set(dreamIds.map(String))];
+
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    res.status(400).json({ message: req.t(errorKey) });
+    return null;
+  }
+
+  const found = await Dream.countDocuments({ _id: { $in: ids }, user: req.user._id });
+  if (found !== ids.length) {
+    res.status(400).json({ message: req.t(errorKey) });
+    return null;
+  }
+
+  return ids;
+}
+
+module.exports = {
+  createOwnLoader,
+  checkOwnDreams
+};
@@ -0,0 +1,281 @@
+const { emotionModel } = require('./emotionLexicon');
+const { ZWNJ, normalizePersian, persianStems } = require('./persianText');
+
+/**
+ * Persian emotion lexicon for Plutchik's eight emotions
+ * Mirrors utils/emotionLexicon (same emotions and intensity levels) so
+ * analyzeEmotions can run on Persian dreams. Persian differs from English in
+ * ways the analyzer has to know about:
+ *  - verbs carry negation as a prefix (نترسیدم "I wasn't afraid") and adjectives
+ *    are negated by the verb after them (خوشحال نبودم "I wasn't happy");
+ *  - subjects are often dropped, so the verb ending tells who felt the emotion
+ *    (ترسیدم "I was afraid", ترسید "he/she was afraid");
+ *  - possessives are suffixes (مادرم "my mother").
+ * Words are written in their base form; inflected forms are found through persianStems.
+ */
+
+const persianEmotionWords = {
+  joy: {
+    1: ['آرام', 'آرامش', 'راحت', 'آسوده', 'دلنشین', 'خرسند', 'راضی', 'سرحال', 'دلپذیر'],
+    2: ['خوشحال', 'شاد', 'شادی', 'خوش', 'خندان', 'خنده', 'لبخند', 'لذت', 'زیبا', 'قشنگ',
+      'آزاد', 'شادمان', 'سرزنده', 'مفتخر', 'افتخار'],
+    3: ['سرمست', 'وجد', 'شعف', 'سرخوش', 'سعادت', 'بهشتی', 'فوق‌العاده']
+  },
+  trust: {
+    1: ['امن', 'امنیت', 'آشنا', 'پذیرفته', 'خوشامد', 'اطمینان'],
+    2: ['اعتماد', 'مهربان', 'مهربانی', 'دوستانه', 'حمایت', 'وفادار', 'مطمئن', 'قدردان',
+      'آغوش', 'پشتیبانی', 'همراهی'],
+    3: ['عشق', 'عاشق', 'ستایش', 'تحسین', 'پرستش', 'دلبسته', 'شیفته']
+  },
+  fear: {
+    1: ['نگران', 'نگرانی', 'مضطرب', 'اضطراب', 'دلشوره', 'ناآرام', 'دستپاچه', 'تردید', 'استرس',
+      'بی‌قرار'],
+    2: ['ترس', 'ترسیده', 'ترسناک', 'خطر', 'خطرناک', 'تعقیب', 'پنهان', 'درمانده', 'بی‌پناه',
+      'مخوف', 'دلهره', 'ترسان'],
+    3: ['وحشت', 'وحشت‌زده', 'وحشتناک', 'هراس', 'هراسان', 'کابوس', 'فلج', 'جیغ', 'مرگبار',
+      'هولناک']
+  },
+  surprise: {
+    1: ['عجیب', 'غریب', 'ناآشنا', 'مرموز', 'ناشناخته', 'متفاوت', 'گیج‌کننده'],
+    2: ['تعجب', 'متعجب', 'گیج', 'سردرگم', 'ناگهان', 'یکهو', 'ناگهانی', 'غیرواقعی'],
+    3: ['حیرت', 'حیرت‌زده', 'شگفت‌زده', 'مبهوت', 'شوکه', 'باورنکردنی', 'شگفت‌انگیز']
+  },
+  sadness: {
+    1: ['دلتنگ', 'دلگیر', 'گرفته', 'مأیوس', 'مایوس', 'دلسرد', 'بی‌حس', 'نوستالژی'],
+    2: ['غم', 'غمگین', 'ناراحت', 'گریه', 'اشک', 'تنهایی', 'پشیمان', 'پشیمانی', 'رنج', 'درد',
+      'طردشده', 'بیچاره', 'گناه'],
+    3: ['اندوه', 'سوگ', 'عزا', 'ناامید', 'ناامیدی', 'افسرده', 'دلشکسته', 'ضجه', 'داغدار',
+      'نومید']
+  },
+  disgust: {
+    1: ['خسته', 'کسل', 'بی‌حوصله', 'بی‌تفاوت', 'یکنواخت'],
+    2: ['چندش', 'کثیف', 'شرمنده', 'خجالت', 'خجالت‌زده', 'بدبو', 'گندیده', 'کثافت', 'تهوع'],
+    3: ['انزجار', 'نفرت‌انگیز', 'مشمئز', 'منزجر', 'چندش‌آور', 'زننده']
+  },
+  anger: {
+    1: ['کلافه', 'دلخور', 'آزرده', 'حسود', 'حسادت', 'بی‌حوصلگی', 'ناکام'],
+    2: ['عصبانی', 'خشم', 'خشمگین', 'دعوا', 'فریاد', 'عصبانیت', 'کینه', 'تلخ'],
+    3: ['غضب', 'خشمناک', 'متنفر', 'نفرت', 'خشونت', 'برافروخته', 'جنون']
+  },
+  anticipation: {
+    1: ['کنجکاو', 'علاقه', 'منتظر', 'انتظار', 'جستجو', 'کنجکاوی'],
+    2: ['مشتاق', 'امیدوار', 'امید', 'هیجان', 'هیجان‌زده', 'آماده', 'پرانرژی', 'اشتیاق'],
+    3: ['مصمم', 'هوشیار', 'گوش‌به‌زنگ', 'متمرکز']
+  }
+};
+
+// Emotion verbs as [past stem, present stem]; only verbs take the negative prefix ن
+const persianEmotionVerbs = {
+  joy: { 2: [['خندید', 'خند']] },
+  fear: { 2: [['ترسید', 'ترس'], ['لرزید', 'لرز']], 3: [['هراسید', 'هراس']] },
+  sadness: { 2: [['گریست', null], ['رنجید', 'رنج']] },
+  anger: { 2: [['جنگید', 'جنگ']] }
+};
+
+// Light verbs and copulas that follow adjectives and nouns (ترسیده بودم, خوشحال شدم)
+const LIGHT_VERB_PAST_STEMS = ['بود', 'شد', 'کرد', 'داشت', 'گرفت', 'زد', 'گشت'];
+const LIGHT_VERB_PRESENT_STEMS = ['باش', 'شو', 'کن', 'دار', 'گیر', 'زن', 'هست'];
+
+// Personal endings of past and present verbs
+const PAST_ENDINGS = ['', 'م', 'ی', 'یم', 'ید', 'ند'];
+const PRESENT_ENDINGS = ['م', 'ی', 'د', 'یم', 'ید', 'ند'];
+
+// Endings that name the dreamer (first person singular and plural)
+const FIRST_PERSON_ENDINGS = ['م', 'یم'];
+
+// Words that negate an emotion word later in the same clause ("نه خوشحال بودم نه غمگین")
+const NEGATORS = ['نه', 'هیچ', 'هیچ‌وقت', 'هیچوقت', 'هرگز', 'بدون', 'بی'];
+
+// Modifiers that scale the emotion word right after them
+const INTENSIFIERS = {
+  'خیلی': 1.3, 'بسیار': 1.4, 'واقعا': 1.3, 'کاملا': 1.4, 'شدیدا': 1.5, 'فوق‌العاده': 1.5,
+  'بی‌نهایت': 1.5, 'سخت': 1.3, 'حسابی': 1.3, 'آنقدر': 1.3, 'اونقدر': 1.3, 'عمیقا': 1.4,
+  'بدجوری': 1.4, 'زیادی': 1.2, 'چنان': 1.3
+};
+
+const DIMINISHERS = {
+  'کمی': 0.6, 'اندکی': 0.6, 'یکم': 0.6, 'تقریبا': 0.5, 'نسبتا': 0.8, 'کمابیش': 0.6,
+  'یه کم': 0.6, 'یک کم': 0.6, 'یه ذره': 0.5, 'یک ذره': 0.5, 'به سختی': 0.4
+};
+
+// Clause boundaries (Persian punctuation is mapped to ASCII by the tokenizer)
+const CLAUSE_BREAKS = ['.', '!', '?', ';', ':', ',', 'اما', 'ولی', 'ولیکن', 'هرچند', 'گرچه',
+  'درحالیکه', 'درحالی‌که'];
+
+const SENTENCE_BREAKS = ['.', '!', '?'];
+
+// Who felt the emotion: the dreamer (first person) or another dream character
+const FIRST_PERSON = ['من', 'ما', 'خودم', 'خودمان', 'خودمون', 'مرا', 'منو', 'مارا'];
+
+const OTHER_PERSON = ['او', 'وی', 'اون', 'آنها', 'آن‌ها', 'اونها', 'اونا', 'ایشان', 'شما', 'تو',
+  'کسی', 'همه', 'مرد', 'زن', 'پسر', 'دختر', 'بچه', 'کودک', 'نوزاد', 'مادر', 'مامان', 'پدر',
+  'بابا', 'والدین', 'برادر', 'خواهر', 'مادربزرگ', 'پدربزرگ', 'عمو', 'دایی', 'خاله', 'عمه',
+  'دوست', 'رفیق', 'غریبه', 'مردم', 'جمعیت', 'معلم', 'رئیس', 'شوهر', 'همسر', 'نامزد',
+  'خانواده', 'همسایه', 'دکتر', 'پلیس', 'سرباز', 'هیولا', 'سگ', 'گربه'];
+
+// Possessives are suffixes in Persian (مادرم), so there are no possessive words
+const POSSESSIVES = [];
+
+// Object pronouns after the emotion word ("it scared me") do not occur in Persian word order
+const OBJECT_PRONOUNS = [];
+
+// Flattened word -> { emotion, level, verb } lookup
+const lexicon = {};
+const verbStems = { past: new Set(LIGHT_VERB_PAST_STEMS), present: new Set(LIGHT_VERB_PRESENT_STEMS) };
+
+Object.entries(persianEmotionWords).forEach(([emotion, levels]) => {
+  Object.entries(levels).forEach(([level, words]) => {
+    words.forEach(word => {
+      lexicon[normalizePersian(word)] = { emotion, level: Number(level), verb: false };
+    });
+  });
+});
+
+Object.entries(persianEmotionVerbs).forEach(([emotion, levels]) => {
+  Object.entries(levels).forEach(([level, verbs]) => {
+    verbs.forEach(([past, present]) => {
+      [past, present].filter(Boolean).forEach(stem => {
+        lexicon[stem] = { emotion, level: Number(level), verb: true };
+      });
+      verbStems.past.add(past);
+      if (present) verbStems.present.add(present);
+    });
+  });
+});
+
+// Negated light verbs that negate the adjective or noun before them (خوشحال نبودم, ترسی نداشتم)
+const NEGATED_LIGHT_VERBS = new Set();
+LIGHT_VERB_PAST_STEMS.forEach(stem => {
+  PAST_ENDINGS.forEach(ending => {
+    NEGATED_LIGHT_VERBS.add(`ن${stem}${ending}`);
+    NEGATED_LIGHT_VERBS.add(`نمی${ZWNJ}${stem}${ending}`);
+    NEGATED_LIGHT_VERBS.add(`نمی${stem}${ending}`);
+  });
+});
+LIGHT_VERB_PRESENT_STEMS.filter(stem => stem !== 'هست').forEach(stem => {
+  PRESENT_ENDINGS.forEach(ending => {
+    NEGATED_LIGHT_VERBS.add(`ن${stem}${ending}`);
+    NEGATED_LIGHT_VERBS.add(`نمی${ZWNJ}${stem}${ending}`);
+    NEGATED_LIGHT_VERBS.add(`نمی${stem}${ending}`);
+  });
+});
+['نیست', ...PRESENT_ENDINGS.map(ending => `نیست${ending}`)].forEach(form => NEGATED_LIGHT_VERBS.add(form));
+
+/**
+ * Find a word's lexicon entry through its candidate stems
+ * @param {string} word - Normalized word
+ * @returns {Object|null} Lexicon entry
+ */
+function findEntry(word) {
+  const stem = persianStems(word).find(candidate => lexicon[candidate]);
+  return stem ? lexicon[stem] : null;
+}
+
+/**
+ * Look up the emotion carried by a word
+ * Verbs with the negative prefix (نترسیدم, نمی‌ترسیدم) are returned with `negated: true`
+ * @param {string} word - Normalized word
+ * @returns {Object|null} { emotion, level, label, negated } or null when the word is not in the lexicon
+ */
+function lookupEmotion(word) {
+  let entry = findEntry(word);
+  let negated = false;
+
+  if (!entry && word.startsWith('ن') && word.length > 3) {
+    // نترسیدم → ترسیدم, نمی‌ترسیدم → می‌ترسیدم
+    const verbEntry = findEntry(word.slice(1));
+    if (verbEntry && verbEntry.verb) {
+      entry = verbEntry;
+      negated = true;
+    }
+  }
+
+  if (!entry) return null;
+
+  return {
+    emotion: entry.emotion,
+    level: entry.level,
+    label: emotionModel[entry.emotion].levels[entry.level - 1],
+    negated
+  };
+}
+
+/**
+ * Whether a word negates an emotion word later in its clause
+ * @param {string} word - Normalized word
+ * @returns {boolean}
+ */
+function isNegator(word) {
+  return NEGATORS.includes(word);
+}
+
+/**
+ * Whether a word negates the emotion word in front of it (خوشحال نبودم)
+ * @param {string} word - Normalized word
+ * @returns {boolean}
+ */
+function isTrailingNegator(word) {
+  return NEGATED_LIGHT_VERBS.has(word);
+}
+
+/**
+ * Whether a word refers to the dreamer or another dream character
+ * @param {string} word - Normalized word
+ * @returns {string|null} 'dreamer', 'other' or null
+ */
+function personOf(word) {
+  if (FIRST_PERSON.includes(word)) return 'dreamer';
+  if (persianStems(word).some(stem => OTHER_PERSON.includes(stem))) return 'other';
+  return null;
+}
+
+/**
+ * Who a verb's personal ending refers to: ترسیدم / بودیم → dreamer, ترسید / بودند → other
+ * @param {string} word - Normalized word
+ * @returns {string|null} 'dreamer', 'other' or null when the word is not a known verb form
+ */
+function verbPerson(word) {
+  if (word === 'است' || word === 'نیست') return 'other';
+
+  // Strip the continuous, negative and subjunctive prefixes (نیستم is the negative of هستم)
+  const forms = word.startsWith('نیست') ? [word, 'هست' + word.slice(4)] : [word];
+  ['نمی' + ZWNJ, 'می' + ZWNJ, 'نمی', 'می', 'ن', 'ب'].forEach(prefix => {
+    if (word.startsWith(prefix) && word.length - prefix.length >= 2) {
+      forms.push(word.slice(prefix.length));
+    }
+  });
+
+  for (const form of forms) {
+    // The bare past stem is the third person singular (ترسید "he/she was afraid")
+    if (verbStems.past.has(form)) return 'other';
+
+    for (const ending of ['یم', 'ید', 'ند', 'م', 'د']) {
+      if (!form.endsWith(ending)) continue;
+      const stem = form.slice(0, -ending.length);
+      const isPast = verbStems.past.has(stem) && ending !== 'د';
+      const isPresent = verbStems.present.has(stem);
+      if (isPast || isPresent) {
+        return FIRST_PERSON_ENDINGS.includes(ending) ? 'dreamer' : 'other';
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  NEGATORS,
+  INTENSIFIERS,
+  DIMINISHERS,
+  CLAUSE_BREAKS,
+  SENTENCE_BREAKS,
+  FIRST_PERSON,
+  OTHER_PERSON,
+  POSSESSIVES,
+  OBJECT_PRONOUNS,
+  lookupEmotion,
+  isNegator,
+  isTrailingNegator,
+  personOf,
+  verbPerson
+};
@@ -0,0 +1,171 @@
+/**
+ * Persian (Farsi) text helpers used by the analyzers
+ * Normalization, zero-width non-joiner (ZWNJ) handling, light stemming and stopwords.
+ * Persian is written right to left, but text is stored and processed in logical
+ * order, so offsets always refer to the original string and nothing here reorders it.
+ */
+
+// Zero-width non-joiner: joins affixes to a word without connecting the letters (می‌روم, کتاب‌ها)
+const ZWNJ = '\u200c';
+
+// Common Persian stopwords (normalized, affixes joined with ZWNJ)
+const PERSIAN_STOPWORDS = [
+  'از', 'به', 'با', 'در', 'بر', 'برای', 'که', 'و', 'یا', 'را', 'رو', 'تا', 'هم', 'نیز',
+  'این', 'آن', 'اون', 'این‌ها', 'آن‌ها', 'اینها', 'آنها', 'اونها', 'اونا', 'همین', 'همان',
+  'چنین', 'چنان', 'اینجا', 'آنجا', 'اونجا', 'اما', 'ولی', 'پس', 'اگر', 'چون', 'چه', 'چرا',
+  'کجا', 'کی', 'چی', 'چطور', 'چگونه', 'چند', 'همه', 'هر', 'هیچ', 'یک', 'یه', 'یکی', 'دو',
+  'سه', 'من', 'تو', 'او', 'ما', 'شما', 'ایشان', 'وی', 'خود', 'خودم', 'خودش', 'خودمان',
+  'مرا', 'منو', 'بود', 'بودم', 'بودی', 'بودیم', 'بودید', 'بودند', 'است', 'هست', 'هستم',
+  'هستیم', 'هستند', 'نیست', 'شد', 'شدم', 'شدیم', 'شدند', 'شود', 'شوم', 'بشود', 'می', 'نمی',
+  'کرد', 'کردم', 'کردیم', 'کردند', 'کن', 'کنم', 'کند', 'کنیم', 'کنند', 'داشت', 'داشتم',
+  'داشتیم', 'داشتند', 'دارم', 'دارد', 'داریم', 'دارند', 'باشد', 'باشم', 'باید', 'شاید',
+  'خیلی', 'بسیار', 'حتی', 'فقط', 'هنوز', 'دیگر', 'دیگه', 'دیگری', 'بعد', 'قبل', 'وقتی',
+  'زمانی', 'الان', 'اکنون', 'سپس', 'روی', 'زیر', 'کنار', 'پیش', 'توی', 'داخل', 'بیرون',
+  'سمت', 'طرف', 'مثل', 'مانند', 'درباره', 'بین', 'میان', 'جلوی', 'پشت', 'همراه', 'بدون',
+  'کسی', 'چیزی', 'جایی', 'یعنی', 'اینکه', 'آنکه', 'آره', 'بله', 'نه', 'ای', 'ام', 'اند',
+  'ها', 'های', 'تر', 'ترین', 'بی'
+];
+
+// Verb prefixes for the continuous and negative continuous (می‌رفتم, نمی‌رفتم)
+const VERB_PREFIXES = ['نمی' + ZWNJ, 'می' + ZWNJ, 'نمی', 'می'];
+
+// Prefixes sometimes written as separate words ("می ترسیدم")
+const DETACHED_PREFIXES = ['می', 'نمی'];
+
+// Plural, comparative and possessive suffixes sometimes written as separate words ("کتاب ها")
+const DETACHED_SUFFIXES = ['ها', 'های', 'هایی', 'هایم', 'هایت', 'هایش', 'هایمان', 'هایتان',
+  'هایشان', 'تر', 'ترین'];
+
+// Inflectional suffixes (plural, comparative, possessive, personal endings), longest first
+const SUFFIXES = ['هایمان', 'هایتان', 'هایشان', 'هایم', 'هایت', 'هایش', 'هایی', 'های', 'ها',
+  'ترین', 'تر', 'ایم', 'اید', 'اند', 'مان', 'تان', 'شان', 'یم', 'ید', 'ند', 'ام', 'ات', 'اش',
+  'ای', 'م', 'ی', 'ه'];
+
+/**
+ * Normalize Persian text: Arabic letter variants to their Persian forms,
+ * diacritics and tatweel removed, zero-width joiners unified to ZWNJ.
+ * Every replacement keeps or removes single characters, so it is safe on tokens.
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizePersian(text) {
+  if (!text) return '';
+
+  return text
+    .replace(/[\u064a\u0649]/g, '\u06cc')   // Arabic yeh, alef maksura → Persian yeh
+    .replace(/\u0643/g, '\u06a9')           // Arabic kaf → Persian keheh
+    .replace(/[\u0629\u06c0]/g, '\u0647')   // teh marbuta, heh with yeh → heh
+    .replace(/[\u0623\u0625]/g, '\u0627')   // alef with hamza → alef
+    .replace(/[\u064b-\u065f\u0670\u0640]/g, '') // diacritics, superscript alef, tatweel
+    .replace(/\u200d/g, ZWNJ)
+    .replace(/\u200c{2,}/g, ZWNJ);
+}
+
+/**
+ * Join verb prefixes and plural/comparative suffixes that were typed as
+ * separate words to their word ("می ترسیدم" → "می‌ترسیدم", "کتاب ها" → "کتاب‌ها")
+ * @param {Array} tokens - Tokens from tokenizeWithOffsets (normalized text)
+ * @returns {Array} Tokens with affixes merged and word positions renumbered
+ */
+function mergeDetachedAffixes(tokens) {
+  const merged = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const next = tokens[i + 1];
+    const previous = merged[merged.length - 1];
+
+    if (token.isWord && next && next.isWord && DETACHED_PREFIXES.includes(token.text)) {
+      merged.push({ ...next, text: token.text + ZWNJ + next.text, start: token.start });
+      i++;
+    } else if (token.isWord && previous && previous.isWord && DETACHED_SUFFIXES.includes(token.text)) {
+      previous.text = previous.text + ZWNJ + token.text;
+      previous.end = token.end;
+    } else {
+      merged.push({ ...token });
+    }
+  }
+
+  let position = 0;
+  merged.forEach(token => {
+    token.position = token.isWord ? position++ : null;
+  });
+
+  return merged;
+}
+
+/**
+ * Remove the continuous verb prefix (می‌رفتم → رفتم)
+ * @param {string} word - Normalized word
+ * @returns {string} The word without the prefix
+ */
+function stripVerbPrefix(word) {
+  const prefix = VERB_PREFIXES.find(p => word.startsWith(p) && word.length - p.length >= 2);
+  return prefix ? word.slice(prefix.length) : word;
+}
+
+/**
+ * Remove one inflectional suffix, attached directly or after a ZWNJ
+ * Single-letter suffixes need a stem of at least three letters ("آبی" stays "آبی")
+ * @param {string} word - Normalized word
+ * @returns {string|null} The word without the suffix, or null when there is none
+ */
+function stripSuffix(word) {
+  const joiner = word.lastIndexOf(ZWNJ);
+  if (joiner > 0 && SUFFIXES.includes(word.slice(joiner + 1))) {
+    return word.slice(0, joiner);
+  }
+
+  const suffix = SUFFIXES.find(s =>
+    word.endsWith(s) && word.length - s.length >= (s.length > 1 ? 2 : 3)
+  );
+  return suffix ? word.slice(0, -suffix.length) : null;
+}
+
+/**
+ * Dictionary form of a word: infinitives become their past stem (افتادن → افتاد)
+ * @param {string} word - Normalized word
+ * @returns {string} Lemma
+ */
+function persianLemma(word) {
+  return word.length > 3 && /[دت]ن$/.test(word) ? word.slice(0, -1) : word;
+}
+
+/**
+ * Candidate stems of a word, from the word itself to its most stripped form
+ * (e.g. "می‌ترسیدیم" → می‌ترسیدیم, ترسیدیم, ترسید, ترس). Callers look each
+ * candidate up in a lexicon, so over-stripping only adds candidates that never match.
+ * @param {string} word - Normalized word
+ * @returns {Array} Candidate stems
+ */
+function persianStems(word) {
+  const stems = [word];
+  const add = stem => {
+    if (stem && !stems.includes(stem)) stems.push(stem);
+  };
+
+  let base = stripVerbPrefix(word);
+  add(base);
+
+  add(persianLemma(base));
+
+  // Up to two suffixes ("دندان‌هایم" → دندان, "ترسیده‌ام" → ترسیده → ترسید)
+  for (let pass = 0; pass < 2; pass++) {
+    const stripped = stripSuffix(base);
+    if (!stripped) break;
+    base = stripped;
+    add(base);
+  }
+
+  return stems;
+}
+
+module.exports = {
+  ZWNJ,
+  PERSIAN_STOPWORDS,
+  normalizePersian,
+  mergeDetachedAffixes,
+  stripVerbPrefix,
+  persianLemma,
+  persianStems
+};
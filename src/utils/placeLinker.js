@@ -0,0 +1,218 @@
+const Place = require('../models/place.model');
+const Dream = require('../models/dream.model');
+
+/**
+ * Links the places of analyzed dreams to the user's place registry, so a
+ * recurring dream place can be followed across dreams. A dream's places are its
+ * coded settings (utils/contentCoding), by their phrase ("grandma's basement"),
+ * and the named places found by the entities stage ("Paris"). A place is linked
+ * to the registry place that has its phrase as an alias; unknown phrases become
+ * new, unconfirmed places that the user can confirm, rename or merge.
+ */
+
+/**
+ * Capitalize the first letter of a phrase
+ * @param {string} phrase - Phrase
+ * @returns {string}
+ */
+function capitalize(phrase) {
+  return phrase.charAt(0).toUpperCase() + phrase.slice(1);
+}
+
+/**
+ * Normalize a place phrase the way aliases are stored
+ * @param {string} text - Phrase
+ * @returns {string}
+ */
+function normalizePhrase(text) {
+  return String(text).toLowerCase().replace(/[^\p{L}\p{N}\s'-]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The places of a dream, one per phrase
+ * @param {Object|null} contentCoding - Content coding of the dream
+ * @param {Array} entities - Entities from the entities stage
+ * @returns {Array} Places as { phrase, location, familiarity }
+ */
+function dreamPlaces(contentCoding, entities = []) {
+  const places = new Map();
+
+  ((contentCoding && contentCoding.settings) || []).forEach(setting => {
+    const phrase = normalizePhrase(setting.phrase || setting.word);
+    if (phrase && !places.has(phrase)) {
+      places.set(phrase, { phrase, location: setting.location, familiarity: setting.familiarity });
+    }
+  });
+
+  // Named places the coder did not take as settings (no "in"/"at" before them)
+  entities
+    .filter(entity => entity.type === 'place')
+    .forEach(entity => {
+      const phrase = normalizePhrase(entity.text);
+      if (phrase && !places.has(phrase)) {
+        places.set(phrase, { phrase, location: 'ambiguous', familiarity: 'geographical' });
+      }
+    });
+
+  return Array.from(places.values());
+}
+
+/**
+ * Add a dream to a place's appearances
+ * @param {Object} place - Place document
+ * @param {Object} dream - Dream ({ _id, date })
+ * @param {string} mention - Phrase the dream used
+ * @returns {boolean} Whether the place changed (false for dreams the user unlinked)
+ */
+function addAppearance(place, dream, mention) {
+  if (place.dismissedDreams.some(id => id.equals(dream._id))) {
+    return false;
+  }
+  if (place.appearances.some(appearance => appearance.dream.equals(dream._id))) {
+    return false;
+  }
+
+  place.appearances.push({ dream: dream._id, date: dream.date, mention, source: 'analysis' });
+  return true;
+}
+
+/**
+ * Save a place the linker changed
+ * A new place can lose the race for its alias to another worker linking a dream
+ * at the same time (duplicate key); the dream then goes to the place that worker
+ * created.
+ * @param {Object} place - Place document
+ * @param {Object} dream - Dream ({ _id, date })
+ * @returns {Promise<Object>} The saved place
+ */
+async function savePlace(place, dream) {
+  const isNew = place.isNew;
+
+  try {
+    return await place.save();
+  } catch (error) {
+    if (error.code !== 11000 || !isNew) throw error;
+
+    const existing = await Place.findOne({ user: place.user, aliases: { $in: place.aliases } });
+    if (!existing) throw error;
+
+    if (addAppearance(existing, dream, place.appearances[0].mention)) {
+      await existing.save();
+    }
+    return existing;
+  }
+}
+
+/**
+ * Link a dream's places to the user's registry
+ * Replaces the dream's earlier automatic links, so re-analysis does not duplicate
+ * appearances; links the user made by hand are kept.
+ * @param {Object} dream - Dream document ({ _id, user, date })
+ * @param {Object|null} contentCoding - Content coding of the dream
+ * @param {Array} entities - Entities from the entities stage
+ * @returns {Promise<Array>} Places the dream is set in
+ */
+async function linkDreamPlaces(dream, contentCoding, entities = []) {
+  await Place.updateMany(
+    { user: dream.user, 'appearances.dream': dream._id },
+    { $pull: { appearances: { dream: dream._id, source: 'analysis' } } }
+  );
+
+  const found = dreamPlaces(contentCoding, entities);
+  if (found.length === 0) {
+    return [];
+  }
+
+  const registry = await Place.find({ user: dream.user });
+  const byAlias = new Map();
+  registry.forEach(place => {
+    place.aliases.forEach(alias => byAlias.set(alias, place));
+  });
+
+  const changed = new Set();
+  const linked = new Set();
+
+  found.forEach(({ phrase, location, familiarity }) => {
+    let place = byAlias.get(phrase);
+
+    if (!place) {
+      place = new Place({ user: dream.user, name: capitalize(phrase), aliases: [phrase], location, familiarity });
+      byAlias.set(phrase, place);
+    }
+
+    if (addAppearance(place, dream, phrase)) {
+      changed.add(place);
+    }
+    linked.add(place);
+  });
+
+  const saved = new Map();
+  await Promise.all([...changed].map(async place => {
+    saved.set(place, await savePlace(place, dream));
+  }));
+  const places = [...new Set([...linked].map(place => saved.get(place) || place))];
+
+  console.log('Dream places linked:', { dreamId: dream._id, places: places.length });
+  return places;
+}
+
+/**
+ * Link a place to the already analyzed dreams that use one of its aliases
+ * Used when the user creates a place or gives it new aliases.
+ * @param {Object} place - Place document (saved by the caller)
+ * @returns {Promise<number>} Number of dreams newly linked
+ */
+async function linkExistingDreams(place) {
+  if (place.aliases.length === 0) return 0;
+
+  const dreams = await Dream.find({
+    user: place.user,
+    $or: [
+      { 'contentCoding.settings.phrase': { $in: place.aliases } },
+      { 'analysis.entities': { $elemMatch: { type: 'place', text: { $in: place.aliases } } } }
+    ]
+  }).select('date contentCoding.settings analysis.entities');
+
+  let linked = 0;
+  dreams.forEach(dream => {
+    const entities = (dream.analysis && dream.analysis.entities) || [];
+    const found = dreamPlaces(dream.contentCoding, entities).find(entry => place.aliases.includes(entry.phrase));
+    if (found && addAppearance(place, dream, found.phrase)) {
+      linked += 1;
+    }
+  });
+
+  return linked;
+}
+
+/**
+ * Remove a deleted dream from every place
+ * @param {Object} dream - Dream document ({ _id, user })
+ * @returns {Promise}
+ */
+function unlinkDream(dream) {
+  return Place.updateMany(
+    { user: dream.user, 'appearances.dream': dream._id },
+    { $pull: { appearances: { dream: dream._id } } }
+  );
+}
+
+/**
+ * Keep appearance dates in step with a dream's date
+ * @param {Object} dream - Dream document ({ _id, user, date })
+ * @returns {Promise}
+ */
+function updateAppearanceDates(dream) {
+  return Place.updateMany(
+    { user: dream.user, 'appearances.dream': dream._id },
+    { $set: { 'appearances.$[appearance].date': dream.date } },
+    { arrayFilters: [{ 'appearance.dream': dream._id }] }
+  );
+}
+
+module.exports = {
+  linkDreamPlaces,
+  linkExistingDreams,
+  unlinkDream,
+  updateAppearanceDates
+};
@@ -0,0 +1,148 @@
+const { isLucidDream } = require('./dreamRatings');
+const { dayNumber } = require('./dates');
+const { round } = require('./numbers');
+
+/**
+ * Lucid dreaming practice statistics
+ * Practice entries count toward a morning; that morning's dreams (the dreams
+ * dated that day, and the dreams of the sleep session ending that day) show
+ * whether the night was lucid. Each technique's lucid rate is compared with
+ * the lucid rate of the nights with dreams but no practice at all.
+ */
+
+/**
+ * Whether each morning with dreams had a lucid dream
+ * A dream in a sleep session belongs to the session's morning.
+ * @param {Array} dreams - Dreams ({ _id, date, category, ratings, lucidity })
+ * @param {Array} sessions - Sleep sessions ({ date, dreams: [{ dream }] })
+ * @returns {Map} Day number -> true when one of the morning's dreams was lucid
+ */
+function buildDreamMornings(dreams, sessions = []) {
+  const sessionDay = new Map();
+  sessions.forEach(session => {
+    session.dreams.forEach(entry => sessionDay.set(entry.dream.toString(), dayNumber(session.date)));
+  });
+
+  const mornings = new Map();
+  dreams.forEach(dream => {
+    const id = dream._id.toString();
+    const day = sessionDay.has(id) ? sessionDay.get(id) : dayNumber(dream.date);
+    mornings.set(day, mornings.get(day) || isLucidDream(dream));
+  });
+
+  return mornings;
+}
+
+/**
+ * Lucid rate over a set of mornings
+ * @param {Set} days - Day numbers of the mornings
+ * @param {Map} mornings - Day number -> lucid, for the mornings with dreams
+ * @returns {Object} { nights, nightsWithDreams, lucidNights, lucidRate }
+ */
+function summarizeNights(days, mornings) {
+  const withDreams = [...days].filter(day => mornings.has(day));
+  const lucidNights = withDreams.filter(day => mornings.get(day)).length;
+  const lucidRate = withDreams.length > 0 ? round(lucidNights / withDreams.length) : null;
+
+  return {
+    nights: days.size,
+    nightsWithDreams: withDreams.length,
+    lucidNights,
+    // Share of the nights with dreams that had a lucid dream
+    lucidRate
+  };
+}
+
+/**
+ * Compare practiced nights with the nights without practice
+ * @param {Object} summary - Practiced nights (from summarizeNights)
+ * @param {Object} baseline - Nights without practice (from summarizeNights)
+ * @returns {Object} The summary with the difference of the lucid rates and the lift:
+ *   how many times more often the practiced nights were lucid (null when either
+ *   rate is unknown, and the lift also when the baseline is 0)
+ */
+function compareWithBaseline(summary, baseline) {
+  const known = summary.lucidRate !== null && baseline.lucidRate !== null;
+  return {
+    ...summary,
+    difference: known ? round(summary.lucidRate - baseline.lucidRate) : null,
+    lift: known && baseline.lucidRate > 0 ? round(summary.lucidRate / baseline.lucidRate) : null
+  };
+}
+
+/**
+ * Practice statistics of a journal
+ * @param {Array} entries - Practice entries ({ technique, date, count, supplement })
+ * @param {Array} dreams - Dreams ({ _id, date, category, ratings, lucidity })
+ * @param {Array} sessions - Sleep sessions ({ date, wbtb, dreams }); WBTB nights count as WBTB practice
+ * @param {Array} techniques - Technique names
+ * @returns {Object} { baseline, techniques, supplements, realityChecks }
+ */
+function computePracticeStats(entries, dreams, sessions, techniques) {
+  const mornings = buildDreamMornings(dreams, sessions);
+
+  const practiced = new Set();
+  const byTechnique = Object.fromEntries(techniques.map(technique => [technique, new Set()]));
+  const bySupplement = new Map();
+  const checksByDay = new Map();
+
+  entries.forEach(entry => {
+    const day = dayNumber(entry.date);
+    practiced.add(day);
+    byTechnique[entry.technique].add(day);
+
+    if (entry.technique === 'supplement') {
+      const name = entry.supplement.name;
+      if (!bySupplement.has(name)) bySupplement.set(name, new Set());
+      bySupplement.get(name).add(day);
+    }
+    if (entry.technique === 'realityCheck') {
+      checksByDay.set(day, (checksByDay.get(day) || 0) + entry.count);
+    }
+  });
+
+  sessions.filter(session => session.wbtb).forEach(session => {
+    const day = dayNumber(session.date);
+    practiced.add(day);
+    byTechnique.wbtb.add(day);
+  });
+
+  // Nights with dreams but no practice
+  const unpracticed = new Set([...mornings.keys()].filter(day => !practiced.has(day)));
+  const baseline = summarizeNights(unpracticed, mornings);
+
+  const techniqueStats = {};
+  techniques.forEach(technique => {
+    techniqueStats[technique] = compareWithBaseline(summarizeNights(byTechnique[technique], mornings), baseline);
+  });
+
+  const supplements = [...bySupplement.entries()]
+    .map(([name, days]) => ({ name, ...compareWithBaseline(summarizeNights(days, mornings), baseline) }))
+    .sort((a, b) => b.nights - a.nights || a.name.localeCompare(b.name));
+
+  // Reality checks done the day before lucid and other mornings with dreams
+  const averageChecks = lucid => {
+    const days = [...mornings.keys()].filter(day => mornings.get(day) === lucid);
+    return days.length > 0
+      ? round(days.reduce((sum, day) => sum + (checksByDay.get(day) || 0), 0) / days.length)
+      : null;
+  };
+  const totalChecks = [...checksByDay.values()].reduce((sum, count) => sum + count, 0);
+
+  return {
+    baseline,
+    techniques: techniqueStats,
+    supplements,
+    realityChecks: {
+      total: totalChecks,
+      days: checksByDay.size,
+      averagePerDay: checksByDay.size > 0 ? round(totalChecks / checksByDay.size) : null,
+      averageBeforeLucid: averageChecks(true),
+      averageBeforeOther: averageChecks(false)
+    }
+  };
+}
+
+module.exports = {
+  computePracticeStats
+};
@@ -0,0 +1,132 @@
+const { DAY_MS, dayNumber } = require('./dates');
+const { round } = require('./numbers');
+
+/**
+ * Dream recall statistics
+ * A journal day is "logged" when it has a dream or a logged night. Its recall is
+ * the best of what was logged that day: a dream outside any sleep session counts
+ * as full recall, a sleep session counts with its recall level.
+ */
+
+// Windows (in days, ending today) the recall rate is reported for
+const RECALL_WINDOWS = [7, 30, 90];
+
+// Weeks of recall trend
+const TREND_WEEKS = 12;
+
+const RECALL_RANK = { none: 0, fragment: 1, full: 2 };
+
+/**
+ * Best recall of every logged day
+ * @param {Array} sessions - Sleep sessions ({ date, recallLevel })
+ * @param {Array} dreams - Dreams outside any sleep session ({ date })
+ * @returns {Map} Day number -> recall level
+ */
+function buildRecallDays(sessions, dreams) {
+  const days = new Map();
+  const log = (date, level) => {
+    const day = dayNumber(date);
+    const current = days.get(day);
+    if (current === undefined || RECALL_RANK[level] > RECALL_RANK[current]) {
+      days.set(day, level);
+    }
+  };
+
+  sessions.forEach(session => log(session.date, session.recallLevel));
+  dreams.forEach(dream => log(dream.date, 'full'));
+
+  return days;
+}
+
+/**
+ * Recall over the days of a range
+ * @param {Map} days - Day number -> recall level
+ * @param {number} first - First day number
+ * @param {number} last - Last day number
+ * @returns {Object} { days, logged, full, fragment, none, recallRate, loggingRate }
+ */
+function summarizeRange(days, first, last) {
+  const counts = { full: 0, fragment: 0, none: 0 };
+  for (let day = first; day <= last; day += 1) {
+    if (days.has(day)) {
+      counts[days.get(day)] += 1;
+    }
+  }
+
+  const logged = counts.full + counts.fragment + counts.none;
+
+  return {
+    days: last - first + 1,
+    logged,
+    ...counts,
+    // Share of logged nights with any recall (fragments included)
+    recallRate: logged > 0 ? round((counts.full + counts.fragment) / logged) : null,
+    // Share of the range's nights that were logged at all
+    loggingRate: round(logged / (last - first + 1))
+  };
+}
+
+/**
+ * Current and longest runs of consecutive logged days
+ * The current streak is still alive when the last logged day is today or yesterday.
+ * @param {Map} days - Day number -> recall level
+ * @param {number} today - Today's day number
+ * @returns {Object} { current, longest }
+ */
+function loggingStreaks(days, today) {
+  const logged = Array.from(days.keys()).sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+
+  logged.forEach((day, index) => {
+    run = index > 0 && day === logged[index - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const last = logged[logged.length - 1];
+  const current = last !== undefined && last >= today - 1 && last <= today ? run : 0;
+
+  return { current, longest };
+}
+
+/**
+ * Recall statistics of a journal
+ * @param {Array} sessions - Sleep sessions ({ date, recallLevel })
+ * @param {Array} dreams - Dreams outside any sleep session ({ date })
+ * @param {Date} now - Current time
+ * @returns {Object} { windows, streaks, trend }
+ */
+function computeRecallStats(sessions, dreams, now = new Date()) {
+  const days = buildRecallDays(sessions, dreams);
+  const today = dayNumber(now);
+
+  const windows = {};
+  RECALL_WINDOWS.forEach(length => {
+    windows[`${length}d`] = summarizeRange(days, today - length + 1, today);
+  });
+
+  // Weekly recall for the last weeks, oldest first; the last week ends today
+  const trend = [];
+  for (let week = TREND_WEEKS - 1; week >= 0; week -= 1) {
+    const last = today - week * 7;
+    const first = last - 6;
+    const { logged, recallRate, loggingRate } = summarizeRange(days, first, last);
+    trend.push({
+      weekStart: new Date(first * DAY_MS).toISOString().slice(0, 10),
+      logged,
+      recallRate,
+      loggingRate
+    });
+  }
+
+  return {
+    windows,
+    streaks: loggingStreaks(days, today),
+    trend
+  };
+}
+
+module.exports = {
+  RECALL_WINDOWS,
+  computeRecallStats
+};
@@ -0,0 +1,80 @@
+const { summarizeContentCodings } = require('./contentCoding');
+
+/**
+ * Combined analysis of a dream series
+ * Reads a series as one story: how its emotions and sentiment move from night to
+ * night, and which symbols and keywords carry through it.
+ */
+
+// Keywords reported for a series
+const KEYWORD_LIMIT = 15;
+
+/**
+ * Count values, most frequent first
+ * @param {Array} values - Values to count
+ * @returns {Array} [{ value, count }]
+ */
+function countValues(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return Array.from(counts.entries())
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Combine the analyses of a series' dreams
+ * @param {Array} dreams - Dreams of the series in date order
+ * @returns {Object} { dreams, nights, from, to, emotions, sentiment, symbols, keywords, contentCoding }
+ */
+function combineSeriesAnalysis(dreams) {
+  const nights = new Set(dreams.map(dream => new Date(dream.date).toISOString().slice(0, 10)));
+
+  const primaryEmotions = dreams
+    .map(dream => dream.emotions && dream.emotions.primary)
+    .filter(Boolean);
+  const emotionCounts = countValues(primaryEmotions);
+
+  const arc = dreams.map(dream => ({
+    dreamId: dream._id,
+    date: dream.date,
+    emotion: (dream.emotions && dream.emotions.primary) || null,
+    sentiment: dream.analysis && dream.analysis.sentiment ? dream.analysis.sentiment.score : null
+  }));
+  const scores = arc.map(entry => entry.sentiment).filter(score => typeof score === 'number');
+
+  // A symbol or keyword counts once per dream, so the counts say how many nights it appears in
+  const symbols = countValues(dreams.flatMap(dream => [...new Set((dream.symbols || []).map(s => s.symbol))]))
+    .map(({ value, count }) => ({ symbol: value, dreams: count }));
+  const keywords = countValues(dreams.flatMap(dream => [...new Set(dream.keywords || [])]))
+    .slice(0, KEYWORD_LIMIT)
+    .map(({ value, count }) => ({ keyword: value, dreams: count }));
+
+  const codings = dreams.map(dream => dream.contentCoding).filter(Boolean);
+
+  return {
+    dreams: dreams.length,
+    nights: nights.size,
+    from: dreams.length > 0 ? dreams[0].date : null,
+    to: dreams.length > 0 ? dreams[dreams.length - 1].date : null,
+    emotions: {
+      dominant: emotionCounts.length > 0 ? emotionCounts[0].value : null,
+      distribution: Object.fromEntries(emotionCounts.map(({ value, count }) => [value, count]))
+    },
+    sentiment: {
+      average: scores.length > 0
+        ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100
+        : null,
+      change: scores.length > 1 ? Math.round((scores[scores.length - 1] - scores[0]) * 100) / 100 : null,
+      arc
+    },
+    symbols,
+    recurringSymbols: symbols.filter(symbol => symbol.dreams > 1).map(symbol => symbol.symbol),
+    keywords,
+    contentCoding: codings.length > 0 ? summarizeContentCodings(codings) : null
+  };
+}
+
+module.exports = {
+  combineSeriesAnalysis
+};
@@ -0,0 +1,71 @@
+/**
+ * Sleep cycle positions
+ * Sleep runs in cycles of about 90 minutes. REM periods, where most vivid dreams
+ * happen, are short in the first cycles and grow longer towards morning, so where
+ * in the night a dream was recalled says a lot about it.
+ */
+
+const CYCLE_MINUTES = 90;
+
+// Length of a night when the wake time is unknown (five cycles)
+const DEFAULT_NIGHT_MINUTES = CYCLE_MINUTES * 5;
+
+/**
+ * Place a moment of the night in the sleep cycle
+ * @param {Object} session - Sleep session ({ bedtime, wakeTime })
+ * @param {Date} time - Moment of the night
+ * @returns {Object|null} { minutesAfterBedtime, cycle, phase } (phase: early, middle or late)
+ */
+function positionInNight(session, time) {
+  if (!time || !session.bedtime) {
+    return null;
+  }
+
+  const bedtime = new Date(session.bedtime).getTime();
+  const minutes = Math.round((new Date(time).getTime() - bedtime) / 60000);
+  if (minutes < 0) {
+    return null;
+  }
+
+  const nightMinutes = session.wakeTime
+    ? Math.max(1, (new Date(session.wakeTime).getTime() - bedtime) / 60000)
+    : DEFAULT_NIGHT_MINUTES;
+  const fraction = minutes / nightMinutes;
+
+  return {
+    minutesAfterBedtime: minutes,
+    cycle: Math.floor(minutes / CYCLE_MINUTES) + 1,
+    phase: fraction < 1 / 3 ? 'early' : fraction < 2 / 3 ? 'middle' : 'late'
+  };
+}
+
+/**
+ * List a night's dreams in order with their place in the sleep cycle
+ * A dream without its own awakening time is placed at the wake time when it is
+ * the last dream of the night, and left unplaced otherwise.
+ * @param {Object} session - Sleep session
+ * @param {Array} dreams - The session's dream documents (any order)
+ * @returns {Array} [{ order, dream, awakenedAt, position }]
+ */
+function describeNight(session, dreams) {
+  const byId = new Map(dreams.map(dream => [dream._id.toString(), dream]));
+  const entries = session.dreams.filter(entry => byId.has(entry.dream.toString()));
+
+  return entries.map((entry, index) => {
+    const isLast = index === entries.length - 1;
+    const awakenedAt = entry.awakenedAt || (isLast ? session.wakeTime : null) || null;
+
+    return {
+      order: index + 1,
+      dream: byId.get(entry.dream.toString()),
+      awakenedAt,
+      position: positionInNight(session, awakenedAt)
+    };
+  });
+}
+
+module.exports = {
+  CYCLE_MINUTES,
+  positionInNight,
+  describeNight
+};
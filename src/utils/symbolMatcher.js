@@ -0,0 +1,355 @@
+const nlp = require('compromise');
+const { tokenizeWithOffsets } = require('./textUtils');
+const { persianLemma, persianStems } = require('./persianText');
+const { DEFAULT_LANGUAGE } = require('./languageDetection');
+const { SENTENCE_BREAKS } = require('./emotionLexicon');
+
+/**
+ * Dream symbol matcher
+ * Matches symbol dictionary entries against dream text on whole words,
+ * comparing lemmas so inflections match their base form ("ran" → run,
+ * "teeth fell out" → teeth_falling_out). Multi-word entries use underscores
+ * (`unable_to_move`) and may have a short gap between their words
+ * ("teeth started falling out"). Each symbol can also be found through its synonyms.
+ * English text is analyzed with compromise; Persian text with the Persian
+ * tokenizer, where a word matches when one of its stems is the pattern's lemma
+ * ("دندان‌هایم افتاد" → دندان افتاد). Dictionaries and synonyms normally come from utils/symbolStore.
+ */
+
+// Maximum number of extra words allowed between the words of a multi-word phrase
+const MAX_PHRASE_GAP = 2;
+
+// Characters of context kept on each side of an occurrence
+const CONTEXT_WINDOW = 50;
+
+/**
+ * Split Persian text into terms (there is no part-of-speech tagging for Persian)
+ * @param {string} text - Text to analyze
+ * @returns {Array} Terms as { text, normal, lemma, stems, tags, start, end, sentence }
+ */
+function analyzePersianTerms(text) {
+  const terms = [];
+  let sentence = 0;
+
+  tokenizeWithOffsets(text, { language: 'fa' }).forEach(token => {
+    if (!token.isWord) {
+      if (SENTENCE_BREAKS.includes(token.text)) sentence++;
+      return;
+    }
+
+    terms.push({
+      text: text.substring(token.start, token.end),
+      normal: token.text,
+      lemma: persianLemma(token.text),
+      stems: persianStems(token.text),
+      tags: [],
+      start: token.start,
+      end: token.end,
+      sentence
+    });
+  });
+
+  return terms;
+}
+
+/**
+ * Split text into terms with lemmas, part-of-speech tags and character offsets
+ * @param {string} text - Text to analyze
+ * @param {string} language - Language of the text
+ * @returns {Array} Terms as { text, normal, lemma, tags, start, end, sentence }
+ */
+function analyzeTerms(text, language = DEFAULT_LANGUAGE) {
+  if (language === 'fa') {
+    return analyzePersianTerms(text);
+  }
+
+  return termsFromDocument(nlp(text));
+}
+
+/**
+ * Terms of an already parsed compromise document (English)
+ * @param {Object} doc - Compromise document
+ * @returns {Array} Terms as { text, normal, lemma, tags, start, end, sentence }
+ */
+function termsFromDocument(doc) {
+  doc.compute('root');
+  doc.compute('offset');
+
+  const terms = [];
+  doc.json().forEach((sentence, sentenceIndex) => {
+    sentence.terms.forEach(term => {
+      // Contractions expand to implicit words ("couldn't" → could + not)
+      const normal = (term.implicit || term.normal || '').toLowerCase();
+      if (!normal) return;
+
+      terms.push({
+        text: term.text,
+        normal,
+        lemma: term.root || normal,
+        tags: term.tags || [],
+        start: term.offset.start,
+        end: term.offset.start + term.offset.length,
+        sentence: sentenceIndex
+      });
+    });
+  });
+
+  return terms;
+}
+
+/**
+ * Whether a text term matches a pattern word
+ * @param {Object} term - Text term
+ * @param {Object} word - Pattern term
+ * @returns {boolean}
+ */
+function termMatches(term, word) {
+  return term.lemma === word.lemma ||
+    term.normal === word.normal ||
+    Boolean(term.stems && term.stems.includes(word.lemma));
+}
+
+/**
+ * Compile a symbol dictionary into lemmatized phrase patterns
+ * @param {Object} dictionary - { symbol: meaning } (multi-word symbols use underscores)
+ * @param {Object} synonyms - { symbol: [alternative phrases] }
+ * @param {string} language - Language the patterns will be matched against
+ * @returns {Array} Patterns as { symbol, phrase, words }
+ */
+function compilePatterns(dictionary, synonyms, language) {
+  const patterns = [];
+
+  Object.keys(dictionary).forEach(symbol => {
+    const phrases = [symbol.replace(/_/g, ' '), ...(synonyms[symbol] || [])];
+
+    new Set(phrases.map(phrase => phrase.toLowerCase())).forEach(phrase => {
+      const words = analyzeTerms(phrase, language);
+      if (words.length > 0) {
+        patterns.push({ symbol, phrase, words });
+      }
+    });
+  });
+
+  // Longer phrases first so "teeth falling out" wins over "teeth" or "falling"
+  return patterns.sort((a, b) => b.words.length - a.words.length);
+}
+
+/**
+ * Try to match a pattern starting at a term
+ * @param {Array} terms - Text terms
+ * @param {number} index - Index of the first term
+ * @param {Object} pattern - Compiled pattern
+ * @returns {Array|null} Indexes of the matched terms
+ */
+function matchPattern(terms, index, pattern) {
+  if (!termMatches(terms[index], pattern.words[0])) return null;
+
+  const matched = [index];
+  let position = index;
+
+  for (let w = 1; w < pattern.words.length; w++) {
+    let next = -1;
+    for (let i = position + 1; i <= position + 1 + MAX_PHRASE_GAP && i < terms.length; i++) {
+      if (terms[i].sentence !== terms[index].sentence) break;
+      if (termMatches(terms[i], pattern.words[w])) {
+        next = i;
+        break;
+      }
+    }
+    if (next === -1) return null;
+    matched.push(next);
+    position = next;
+  }
+
+  return matched;
+}
+
+/**
+ * Get the text around an occurrence
+ * @param {string} text - Full text
+ * @param {number} start - Occurrence start offset
+ * @param {number} end - Occurrence end offset
+ * @returns {string} Excerpt with ellipses where it was cut
+ */
+function getContext(text, start, end) {
+  const startIndex = Math.max(0, start - CONTEXT_WINDOW);
+  const endIndex = Math.min(text.length, end + CONTEXT_WINDOW);
+
+  let context = text.substring(startIndex, endIndex);
+  if (startIndex > 0) context = '...' + context;
+  if (endIndex < text.length) context += '...';
+
+  return context;
+}
+
+/**
+ * Collect the tagged terms directly before or after an occurrence
+ * @param {Array} terms - Text terms
+ * @param {number} from - Index to start from
+ * @param {number} step - -1 to walk backwards, 1 to walk forwards
+ * @param {string} tag - Part-of-speech tag to collect
+ * @returns {Array} Words in text order
+ */
+function collectTagged(terms, from, step, tag) {
+  const words = [];
+  for (let i = from; i >= 0 && i < terms.length && terms[i].tags.includes(tag); i += step) {
+    words.push(terms[i].normal);
+  }
+  return step < 0 ? words.reverse() : words;
+}
+
+// Compiled patterns per dictionary object and language (dictionaries are long-lived)
+const patternCache = new WeakMap();
+
+/**
+ * Get (and cache) the compiled patterns for a dictionary
+ * @param {Object} dictionary - Symbol dictionary
+ * @param {Object} synonyms - Symbol synonyms
+ * @param {string} language - Language of the text
+ * @returns {Array} Compiled patterns
+ */
+function getPatterns(dictionary, synonyms, language) {
+  if (!patternCache.has(dictionary)) {
+    patternCache.set(dictionary, {});
+  }
+
+  const byLanguage = patternCache.get(dictionary);
+  const cached = byLanguage[language];
+  if (cached && cached.synonyms === synonyms) {
+    return cached.patterns;
+  }
+
+  const patterns = compilePatterns(dictionary, synonyms, language);
+  byLanguage[language] = { synonyms, patterns };
+  return patterns;
+}
+
+/**
+ * Find every occurrence of the dictionary's symbols in a text
+ * @param {string} text - Dream text
+ * @param {Object} dictionary - { symbol: meaning }
+ * @param {Object} options - Matching options
+ * @param {Object} options.synonyms - { symbol: [alternative phrases] }
+ * @param {Object} options.details - { symbol: { category, interpretations } } merged into each entry
+ * @param {string} options.language - Language of the text ('en' or 'fa')
+ * @returns {Array} One entry per symbol found, in order of first appearance:
+ *   { symbol, meaning, context, adjectives, verbs, frequency,
+ *     occurrences: [{ text, matched, start, end, context }] }
+ */
+function matchSymbols(text, dictionary, { synonyms = {}, details = {}, language = DEFAULT_LANGUAGE } = {}) {
+  if (!text || !dictionary) {
+    return [];
+  }
+
+  const terms = analyzeTerms(text, language);
+  const patterns = getPatterns(dictionary, synonyms, language);
+
+  // Gather candidate matches, then keep the longest non-overlapping ones
+  const candidates = [];
+  terms.forEach((term, index) => {
+    patterns.forEach(pattern => {
+      const matched = matchPattern(terms, index, pattern);
+      if (matched) {
+        candidates.push({ pattern, first: matched[0], last: matched[matched.length - 1] });
+      }
+    });
+  });
+
+  candidates.sort((a, b) =>
+    a.first - b.first || (b.last - b.first) - (a.last - a.first)
+  );
+
+  const used = new Set();
+  const found = new Map();
+
+  candidates.forEach(candidate => {
+    for (let i = candidate.first; i <= candidate.last; i++) {
+      if (used.has(i)) return;
+    }
+    for (let i = candidate.first; i <= candidate.last; i++) {
+      used.add(i);
+    }
+
+    const { symbol, phrase } = candidate.pattern;
+    const start = terms[candidate.first].start;
+    const end = Math.max(terms[candidate.last].end, start);
+
+    if (!found.has(symbol)) {
+      found.set(symbol, {
+        symbol,
+        meaning: dictionary[symbol],
+        ...details[symbol],
+        context: getContext(text, start, end),
+        adjectives: collectTagged(terms, candidate.first - 1, -1, 'Adjective'),
+        verbs: collectTagged(terms, candidate.last + 1, 1, 'Verb'),
+        frequency: 0,
+        occurrences: []
+      });
+    }
+
+    const entry = found.get(symbol);
+    entry.frequency++;
+    entry.occurrences.push({
+      text: text.substring(start, end),
+      matched: phrase,
+      start,
+      end,
+      context: getContext(text, start, end)
+    });
+  });
+
+  return [...found.values()];
+}
+
+/**
+ * Combine matches from the global dictionary with matches from a user's
+ * personal dictionary. The personal meaning takes precedence in `meaning`;
+ * both meanings are kept in `personalMeaning` and `universalMeaning`.
+ * @param {Array} universalMatches - matchSymbols result for the global dictionary
+ * @param {Array} personalMatches - matchSymbols result for the personal dictionary
+ * @returns {Array} Merged symbols with an `origin` of universal, personal or both
+ */
+function mergePersonalMatches(universalMatches, personalMatches) {
+  const personalByName = new Map(personalMatches.map(match => [match.symbol, match]));
+
+  const merged = universalMatches.map(match => {
+    const personal = personalByName.get(match.symbol);
+    personalByName.delete(match.symbol);
+
+    if (!personal) {
+      return { ...match, universalMeaning: match.meaning, personalMeaning: null, origin: 'universal' };
+    }
+
+    // Personal synonyms may find occurrences the global dictionary did not
+    const occurrences = [...match.occurrences];
+    personal.occurrences.forEach(occurrence => {
+      if (!occurrences.some(existing => existing.start === occurrence.start)) {
+        occurrences.push(occurrence);
+      }
+    });
+    occurrences.sort((a, b) => a.start - b.start);
+
+    return {
+      ...match,
+      meaning: personal.meaning,
+      universalMeaning: match.meaning,
+      personalMeaning: personal.meaning,
+      origin: 'both',
+      frequency: occurrences.length,
+      occurrences
+    };
+  });
+
+  personalByName.forEach(personal => {
+    merged.push({ ...personal, universalMeaning: null, personalMeaning: personal.meaning, origin: 'personal' });
+  });
+
+  return merged;
+}
+
+module.exports = {
+  analyzeTerms,
+  termsFromDocument,
+  matchSymbols,
+  mergePersonalMatches
+};
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const DreamSymbol = require('../models/symbol.model');
+const seedSymbols = require('./dreamSymbols');
+const { buildReadings, DEFAULT_FRAMEWORK } = require('./interpretationFrameworks');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('./languageDetection');
+
+/**
+ * In-memory cache of the Symbol collection
+ * Every analyzer reads the symbol dictionary through this module. The cache is
+ * reloaded after admin changes and at most every SYMBOL_CACHE_TTL_MS so that
+ * separate worker processes pick up edits too. When the database is not
+ * connected or has not been seeded, the built-in list (dreamSymbols.js) is used.
+ */
+
+const CACHE_TTL_MS = parseInt(process.env.SYMBOL_CACHE_TTL_MS) || 5 * 60 * 1000;
+
+let cache = null;
+let seedIndex = null;
+let loading = null;
+let warnedEmpty = false;
+// Bumped on invalidation so a load started before a change is not cached
+let generation = 0;
+
+/**
+ * Build the lookup structures used by the symbol matcher
+ * @param {Array} entries - Symbol documents or seed entries
+ * @param {string} source - 'database' or 'seed'
+ * @returns {Object} { dictionary, synonyms, synonymsByLanguage, details, source, count, loadedAt }
+ *   dictionary maps each name to its primary general interpretation, details holds
+ *   the category, every interpretation and the reading for each framework.
+ *   synonymsByLanguage holds the synonyms to match for each language: the English
+ *   ones, plus the localized ones for other languages (English words turn up in Persian dreams too)
+ */
+function buildSymbolIndex(entries, source) {
+  const dictionary = {};
+  const synonyms = {};
+  const details = {};
+  const synonymsByLanguage = {};
+  SUPPORTED_LANGUAGES.forEach(language => {
+    synonymsByLanguage[language] = language === DEFAULT_LANGUAGE ? synonyms : {};
+  });
+
+  entries.forEach(entry => {
+    // Seed entries keep general readings as strings and the others under `frameworks`
+    const interpretations = [
+      ...(entry.interpretations || []).map(interpretation =>
+        typeof interpretation === 'string'
+          ? { text: interpretation, framework: DEFAULT_FRAMEWORK, source: null }
+          : {
+            text: interpretation.text,
+            framework: interpretation.framework || DEFAULT_FRAMEWORK,
+            source: interpretation.source || null
+          }
+      ),
+      ...Object.entries(entry.frameworks || {}).map(([framework, text]) => ({ text, framework, source: null }))
+    ];
+    if (interpretations.length === 0) return;
+
+    const readings = buildReadings(interpretations);
+
+    dictionary[entry.name] = readings[DEFAULT_FRAMEWORK] || interpretations[0].text;
+    synonyms[entry.name] = entry.synonyms || [];
+    SUPPORTED_LANGUAGES.filter(language => language !== DEFAULT_LANGUAGE).forEach(language => {
+      const localized = (entry.localizedSynonyms && entry.localizedSynonyms[language]) || [];
+      synonymsByLanguage[language][entry.name] = [...synonyms[entry.name], ...localized];
+    });
+    details[entry.name] = {
+      category: entry.category || 'other',
+      interpretations,
+      readings
+    };
+  });
+
+  return {
+    dictionary,
+    synonyms,
+    synonymsByLanguage,
+    details,
+    source,
+    count: Object.keys(dictionary).length,
+    loadedAt: Date.now()
+  };
+}
+
+/**
+ * Index of the built-in symbol list (built once, so the matcher's compiled patterns are reused)
+ * @returns {Object} Symbol index
+ */
+function getSeedIndex() {
+  if (!seedIndex) {
+    seedIndex = buildSymbolIndex(seedSymbols, 'seed');
+  }
+  return seedIndex;
+}
+
+/**
+ * Load active symbols from the database, falling back to the built-in list
+ * @returns {Promise<Object>} Symbol index
+ */
+async function loadSymbols() {
+  if (mongoose.connection.readyState !== 1) {
+    return getSeedIndex();
+  }
+
+  const entries = await DreamSymbol.find({ isActive: true }).lean();
+
+  if (entries.length === 0) {
+    if (!warnedEmpty) {
+      console.warn('Symbol collection is empty, using the built-in dictionary (run pnpm seed:symbols)');
+      warnedEmpty = true;
+    }
+    return getSeedIndex();
+  }
+
+  console.log(`Loaded ${entries.length} dream symbols from the database`);
+  return buildSymbolIndex(entries, 'database');
+}
+
+/**
+ * Get the symbol index, reloading it when stale
+ * @param {Object} options
+ * @param {boolean} options.refresh - Force a reload
+ * @returns {Promise<Object>} Symbol index
+ */
+async function getSymbolIndex({ refresh = false } = {}) {
+  // The built-in list is only a fallback, so keep checking the database while using it
+  const stale = !cache || cache.source === 'seed' || Date.now() - cache.loadedAt > CACHE_TTL_MS;
+
+  if (refresh || stale) {
+    // Share a single in-flight load between concurrent callers
+    if (!loading) {
+      const loadGeneration = generation;
+      const load = loadSymbols()
+        .then(index => {
+          if (loadGeneration === generation) {
+            cache = index;
+          }
+          return index;
+        })
+        .catch(error => {
+          console.error('Error loading dream symbols:', error.message);
+          return cache || getSeedIndex();
+        })
+        .finally(() => {
+          if (loading === load) {
+            loading = null;
+          }
+        });
+      loading = load;
+    }
+    return loading;
+  }
+
+  return cache;
+}
+
+/**
+ * Get the last loaded symbol index without touching the database
+ * (for synchronous callers; uses the built-in list until the cache is loaded)
+ * @returns {Object} Symbol index
+ */
+function getCachedSymbolIndex() {
+  if (!cache) {
+    cache = getSeedIndex();
+  }
+  return cache;
+}
+
+/**
+ * Build a matcher dictionary from a user's personal symbols
+ * @param {Array} personalSymbols - [{ name, meaning, synonyms }]
+ * @returns {Object} { dictionary, synonyms }
+ */
+function buildPersonalDictionary(personalSymbols) {
+  const dictionary = {};
+  const synonyms = {};
+
+  personalSymbols.forEach(symbol => {
+    dictionary[symbol.name] = symbol.meaning;
+    synonyms[symbol.name] = symbol.synonyms || [];
+  });
+
+  return { dictionary, synonyms };
+}
+
+/**
+ * Drop the cache so the next read reloads it (called after symbols change)
+ */
+function invalidateSymbolCache() {
+  cache = null;
+  loading = null;
+  generation++;
+}
+
+module.exports = {
+  buildSymbolIndex,
+  getSymbolIndex,
+  getCachedSymbolIndex,
+  buildPersonalDictionary,
+  invalidateSymbolCache
+};
@@ -0,0 +1,24 @@
+/**
+ * Small string helpers shared by models, controllers and linkers
+ * (kept free of the NLP dependencies of textUtils).
+ */
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalize a list of aliases: trimmed, lowercase, without duplicates
+ * @param {Array} aliases - Raw aliases
+ * @returns {Array} Normalized aliases
+ */
+const normalizeAliases = aliases =>
+  [...new Set((aliases || []).map(alias => String(alias).trim().toLowerCase()).filter(Boolean))];
+
+module.exports = {
+  escapeRegExp,
+  normalizeAliases
+};
@@ -0,0 +1,234 @@
+const natural = require('natural');
+const {
+  PERSIAN_STOPWORDS,
+  normalizePersian,
+  mergeDetachedAffixes,
+  stripVerbPrefix
+} = require('./persianText');
+const { DEFAULT_LANGUAGE } = require('./languageDetection');
+const persianLexicon = require('./persianEmotionLexicon');
+const { emotionModel } = require('./emotionLexicon');
+
+/**
+ * Shared text-processing helpers used by the dream analyzers
+ * (tokenization, stopwords, TF-IDF keywords and sentiment).
+ * Helpers that depend on the language take a `language` option ('en' or 'fa').
+ */
+
+// Natural.js components
+const tokenizer = new natural.WordTokenizer();
+const TfIdf = natural.TfIdf;
+const stemmer = natural.PorterStemmer;
+const Analyzer = natural.SentimentAnalyzer;
+const sentimentAnalyzer = new Analyzer("English", stemmer, "afinn");
+
+// Common English stopwords to filter out
+const STOPWORDS = ['i', 'me', 'my', 'myself', 'we', 'our', 'ours', 'ourselves',
+  'you', 'your', 'yours', 'yourself', 'yourselves', 'he', 'him', 'his', 'himself',
+  'she', 'her', 'hers', 'herself', 'it', 'its', 'itself', 'they', 'them', 'their',
+  'theirs', 'themselves', 'what', 'which', 'who', 'whom', 'this', 'that', 'these',
+  'those', 'am', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has',
+  'had', 'having', 'do', 'does', 'did', 'doing', 'a', 'an', 'the', 'and', 'but',
+  'if', 'or', 'because', 'as', 'until', 'while', 'of', 'at', 'by', 'for', 'with',
+  'about', 'against', 'between', 'into', 'through', 'during', 'before', 'after',
+  'above', 'below', 'to', 'from', 'up', 'down', 'in', 'out', 'on', 'off', 'over',
+  'under', 'again', 'further', 'then', 'once', 'here', 'there', 'when', 'where',
+  'why', 'how', 'all', 'any', 'both', 'each', 'few', 'more', 'most', 'other',
+  'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than', 'too',
+  'very', 's', 't', 'can', 'will', 'just', 'don', 'should', 'now'];
+
+// Keyword extraction defaults per language (Persian words are short: آب, مار, کوه)
+const KEYWORD_DEFAULTS = {
+  en: { minLength: 4, stopwords: STOPWORDS },
+  fa: { minLength: 2, stopwords: PERSIAN_STOPWORDS }
+};
+
+// Persian punctuation and the ASCII marks the analyzers compare against
+const PUNCTUATION_EQUIVALENTS = { '،': ',', '؛': ';', '؟': '?' };
+
+/**
+ * Tokenize text into lowercase word tokens
+ * @param {string} text - The text to tokenize
+ * @param {Object} options
+ * @param {string} options.language - Language of the text
+ * @returns {Array} Word tokens
+ */
+function tokenize(text, { language = DEFAULT_LANGUAGE } = {}) {
+  if (!text) return [];
+
+  if (language !== DEFAULT_LANGUAGE) {
+    return tokenizeWithOffsets(text, { language })
+      .filter(token => token.isWord)
+      .map(token => token.text);
+  }
+
+  return tokenizer.tokenize(text.toLowerCase());
+}
+
+/**
+ * Tokenize text into words and clause punctuation, keeping character offsets
+ * Words may contain ZWNJ (می‌روم) and apostrophes (didn't); Persian words are
+ * normalized and detached affixes joined, with offsets still pointing into `text`.
+ * @param {string} text - The text to tokenize
+ * @param {Object} options
+ * @param {string} options.language - Language of the text
+ * @returns {Array} Tokens as { text, start, end, isWord, position } where
+ *   `text` is lowercase and `position` is the index among word tokens (null for punctuation)
+ */
+function tokenizeWithOffsets(text, { language = DEFAULT_LANGUAGE } = {}) {
+  const tokens = [];
+  if (!text) return tokens;
+
+  const pattern = /[\p{L}\p{M}\p{N}]+(?:['’\u200c\u200d][\p{L}\p{M}\p{N}]+)*|[.!?;:,،؛؟]/gu;
+  let position = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const isWord = !/^[.!?;:,،؛؟]$/.test(match[0]);
+    let tokenText = PUNCTUATION_EQUIVALENTS[match[0]] || match[0].toLowerCase().replace(/’/g, "'");
+    if (language === 'fa' && isWord) {
+      tokenText = normalizePersian(tokenText);
+    }
+
+    tokens.push({
+      text: tokenText,
+      start: match.index,
+      end: match.index + match[0].length,
+      isWord,
+      position: isWord ? position++ : null
+    });
+  }
+
+  return language === 'fa' ? mergeDetachedAffixes(tokens) : tokens;
+}
+
+/**
+ * Extracts important keywords using TF-IDF algorithm
+ * @param {string} text - The text content to analyze
+ * @param {Object} options - Extraction options
+ * @param {number} options.limit - Maximum number of keywords to return
+ * @param {number} options.minLength - Minimum keyword length (defaults per language)
+ * @param {Array} options.stopwords - Words to ignore (defaults per language)
+ * @param {string} options.language - Language of the text
+ * @returns {Array} List of keywords
+ */
+function extractKeywordsTfIdf(text, { limit = 15, minLength, stopwords, language = DEFAULT_LANGUAGE } = {}) {
+  const defaults = KEYWORD_DEFAULTS[language] || KEYWORD_DEFAULTS[DEFAULT_LANGUAGE];
+  minLength = minLength || defaults.minLength;
+  stopwords = stopwords || defaults.stopwords;
+
+  // Create a new TF-IDF instance
+  const tfidf = new TfIdf();
+
+  // Add the document (natural's tokenizer only keeps Latin letters, so other
+  // languages are added as a pre-tokenized list)
+  tfidf.addDocument(language === DEFAULT_LANGUAGE ? text : tokenize(text, { language }));
+
+  // Persian light verbs also count as stopwords in their continuous form (می‌کردم)
+  const isStopword = term => stopwords.includes(term) ||
+    (language === 'fa' && stopwords.includes(stripVerbPrefix(term)));
+
+  // Get the terms and their measures
+  let terms = [];
+  tfidf.listTerms(0).forEach(item => {
+    // Filter out stopwords, short words, and numbers
+    if (!isStopword(item.term) &&
+        item.term.length >= minLength &&
+        !/^\p{N}+$/u.test(item.term)) {
+      terms.push({
+        term: item.term,
+        tfidf: item.tfidf
+      });
+    }
+  });
+
+  // Sort by TF-IDF score and take the top terms
+  terms = terms.sort((a, b) => b.tfidf - a.tfidf).slice(0, limit);
+
+  // Return just the terms
+  return terms.map(item => item.term);
+}
+
+/**
+ * Sentiment of Persian text from the Persian emotion lexicon
+ * (natural has no Persian sentiment lexicon). Each emotion word counts its
+ * intensity level, positive or negative by the emotion's valence; negated words
+ * (نترسیدم, هیچ ترسی, ناراحت نبودم) are skipped.
+ * @param {Array} tokens - Persian word tokens
+ * @returns {number} Average score per token, like natural's SentimentAnalyzer
+ */
+function scorePersianSentiment(tokens) {
+  const total = tokens.reduce((sum, token, index) => {
+    const match = persianLexicon.lookupEmotion(token);
+    if (!match || match.negated) return sum;
+
+    // Negated by a preceding word (هیچ ترسی) or a negated verb after it (ناراحت نبودم)
+    if ((index > 0 && persianLexicon.isNegator(tokens[index - 1])) ||
+        (index + 1 < tokens.length && persianLexicon.isTrailingNegator(tokens[index + 1]))) {
+      return sum;
+    }
+
+    const valence = emotionModel[match.emotion].valence;
+    if (valence === 'positive') return sum + match.level;
+    if (valence === 'negative') return sum - match.level;
+    return sum;
+  }, 0);
+
+  return total / tokens.length;
+}
+
+/**
+ * Performs sentiment analysis on text using Natural.js
+ * @param {string} text - The text to analyze
+ * @param {Object} options
+ * @param {string} options.language - Language of the text
+ * @returns {Object} Sentiment analysis results
+ */
+function analyzeSentiment(text, { language = DEFAULT_LANGUAGE } = {}) {
+  const tokenized = tokenize(text || '', { language });
+  let score = 0;
+  if (tokenized.length > 0) {
+    // natural's analyzer returns the average AFINN score per token
+    score = language === 'fa'
+      ? scorePersianSentiment(tokenized)
+      : sentimentAnalyzer.getSentiment(tokenized);
+  }
+
+  // Calculate comparative score (normalized by text length)
+  const comparative = tokenized.length > 0 ? score / tokenized.length : 0;
+
+  // Determine overall sentiment
+  let vote = 'neutral';
+  if (comparative > 0.05) {
+    vote = 'positive';
+  } else if (comparative < -0.05) {
+    vote = 'negative';
+  }
+
+  return {
+    score,
+    comparative,
+    vote
+  };
+}
+
+/**
+ * Count occurrences of items in an array
+ * @param {Array} array - Array of items
+ * @returns {Object} Counts of each item
+ */
+function countOccurrences(array) {
+  return array.reduce((counts, item) => {
+    counts[item] = (counts[item] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+module.exports = {
+  STOPWORDS,
+  tokenize,
+  tokenizeWithOffsets,
+  extractKeywordsTfIdf,
+  analyzeSentiment,
+  countOccurrences
+};
@@ -0,0 +1,16 @@
+/**
+ * Response body for a mongoose validation or cast error
+ * Mongoose messages are English only, so the body names the invalid fields and
+ * the message comes from the request's catalog.
+ * @param {Object} req - Express request (for the response language)
+ * @param {Error} error - ValidationError or CastError thrown by mongoose
+ * @returns {Object} { message, fields }
+ */
+function validationErrorBody(req, error) {
+  const fields = error.name === 'CastError' ? [error.path] : Object.keys(error.errors || {});
+  return { message: req.t('errors.validation', { fields: fields.join(', ') }), fields };
+}
+
+module.exports = {
+  validationErrorBody
+};
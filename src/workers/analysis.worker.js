@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { startWorker } = require('../jobs/analysis.job');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Standalone dream analysis worker
+ * Usage: pnpm worker
+ * Run as many of these as needed; jobs are claimed atomically from MongoDB.
+ */
+const concurrency = parseInt(process.env.ANALYSIS_WORKER_CONCURRENCY) || 1;
+
+console.log('Analysis worker connecting to MongoDB...');
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dreamscope')
+  .then(() => {
+    console.log('Analysis worker connected to MongoDB');
+    const worker = startWorker({ concurrency });
+
+    const shutdown = () => {
+      console.log('Analysis worker shutting down');
+      worker.stop();
+      mongoose.disconnect().finally(() => process.exit(0));
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  })
+  .catch(err => {
+    console.error('Analysis worker MongoDB connection error:', err);
+    process.exit(1);
+  });